@@ -0,0 +1,49 @@
+// Static file server for local development with the same SPA fallback as production:
+// extensionless paths (client-side routes such as /na1/Name-TAG) are served index.html.
+//
+//   node dev-server.js src    # npm run dev
+//   node dev-server.js dist   # npm run serve
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_PORT = 8000;
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.map': 'application/json',
+    '.webmanifest': 'application/manifest+json',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.webp': 'image/webp',
+    '.woff2': 'font/woff2'
+};
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), process.argv[2] || 'src');
+const port = Number(process.env.PORT || DEFAULT_PORT);
+
+http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const hasExtension = /\.[a-zA-Z0-9]+$/.test(pathname);
+    const filePath = path.join(root, hasExtension ? decodeURIComponent(pathname) : 'index.html');
+
+    if (!filePath.startsWith(root + path.sep) || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not found');
+        return;
+    }
+
+    res.writeHead(200, {
+        'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream',
+        'Cache-Control': 'no-cache'
+    });
+    fs.createReadStream(filePath).pipe(res);
+}).listen(port, () => {
+    console.log(`🚀 Serving ${path.relative(process.cwd(), root) || '.'} on http://localhost:${port}`);
+});
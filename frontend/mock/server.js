@@ -0,0 +1,313 @@
+// Offline mock of the Riot proxy and leaderboard API
+// Serves the recorded responses in mock/fixtures so the app and its tests run without a Riot
+// key or network. Open the app with `?mock=1` to point it here (see src/js/config.js).
+//
+//   npm run mock                  # http://localhost:3002
+//   Hide on bush#KR1, Chovy#KR1   # the recorded players (region KR), see fixtures/players;
+//                                 # Hide on bush is in a live game
+//   Anyone#404 / #401 / #403      # that status on every request
+//   Anyone#429 / #500 / #503      # that status first (429 with Retry-After), then the recorded player
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const DEFAULT_PORT = 3002;
+const DAY = 24 * 3600000;
+const SIMULATED_STATUSES = ['401', '403', '404', '429', '500', '503'];
+const RETRYABLE_STATUSES = ['429', '500', '503'];
+
+// Rate limits the mock reports, matching a development key
+const APP_RATE_LIMIT = '20:1,100:120';
+const METHOD_RATE_LIMIT = '2000:60';
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET,POST,OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Expose-Headers': 'X-App-Rate-Limit,X-App-Rate-Limit-Count,X-Method-Rate-Limit,X-Method-Rate-Limit-Count,X-Rate-Limit-Type,Retry-After'
+};
+
+export function loadFixture(name) {
+    return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), 'utf8'));
+}
+
+// Each file in fixtures/players holds one player's account, summoner, league, mastery,
+// challenges and matchIds responses, plus activeGame when they're in a live game
+export function loadPlayerFixture(name) {
+    return loadFixture(`players/${name}`);
+}
+
+const players = fs.readdirSync(path.join(FIXTURES_DIR, 'players'))
+    .map(file => loadPlayerFixture(path.basename(file, '.json')));
+// Simulated statuses recover to this player
+const defaultPlayer = loadPlayerFixture('hide-on-bush');
+// Solo/Duo entries for the other players in the recorded games, by PUUID
+const otherLeagues = loadFixture('leagues');
+
+function findByPuuid(puuid) {
+    return players.find(player => player.account.puuid === puuid);
+}
+
+function playerResponse(puuid, field) {
+    const player = findByPuuid(puuid);
+    return player ? { body: player[field] } : null;
+}
+
+// Riot paths the proxy allows, mapped to the fixture each one serves
+const ROUTES = [
+    {
+        pattern: /^\/riot\/account\/v1\/accounts\/by-riot-id\/([^/]+)\/([^/]+)$/,
+        respond: ([gameName, tagLine]) => {
+            if (SIMULATED_STATUSES.includes(tagLine)) return { simulate: tagLine, body: defaultPlayer.account };
+            const player = players.find(({ account }) => (
+                gameName.toLowerCase() === account.gameName.toLowerCase()
+                && tagLine.toLowerCase() === account.tagLine.toLowerCase()
+            ));
+            return player ? { body: player.account } : null;
+        }
+    },
+    {
+        pattern: /^\/riot\/account\/v1\/accounts\/by-puuid\/([^/]+)$/,
+        respond: ([puuid]) => playerResponse(puuid, 'account')
+    },
+    {
+        pattern: /^\/lol\/summoner\/v4\/summoners\/by-puuid\/([^/]+)$/,
+        respond: ([puuid]) => playerResponse(puuid, 'summoner')
+    },
+    {
+        pattern: /^\/lol\/league\/v4\/entries\/by-puuid\/([^/]+)$/,
+        respond: ([puuid]) => playerResponse(puuid, 'league') || (otherLeagues[puuid] && { body: otherLeagues[puuid] })
+    },
+    {
+        pattern: /^\/lol\/champion-mastery\/v4\/champion-masteries\/by-puuid\/([^/]+)$/,
+        respond: ([puuid]) => playerResponse(puuid, 'mastery')
+    },
+    {
+        // The fixture's game started startedSecondsAgo seconds before the request
+        pattern: /^\/lol\/spectator\/v5\/active-games\/by-summoner\/([^/]+)$/,
+        respond: ([puuid]) => {
+            const player = findByPuuid(puuid);
+            if (!player || !player.activeGame) return null;
+            const { startedSecondsAgo, ...game } = player.activeGame;
+            return { body: { ...game, gameStartTime: Date.now() - startedSecondsAgo * 1000, gameLength: startedSecondsAgo } };
+        }
+    },
+    {
+        pattern: /^\/lol\/challenges\/v1\/player-data\/([^/]+)$/,
+        respond: ([puuid]) => playerResponse(puuid, 'challenges')
+    },
+    {
+        pattern: /^\/lol\/challenges\/v1\/challenges\/config$/,
+        respond: () => ({ body: loadFixture('challenge-config') })
+    },
+    {
+        pattern: /^\/lol\/match\/v5\/matches\/by-puuid\/([^/]+)\/ids$/,
+        respond: ([puuid], query) => {
+            const player = findByPuuid(puuid);
+            if (!player) return null;
+            const start = Number(query.get('start') || 0);
+            const count = Number(query.get('count') || 20);
+            // startTime/endTime are epoch seconds on the game's creation time
+            const startTime = Number(query.get('startTime') || 0) * 1000;
+            const endTime = query.has('endTime') ? Number(query.get('endTime')) * 1000 : Infinity;
+            const matchIds = player.matchIds.filter(matchId => {
+                const { gameCreation } = loadFixture(`matches/${matchId}`).info;
+                return gameCreation >= startTime && gameCreation <= endTime;
+            });
+            return { body: matchIds.slice(start, start + count) };
+        }
+    },
+    {
+        pattern: /^\/lol\/match\/v5\/matches\/([A-Z0-9]+_\d+)$/,
+        respond: ([matchId]) => {
+            const file = path.join(FIXTURES_DIR, 'matches', `${matchId}.json`);
+            return fs.existsSync(file) ? { body: loadFixture(`matches/${matchId}`) } : null;
+        }
+    }
+];
+
+function readBody(req) {
+    return new Promise(resolve => {
+        let data = '';
+        req.on('data', chunk => { data += chunk; });
+        req.on('end', () => resolve(data));
+    });
+}
+
+function send(res, status, body, headers = {}) {
+    res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json', ...headers });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function riotError(status, message) {
+    return { status: { status_code: status, message } };
+}
+
+/**
+ * Creates (but does not start) the mock server.
+ * `failTimes` is how many requests per URL fail before a retryable simulated status recovers;
+ * pass Infinity to make it fail every time.
+ */
+export function createMockServer({ failTimes = 1 } = {}) {
+    const failures = new Map();
+    const requestCounts = new Map();
+    let leaderboard = loadFixture('leaderboard');
+    // Rank snapshots by `puuid#queueType`; the fixture's are dated relative to now
+    const rankHistory = new Map(Object.entries(loadFixture('rank-history')).map(([key, snapshots]) => [
+        key,
+        snapshots.map(({ daysAgo, ...snapshot }) => ({ timestamp: Date.now() - daysAgo * DAY, ...snapshot }))
+    ]));
+
+    function rateLimitHeaders(route, endpoint) {
+        const appKey = `app:${route}`;
+        const methodKey = `method:${route}:${endpoint}`;
+        [appKey, methodKey].forEach(key => requestCounts.set(key, (requestCounts.get(key) || 0) + 1));
+
+        return {
+            'X-App-Rate-Limit': APP_RATE_LIMIT,
+            'X-App-Rate-Limit-Count': `${requestCounts.get(appKey)}:1,${requestCounts.get(appKey)}:120`,
+            'X-Method-Rate-Limit': METHOD_RATE_LIMIT,
+            'X-Method-Rate-Limit-Count': `${requestCounts.get(methodKey)}:60`
+        };
+    }
+
+    function handleRiot(res, route, riotPath, url) {
+        const endpoint = ROUTES.findIndex(({ pattern }) => pattern.test(riotPath));
+        if (endpoint === -1) {
+            send(res, 403, riotError(403, 'Endpoint not allowed'));
+            return;
+        }
+
+        const { pattern, respond } = ROUTES[endpoint];
+        const params = pattern.exec(riotPath).slice(1).map(decodeURIComponent);
+        const result = respond(params, url.searchParams);
+        const headers = rateLimitHeaders(route, endpoint);
+
+        if (!result) {
+            send(res, 404, riotError(404, 'Data not found'), headers);
+            return;
+        }
+
+        if (result.simulate) {
+            const key = url.pathname + url.search;
+            const failed = failures.get(key) || 0;
+            if (!RETRYABLE_STATUSES.includes(result.simulate) || failed < failTimes) {
+                failures.set(key, failed + 1);
+                const status = Number(result.simulate);
+                const extra = status === 429 ? { 'Retry-After': '1', 'X-Rate-Limit-Type': 'application' } : {};
+                send(res, status, riotError(status, `Simulated ${status}`), { ...headers, ...extra });
+                return;
+            }
+        }
+
+        send(res, 200, result.body, headers);
+    }
+
+    async function handleLeaderboard(req, res, url) {
+        if (req.method === 'POST') {
+            const body = await readBody(req);
+            const { puuid } = JSON.parse(body || '{}');
+            const players = leaderboard.filter(player => player.puuid === puuid);
+            if (players.length === 0) {
+                send(res, 404, { message: 'Player not found' });
+                return;
+            }
+            const refreshed = players.map(player => ({ ...player, lastUpdated: Date.now() }));
+            leaderboard = leaderboard.filter(player => player.puuid !== puuid).concat(refreshed);
+            refreshed.forEach(({ queueType, lastUpdated, tier, rank, leaguePoints, wins, losses, score }) => {
+                const key = `${puuid}#${queueType}`;
+                const snapshot = { timestamp: lastUpdated, tier, rank, leaguePoints, wins, losses, score };
+                rankHistory.set(key, [...(rankHistory.get(key) || []), snapshot]);
+            });
+            send(res, 200, { players: refreshed });
+            return;
+        }
+
+        const queue = url.searchParams.get('queue') || 'RANKED_SOLO_5x5';
+        const region = url.searchParams.get('region');
+        const ranking = url.searchParams.get('ranking') || 'score';
+        const limit = Number(url.searchParams.get('limit') || 50);
+        const offset = Number(url.searchParams.get('cursor') || 0);
+
+        if (!['score', 'challenges'].includes(ranking)) {
+            send(res, 400, { message: `Unknown ranking: ${ranking}` });
+            return;
+        }
+
+        // Like the real index, ranking by challenges leaves out players without challenge points
+        const players = leaderboard
+            .filter(player => player.queueType === queue && (!region || player.region === region))
+            .filter(player => ranking === 'score' || player.challengePoints !== undefined)
+            .sort(ranking === 'score'
+                ? (a, b) => b.score - a.score
+                : (a, b) => b.challengePoints - a.challengePoints || b.score - a.score);
+        const nextOffset = offset + limit;
+        send(res, 200, {
+            players: players.slice(offset, nextOffset),
+            nextCursor: nextOffset < players.length ? String(nextOffset) : null
+        });
+    }
+
+    function handleRankHistory(res, url) {
+        const puuid = url.searchParams.get('puuid');
+        const queue = url.searchParams.get('queue') || 'RANKED_SOLO_5x5';
+        const since = Date.now() - Number(url.searchParams.get('days') || 30) * DAY;
+        const snapshots = (rankHistory.get(`${puuid}#${queue}`) || [])
+            .filter(snapshot => snapshot.timestamp >= since);
+        send(res, 200, { snapshots });
+    }
+
+    // Error reports sent to /api/logs, newest last
+    const clientLogs = [];
+
+    async function handleClientLogs(req, res) {
+        const { events = [] } = JSON.parse(await readBody(req) || '{}');
+        clientLogs.push(...events);
+        events.forEach(event => console.log(`📝 Client ${event.kind}: ${event.message}`));
+        send(res, 202);
+    }
+
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+
+        if (req.method === 'OPTIONS') {
+            send(res, 204);
+            return;
+        }
+
+        if (url.pathname === '/api/leaderboard/history' && req.method === 'GET') {
+            handleRankHistory(res, url);
+            return;
+        }
+
+        if (url.pathname === '/api/leaderboard') {
+            handleLeaderboard(req, res, url);
+            return;
+        }
+
+        if (url.pathname === '/api/logs' && req.method === 'POST') {
+            handleClientLogs(req, res);
+            return;
+        }
+
+        const riotMatch = /^\/api\/riot\/([^/]+)(\/.+)$/.exec(url.pathname);
+        if (riotMatch && req.method === 'GET') {
+            handleRiot(res, riotMatch[1], riotMatch[2], url);
+            return;
+        }
+
+        send(res, 404, { message: 'Not found' });
+    });
+    server.clientLogs = clientLogs;
+    return server;
+}
+
+// Run directly: `node mock/server.js`
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const port = Number(process.env.PORT || DEFAULT_PORT);
+    createMockServer().listen(port, () => {
+        console.log(`🧪 Mock Riot API listening on http://localhost:${port} - open the app with ?mock=1`);
+    });
+}
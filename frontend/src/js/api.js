@@ -0,0 +1,395 @@
+import { API_CONFIG, CACHE_TTLS, REGIONAL_ROUTING } from './config.js';
+import { logger } from './logger.js';
+import { ResponseCache } from './response-cache.js';
+
+// Rate limiting
+// Riot enforces an application limit per routing value (na1, europe, ...) and a method limit
+// per endpoint per routing value. Buckets start from the development key defaults and adopt
+// whatever the X-App-Rate-Limit / X-Method-Rate-Limit response headers report.
+const DEFAULT_APP_RATE_LIMITS = [
+    { requests: 20, window: 1000 }, // 20 requests per 1 second
+    { requests: 100, window: 120000 } // 100 requests per 2 minutes
+];
+
+export const rateLimitTracker = {
+    buckets: new Map(),
+    
+    getBucket(key, defaultLimits = []) {
+        if (!this.buckets.has(key)) {
+            this.buckets.set(key, { limits: defaultLimits, timestamps: [], blockedUntil: 0 });
+        }
+        return this.buckets.get(key);
+    },
+    
+    // The application and method buckets a request counts against
+    getBucketsFor(route, endpoint) {
+        return [
+            this.getBucket(`app:${route}`, DEFAULT_APP_RATE_LIMITS),
+            this.getBucket(`method:${route}:${endpoint}`)
+        ];
+    },
+    
+    // Remove timestamps outside the longest window
+    cleanup(bucket, now) {
+        const longestWindow = Math.max(0, ...bucket.limits.map(limit => limit.window));
+        bucket.timestamps = bucket.timestamps.filter(time => now - time < longestWindow);
+    },
+    
+    // Milliseconds until a request may go out on all of the given buckets
+    getDelay(buckets, now = Date.now()) {
+        return Math.max(0, ...buckets.map(bucket => {
+            this.cleanup(bucket, now);
+            let delay = Math.max(0, bucket.blockedUntil - now);
+            
+            bucket.limits.forEach(limit => {
+                const inWindow = bucket.timestamps.filter(time => now - time < limit.window);
+                if (inWindow.length >= limit.requests) {
+                    // Wait until enough of the oldest requests fall out of the window
+                    const oldest = inWindow[inWindow.length - limit.requests];
+                    delay = Math.max(delay, oldest + limit.window - now);
+                }
+            });
+            
+            return delay;
+        }));
+    },
+    
+    recordRequest(buckets, now = Date.now()) {
+        buckets.forEach(bucket => bucket.timestamps.push(now));
+    },
+    
+    updateFromHeaders(route, endpoint, headers) {
+        const [appBucket, methodBucket] = this.getBucketsFor(route, endpoint);
+        this.applyHeaders(appBucket, headers.get('X-App-Rate-Limit'), headers.get('X-App-Rate-Limit-Count'));
+        this.applyHeaders(methodBucket, headers.get('X-Method-Rate-Limit'), headers.get('X-Method-Rate-Limit-Count'));
+    },
+    
+    applyHeaders(bucket, limitHeader, countHeader) {
+        if (!limitHeader) return;
+        
+        bucket.limits = parseRateLimitHeader(limitHeader).map(({ count, seconds }) => ({
+            requests: count,
+            window: seconds * 1000
+        }));
+        
+        if (!countHeader) return;
+        
+        // The key is shared by every visitor, so Riot's count can be ahead of ours
+        const now = Date.now();
+        parseRateLimitHeader(countHeader).forEach(({ count, seconds }) => {
+            const localCount = bucket.timestamps.filter(time => now - time < seconds * 1000).length;
+            for (let i = localCount; i < count; i++) {
+                bucket.timestamps.push(now);
+            }
+        });
+    },
+    
+    // Honour Retry-After on whichever limit Riot says we hit
+    blockFor(route, endpoint, retryAfterSeconds, limitType) {
+        const [appBucket, methodBucket] = this.getBucketsFor(route, endpoint);
+        const bucket = !limitType || limitType === 'application' ? appBucket : methodBucket;
+        bucket.blockedUntil = Math.max(bucket.blockedUntil, Date.now() + retryAfterSeconds * 1000);
+    }
+};
+
+// Parses "20:1,100:120" into [{ count: 20, seconds: 1 }, { count: 100, seconds: 120 }]
+export function parseRateLimitHeader(value) {
+    return value.split(',').map(pair => {
+        const [count, seconds] = pair.split(':').map(Number);
+        return { count, seconds };
+    });
+}
+
+// Request queue
+// Every API call waits here for a rate limit slot. Jobs run in priority order, FIFO within a
+// priority, and a job never overtakes an earlier one waiting on the same bucket.
+export const REQUEST_PRIORITY = {
+    profile: 2,
+    matches: 1,
+    background: 0
+};
+
+const requestQueue = [];
+let requestSequence = 0;
+let requestQueueTimer = null;
+
+// Aborted when the user starts a new search, dropping everything queued for the old one
+export let searchController = new AbortController();
+
+export function cancelPendingRequests() {
+    searchController.abort();
+    searchController = new AbortController();
+    return searchController;
+}
+
+function createAbortError() {
+    return new DOMException('Request cancelled by a newer search', 'AbortError');
+}
+
+function scheduleRequest(route, endpoint, priority, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal.aborted) {
+            reject(createAbortError());
+            return;
+        }
+        
+        const job = { route, endpoint, priority, sequence: requestSequence++, resolve, signal };
+        job.onAbort = () => {
+            requestQueue.splice(requestQueue.indexOf(job), 1);
+            reject(createAbortError());
+        };
+        
+        requestQueue.push(job);
+        requestQueue.sort((a, b) => b.priority - a.priority || a.sequence - b.sequence);
+        signal.addEventListener('abort', job.onAbort, { once: true });
+        
+        processRequestQueue();
+    });
+}
+
+function processRequestQueue() {
+    clearTimeout(requestQueueTimer);
+    requestQueueTimer = null;
+    
+    const now = Date.now();
+    const waitingBuckets = new Set();
+    let nextDelay = Infinity;
+    
+    for (let i = 0; i < requestQueue.length;) {
+        const job = requestQueue[i];
+        const buckets = rateLimitTracker.getBucketsFor(job.route, job.endpoint);
+        const delay = buckets.some(bucket => waitingBuckets.has(bucket))
+            ? Infinity
+            : rateLimitTracker.getDelay(buckets, now);
+        
+        if (delay === 0) {
+            // Reserve the slot before releasing the job so concurrent callers can't overshoot
+            rateLimitTracker.recordRequest(buckets, now);
+            requestQueue.splice(i, 1);
+            job.signal.removeEventListener('abort', job.onAbort);
+            job.resolve();
+        } else {
+            buckets.forEach(bucket => waitingBuckets.add(bucket));
+            nextDelay = Math.min(nextDelay, delay);
+            i++;
+        }
+    }
+    
+    if (requestQueue.length > 0 && nextDelay !== Infinity) {
+        logger.debug(`Rate limit reached, ${requestQueue.length} request(s) queued for ${nextDelay}ms`);
+        requestQueueTimer = setTimeout(processRequestQueue, nextDelay);
+    }
+}
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(createAbortError());
+        };
+        const timer = setTimeout(() => {
+            signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// Cached API request. Cache misses go through makeApiRequest; stale entries are returned
+// immediately and refreshed in the background, with onUpdate receiving the new data. onFresh
+// only ever sees data within its TTL (see ResponseCache.get).
+function cachedApiRequest(endpoint, region, params, options = {}) {
+    const { query, priority = REQUEST_PRIORITY.profile, forceRefresh, onUpdate, onFresh } = options;
+    const url = buildApiUrl(endpoint, region, params, query);
+    
+    return ResponseCache.get(url, CACHE_TTLS[endpoint], () => makeApiRequest(url, { endpoint, region, priority }), {
+        forceRefresh,
+        onUpdate,
+        onFresh
+    });
+}
+
+export async function fetchAccountData(gameName, tagLine, region, options = {}) {
+    return cachedApiRequest('account', region, {
+        gameName: encodeURIComponent(gameName),
+        tagLine: encodeURIComponent(tagLine)
+    }, options);
+}
+
+export async function fetchSummonerData(puuid, region, options = {}) {
+    return cachedApiRequest('summoner', region, { puuid }, options);
+}
+
+export async function fetchLeagueData(puuid, region, options = {}) {
+    return cachedApiRequest('league', region, { puuid }, options);
+}
+
+// Top 5 champions unless options.limit asks for more; the cached response holds the full pool
+export async function fetchMasteryData(puuid, region, options = {}) {
+    const { limit = 5 } = options;
+    const topChampions = data => data.slice(0, limit);
+    const data = await cachedApiRequest('mastery', region, { puuid }, {
+        ...options,
+        onUpdate: options.onUpdate && (updated => options.onUpdate(topChampions(updated)))
+    });
+    return topChampions(data);
+}
+
+// The game the player is in right now (spectator-v5, from the loading screen on), or null
+export async function fetchActiveGame(puuid, region, options = {}) {
+    try {
+        return await cachedApiRequest('activeGame', region, { puuid }, options);
+    } catch (error) {
+        if (error.status === 404) return null;
+        throw error;
+    }
+}
+
+// lol-challenges-v1: the player's points, levels, title and tokens
+export async function fetchChallengeData(puuid, region, options = {}) {
+    return cachedApiRequest('challenges', region, { puuid }, options);
+}
+
+// Every challenge's names and tier thresholds, the same for all players on a platform
+export async function fetchChallengeConfig(region, options = {}) {
+    return cachedApiRequest('challengeConfig', region, {}, options);
+}
+
+// options.query adds match-v5 filters such as startTime/endTime (epoch seconds)
+export async function fetchMatchIds(puuid, region, start, count, options = {}) {
+    return cachedApiRequest('matchIds', region, { puuid }, {
+        priority: REQUEST_PRIORITY.matches,
+        ...options,
+        query: { start, count, ...options.query }
+    });
+}
+
+export async function fetchMatchData(matchId, region, options = {}) {
+    return cachedApiRequest('match', region, { matchId }, { priority: REQUEST_PRIORITY.matches, ...options });
+}
+
+export function buildApiUrl(endpoint, region, params, query = {}) {
+    let url = API_CONFIG.baseUrl.replace('{region}', getRoute(endpoint, region)) + API_CONFIG.endpoints[endpoint];
+    
+    Object.entries(params).forEach(([key, value]) => {
+        url = url.replace(`{${key}}`, value);
+    });
+    
+    const queryString = new URLSearchParams(query).toString();
+    return queryString ? `${url}?${queryString}` : url;
+}
+
+function getRegionalRoute(endpoint, region) {
+    const cluster = REGIONAL_ROUTING[region] || 'americas';
+    // account-v1 has no SEA cluster; those players resolve through asia
+    return endpoint === 'account' && cluster === 'sea' ? 'asia' : cluster;
+}
+
+// Routing value (platform or regional cluster) an endpoint is served from
+function getRoute(endpoint, region) {
+    return API_CONFIG.regionalEndpoints.includes(endpoint) ? getRegionalRoute(endpoint, region) : region;
+}
+
+// Riot error responses carry their HTTP status so callers can tell "not found" from failures
+function createApiError(status, message) {
+    return Object.assign(new Error(message), { status });
+}
+
+// Retries for 429s without Retry-After, 5xx and network errors, with exponential backoff
+export const RETRY_POLICY = {
+    maxRetries: 3,
+    baseDelay: 1000
+};
+
+export async function makeApiRequest(url, options, retryCount = 0) {
+    const { maxRetries, baseDelay } = RETRY_POLICY;
+    const { endpoint, region, priority = REQUEST_PRIORITY.profile, signal = searchController.signal } = options;
+    const route = getRoute(endpoint, region);
+    
+    // Wait for a rate limit slot on this route and endpoint
+    await scheduleRequest(route, endpoint, priority, signal);
+    
+    logger.debug(`${endpoint} request`, { region, attempt: retryCount + 1 });
+    
+    try {
+        const response = await fetch(url, { signal });
+        rateLimitTracker.updateFromHeaders(route, endpoint, response.headers);
+        
+        if (!response.ok) {
+            // The proxy's error body, for the message
+            let errorBody = '';
+            try {
+                errorBody = await response.text();
+            } catch (e) {
+                logger.debug(`Could not read the ${endpoint} error response`, e);
+            }
+            
+            // Handle specific error codes with retry logic
+            if (response.status === 429) {
+                // Rate limit exceeded - block the bucket for Retry-After, else exponential backoff
+                if (retryCount < maxRetries) {
+                    const retryAfter = Number(response.headers.get('Retry-After'));
+                    if (retryAfter > 0) {
+                        rateLimitTracker.blockFor(route, endpoint, retryAfter, response.headers.get('X-Rate-Limit-Type'));
+                        logger.warn(`Rate limited (429), retrying after ${retryAfter}s (attempt ${retryCount + 1}/${maxRetries})`);
+                    } else {
+                        const retryDelay = baseDelay * Math.pow(2, retryCount) + Math.random() * baseDelay;
+                        logger.warn(`Rate limited (429), retrying in ${retryDelay}ms (attempt ${retryCount + 1}/${maxRetries})`);
+                        await sleep(retryDelay, signal);
+                    }
+                    return await makeApiRequest(url, { ...options, signal }, retryCount + 1);
+                } else {
+                    throw createApiError(429, `Rate limit exceeded (429): Maximum retries reached. ${errorBody || 'Please wait before making more requests'}`);
+                }
+            } else if (response.status === 503 || response.status === 500) {
+                // Server errors - retry with exponential backoff
+                if (retryCount < maxRetries) {
+                    const retryDelay = baseDelay * Math.pow(2, retryCount);
+                    logger.warn(`Server error (${response.status}), retrying in ${retryDelay}ms (attempt ${retryCount + 1}/${maxRetries})`);
+                    await sleep(retryDelay, signal);
+                    return await makeApiRequest(url, { ...options, signal }, retryCount + 1);
+                } else {
+                    throw createApiError(response.status, `Server error (${response.status}): ${errorBody || 'Service temporarily unavailable'}`);
+                }
+            } else if (response.status === 401) {
+                throw createApiError(401, `API Authentication Failed (401): ${errorBody || 'Invalid or expired API key'}`);
+            } else if (response.status === 403) {
+                throw createApiError(403, `API Access Forbidden (403): ${errorBody || 'API key lacks required permissions or rate limited'}`);
+            } else if (response.status === 404) {
+                throw createApiError(404, `Player not found (404): ${errorBody || 'No player with that Riot ID exists in this region'}`);
+            } else {
+                throw createApiError(response.status, `API request failed (${response.status}): ${errorBody || 'Unknown error'}`);
+            }
+        }
+        
+        return await response.json();
+        
+    } catch (error) {
+        // A newer search cancelled the request
+        if (error.name === 'AbortError') throw error;
+        
+        // Network or other fetch errors - retry for network issues
+        if (error.name === 'TypeError' && error.message.includes('fetch')) {
+            if (retryCount < maxRetries) {
+                const retryDelay = baseDelay * Math.pow(2, retryCount);
+                logger.warn(`Network error, retrying in ${retryDelay}ms (attempt ${retryCount + 1}/${maxRetries})`);
+                await sleep(retryDelay, signal);
+                return await makeApiRequest(url, { ...options, signal }, retryCount + 1);
+            }
+            error = new Error(`Network error: Unable to connect to Riot Games API after ${maxRetries} attempts. Please check your internet connection.`);
+        }
+        
+        // Retries are awaited, so their final error comes back through here and only the first
+        // attempt logs it. Not found is an answer (unknown Riot ID, not in a game), not a failure
+        // worth reporting.
+        if (retryCount === 0) {
+            const context = { endpoint, region, status: error.status };
+            if (error.status === 404) {
+                logger.debug(`${endpoint} not found`, context);
+            } else {
+                logger.error(`${endpoint} request failed`, error, context);
+            }
+        }
+        throw error;
+    }
+}
@@ -0,0 +1,368 @@
+// Main application controller: routes, search flow and page wiring. Data access lives in api.js,
+// rendering in ui.js, match-history.js and leaderboard.js, URLs in router.js, settings in config.js.
+import {
+    cancelPendingRequests,
+    fetchAccountData,
+    fetchLeagueData,
+    fetchMasteryData,
+    fetchSummonerData,
+    searchController
+} from './api.js';
+import { loadChallenges, showChallenges } from './challenges.js';
+import { loadChampionDetail } from './champion-detail.js';
+import { handleCompareButtonClick, handleCompareTrayClick, loadComparison, renderCompareTray } from './compare.js';
+import { addToLeaderboard, filterLeaderboard, handleLeaderboardClick, loadLeaderboard } from './leaderboard.js';
+import { logger, startErrorReporting } from './logger.js';
+import {
+    handleMasteryChartClick,
+    handleMasteryChartKeydown,
+    handleMasteryChartPointer,
+    handleMasteryControlChange,
+    showMasteryChart
+} from './mastery-chart.js';
+import { handleLiveGameClick, reloadLiveGame, showLiveGame } from './live-game.js';
+import { handleMatchHistoryClick, loadMatchHistory } from './match-history.js';
+import { handleMultiSearch, loadMultiSearch, parseRiotId, toggleMultiSearch } from './multi-search.js';
+import { registerServiceWorker } from './offline.js';
+import { handleRankHistoryClick, recordRankSnapshots, showRankHistory } from './rank-history.js';
+import {
+    handleRewindAnimationEnd,
+    handleRewindChange,
+    handleRewindClick,
+    handleRewindKeydown,
+    loadRewind,
+    rangeLabel
+} from './rewind.js';
+import { leaderboardPath, navigate, profilePath, setPageMeta, startRouter } from './router.js';
+import {
+    handleMyPlayersClick,
+    handleSuggestionClick,
+    handleSuggestionKeydown,
+    hideSuggestions,
+    recordSearch,
+    refreshFavorites,
+    renderMyPlayers,
+    showSuggestions
+} from './search-history.js';
+import { StaticData } from './static-data.js';
+import { createParticleEffect, displaySummonerResults, elements, regionLabel, showLoading, showNotification } from './ui.js';
+
+// The profile currently on screen (see searchPlayer)
+let currentProfile = null;
+
+// The route currently on screen (see showRoute)
+let currentRoute = null;
+
+const DEFAULT_PAGE_META = {
+    title: 'Rift Rewind - League of Legends Player Insights',
+    description: 'Look up any League of Legends player: rank, champion mastery, match history and the community leaderboard.'
+};
+
+// Initialize application
+document.addEventListener('DOMContentLoaded', () => {
+    startErrorReporting();
+    initializeEventListeners();
+    registerServiceWorker();
+    renderCompareTray();
+    startRouter(showRoute);
+    StaticData.load().then(() => {
+        loadLeaderboard();
+        renderMyPlayers();
+        refreshFavorites();
+    });
+    
+    // Add particle animation
+    createParticleEffect();
+});
+
+function initializeEventListeners() {
+    elements.searchBtn.addEventListener('click', handleSearch);
+    elements.summonerInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') handleSearch();
+    });
+    
+    // Multi-search (multi-search.js): pasted lobby chat opens the team overview
+    elements.multiSearchToggle.addEventListener('click', toggleMultiSearch);
+    elements.multiSearchBtn.addEventListener('click', () => openPath(handleMultiSearch()));
+    elements.multiSearchInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) openPath(handleMultiSearch());
+    });
+    
+    // Recent searches and favorites (search-history.js); picking one searches straight away
+    elements.summonerInput.addEventListener('input', showSuggestions);
+    elements.summonerInput.addEventListener('focus', showSuggestions);
+    elements.summonerInput.addEventListener('keydown', (e) => openSavedPlayer(handleSuggestionKeydown(e)));
+    elements.searchSuggestions.addEventListener('click', (e) => openSavedPlayer(handleSuggestionClick(e)));
+    elements.myPlayers.addEventListener('click', (e) => openSavedPlayer(handleMyPlayersClick(e)));
+    document.addEventListener('click', (e) => {
+        if (!e.target.closest('.search-input-wrapper')) hideSuggestions();
+    });
+    
+    // Compare buttons on the summoner card and leaderboard rows fill the comparison tray
+    document.addEventListener('click', handleCompareButtonClick);
+    elements.compareTray.addEventListener('click', handleCompareTrayClick);
+    elements.leaderboardQueue.addEventListener('change', handleLeaderboardFilterChange);
+    elements.leaderboardRegion.addEventListener('change', handleLeaderboardFilterChange);
+    elements.leaderboardRanking.addEventListener('change', handleLeaderboardFilterChange);
+    elements.leaderboardList.addEventListener('click', handleLeaderboardClick);
+    elements.matchHistory.addEventListener('click', handleMatchHistoryClick);
+    elements.championMastery.addEventListener('change', handleMasteryControlChange);
+    elements.championMastery.addEventListener('click', (e) => openPath(handleMasteryChartClick(e)));
+    elements.championMastery.addEventListener('mousemove', handleMasteryChartPointer);
+    elements.championMastery.addEventListener('mouseout', handleMasteryChartPointer);
+    elements.championMastery.addEventListener('keydown', (e) => openPath(handleMasteryChartKeydown(e)));
+    // Season Rewind (rewind.js); its season and date range controls change the URL
+    elements.rewindView.addEventListener('change', (e) => openPath(handleRewindChange(e)));
+    elements.rewindView.addEventListener('click', (e) => openPath(handleRewindClick(e)));
+    elements.rewindView.addEventListener('keydown', handleRewindKeydown);
+    elements.rewindView.addEventListener('animationend', handleRewindAnimationEnd);
+    elements.summonerCard.addEventListener('click', (e) => {
+        if (e.target.closest('.refresh-btn') && currentProfile) {
+            searchPlayer(currentProfile.riotId, currentProfile.region, { forceRefresh: true });
+        }
+        handleRankHistoryClick(e);
+        handleLiveGameClick(e);
+    });
+    
+    // Swap any icon that fails to load for the placeholder (error events don't bubble)
+    document.addEventListener('error', (e) => {
+        if (e.target.tagName === 'IMG' && e.target.src !== StaticData.PLACEHOLDER_ICON) {
+            e.target.src = StaticData.PLACEHOLDER_ICON;
+        }
+    }, true);
+}
+
+// Shows a route from router.js. Back/forward re-run earlier searches, which the response
+// cache answers without new requests.
+function showRoute(route, { initial }) {
+    const previousView = currentRoute && currentRoute.view;
+    currentRoute = route;
+    elements.compareSection.classList.toggle('hidden', route.view !== 'compare');
+    elements.rewindSection.classList.toggle('hidden', route.view !== 'rewind');
+    elements.championSection.classList.toggle('hidden', route.view !== 'champion');
+    elements.multiSection.classList.toggle('hidden', route.view !== 'multi');
+    
+    if (route.view === 'profile') {
+        const { riotId, region } = route;
+        elements.regionSelect.value = region;
+        elements.summonerInput.value = `${riotId.gameName}#${riotId.tagLine}`;
+        setPageMeta({
+            title: `${riotId.gameName}#${riotId.tagLine} (${regionLabel(region)}) - Rift Rewind`,
+            description: `League of Legends profile of ${riotId.gameName}#${riotId.tagLine} on ${regionLabel(region)}.`
+        });
+        searchPlayer(riotId, region);
+        return;
+    }
+    
+    // Every other view drops the profile and its pending requests
+    cancelPendingRequests();
+    currentProfile = null;
+    showLoading(false);
+    elements.results.classList.add('hidden');
+    
+    if (route.view === 'compare') {
+        const names = route.players.map(({ riotId }) => `${riotId.gameName}#${riotId.tagLine}`);
+        setPageMeta({
+            title: `Compare ${names.join(' vs ')} - Rift Rewind`,
+            description: `Side-by-side rank, win rate, champions and recent form for ${names.join(', ')}.`
+        });
+        loadComparison(route.players);
+        elements.compareSection.scrollIntoView({ behavior: initial ? 'auto' : 'smooth' });
+        return;
+    }
+    
+    if (route.view === 'multi') {
+        const { region, riotIds } = route;
+        const names = riotIds.map(({ gameName, tagLine }) => `${gameName}#${tagLine}`);
+        elements.regionSelect.value = region;
+        elements.multiSearchInput.value = names.join('\n');
+        setPageMeta({
+            title: `Team ${names.join(', ')} (${regionLabel(region)}) - Rift Rewind`,
+            description: `Ranks and top champions for ${names.join(', ')} on ${regionLabel(region)}.`
+        });
+        loadMultiSearch(region, riotIds);
+        elements.multiSection.scrollIntoView({ behavior: initial ? 'auto' : 'smooth' });
+        return;
+    }
+    
+    if (route.view === 'rewind') {
+        const { riotId, region, range } = route;
+        const name = `${riotId.gameName}#${riotId.tagLine}`;
+        setPageMeta({
+            title: `${name} · ${rangeLabel(range)} Rewind - Rift Rewind`,
+            description: `${rangeLabel(range)} recap for ${name}: champions, roles, streaks, best game and duo partners.`
+        });
+        loadRewind(riotId, region, range);
+        elements.rewindSection.scrollIntoView({ behavior: initial ? 'auto' : 'smooth' });
+        return;
+    }
+    
+    if (route.view === 'champion') {
+        const { riotId, region, champion } = route;
+        const name = `${riotId.gameName}#${riotId.tagLine}`;
+        setPageMeta({
+            title: `${name} on ${champion} - Rift Rewind`,
+            description: `${name}'s ${champion} mastery, win rate, builds, runes and matchups from recent games.`
+        });
+        loadChampionDetail(riotId, region, champion);
+        elements.championSection.scrollIntoView({ behavior: initial ? 'auto' : 'smooth' });
+        return;
+    }
+    
+    if (route.view === 'leaderboard') {
+        elements.leaderboardQueue.value = route.queue;
+        elements.leaderboardRegion.value = route.region;
+        elements.leaderboardRanking.value = route.ranking;
+        const ranked = route.ranking === 'challenges' ? ' by challenge points' : '';
+        setPageMeta({
+            title: `Community Leaderboard - ${selectedLabel(elements.leaderboardQueue)} · ${selectedLabel(elements.leaderboardRegion)} - Rift Rewind`,
+            description: `Top ${selectedLabel(elements.leaderboardQueue)} players${ranked} in ${selectedLabel(elements.leaderboardRegion)} searched on Rift Rewind.`
+        });
+        // The first load waits for static data (see DOMContentLoaded)
+        if (!initial) filterLeaderboard();
+        if (previousView !== 'leaderboard') {
+            document.getElementById('leaderboard').scrollIntoView({ behavior: initial ? 'auto' : 'smooth' });
+        }
+        return;
+    }
+    
+    setPageMeta(DEFAULT_PAGE_META);
+    if (previousView && previousView !== 'home') {
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+    }
+}
+
+// Filter changes on the leaderboard view replace its URL; a profile keeps its own
+function handleLeaderboardFilterChange() {
+    if (currentRoute && currentRoute.view === 'profile') {
+        filterLeaderboard();
+        return;
+    }
+    navigate(leaderboardPath(elements.leaderboardQueue.value, elements.leaderboardRegion.value, elements.leaderboardRanking.value), {
+        replace: currentRoute && currentRoute.view === 'leaderboard'
+    });
+}
+
+function selectedLabel(select) {
+    return select.options[select.selectedIndex].textContent;
+}
+
+function profileDescription({ account, summoner, league }) {
+    const soloQueue = league.find(entry => entry.queueType === 'RANKED_SOLO_5x5');
+    if (!soloQueue) {
+        return `${account.gameName}#${account.tagLine} · Level ${summoner.summonerLevel} · Unranked`;
+    }
+    const winRate = Math.round((soloQueue.wins / (soloQueue.wins + soloQueue.losses)) * 100);
+    return `${account.gameName}#${account.tagLine} · ${soloQueue.tier} ${soloQueue.rank} ${soloQueue.leaguePoints} LP · ${winRate}% win rate in Solo/Duo`;
+}
+
+function openPath(path) {
+    if (path) navigate(path);
+}
+
+function openSavedPlayer(entry) {
+    if (!entry) return;
+    elements.regionSelect.value = entry.region;
+    elements.summonerInput.value = `${entry.gameName}#${entry.tagLine}`;
+    navigate(profilePath(entry.region, entry));
+}
+
+async function handleSearch() {
+    const input = elements.summonerInput.value.trim();
+    const region = elements.regionSelect.value;
+    
+    if (!input) {
+        showNotification('Please enter a Riot ID (Name#TAG)', 'error');
+        return;
+    }
+    
+    hideSuggestions();
+    
+    const riotId = parseRiotId(input);
+    if (!riotId) {
+        showNotification('Invalid Riot ID format - use Name#TAG', 'error');
+        return;
+    }
+    
+    // The route change runs the search (see showRoute)
+    navigate(profilePath(region, riotId));
+}
+
+// Loads and renders a profile. Cached data renders straight away; any stale parts are
+// refreshed in the background and re-rendered if the profile is still on screen.
+async function searchPlayer(riotId, region, { forceRefresh = false } = {}) {
+    const controller = cancelPendingRequests();
+    const profile = { riotId, region };
+    currentProfile = profile;
+    showLoading(true);
+    
+    const refreshField = field => ({
+        forceRefresh,
+        onUpdate: data => {
+            if (currentProfile !== profile) return;
+            profile[field] = data;
+            showProfile(profile, region);
+        }
+    });
+    
+    try {
+        // Icon lookups need champion data; resolves immediately once loaded
+        await StaticData.load();
+        
+        profile.account = await fetchAccountData(riotId.gameName, riotId.tagLine, region, { forceRefresh });
+        profile.summoner = await fetchSummonerData(profile.account.puuid, region, refreshField('summoner'));
+        profile.league = await fetchLeagueData(profile.account.puuid, region, {
+            ...refreshField('league'),
+            // Recorded once per search, and never from a stale cached rank: snapshots are stamped
+            // now, so one would chart as current
+            onFresh: league => {
+                if (currentProfile !== profile) return;
+                addToLeaderboard(profile.account, profile.summoner, league, region);
+                recordRankSnapshots(profile.account, league);
+            }
+        });
+        // The whole pool, for the mastery chart's filters and full view
+        profile.mastery = await fetchMasteryData(profile.account.puuid, region, {
+            ...refreshField('mastery'),
+            limit: Infinity
+        });
+        
+        showProfile(profile, region);
+        reloadLiveGame();
+        loadChallenges(profile.account, region);
+        setPageMeta({ title: document.title, description: profileDescription(profile) });
+        elements.results.scrollIntoView({ behavior: 'smooth' });
+        
+        showNotification(forceRefresh ? 'Profile refreshed!' : 'Summoner data loaded successfully!', 'success');
+        
+        // Match history loads after the profile so a slow match-v5 doesn't hold up the card
+        loadMatchHistory(profile.account.puuid, region, false, forceRefresh);
+    } catch (error) {
+        // A newer search replaced this one
+        if (error.name === 'AbortError') return;
+        
+        const context = { riotId: `${riotId.gameName}#${riotId.tagLine}`, region };
+        // An unknown Riot ID is an answer, not a failure worth reporting
+        if (error.status === 404) {
+            logger.info('Player not found', context);
+        } else {
+            logger.error('Search failed', error, context);
+        }
+        showNotification(`Search failed: ${error.message}`, 'error');
+    } finally {
+        if (controller === searchController) {
+            showLoading(false);
+        }
+    }
+}
+
+// Renders a loaded profile and keeps its search history entry current. Runs again for every
+// background refresh, so lookups that should happen once per search live in searchPlayer.
+function showProfile({ account, summoner, league, mastery }, region) {
+    displaySummonerResults(account, summoner, league, region);
+    showLiveGame(account, region);
+    showChallenges(account, region);
+    showMasteryChart(mastery, account, region);
+    showRankHistory(account, league);
+    recordSearch(account, summoner, league, region);
+}
@@ -0,0 +1,203 @@
+import { fetchChallengeConfig, fetchChallengeData } from './api.js';
+import { html } from './html.js';
+import { logger } from './logger.js';
+import { StaticData } from './static-data.js';
+import { elements } from './ui.js';
+
+// Challenges (lol-challenges-v1)
+// The summoner card's challenges panel: total points, the five category levels, the equipped
+// title and tokens, and the challenges closest to their next tier. Names and tier thresholds
+// come from the challenge config, which is the same for every player and cached for a day.
+export const CHALLENGE_LEVELS = ['IRON', 'BRONZE', 'SILVER', 'GOLD', 'PLATINUM', 'DIAMOND', 'MASTER', 'GRANDMASTER', 'CHALLENGER'];
+const CATEGORIES = ['IMAGINATION', 'EXPERTISE', 'VETERANCY', 'TEAMWORK', 'COLLECTION'];
+// The overall crystal (0) and the five categories (1-5) also come back as challenges
+const SUMMARY_CHALLENGE_IDS = [0, 1, 2, 3, 4, 5];
+const CLOSEST_CHALLENGES = 5;
+const LOCALE = 'en_US';
+
+const challengeState = {
+    puuid: null,
+    region: null,
+    data: null,
+    config: null, // Challenge config by ID
+    status: 'idle', // loading, ready, none (no challenge data) or error
+    requestId: 0
+};
+
+function selectPlayer(account, region) {
+    if (challengeState.puuid !== account.puuid || challengeState.region !== region) {
+        // Drops any lookup still running for the previous player
+        challengeState.requestId++;
+        Object.assign(challengeState, { puuid: account.puuid, region, data: null, config: null, status: 'loading' });
+    }
+}
+
+// Call after displaySummonerResults, which replaces the card. Shows what's loaded for the
+// player; loadChallenges looks them up.
+export function showChallenges(account, region) {
+    selectPlayer(account, region);
+    renderChallenges();
+}
+
+// Once per search; re-renders of the same player go through showChallenges
+export async function loadChallenges(account, region) {
+    selectPlayer(account, region);
+    const requestId = ++challengeState.requestId;
+    try {
+        const [data, config] = await Promise.all([
+            fetchChallengeData(account.puuid, region),
+            fetchChallengeConfig(region)
+        ]);
+        if (requestId !== challengeState.requestId) return;
+        Object.assign(challengeState, {
+            data,
+            config: new Map(config.map(challenge => [challenge.id, challenge])),
+            status: 'ready'
+        });
+    } catch (error) {
+        if (error.name === 'AbortError' || requestId !== challengeState.requestId) return;
+        // Accounts that never played since challenges launched have no data
+        if (error.status === 404) {
+            challengeState.status = 'none';
+        } else {
+            logger.error('Challenges lookup failed', error, { region });
+            challengeState.status = 'error';
+        }
+    }
+    renderChallenges();
+}
+
+// { name, description, shortDescription } for one challenge, empty when the config lacks it
+function localizedNames(config, challengeId) {
+    const challenge = config.get(challengeId);
+    return (challenge && challenge.localizedNames && challenge.localizedNames[LOCALE]) || {};
+}
+
+function challengeName(config, challengeId) {
+    return localizedNames(config, challengeId).name || null;
+}
+
+// Title IDs are the awarding challenge's ID followed by two digits for the tier, and the title
+// reads as that challenge's name
+export function titleName(config, titleId) {
+    if (!titleId) return null;
+    return challengeName(config, Math.floor(Number(titleId) / 100));
+}
+
+// Challenges still climbing, furthest along toward their next tier first
+export function closestChallenges(data, config, count = CLOSEST_CHALLENGES) {
+    return data.challenges
+        .map(challenge => {
+            const info = config.get(challenge.challengeId);
+            if (!info || info.state !== 'ENABLED' || SUMMARY_CHALLENGE_IDS.includes(challenge.challengeId)) return null;
+
+            const nextLevel = CHALLENGE_LEVELS.slice(CHALLENGE_LEVELS.indexOf(challenge.level) + 1)
+                .find(level => typeof info.thresholds[level] === 'number');
+            if (!nextLevel) return null;
+
+            const target = info.thresholds[nextLevel];
+            return {
+                ...challenge,
+                name: challengeName(config, challenge.challengeId) || 'Challenge',
+                description: localizedNames(config, challenge.challengeId).description || '',
+                nextLevel,
+                target,
+                progress: Math.min(challenge.value / target, 1)
+            };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.progress - a.progress)
+        .slice(0, count);
+}
+
+// "DIAMOND" to "Diamond"
+function capitalize(word) {
+    return word.charAt(0) + word.slice(1).toLowerCase();
+}
+
+function levelLabel(level) {
+    return CHALLENGE_LEVELS.includes(level) ? capitalize(level) : 'Unranked';
+}
+
+// Riot's percentiles are the share of players at or above this, e.g. 0.012 is the top 1.2%
+function topPercent(percentile) {
+    const percent = percentile * 100;
+    return `Top ${percent < 10 ? Number(percent.toFixed(1)) : Math.round(percent)}%`;
+}
+
+function progressBar(current, max) {
+    const width = max > 0 ? Math.round(Math.min(current / max, 1) * 100) : 100;
+    return html`<div class="challenge-progress"><div class="challenge-progress-fill" style="width: ${width}%"></div></div>`;
+}
+
+function renderChallenges() {
+    const panel = elements.summonerCard.querySelector('[data-challenges]');
+    if (!panel) return;
+
+    const { status, data, config } = challengeState;
+    const messages = {
+        loading: 'Loading challenges...',
+        none: 'No challenge progress yet',
+        error: 'Challenges unavailable right now'
+    };
+    if (status !== 'ready') {
+        panel.innerHTML = html`
+            <h4 class="challenges-title">Challenges</h4>
+            <p class="challenges-status">${messages[status] || ''}</p>
+        `;
+        return;
+    }
+
+    const { totalPoints, categoryPoints = {}, preferences = {} } = data;
+    const title = titleName(config, preferences.title);
+    const levels = new Map(data.challenges.map(challenge => [challenge.challengeId, challenge.level]));
+    const tokens = (preferences.challengeIds || []).filter(challengeId => levels.has(challengeId));
+    const closest = closestChallenges(data, config);
+
+    panel.innerHTML = html`
+        <div class="challenges-header">
+            <h4 class="challenges-title">Challenges</h4>
+            <span class="challenges-total">
+                <span class="challenge-level level-${totalPoints.level.toLowerCase()}">${levelLabel(totalPoints.level)}</span>
+                ${totalPoints.current.toLocaleString()} / ${totalPoints.max.toLocaleString()} points · ${topPercent(totalPoints.percentile)}
+            </span>
+        </div>
+        ${title || tokens.length > 0 ? html`
+            <div class="challenges-showcase">
+                ${title ? html`<span class="challenges-player-title">${title}</span>` : ''}
+                ${tokens.map(challengeId => html`
+                    <img src="${StaticData.challengeIconUrl(challengeId, levels.get(challengeId))}"
+                         alt="${challengeName(config, challengeId) || 'Challenge'} token"
+                         title="${challengeName(config, challengeId) || 'Challenge'} · ${levelLabel(levels.get(challengeId))}"
+                         class="challenge-token">
+                `)}
+            </div>
+        ` : ''}
+        <ul class="challenge-categories">
+            ${CATEGORIES.filter(category => categoryPoints[category]).map(category => {
+                const points = categoryPoints[category];
+                return html`
+                    <li class="challenge-category">
+                        <span class="challenge-category-name">${capitalize(category)}</span>
+                        <span class="challenge-level level-${points.level.toLowerCase()}">${levelLabel(points.level)}</span>
+                        ${progressBar(points.current, points.max)}
+                        <span class="challenge-points">${points.current.toLocaleString()} / ${points.max.toLocaleString()}</span>
+                    </li>
+                `;
+            })}
+        </ul>
+        ${closest.length > 0 ? html`
+            <h5 class="challenges-subtitle">Closest to the next tier</h5>
+            <ul class="challenge-list">
+                ${closest.map(challenge => html`
+                    <li class="challenge-item" title="${challenge.description}">
+                        <span class="challenge-name">${challenge.name}</span>
+                        <span class="challenge-next">${levelLabel(challenge.level)} → ${levelLabel(challenge.nextLevel)}</span>
+                        ${progressBar(challenge.value, challenge.target)}
+                        <span class="challenge-points">${challenge.value.toLocaleString()} / ${challenge.target.toLocaleString()} · ${topPercent(challenge.percentile)}</span>
+                    </li>
+                `)}
+            </ul>
+        ` : ''}
+    `;
+}
@@ -0,0 +1,425 @@
+import { REQUEST_PRIORITY, fetchAccountData, fetchMasteryData, fetchMatchData, fetchMatchIds } from './api.js';
+import { html } from './html.js';
+import { logger } from './logger.js';
+import { formatTimeAgo } from './match-history.js';
+import { profilePath } from './router.js';
+import { StaticData } from './static-data.js';
+import { elements } from './ui.js';
+
+// Champion deep-dive
+// One player on one champion: their mastery entry plus stats from their recent games on it.
+// match-v5 can't list games by champion, so the player's last SCANNED_GAMES games are fetched
+// in batches at background priority (the response cache shares them with match history and
+// Rewind) and the page fills in as each batch turns up games on the champion.
+const SCANNED_GAMES = 100; // One match ID page
+const MATCH_BATCH = 5;
+const MAX_CHAMPION_GAMES = 20; // Scanning stops once this many games on the champion are found
+const TOP_ITEMS = 6;
+const TOP_ENTRIES = 3; // Rune pages, spell pairs and matchups on each side
+
+const championState = {
+    riotId: null,
+    region: null,
+    champion: null, // Data Dragon entry with its numeric key
+    account: null,
+    mastery: null,
+    matches: [], // Games on the champion, newest first
+    scanned: 0,
+    total: 0,
+    status: 'idle', // loading, scanning, done or error
+    error: null
+};
+
+// Bumped by every new load; a scan stops once it's no longer the latest
+let championRunId = 0;
+
+function findChampion(championId) {
+    const wanted = championId.toLowerCase();
+    return StaticData.getAllChampions().find(champion => champion.id.toLowerCase() === wanted) || null;
+}
+
+function playerIn(match, puuid) {
+    return match.info.participants.find(participant => participant.puuid === puuid) || null;
+}
+
+function record(totals, key, fields, win) {
+    const entry = totals[key] || (totals[key] = { ...fields, games: 0, wins: 0 });
+    entry.games++;
+    if (win) entry.wins++;
+    return entry;
+}
+
+// Totals for the player's games in `matches` (all on one champion, newest first). Remakes are
+// left out. Builds count each finished item once per game; matchups are against the enemy in
+// the same position; the trend runs oldest to newest.
+export function summarizeChampionGames(matches, puuid) {
+    const summary = {
+        games: 0,
+        wins: 0,
+        kills: 0,
+        deaths: 0,
+        assists: 0,
+        cs: 0,
+        minutes: 0,
+        items: {},
+        runes: {},
+        spells: {},
+        matchups: {},
+        trend: []
+    };
+
+    matches.forEach(match => {
+        const { info, metadata } = match;
+        const player = playerIn(match, puuid);
+        if (!player || player.gameEndedInEarlySurrender) return;
+
+        const { win, kills, deaths, assists } = player;
+        const cs = player.totalMinionsKilled + player.neutralMinionsKilled;
+        const minutes = info.gameDuration / 60;
+        summary.games++;
+        if (win) summary.wins++;
+        summary.kills += kills;
+        summary.deaths += deaths;
+        summary.assists += assists;
+        summary.cs += cs;
+        summary.minutes += minutes;
+
+        const items = new Set([0, 1, 2, 3, 4, 5].map(slot => player[`item${slot}`]));
+        items.forEach(itemId => {
+            if (itemId && StaticData.isFinishedItem(itemId)) record(summary.items, itemId, { itemId }, win);
+        });
+
+        const [primary, secondary] = (player.perks && player.perks.styles) || [];
+        if (primary && secondary) {
+            const keystone = primary.selections[0].perk;
+            record(summary.runes, `${keystone}:${primary.style}:${secondary.style}`, {
+                keystone,
+                primaryStyle: primary.style,
+                subStyle: secondary.style
+            }, win);
+        }
+
+        // Flash on D or F is the same pair of spells
+        const spells = [player.summoner1Id, player.summoner2Id].sort((a, b) => a - b);
+        record(summary.spells, spells.join(':'), { spells }, win);
+
+        const opponent = player.teamPosition && info.participants.find(participant => (
+            participant.teamId !== player.teamId && participant.teamPosition === player.teamPosition
+        ));
+        if (opponent) {
+            record(summary.matchups, opponent.championId, {
+                championId: opponent.championId,
+                championName: opponent.championName
+            }, win);
+        }
+
+        summary.trend.unshift({
+            matchId: metadata.matchId,
+            win,
+            kills,
+            deaths,
+            assists,
+            kda: kdaRatio(player),
+            csPerMinute: cs / minutes,
+            timestamp: info.gameCreation
+        });
+    });
+
+    return summary;
+}
+
+function kdaRatio({ kills, deaths, assists }) {
+    return (kills + assists) / Math.max(deaths, 1);
+}
+
+function winRate({ wins, games }) {
+    return `${Math.round((wins / games) * 100)}%`;
+}
+
+function mostPlayed(totals, count) {
+    return Object.values(totals).sort((a, b) => b.games - a.games || b.wins - a.wins).slice(0, count);
+}
+
+// Opponents the player is ahead against and behind against, biggest margins first
+function splitMatchups(matchups) {
+    const margin = ({ wins, games }) => wins - (games - wins);
+    const all = Object.values(matchups);
+    return {
+        wins: all.filter(matchup => margin(matchup) > 0)
+            .sort((a, b) => margin(b) - margin(a) || b.games - a.games)
+            .slice(0, TOP_ENTRIES),
+        losses: all.filter(matchup => margin(matchup) < 0)
+            .sort((a, b) => margin(a) - margin(b) || b.games - a.games)
+            .slice(0, TOP_ENTRIES)
+    };
+}
+
+export async function loadChampionDetail(riotId, region, championId) {
+    const runId = ++championRunId;
+    const isCurrent = () => runId === championRunId;
+    Object.assign(championState, {
+        riotId,
+        region,
+        champion: null,
+        account: null,
+        mastery: null,
+        matches: [],
+        scanned: 0,
+        total: 0,
+        status: 'loading',
+        error: null
+    });
+    renderChampionDetail();
+
+    try {
+        // Names, icons and the champion's numeric key all come from Data Dragon
+        await StaticData.load();
+        const champion = findChampion(championId);
+        if (!champion) {
+            throw new Error(`Unknown champion: ${championId}`);
+        }
+
+        const account = await fetchAccountData(riotId.gameName, riotId.tagLine, region);
+        const masteries = await fetchMasteryData(account.puuid, region, { limit: Infinity });
+        if (!isCurrent()) return;
+
+        Object.assign(championState, {
+            champion,
+            account,
+            mastery: masteries.find(mastery => mastery.championId === champion.key) || null,
+            status: 'scanning'
+        });
+        renderChampionDetail();
+
+        const matchIds = await fetchMatchIds(account.puuid, region, 0, SCANNED_GAMES, {
+            priority: REQUEST_PRIORITY.background
+        });
+        if (!isCurrent()) return;
+        championState.total = matchIds.length;
+
+        for (let start = 0; start < matchIds.length; start += MATCH_BATCH) {
+            const batch = matchIds.slice(start, start + MATCH_BATCH);
+            const matches = await Promise.all(batch.map(matchId => fetchMatchData(matchId, region, {
+                priority: REQUEST_PRIORITY.background
+            })));
+            if (!isCurrent()) return;
+
+            championState.matches.push(...matches.filter(match => {
+                const player = playerIn(match, account.puuid);
+                return player && player.championId === champion.key;
+            }));
+            championState.scanned += batch.length;
+            if (championState.matches.length >= MAX_CHAMPION_GAMES) break;
+            renderChampionDetail();
+        }
+
+        championState.status = 'done';
+        renderChampionDetail();
+    } catch (error) {
+        if (error.name === 'AbortError' || !isCurrent()) return;
+        logger.error('Champion detail error', error, { champion: championId, region });
+        Object.assign(championState, { status: 'error', error });
+        renderChampionDetail();
+    }
+}
+
+function renderChampionDetail() {
+    const { account, riotId, region, champion, status } = championState;
+    const name = account || riotId;
+
+    elements.championView.innerHTML = html`
+        <div class="champion-detail-header">
+            <a href="${profilePath(region, name)}" class="champion-detail-player" data-route>
+                ${name.gameName}<span class="player-tag">#${name.tagLine}</span>
+            </a>
+        </div>
+        ${status === 'loading' ? html`<p class="champion-detail-status">Loading champion...</p>` : ''}
+        ${status === 'error' ? html`<p class="champion-detail-status error">${championState.error.message}</p>` : ''}
+        ${champion ? renderChampion() : ''}
+    `;
+}
+
+function renderChampion() {
+    const { champion, matches, account, status, scanned, total } = championState;
+    const summary = summarizeChampionGames(matches, account.puuid);
+
+    let progress;
+    if (status === 'scanning') {
+        progress = `Checking recent games: ${scanned} of ${total || '…'} · ${summary.games} on ${champion.name}`;
+    } else if (summary.games === 0) {
+        progress = `No ${champion.name} games in the last ${scanned} played`;
+    } else {
+        progress = `From ${summary.games} ${champion.name} game${summary.games === 1 ? '' : 's'} in the last ${scanned} played`;
+    }
+
+    return html`
+        <div class="champion-detail-hero">
+            <img src="${StaticData.championIconUrl(champion.key)}" alt="" class="champion-detail-icon">
+            <div>
+                <h3 class="champion-detail-name">${champion.name}</h3>
+                <p class="champion-detail-title">${champion.title}</p>
+            </div>
+            ${renderMastery()}
+        </div>
+        <p class="champion-detail-status">${progress}</p>
+        ${summary.games > 0 ? html`
+            ${renderTotals(summary)}
+            <div class="champion-detail-grid">
+                ${renderItems(summary)}
+                ${renderRunes(summary)}
+                ${renderSpells(summary)}
+                ${renderMatchups(summary)}
+            </div>
+            ${renderTrend(summary)}
+        ` : ''}
+    `;
+}
+
+function renderMastery() {
+    const { mastery } = championState;
+    if (!mastery) {
+        return html`<div class="champion-detail-mastery">No mastery yet</div>`;
+    }
+
+    const since = mastery.championPointsSinceLastLevel;
+    const until = mastery.championPointsUntilNextLevel;
+    const progress = until > 0 ? since / (since + until) : 1;
+    return html`
+        <div class="champion-detail-mastery">
+            <div class="champion-detail-level">Mastery ${mastery.championLevel}</div>
+            <div>${mastery.championPoints.toLocaleString()} points</div>
+            <div class="mastery-progress"><div class="mastery-progress-fill" style="width: ${Math.round(progress * 100)}%"></div></div>
+            <div class="champion-detail-meta">Last played ${formatTimeAgo(mastery.lastPlayTime)}</div>
+        </div>
+    `;
+}
+
+function renderTotals(summary) {
+    const { games, wins, kills, deaths, assists, cs, minutes } = summary;
+    const stat = (value, label) => html`
+        <div class="champion-stat">
+            <div class="champion-stat-value">${value}</div>
+            <div class="champion-stat-label">${label}</div>
+        </div>
+    `;
+
+    return html`
+        <div class="champion-stats">
+            ${stat(winRate(summary), `${wins}W ${games - wins}L`)}
+            ${stat(kdaRatio(summary).toFixed(2), `${(kills / games).toFixed(1)} / ${(deaths / games).toFixed(1)} / ${(assists / games).toFixed(1)} KDA`)}
+            ${stat((cs / minutes).toFixed(1), 'CS/min')}
+        </div>
+    `;
+}
+
+function panel(title, content) {
+    return html`
+        <div class="champion-panel">
+            <h4 class="champion-panel-title">${title}</h4>
+            ${content}
+        </div>
+    `;
+}
+
+function renderItems(summary) {
+    const items = mostPlayed(summary.items, TOP_ITEMS);
+    if (items.length === 0) return '';
+
+    return panel('Most built', html`
+        <ul class="champion-list">
+            ${items.map(({ itemId, games }) => {
+                const itemName = (StaticData.getItem(itemId) || {}).name || 'Item';
+                return html`
+                    <li class="champion-list-item">
+                        <img src="${StaticData.itemIconUrl(itemId)}" alt="" class="item-icon">
+                        <span class="champion-list-name">${itemName}</span>
+                        <span class="champion-list-value">${Math.round((games / summary.games) * 100)}% of games</span>
+                    </li>
+                `;
+            })}
+        </ul>
+    `);
+}
+
+function runeName(runeId) {
+    return (StaticData.getRune(runeId) || {}).name || 'Unknown';
+}
+
+function renderRunes(summary) {
+    const pages = mostPlayed(summary.runes, TOP_ENTRIES);
+    if (pages.length === 0) return '';
+
+    return panel('Rune pages', html`
+        <ul class="champion-list">
+            ${pages.map(page => html`
+                <li class="champion-list-item">
+                    <img src="${StaticData.runeIconUrl(page.keystone)}" alt="" class="champion-list-icon">
+                    <span class="champion-list-name">
+                        ${runeName(page.keystone)}
+                        <span class="champion-detail-meta">${runeName(page.primaryStyle)} / ${runeName(page.subStyle)}</span>
+                    </span>
+                    <span class="champion-list-value">${page.games} · ${winRate(page)}</span>
+                </li>
+            `)}
+        </ul>
+    `);
+}
+
+function renderSpells(summary) {
+    const pairs = mostPlayed(summary.spells, TOP_ENTRIES);
+
+    return panel('Summoner spells', html`
+        <ul class="champion-list">
+            ${pairs.map(pair => html`
+                <li class="champion-list-item">
+                    ${pair.spells.map(spellId => html`
+                        <img src="${StaticData.summonerSpellIconUrl(spellId)}" alt="" class="champion-list-icon">
+                    `)}
+                    <span class="champion-list-name">${pair.spells.map(spellId => (StaticData.getSummonerSpell(spellId) || {}).name || 'Unknown').join(' + ')}</span>
+                    <span class="champion-list-value">${pair.games} · ${winRate(pair)}</span>
+                </li>
+            `)}
+        </ul>
+    `);
+}
+
+function renderMatchups(summary) {
+    const { wins, losses } = splitMatchups(summary.matchups);
+    if (wins.length === 0 && losses.length === 0) return '';
+
+    const list = (matchups, className) => html`
+        <ul class="champion-list">
+            ${matchups.map(matchup => {
+                const opponent = StaticData.getChampion(matchup.championId);
+                return html`
+                    <li class="champion-list-item">
+                        <img src="${StaticData.championIconUrl(matchup.championId)}" alt="" class="champion-list-icon">
+                        <span class="champion-list-name">${opponent ? opponent.name : matchup.championName}</span>
+                        <span class="champion-list-value ${className}">${matchup.wins}W ${matchup.games - matchup.wins}L</span>
+                    </li>
+                `;
+            })}
+        </ul>
+    `;
+
+    return panel('Matchups', html`
+        ${wins.length > 0 ? html`<p class="champion-panel-subtitle">Wins against</p>${list(wins, 'win')}` : ''}
+        ${losses.length > 0 ? html`<p class="champion-panel-subtitle">Loses against</p>${list(losses, 'loss')}` : ''}
+    `);
+}
+
+// KDA per game, oldest to newest, coloured by result
+function renderTrend(summary) {
+    const highest = Math.max(...summary.trend.map(game => game.kda), 1);
+
+    return panel('Recent games', html`
+        <div class="champion-trend" role="img" aria-label="KDA over the last ${summary.trend.length} games, oldest first">
+            ${summary.trend.map(game => html`
+                <div class="champion-trend-game ${game.win ? 'win' : 'loss'}"
+                     title="${game.kills}/${game.deaths}/${game.assists} · ${game.kda.toFixed(2)} KDA · ${game.csPerMinute.toFixed(1)} CS/min · ${formatTimeAgo(game.timestamp)}">
+                    <span class="champion-trend-fill" style="height: ${Math.round((game.kda / highest) * 100)}%"></span>
+                </div>
+            `)}
+        </div>
+    `);
+}
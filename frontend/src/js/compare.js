@@ -0,0 +1,325 @@
+import {
+    fetchAccountData,
+    fetchLeagueData,
+    fetchMasteryData,
+    fetchMatchData,
+    fetchMatchIds,
+    fetchSummonerData
+} from './api.js';
+import { STORAGE_KEYS } from './config.js';
+import { html } from './html.js';
+import { calculatePlayerScore } from './leaderboard.js';
+import { logger } from './logger.js';
+import { MATCH_PAGE_SIZE } from './match-history.js';
+import { comparePath, profilePath } from './router.js';
+import { StaticData } from './static-data.js';
+import { elements, regionLabel, showNotification } from './ui.js';
+
+// Player comparison
+// Players are collected in a tray (STORAGE_KEYS.compareTray) from the summoner card and
+// leaderboard rows, then lined up side by side on /compare. Everything loads through the
+// cached fetch helpers, so players that were already searched cost no extra API calls.
+const COMPARE_LIMIT = 4;
+const TOP_CHAMPIONS = 3;
+const SHARED_CHAMPION_LIMIT = 10;
+
+let comparisonRequestId = 0;
+
+function samePlayer(a, b) {
+    return a.region === b.region
+        && `${a.riotId.gameName}#${a.riotId.tagLine}`.toLowerCase() === `${b.riotId.gameName}#${b.riotId.tagLine}`.toLowerCase();
+}
+
+// Compare buttons carry the player in data-compare-region/-name/-tag
+export function handleCompareButtonClick(e) {
+    const button = e.target.closest('[data-compare-region]');
+    if (!button) return;
+
+    const { compareRegion, compareName, compareTag } = button.dataset;
+    addToCompareTray({ region: compareRegion, riotId: { gameName: compareName, tagLine: compareTag } });
+}
+
+function addToCompareTray(player) {
+    const tray = getCompareTray();
+    const name = `${player.riotId.gameName}#${player.riotId.tagLine}`;
+
+    if (tray.some(other => samePlayer(other, player))) {
+        showNotification(`${name} is already in the comparison tray`, 'error');
+        return;
+    }
+    if (tray.length >= COMPARE_LIMIT) {
+        showNotification(`You can compare up to ${COMPARE_LIMIT} players at a time`, 'error');
+        return;
+    }
+
+    saveCompareTray([...tray, player]);
+    renderCompareTray();
+    showNotification(`${name} added to the comparison tray`, 'success');
+}
+
+export function handleCompareTrayClick(e) {
+    const removeButton = e.target.closest('[data-remove]');
+    if (removeButton) {
+        saveCompareTray(getCompareTray().filter((player, index) => index !== Number(removeButton.dataset.remove)));
+        renderCompareTray();
+        return;
+    }
+
+    if (e.target.closest('.compare-tray-clear')) {
+        saveCompareTray([]);
+        renderCompareTray();
+    }
+}
+
+export function renderCompareTray() {
+    const tray = getCompareTray();
+    elements.compareTray.classList.toggle('hidden', tray.length === 0);
+
+    elements.compareTray.innerHTML = tray.length === 0 ? '' : html`
+        ${tray.map(({ region, riotId }, index) => html`
+            <span class="compare-tray-player">
+                ${riotId.gameName}<span class="player-tag">#${riotId.tagLine}</span> · ${regionLabel(region)}
+                <button class="unpin-btn" data-remove="${index}" title="Remove from comparison">×</button>
+            </span>
+        `)}
+        <a href="${comparePath(tray)}" class="compare-tray-open${tray.length < 2 ? ' disabled' : ''}" data-route
+           title="${tray.length < 2 ? 'Add another player to compare' : 'Compare these players'}">Compare (${tray.length})</a>
+        <button class="compare-tray-clear">Clear</button>
+    `;
+}
+
+// Comparison view
+export async function loadComparison(players) {
+    const requestId = ++comparisonRequestId;
+    elements.compareView.innerHTML = html`<p class="compare-note">Loading players...</p>`;
+
+    // Icon lookups need champion data; resolves immediately once loaded
+    await StaticData.load();
+    const results = await Promise.allSettled(players.map(loadComparedPlayer));
+
+    // Ignore results for a comparison the user has already left
+    if (requestId !== comparisonRequestId) return;
+    if (results.some(result => result.status === 'rejected' && result.reason.name === 'AbortError')) return;
+
+    renderComparison(results.map((result, index) => (
+        result.status === 'fulfilled' ? result.value : { ...players[index], error: result.reason }
+    )));
+}
+
+async function loadComparedPlayer({ region, riotId }) {
+    const account = await fetchAccountData(riotId.gameName, riotId.tagLine, region);
+    const [summoner, league, mastery] = await Promise.all([
+        fetchSummonerData(account.puuid, region),
+        fetchLeagueData(account.puuid, region),
+        fetchMasteryData(account.puuid, region, { limit: Infinity })
+    ]);
+
+    return { region, riotId, account, summoner, league, mastery, matches: await loadRecentMatches(account.puuid, region) };
+}
+
+// Same request as the first match history page, so searched players come from the cache.
+// Recent form is optional: a failure here leaves the rest of the column intact.
+async function loadRecentMatches(puuid, region) {
+    try {
+        const matchIds = await fetchMatchIds(puuid, region, 0, MATCH_PAGE_SIZE);
+        return await Promise.all(matchIds.map(matchId => fetchMatchData(matchId, region)));
+    } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        logger.warn('Recent matches unavailable for comparison', error);
+        return null;
+    }
+}
+
+function renderComparison(players) {
+    const loaded = players.filter(player => !player.error);
+
+    elements.compareView.innerHTML = html`
+        <table class="compare-table">
+            <thead>
+                <tr>
+                    <th scope="col"></th>
+                    ${players.map(renderPlayerHeader)}
+                </tr>
+            </thead>
+            <tbody>
+                ${renderRow('Solo/Duo', players, player => rankCell(player, 'RANKED_SOLO_5x5'))}
+                ${renderRow('Flex', players, player => rankCell(player, 'RANKED_FLEX_SR'))}
+                ${renderRow('Solo/Duo win rate', players, winRateCell)}
+                ${renderRow('Ranked games', players, gamesCell)}
+                ${renderRow('Top champions', players, topChampionsCell)}
+                ${renderRow('Recent form', players, recentFormCell)}
+            </tbody>
+        </table>
+        ${loaded.length >= 2 ? renderSharedChampions(loaded) : ''}
+    `;
+}
+
+function renderPlayerHeader(player) {
+    const { region, riotId } = player;
+    if (player.error) {
+        return html`
+            <th scope="col">
+                <div class="compare-player">
+                    <span>${riotId.gameName}<span class="player-tag">#${riotId.tagLine}</span></span>
+                    <span class="compare-error">${player.error.message}</span>
+                </div>
+            </th>
+        `;
+    }
+
+    const { account, summoner } = player;
+    return html`
+        <th scope="col">
+            <a href="${profilePath(region, account)}" class="compare-player" data-route>
+                <img src="${StaticData.profileIconUrl(summoner.profileIconId)}" alt="">
+                <span>${account.gameName}<span class="player-tag">#${account.tagLine}</span></span>
+                <span class="compare-meta">${regionLabel(region)} · Level ${summoner.summonerLevel}</span>
+            </a>
+        </th>
+    `;
+}
+
+// cellFor returns { content, value }; the highest value in a row is highlighted
+function renderRow(label, players, cellFor) {
+    const cells = players.map(player => (player.error ? { content: '—' } : cellFor(player)));
+    const values = cells.map(cell => cell.value).filter(value => typeof value === 'number');
+    const best = Math.max(...values);
+    const highlight = values.length >= 2 && values.some(value => value !== best);
+
+    return html`
+        <tr>
+            <th scope="row">${label}</th>
+            ${cells.map(cell => html`
+                <td class="${highlight && cell.value === best ? 'best' : ''}">${cell.content}</td>
+            `)}
+        </tr>
+    `;
+}
+
+function queueEntry(player, queueType) {
+    return player.league.find(entry => entry.queueType === queueType);
+}
+
+function rankCell(player, queueType) {
+    const entry = queueEntry(player, queueType);
+    if (!entry) return { content: html`<span class="compare-note">Unranked</span>` };
+
+    const apex = ['MASTER', 'GRANDMASTER', 'CHALLENGER'].includes(entry.tier);
+    return {
+        content: html`${apex ? entry.tier : `${entry.tier} ${entry.rank}`}<div class="compare-meta">${entry.leaguePoints} LP</div>`,
+        value: calculatePlayerScore(entry)
+    };
+}
+
+function winRateCell(player) {
+    const entry = queueEntry(player, 'RANKED_SOLO_5x5');
+    if (!entry) return { content: '—' };
+
+    const winRate = entry.wins / (entry.wins + entry.losses);
+    return {
+        content: html`${Math.round(winRate * 100)}%<div class="compare-meta">${entry.wins}W ${entry.losses}L</div>`,
+        value: winRate
+    };
+}
+
+function gamesCell(player) {
+    const games = player.league
+        .filter(entry => ['RANKED_SOLO_5x5', 'RANKED_FLEX_SR'].includes(entry.queueType))
+        .reduce((total, entry) => total + entry.wins + entry.losses, 0);
+    return { content: String(games), value: games };
+}
+
+function topChampionsCell(player) {
+    if (player.mastery.length === 0) return { content: html`<span class="compare-note">No mastery</span>` };
+
+    return {
+        content: html`
+            <div class="compare-champions">
+                ${player.mastery.slice(0, TOP_CHAMPIONS).map(mastery => {
+                    const champion = StaticData.getChampion(mastery.championId);
+                    const name = champion ? champion.name : 'Unknown Champion';
+                    return html`<img src="${StaticData.championIconUrl(mastery.championId)}" alt="${name}"
+                                 title="${name} · ${mastery.championPoints.toLocaleString()} points">`;
+                })}
+            </div>
+        `
+    };
+}
+
+// Last page of matches as W/L/R pills with the win count and KDA over them (remakes excluded)
+function recentFormCell(player) {
+    if (!player.matches) return { content: html`<span class="compare-note">No match data</span>` };
+
+    const games = player.matches
+        .map(match => match.info.participants.find(participant => participant.puuid === player.account.puuid))
+        .filter(Boolean);
+    if (games.length === 0) return { content: html`<span class="compare-note">No recent games</span>` };
+
+    const played = games.filter(game => !game.gameEndedInEarlySurrender);
+    const wins = played.filter(game => game.win).length;
+    const totals = played.reduce((sum, game) => ({
+        kills: sum.kills + game.kills,
+        deaths: sum.deaths + game.deaths,
+        assists: sum.assists + game.assists
+    }), { kills: 0, deaths: 0, assists: 0 });
+    const kda = ((totals.kills + totals.assists) / Math.max(totals.deaths, 1)).toFixed(2);
+
+    return {
+        content: html`
+            <div class="form-streak">
+                ${games.map(game => {
+                    if (game.gameEndedInEarlySurrender) return html`<span class="form-game" title="Remake">R</span>`;
+                    return game.win
+                        ? html`<span class="form-game win" title="Victory">W</span>`
+                        : html`<span class="form-game loss" title="Defeat">L</span>`;
+                })}
+            </div>
+            <div class="compare-meta">${wins}W ${played.length - wins}L · ${kda} KDA</div>
+        `,
+        value: played.length > 0 ? wins / played.length : undefined
+    };
+}
+
+// Champions at least two of the players have mastery on, by combined points
+function renderSharedChampions(players) {
+    const pointsByChampion = new Map();
+    players.forEach((player, index) => {
+        player.mastery.forEach(({ championId, championPoints }) => {
+            if (!pointsByChampion.has(championId)) pointsByChampion.set(championId, new Array(players.length).fill(0));
+            pointsByChampion.get(championId)[index] = championPoints;
+        });
+    });
+
+    const shared = Array.from(pointsByChampion.entries())
+        .filter(([, points]) => points.filter(Boolean).length >= 2)
+        .sort(([, a], [, b]) => b.reduce((x, y) => x + y, 0) - a.reduce((x, y) => x + y, 0))
+        .slice(0, SHARED_CHAMPION_LIMIT);
+
+    if (shared.length === 0) {
+        return html`<h4 class="compare-subtitle">Shared Champions</h4><p class="compare-note">No champions in common</p>`;
+    }
+
+    return html`
+        <h4 class="compare-subtitle">Shared Champions</h4>
+        <table class="compare-table shared-champions">
+            <tbody>
+                ${shared.map(([championId, points]) => {
+                    const champion = StaticData.getChampion(championId);
+                    return renderRow(champion ? champion.name : 'Unknown Champion', players.map((player, index) => ({ points: points[index] })),
+                        ({ points: championPoints }) => (championPoints
+                            ? { content: championPoints.toLocaleString(), value: championPoints }
+                            : { content: '—' }));
+                })}
+            </tbody>
+        </table>
+    `;
+}
+
+function getCompareTray() {
+    const stored = localStorage.getItem(STORAGE_KEYS.compareTray);
+    return stored ? JSON.parse(stored) : [];
+}
+
+function saveCompareTray(tray) {
+    localStorage.setItem(STORAGE_KEYS.compareTray, JSON.stringify(tray));
+}
@@ -0,0 +1,104 @@
+// Riot Games API Configuration
+// Requests go through our proxy (infrastructure/lambda/riot-proxy), which holds the API key.
+// CloudFront serves it under /api; local development talks to `npm run api:local`.
+const IS_LOCAL_DEV = ['localhost', '127.0.0.1'].includes(window.location.hostname);
+
+// A `?name=1` flag, remembered in localStorage until `?name=0`
+function rememberedFlag(param, storageKey) {
+    const value = new URLSearchParams(window.location.search).get(param);
+    if (value !== null) {
+        localStorage.setItem(storageKey, value === '0' ? '0' : '1');
+    }
+    return localStorage.getItem(storageKey) === '1';
+}
+
+// Mock mode (`?mock=1`) uses the recorded fixtures served by `npm run mock` instead, so no
+// Riot key or network is needed. Local development only: a deployed site never reads or
+// remembers the flag, so it can't be pointed at localhost
+const MOCK_API_ORIGIN = 'http://localhost:3002';
+export const USE_MOCK_API = IS_LOCAL_DEV && rememberedFlag('mock', 'rift-rewind-mock-api');
+
+// Debug mode (`?debug=1`, or setting the rift-rewind-debug localStorage key to '1') turns on
+// console logging, which is otherwise silent (see logger.js)
+export const DEBUG_MODE = rememberedFlag('debug', 'rift-rewind-debug');
+
+const API_ORIGIN = USE_MOCK_API ? MOCK_API_ORIGIN : IS_LOCAL_DEV ? 'http://localhost:3001' : '';
+
+export const API_CONFIG = {
+    baseUrl: `${API_ORIGIN}/api/riot/{region}`,
+    endpoints: {
+        account: '/riot/account/v1/accounts/by-riot-id/{gameName}/{tagLine}',
+        summoner: '/lol/summoner/v4/summoners/by-puuid/{puuid}',
+        league: '/lol/league/v4/entries/by-puuid/{puuid}',
+        mastery: '/lol/champion-mastery/v4/champion-masteries/by-puuid/{puuid}',
+        activeGame: '/lol/spectator/v5/active-games/by-summoner/{puuid}',
+        challenges: '/lol/challenges/v1/player-data/{puuid}',
+        challengeConfig: '/lol/challenges/v1/challenges/config',
+        matchIds: '/lol/match/v5/matches/by-puuid/{puuid}/ids',
+        match: '/lol/match/v5/matches/{matchId}'
+    },
+    // Endpoints served from regional clusters instead of platform hosts
+    regionalEndpoints: ['account', 'matchIds', 'match'],
+    // Shared leaderboard (infrastructure/lambda/leaderboard)
+    leaderboardUrl: `${API_ORIGIN}/api/leaderboard`,
+    // Error reports, written to CloudWatch (infrastructure/lambda/client-logs)
+    logsUrl: `${API_ORIGIN}/api/logs`
+};
+
+// Every Riot platform with its label and the regional cluster that serves its account-v1 and
+// match-v5 data. The region pickers, route validation and API routing all read this list; the
+// proxy keeps the same one in infrastructure/lambda/shared/riot.ts.
+export const PLATFORMS = {
+    na1: { label: 'NA', cluster: 'americas' },
+    br1: { label: 'BR', cluster: 'americas' },
+    la1: { label: 'LAN', cluster: 'americas' },
+    la2: { label: 'LAS', cluster: 'americas' },
+    euw1: { label: 'EUW', cluster: 'europe' },
+    eun1: { label: 'EUNE', cluster: 'europe' },
+    tr1: { label: 'TR', cluster: 'europe' },
+    ru: { label: 'RU', cluster: 'europe' },
+    me1: { label: 'ME', cluster: 'europe' },
+    kr: { label: 'KR', cluster: 'asia' },
+    jp1: { label: 'JP', cluster: 'asia' },
+    oc1: { label: 'OCE', cluster: 'sea' },
+    ph2: { label: 'PH', cluster: 'sea' },
+    sg2: { label: 'SG', cluster: 'sea' },
+    th2: { label: 'TH', cluster: 'sea' },
+    tw2: { label: 'TW', cluster: 'sea' },
+    vn2: { label: 'VN', cluster: 'sea' }
+};
+
+// Region picker groups, in order
+export const CLUSTER_LABELS = {
+    americas: 'Americas',
+    europe: 'Europe',
+    asia: 'Asia',
+    sea: 'SEA & Oceania'
+};
+
+// Platform to regional cluster routing for account-v1 and match-v5
+export const REGIONAL_ROUTING = Object.fromEntries(
+    Object.entries(PLATFORMS).map(([platform, { cluster }]) => [platform, cluster])
+);
+
+// Response cache TTLs per endpoint (see response-cache.js)
+export const CACHE_TTLS = {
+    account: 24 * 3600000, // Riot ID to PUUID rarely changes
+    summoner: 600000,
+    league: 120000, // LP moves every game
+    mastery: 1800000,
+    activeGame: 30000, // Only while the game is on; "not in a game" (404) is never cached
+    challenges: 600000,
+    challengeConfig: 24 * 3600000, // Names and thresholds change with patches at most
+    matchIds: 120000,
+    match: Infinity // Finished matches never change
+};
+
+// Local storage keys (the leaderboard key holds the offline copy of the shared board)
+export const STORAGE_KEYS = {
+    leaderboard: 'rift-rewind-leaderboard',
+    searchHistory: 'rift-rewind-search-history',
+    compareTray: 'rift-rewind-compare-tray',
+    rankHistory: 'rift-rewind-rank-history',
+    rewind: 'rift-rewind-recaps'
+};
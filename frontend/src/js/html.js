@@ -0,0 +1,37 @@
+// HTML templating
+// Every view renders through html``: interpolated values are escaped, so names and other
+// strings from the Riot API or localStorage can never become markup. Nested html`` results,
+// and arrays of them, are inserted as they are; null, undefined and false render nothing.
+class SafeHtml {
+    constructor(value) {
+        this.value = value;
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+const ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    '\'': '&#39;',
+    '`': '&#96;'
+};
+
+export function escapeHtml(value) {
+    return String(value).replace(/[&<>"'`]/g, char => ESCAPES[char]);
+}
+
+function renderValue(value) {
+    if (value === null || value === undefined || value === false) return '';
+    if (value instanceof SafeHtml) return value.value;
+    if (Array.isArray(value)) return value.map(renderValue).join('');
+    return escapeHtml(value);
+}
+
+export function html(strings, ...values) {
+    return new SafeHtml(strings.reduce((result, string, index) => result + renderValue(values[index - 1]) + string));
+}
@@ -0,0 +1,379 @@
+import { API_CONFIG, STORAGE_KEYS } from './config.js';
+import { html } from './html.js';
+import { logger } from './logger.js';
+import { StaticData } from './static-data.js';
+import { elements, regionLabel, showNotification } from './ui.js';
+
+// Community leaderboard
+// The shared board is paged from /api/leaderboard per queue, region and ranking; the local copy
+// in STORAGE_KEYS.leaderboard is shown instantly and used as the offline fallback.
+export const LEADERBOARD_QUEUES = {
+    RANKED_SOLO_5x5: 'Solo/Duo',
+    RANKED_FLEX_SR: 'Flex'
+};
+const LEADERBOARD_PAGE_SIZE = 25;
+const LEADERBOARD_FETCH_SIZE = 100; // Players requested from the shared board per round trip
+const LOCAL_LEADERBOARD_LIMIT = 500;
+
+const leaderboardState = {
+    players: [],
+    nextCursor: null,
+    page: 0,
+    ranking: 'score',
+    sort: { key: 'score', direction: 'desc' },
+    offline: false,
+    loading: false,
+    requestId: 0
+};
+
+// The local copy updates immediately; the shared board re-fetches rank data from Riot
+// server-side, so only the PUUID and region are submitted. Entries keep the score they
+// replace as previousScore for the movement arrows (the old baseline when the score hasn't
+// moved), and its challenge points until the shared board sends fresh ones.
+export function addToLeaderboard(account, summoner, leagues, region) {
+    const rankedQueues = leagues.filter(league => LEADERBOARD_QUEUES[league.queueType]);
+    
+    if (rankedQueues.length === 0) return; // Only add ranked players
+    
+    const leaderboard = getLeaderboard();
+    const entries = rankedQueues.map(rankedData => {
+        const previous = leaderboard
+            .find(player => player.puuid === account.puuid && player.queueType === rankedData.queueType);
+        const score = calculatePlayerScore(rankedData);
+        return {
+            puuid: account.puuid,
+            queueType: rankedData.queueType,
+            name: account.gameName,
+            tagLine: account.tagLine,
+            region: region,
+            tier: rankedData.tier,
+            rank: rankedData.rank,
+            leaguePoints: rankedData.leaguePoints,
+            wins: rankedData.wins,
+            losses: rankedData.losses,
+            profileIconId: summoner.profileIconId,
+            summonerLevel: summoner.summonerLevel,
+            lastUpdated: Date.now(),
+            score,
+            previousScore: previous && previous.score !== score ? previous.score : previous?.previousScore,
+            challengePoints: previous?.challengePoints
+        };
+    });
+    
+    saveLeaderboard(mergeLeaderboardEntries(leaderboard, entries));
+    loadLeaderboard();
+    submitToSharedLeaderboard(account.puuid, region);
+}
+
+async function submitToSharedLeaderboard(puuid, region) {
+    try {
+        const response = await fetch(API_CONFIG.leaderboardUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ puuid, region })
+        });
+        if (!response.ok) {
+            throw new Error(`Leaderboard submit failed (${response.status})`);
+        }
+        
+        const { players } = await response.json();
+        saveLeaderboard(mergeLeaderboardEntries(getLeaderboard(), players));
+        loadLeaderboard();
+    } catch (error) {
+        // The player stays on this device's leaderboard and is resubmitted on the next search
+        logger.warn('Could not submit to shared leaderboard', error);
+    }
+}
+
+// Divisional tiers are four 100 LP divisions each. Master, Grandmaster and Challenger have
+// no divisions and share one unbounded LP ladder, so all three rank on LP above Diamond I.
+// Keep in sync with infrastructure/lambda/leaderboard/scoring.ts.
+export const DIVISION_TIERS = ['IRON', 'BRONZE', 'SILVER', 'GOLD', 'PLATINUM', 'EMERALD', 'DIAMOND'];
+export const APEX_TIERS = ['MASTER', 'GRANDMASTER', 'CHALLENGER'];
+export const DIVISIONS = ['IV', 'III', 'II', 'I'];
+
+export function calculatePlayerScore(rankedData) {
+    const apexBase = DIVISION_TIERS.length * 400;
+    if (APEX_TIERS.includes(rankedData.tier)) {
+        return apexBase + rankedData.leaguePoints;
+    }
+    
+    const tierIndex = DIVISION_TIERS.indexOf(rankedData.tier);
+    if (tierIndex === -1) return 0;
+    
+    const divisionIndex = Math.max(DIVISIONS.indexOf(rankedData.rank), 0);
+    return tierIndex * 400 + divisionIndex * 100 + Math.min(rankedData.leaguePoints, 100);
+}
+
+// Score change since the player's previous refresh, e.g. "▲ 25"
+function renderMovement(player) {
+    const change = typeof player.previousScore === 'number' ? player.score - player.previousScore : 0;
+    if (change === 0) return '';
+    
+    const direction = change > 0 ? 'up' : 'down';
+    return html`<span class="rank-movement ${direction}" title="${change > 0 ? '+' : '-'}${Math.abs(change)} LP since the previous update">${change > 0 ? '▲' : '▼'} ${Math.abs(change)}</span>`;
+}
+
+function getWinRate(player) {
+    const games = player.wins + player.losses;
+    return games > 0 ? player.wins / games : 0;
+}
+
+// Highest score first; equal scores fall back to win rate, then games played
+export function compareLeaderboardEntries(a, b) {
+    return (b.score - a.score)
+        || (getWinRate(b) - getWinRate(a))
+        || ((b.wins + b.losses) - (a.wins + a.losses));
+}
+
+// Most challenge points first; players without any recorded go last. Ties fall back to rank.
+export function compareChallengeEntries(a, b) {
+    return ((b.challengePoints ?? -1) - (a.challengePoints ?? -1)) || compareLeaderboardEntries(a, b);
+}
+
+// What positions are numbered by, picked with the ranking select. Ranking by challenges only
+// lists players with challenge points, like the shared board's index.
+export const LEADERBOARD_RANKINGS = {
+    score: compareLeaderboardEntries,
+    challenges: compareChallengeEntries
+};
+
+const LEADERBOARD_SORTS = {
+    score: compareLeaderboardEntries,
+    challenges: compareChallengeEntries,
+    name: (a, b) => a.name.localeCompare(b.name),
+    winRate: (a, b) => getWinRate(b) - getWinRate(a) || compareLeaderboardEntries(a, b),
+    games: (a, b) => (b.wins + b.losses) - (a.wins + a.losses) || compareLeaderboardEntries(a, b)
+};
+
+// Renders the local copy straight away, then replaces it with the first page of the shared board
+export async function loadLeaderboard() {
+    const queue = elements.leaderboardQueue.value;
+    const region = elements.leaderboardRegion.value;
+    const ranking = elements.leaderboardRanking.value;
+    const requestId = ++leaderboardState.requestId;
+    
+    // Switching ranking also sorts the list by it
+    if (ranking !== leaderboardState.ranking) {
+        leaderboardState.sort = { key: ranking, direction: 'desc' };
+    }
+    Object.assign(leaderboardState, {
+        players: filterLocalLeaderboard(getLeaderboard()),
+        nextCursor: null,
+        page: 0,
+        ranking,
+        offline: false,
+        loading: true
+    });
+    renderLeaderboard();
+    
+    try {
+        const { players, nextCursor } = await fetchSharedLeaderboard(queue, region, ranking);
+        saveLeaderboard(mergeLeaderboardEntries(getLeaderboard(), players));
+        
+        // Ignore responses for a queue or region the user has already moved away from
+        if (requestId !== leaderboardState.requestId) return;
+        Object.assign(leaderboardState, { players, nextCursor, loading: false });
+    } catch (error) {
+        logger.warn('Shared leaderboard unavailable, showing local copy', error);
+        if (requestId !== leaderboardState.requestId) return;
+        Object.assign(leaderboardState, { offline: true, loading: false });
+    }
+    renderLeaderboard();
+}
+
+async function fetchSharedLeaderboard(queue, region, ranking, cursor) {
+    const query = new URLSearchParams({ queue, limit: LEADERBOARD_FETCH_SIZE });
+    if (region !== 'all') query.set('region', region);
+    if (ranking !== 'score') query.set('ranking', ranking);
+    if (cursor) query.set('cursor', cursor);
+    
+    const response = await fetch(`${API_CONFIG.leaderboardUrl}?${query}`);
+    if (!response.ok) {
+        throw new Error(`Leaderboard request failed (${response.status})`);
+    }
+    
+    return response.json();
+}
+
+async function changeLeaderboardPage(direction) {
+    const state = leaderboardState;
+    const nextPage = state.page + direction;
+    if (nextPage < 0 || state.loading) return;
+    
+    // Pull the next batch from the shared board before paging past what's loaded
+    const needsMore = (nextPage + 1) * LEADERBOARD_PAGE_SIZE > state.players.length;
+    if (needsMore && state.nextCursor) {
+        const requestId = state.requestId;
+        state.loading = true;
+        renderLeaderboard();
+        
+        try {
+            const { players, nextCursor } = await fetchSharedLeaderboard(
+                elements.leaderboardQueue.value, elements.leaderboardRegion.value, state.ranking, state.nextCursor);
+            if (requestId !== state.requestId) return;
+            state.players = state.players.concat(players);
+            state.nextCursor = nextCursor;
+        } catch (error) {
+            if (requestId !== state.requestId) return;
+            showNotification('Could not load more players. Please try again.', 'error');
+        }
+        state.loading = false;
+    }
+    
+    if (nextPage * LEADERBOARD_PAGE_SIZE < state.players.length) {
+        state.page = nextPage;
+    }
+    renderLeaderboard();
+}
+
+function sortLeaderboard(key) {
+    const { sort } = leaderboardState;
+    if (sort.key === key) {
+        sort.direction = sort.direction === 'desc' ? 'asc' : 'desc';
+    } else {
+        sort.key = key;
+        sort.direction = key === 'name' ? 'asc' : 'desc';
+    }
+    leaderboardState.page = 0;
+    renderLeaderboard();
+}
+
+export function handleLeaderboardClick(e) {
+    const sortButton = e.target.closest('[data-sort]');
+    if (sortButton) {
+        sortLeaderboard(sortButton.dataset.sort);
+        return;
+    }
+    
+    const pageButton = e.target.closest('[data-page]');
+    if (pageButton) {
+        changeLeaderboardPage(Number(pageButton.dataset.page));
+    }
+}
+
+// Column sorts only reorder the players fetched so far; positions always follow the ranking
+function renderLeaderboard() {
+    const { players, page, ranking, sort, offline, loading, nextCursor } = leaderboardState;
+    const positions = new Map(
+        [...players].sort(LEADERBOARD_RANKINGS[ranking]).map((player, index) => [player.puuid, index + 1])
+    );
+    
+    const sorted = [...players].sort(LEADERBOARD_SORTS[sort.key]);
+    const defaultDirection = sort.key === 'name' ? 'asc' : 'desc';
+    if (sort.direction !== defaultDirection) sorted.reverse();
+    
+    const pageStart = page * LEADERBOARD_PAGE_SIZE;
+    const pagePlayers = sorted.slice(pageStart, pageStart + LEADERBOARD_PAGE_SIZE);
+    
+    const sortHeader = (key, label) => {
+        const active = sort.key === key;
+        const arrow = active ? (sort.direction === 'desc' ? ' ▼' : ' ▲') : '';
+        return html`<button class="leaderboard-sort${active ? ' active' : ''}" data-sort="${key}">${label}${arrow}</button>`;
+    };
+    
+    const offlineNotice = offline
+        ? html`<div class="leaderboard-offline">Shared leaderboard unavailable - showing players saved on this device</div>`
+        : '';
+    
+    const hasNextPage = pageStart + LEADERBOARD_PAGE_SIZE < players.length || Boolean(nextCursor);
+    const pagination = players.length > LEADERBOARD_PAGE_SIZE || nextCursor ? html`
+        <div class="leaderboard-pagination">
+            <button class="load-more-btn" data-page="-1" ${page === 0 || loading ? 'disabled' : ''}>Previous</button>
+            <span class="page-indicator">Page ${page + 1}</span>
+            <button class="load-more-btn" data-page="1" ${!hasNextPage || loading ? 'disabled' : ''}>Next</button>
+        </div>
+    ` : '';
+    
+    elements.leaderboardList.innerHTML = html`
+        ${offlineNotice}
+        <div class="leaderboard-header">
+            <span class="rank-position">#</span>
+            ${sortHeader('name', 'Player')}
+            ${sortHeader('score', 'Rank')}
+            ${sortHeader('winRate', 'Win Rate')}
+            ${sortHeader('games', 'Games')}
+            ${sortHeader('challenges', 'Challenges')}
+        </div>
+        ${pagePlayers.map(player => html`
+            <div class="leaderboard-item">
+                <div class="rank-position">#${positions.get(player.puuid)}</div>
+                <div class="player-avatar">
+                    <img src="${StaticData.profileIconUrl(player.profileIconId)}" 
+                         alt="Profile" class="mini-profile-icon">
+                </div>
+                <div class="player-info">
+                    <div class="player-name">${player.name}<span class="player-tag">#${player.tagLine}</span></div>
+                    <div class="player-region">${regionLabel(player.region)}</div>
+                </div>
+                <div class="player-rank">
+                    <div class="rank-tier">${APEX_TIERS.includes(player.tier) ? player.tier : `${player.tier} ${player.rank}`}</div>
+                    <div class="rank-lp">${player.leaguePoints} LP ${renderMovement(player)}</div>
+                </div>
+                <div class="player-stats">
+                    <div class="winrate">${Math.round(getWinRate(player) * 100)}%</div>
+                    <div class="games">${player.wins + player.losses} games</div>
+                </div>
+                <div class="player-challenges">
+                    ${typeof player.challengePoints === 'number' ? html`
+                        <div class="challenge-score">${player.challengePoints.toLocaleString()}</div>
+                        <div class="challenge-score-label">challenge points</div>
+                    ` : ''}
+                </div>
+                <button class="compare-btn" data-compare-region="${player.region}" data-compare-name="${player.name}" data-compare-tag="${player.tagLine}"
+                        title="Add to the comparison tray">＋</button>
+            </div>
+        `)}
+        ${pagination}
+    `;
+}
+
+export function filterLeaderboard() {
+    loadLeaderboard();
+}
+
+function filterLocalLeaderboard(leaderboard) {
+    const selectedQueue = elements.leaderboardQueue.value;
+    const selectedRegion = elements.leaderboardRegion.value;
+    const ranking = elements.leaderboardRanking.value;
+    return leaderboard
+        .filter(player => player.queueType === selectedQueue)
+        .filter(player => selectedRegion === 'all' || player.region === selectedRegion)
+        .filter(player => ranking === 'score' || typeof player.challengePoints === 'number')
+        .sort(LEADERBOARD_RANKINGS[ranking]);
+}
+
+function getLeaderboard() {
+    const stored = localStorage.getItem(STORAGE_KEYS.leaderboard);
+    const leaderboard = stored ? JSON.parse(stored) : [];
+    
+    // Entries saved before Riot ID search were keyed by summoner id and can't be refreshed.
+    // Older entries are Solo/Duo only and were scored before apex tiers ranked on LP.
+    return leaderboard
+        .filter(player => player.puuid)
+        .map(player => {
+            const entry = { queueType: 'RANKED_SOLO_5x5', ...player };
+            return { ...entry, score: calculatePlayerScore(entry) };
+        });
+}
+
+// Upsert by PUUID and queue, keeping whichever copy of an entry is newer, then re-rank and cap
+function mergeLeaderboardEntries(leaderboard, players) {
+    const entryKey = player => `${player.puuid}:${player.queueType}`;
+    const byKey = new Map(leaderboard.map(player => [entryKey(player), player]));
+    
+    players.forEach(player => {
+        const existing = byKey.get(entryKey(player));
+        if (!existing || player.lastUpdated >= existing.lastUpdated) {
+            byKey.set(entryKey(player), player);
+        }
+    });
+    
+    return Array.from(byKey.values())
+        .sort(compareLeaderboardEntries)
+        .slice(0, LOCAL_LEADERBOARD_LIMIT);
+}
+
+function saveLeaderboard(leaderboard) {
+    localStorage.setItem(STORAGE_KEYS.leaderboard, JSON.stringify(leaderboard));
+}
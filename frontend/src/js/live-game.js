@@ -0,0 +1,255 @@
+import { REQUEST_PRIORITY, fetchActiveGame, fetchLeagueData } from './api.js';
+import { html } from './html.js';
+import { APEX_TIERS } from './leaderboard.js';
+import { logger } from './logger.js';
+import { QUEUE_NAMES } from './match-history.js';
+import { profilePath } from './router.js';
+import { StaticData } from './static-data.js';
+import { elements } from './ui.js';
+
+// Live game (spectator-v5)
+// The summoner card's Live Game tab. The game is looked up when the tab opens, then every
+// participant's Solo/Duo rank in parallel; the rate limiter queues those behind profile requests.
+const TEAMS = [
+    { teamId: 100, name: 'Blue team' },
+    { teamId: 200, name: 'Red team' }
+];
+
+const liveState = {
+    puuid: null,
+    region: null,
+    gameName: null,
+    tab: null, // 'history' or 'live'; null until the user picks one
+    status: 'idle', // 'loading', 'ready', 'not-in-game' or 'error'
+    game: null,
+    ranks: null, // By PUUID: the Solo/Duo entry, null when unranked, undefined when the lookup failed
+    error: null,
+    requestId: 0
+};
+
+let clockTimer = null;
+
+// Sets up the tabs for the player. Call after displaySummonerResults, which replaces the card;
+// re-renders of the same player show what's already loaded.
+export function showLiveGame(account, region) {
+    const samePlayer = liveState.puuid === account.puuid && liveState.region === region;
+    if (!samePlayer) {
+        // Drops any lookup still running for the previous player
+        liveState.requestId++;
+        Object.assign(liveState, {
+            puuid: account.puuid,
+            region,
+            gameName: account.gameName,
+            tab: null,
+            status: 'idle',
+            game: null,
+            ranks: null,
+            error: null
+        });
+    }
+
+    showTab();
+}
+
+// Looks the game up again when a new search of the player finds the Live Game tab open.
+// Called once per search, not on every re-render.
+export function reloadLiveGame() {
+    if (liveState.tab === 'live') loadLiveGame();
+}
+
+export function handleLiveGameClick(e) {
+    const tab = e.target.closest('[data-summoner-tab]');
+    if (tab) {
+        liveState.tab = tab.dataset.summonerTab;
+        showTab();
+        if (liveState.tab === 'live' && liveState.status === 'idle') loadLiveGame();
+        return;
+    }
+
+    if (e.target.closest('[data-live-refresh]')) {
+        loadLiveGame({ forceRefresh: true });
+    }
+}
+
+// The open tab is the one picked, else LP History when the player is ranked, else none
+function showTab() {
+    const tabs = [...elements.summonerCard.querySelectorAll('[data-summoner-tab]')];
+    const picked = tabs.some(tab => tab.dataset.summonerTab === liveState.tab) ? liveState.tab : null;
+    const open = picked || (tabs.some(tab => tab.dataset.summonerTab === 'history') ? 'history' : null);
+
+    tabs.forEach(tab => {
+        const active = tab.dataset.summonerTab === open;
+        tab.classList.toggle('active', active);
+        tab.setAttribute('aria-selected', String(active));
+    });
+    elements.summonerCard.querySelectorAll('[data-summoner-panel]').forEach(panel => {
+        panel.classList.toggle('hidden', panel.dataset.summonerPanel !== open);
+    });
+    renderLiveGame();
+}
+
+async function loadLiveGame({ forceRefresh = false } = {}) {
+    const { puuid, region } = liveState;
+    const requestId = ++liveState.requestId;
+    liveState.status = 'loading';
+    renderLiveGame();
+
+    try {
+        const game = await fetchActiveGame(puuid, region, { forceRefresh });
+        if (requestId !== liveState.requestId) return;
+
+        if (!game) {
+            Object.assign(liveState, { status: 'not-in-game', game: null, ranks: null });
+            renderLiveGame();
+            return;
+        }
+
+        // The lobby shows straight away, ranks fill in once they've all arrived
+        Object.assign(liveState, { status: 'ready', game, ranks: null });
+        renderLiveGame();
+
+        const ranks = await loadRanks(game.participants, region);
+        if (requestId !== liveState.requestId) return;
+        liveState.ranks = ranks;
+        renderLiveGame();
+    } catch (error) {
+        // A newer search cancelled the lookup
+        if (error.name === 'AbortError' || requestId !== liveState.requestId) return;
+        logger.error('Live game lookup failed', error);
+        Object.assign(liveState, { status: 'error', game: null, ranks: null, error: error.message });
+        renderLiveGame();
+    }
+}
+
+async function loadRanks(participants, region) {
+    const entries = await Promise.all(participants.map(async ({ puuid }) => {
+        // Bots have no PUUID
+        if (!puuid) return [puuid, null];
+        try {
+            const leagues = await fetchLeagueData(puuid, region, { priority: REQUEST_PRIORITY.matches });
+            return [puuid, leagues.find(league => league.queueType === 'RANKED_SOLO_5x5') || null];
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            logger.warn(`Rank unavailable for ${puuid}`, error);
+            return [puuid, undefined];
+        }
+    }));
+    return Object.fromEntries(entries);
+}
+
+function queueName({ gameQueueConfigId, gameType, gameMode }) {
+    if (QUEUE_NAMES[gameQueueConfigId]) return QUEUE_NAMES[gameQueueConfigId];
+    return gameType === 'CUSTOM_GAME' ? 'Custom Game' : gameMode;
+}
+
+// m:ss since the game started; gameStartTime is 0 until the loading screen ends
+export function formatGameClock(gameStartTime, now = Date.now()) {
+    if (!gameStartTime) return 'Loading screen';
+    const seconds = Math.max(0, Math.floor((now - gameStartTime) / 1000));
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function rankLabel(participant) {
+    if (!liveState.ranks) return html`<span class="live-rank pending">…</span>`;
+    const league = liveState.ranks[participant.puuid];
+    if (league === undefined) return html`<span class="live-rank unknown" title="Rank unavailable">—</span>`;
+    if (league === null) return html`<span class="live-rank unranked">Unranked</span>`;
+
+    const division = APEX_TIERS.includes(league.tier) ? '' : ` ${league.rank}`;
+    return html`<span class="live-rank">${league.tier}${division} · ${league.leaguePoints} LP</span>`;
+}
+
+function renderParticipant(participant) {
+    const champion = StaticData.getChampion(participant.championId);
+    const championName = champion ? champion.name : 'Unknown champion';
+    const spell = spellId => {
+        const name = (StaticData.getSummonerSpell(spellId) || {}).name || 'Summoner spell';
+        return html`<img src="${StaticData.summonerSpellIconUrl(spellId)}" alt="${name}" title="${name}" class="live-spell">`;
+    };
+    const rune = runeId => {
+        const name = (StaticData.getRune(runeId) || {}).name || 'Rune';
+        return html`<img src="${StaticData.runeIconUrl(runeId)}" alt="${name}" title="${name}" class="live-rune">`;
+    };
+    const { perkIds = [], perkSubStyle } = participant.perks || {};
+    const [gameName, tagLine] = (participant.riotId || '').split('#');
+    const name = tagLine
+        ? html`<a href="${profilePath(liveState.region, { gameName, tagLine })}" class="live-player-name" data-route>${gameName}<span class="player-tag">#${tagLine}</span></a>`
+        : html`<span class="live-player-name">${gameName || 'Bot'}</span>`;
+
+    return html`
+        <li class="live-player${participant.puuid === liveState.puuid ? ' self' : ''}">
+            <img src="${StaticData.championIconUrl(participant.championId)}" alt="${championName}" title="${championName}" class="live-champion">
+            <div class="live-spells">${spell(participant.spell1Id)}${spell(participant.spell2Id)}</div>
+            <div class="live-runes">${perkIds.length > 0 ? rune(perkIds[0]) : ''}${perkSubStyle ? rune(perkSubStyle) : ''}</div>
+            <div class="live-player-info">
+                ${name}
+                ${rankLabel(participant)}
+            </div>
+        </li>
+    `;
+}
+
+function renderLiveGame() {
+    const container = elements.summonerCard.querySelector('.live-game');
+    if (!container) return;
+    stopClock();
+
+    const { status, game, gameName, error } = liveState;
+    if (status === 'idle') {
+        container.innerHTML = '';
+        return;
+    }
+
+    let body;
+    if (status === 'loading') {
+        body = html`<p class="live-game-note">Looking for a live game...</p>`;
+    } else if (status === 'not-in-game') {
+        body = html`<p class="live-game-note">${gameName} isn't in a game right now. Games show up here from the loading screen on.</p>`;
+    } else if (status === 'error') {
+        body = html`<p class="live-game-note error">Couldn't load the live game: ${error}</p>`;
+    } else {
+        body = html`
+            <div class="live-game-meta">
+                <span class="live-game-mode">${queueName(game)}</span>
+                <span class="live-game-clock" data-game-start="${game.gameStartTime}">${formatGameClock(game.gameStartTime)}</span>
+            </div>
+            <div class="live-teams">
+                ${TEAMS.map(({ teamId, name }) => html`
+                    <div class="live-team team-${teamId}">
+                        <h5 class="live-team-name">${name}</h5>
+                        <ul class="live-players">
+                            ${game.participants.filter(participant => participant.teamId === teamId).map(renderParticipant)}
+                        </ul>
+                    </div>
+                `)}
+            </div>
+        `;
+    }
+
+    container.innerHTML = html`
+        <div class="live-game-header">
+            <h4 class="live-game-title">Live Game</h4>
+            <button class="live-game-refresh" data-live-refresh title="Look the game up again"${status === 'loading' ? ' disabled' : ''}>↻</button>
+        </div>
+        ${body}
+    `;
+
+    if (status === 'ready' && game.gameStartTime) {
+        clockTimer = setInterval(tickClock, 1000);
+    }
+}
+
+// Runs while the game's clock is on screen
+function tickClock() {
+    const clock = elements.summonerCard.querySelector('.live-game-clock');
+    if (!clock || clock.closest('.hidden')) {
+        stopClock();
+        return;
+    }
+    clock.textContent = formatGameClock(Number(clock.dataset.gameStart));
+}
+
+function stopClock() {
+    clearInterval(clockTimer);
+    clockTimer = null;
+}
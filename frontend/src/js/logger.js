@@ -0,0 +1,141 @@
+import { API_CONFIG, DEBUG_MODE } from './config.js';
+
+// Logging
+// Silent unless debug mode is on (config.js). Errors are also batched to the client log
+// endpoint once startErrorReporting has run, along with uncaught exceptions and unhandled
+// rejections. Messages and details are redacted before they go anywhere, so API keys and
+// tokens never reach the console or CloudWatch.
+export const LOG_LEVELS = {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40,
+    silent: Infinity
+};
+
+const REPORT_BATCH_SIZE = 20; // Events per request, the endpoint's limit
+const REPORT_DELAY = 5000; // Errors within this window go out together
+const REPORT_QUEUE_LIMIT = 100; // Further errors are dropped until the queue drains
+const REDACT_DEPTH = 4;
+const REDACTED = '[redacted]';
+
+// Values under these keys are dropped whole
+const SECRET_KEY = /api[_-]?key|token|secret|password|authorization|cookie/i;
+// Secrets inside strings: Riot API keys, key and token query parameters, bearer tokens
+const SECRET_PATTERNS = [
+    [/RGAPI-[\w-]+/g, `RGAPI-${REDACTED}`],
+    [/([?&](?:api_key|apikey|key|token|access_token)=)[^&#\s]+/gi, `$1${REDACTED}`],
+    [/(Bearer\s+)[\w.~+/-]+=*/gi, `$1${REDACTED}`]
+];
+
+let level = DEBUG_MODE ? LOG_LEVELS.debug : LOG_LEVELS.silent;
+let reportUrl = null;
+let reportQueue = [];
+let reportTimer = null;
+// Errors already queued, so one failure logged again further up the call stack is sent once
+const reportedErrors = new WeakSet();
+
+export function setLogLevel(name) {
+    level = LOG_LEVELS[name];
+}
+
+export function redact(value, depth = 0) {
+    if (typeof value === 'string') {
+        return SECRET_PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), value);
+    }
+    if (value === null || typeof value !== 'object') return value;
+    if (depth >= REDACT_DEPTH) return '[…]';
+
+    if (value instanceof Error) {
+        return { name: value.name, message: redact(value.message), stack: redact(value.stack || ''), status: value.status };
+    }
+    if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => (
+        [key, SECRET_KEY.test(key) ? REDACTED : redact(item, depth + 1)]
+    )));
+}
+
+function log(levelName, message, ...details) {
+    if (LOG_LEVELS[levelName] >= level) {
+        console[levelName](`[${levelName}] ${redact(message)}`, ...details.map(detail => redact(detail)));
+    }
+    if (levelName === 'error') reportError('error', message, details);
+}
+
+export const logger = {
+    debug: (message, ...details) => log('debug', message, ...details),
+    info: (message, ...details) => log('info', message, ...details),
+    warn: (message, ...details) => log('warn', message, ...details),
+    error: (message, ...details) => log('error', message, ...details)
+};
+
+// Error reporting
+// Starts sending errors to the client log endpoint and listens for uncaught ones
+export function startErrorReporting(url = API_CONFIG.logsUrl) {
+    if (reportUrl) return;
+    reportUrl = url;
+
+    window.addEventListener('error', event => {
+        reportError('uncaught', event.message, [event.error]);
+    });
+    window.addEventListener('unhandledrejection', event => {
+        reportError('unhandledrejection', 'Unhandled promise rejection', [event.reason]);
+    });
+    // Whatever is still queued when the page is hidden goes out as a beacon
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') flushErrorReports({ beacon: true });
+    });
+}
+
+function reportError(kind, message, details) {
+    if (!reportUrl || reportQueue.length >= REPORT_QUEUE_LIMIT) return;
+
+    const error = details.find(detail => detail instanceof Error);
+    if (error) {
+        if (reportedErrors.has(error)) return;
+        reportedErrors.add(error);
+    }
+
+    const context = details.find(detail => detail && typeof detail === 'object' && !(detail instanceof Error));
+    reportQueue.push(redact({
+        kind,
+        message: String(message),
+        error: error || undefined,
+        context,
+        page: window.location.pathname,
+        timestamp: Date.now()
+    }));
+
+    if (reportQueue.length >= REPORT_BATCH_SIZE) {
+        flushErrorReports();
+    } else if (!reportTimer) {
+        reportTimer = setTimeout(flushErrorReports, REPORT_DELAY);
+    }
+}
+
+// Sends everything queued, a batch per request. Reporting failures are only logged: the
+// endpoint being down shouldn't add errors of its own.
+export async function flushErrorReports({ beacon = false } = {}) {
+    clearTimeout(reportTimer);
+    reportTimer = null;
+    const events = reportQueue;
+    reportQueue = [];
+
+    for (let start = 0; start < events.length; start += REPORT_BATCH_SIZE) {
+        const body = JSON.stringify({ events: events.slice(start, start + REPORT_BATCH_SIZE) });
+        if (beacon && navigator.sendBeacon) {
+            navigator.sendBeacon(reportUrl, new Blob([body], { type: 'application/json' }));
+            continue;
+        }
+        try {
+            await fetch(reportUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body,
+                keepalive: true
+            });
+        } catch (error) {
+            logger.debug('Error report not sent', error);
+        }
+    }
+}
@@ -0,0 +1,286 @@
+import { html } from './html.js';
+import { formatTimeAgo } from './match-history.js';
+import { championPath } from './router.js';
+import { StaticData } from './static-data.js';
+import { elements } from './ui.js';
+
+// Champion mastery chart
+// The player's whole mastery pool as a Canvas bar chart, one bar per champion sized by points.
+// It can be filtered by class (Data Dragon tags), sorted, and cut to the top champions; hovering
+// or arrowing through the bars shows points, level, last played and progress to the next level.
+// Clicking a bar, or Enter on the focused one, opens that champion's deep-dive (champion-detail.js).
+const TOP_CHAMPIONS = 10;
+const CHAMPION_CLASSES = ['Assassin', 'Fighter', 'Mage', 'Marksman', 'Support', 'Tank'];
+
+const MASTERY_SORTS = {
+    points: { label: 'Points', compare: (a, b) => b.championPoints - a.championPoints },
+    level: { label: 'Level', compare: (a, b) => b.championLevel - a.championLevel || b.championPoints - a.championPoints },
+    lastPlayed: { label: 'Last played', compare: (a, b) => b.lastPlayTime - a.lastPlayTime },
+    name: { label: 'Name', compare: (a, b) => championName(a.championId).localeCompare(championName(b.championId)) }
+};
+
+const ROW_HEIGHT = 36;
+const BAR_HEIGHT = 28;
+const CHART_PADDING = 8;
+const LABEL_WIDTH = 150; // Icon and champion name
+const VALUE_WIDTH = 90; // Points after the bar
+const LEVEL_COLORS = [
+    { minLevel: 10, color: '#C89B3C' },
+    { minLevel: 5, color: '#0AC8B9' },
+    { minLevel: 0, color: '#5B5A56' }
+];
+
+const chartState = {
+    puuid: null,
+    account: null, // Whose pool it is, for the deep-dive links
+    region: null,
+    masteries: [],
+    championClass: 'all',
+    sort: 'points',
+    showAll: false,
+    visible: [], // Bars currently drawn, top to bottom
+    active: -1 // Bar under the pointer or keyboard focus
+};
+
+// Loaded champion icons by ID; the chart redraws as each one arrives
+const iconCache = new Map();
+
+function championName(championId) {
+    const champion = StaticData.getChampion(championId);
+    return champion ? champion.name : 'Unknown Champion';
+}
+
+// A new player resets the filters; refreshed data for the same player keeps them
+export function showMasteryChart(masteries, account, region) {
+    const puuid = masteries.length > 0 ? masteries[0].puuid : null;
+    if (puuid !== chartState.puuid) {
+        Object.assign(chartState, { puuid, championClass: 'all', sort: 'points', showAll: false });
+    }
+    Object.assign(chartState, { masteries, account, region });
+    renderMasteryChart();
+}
+
+export function handleMasteryControlChange(e) {
+    const control = e.target.closest('[data-mastery-control]');
+    if (!control) return;
+
+    chartState[control.dataset.masteryControl] = control.value;
+    renderMasteryChart();
+}
+
+// The show-all toggle, or a bar. Returns the champion's deep-dive path for a bar.
+export function handleMasteryChartClick(e) {
+    if (e.target.closest('[data-mastery-toggle]')) {
+        chartState.showAll = !chartState.showAll;
+        renderMasteryChart();
+        return null;
+    }
+
+    const canvas = e.target.closest('.mastery-chart');
+    if (!canvas) return null;
+    return championDetailPath(barAt(canvas, e.clientY));
+}
+
+// Mouse movement over the canvas picks the bar under the pointer
+export function handleMasteryChartPointer(e) {
+    const canvas = e.target.closest('.mastery-chart');
+    if (!canvas) return;
+
+    setActiveBar(e.type === 'mouseout' ? -1 : barAt(canvas, e.clientY));
+}
+
+// Index of the bar at a viewport y position, or -1 between and below bars
+function barAt(canvas, clientY) {
+    const y = clientY - canvas.getBoundingClientRect().top - CHART_PADDING;
+    const row = Math.floor(y / ROW_HEIGHT);
+    return y >= 0 && y % ROW_HEIGHT < BAR_HEIGHT && row < chartState.visible.length ? row : -1;
+}
+
+function championDetailPath(index) {
+    const mastery = chartState.visible[index];
+    const champion = mastery && StaticData.getChampion(mastery.championId);
+    if (!champion || !chartState.account) return null;
+    return championPath(chartState.region, chartState.account, champion.id);
+}
+
+// Arrow keys step through the bars while the chart has focus; Enter returns the focused
+// champion's deep-dive path
+export function handleMasteryChartKeydown(e) {
+    if (!e.target.closest('.mastery-chart') || chartState.visible.length === 0) return null;
+
+    const last = chartState.visible.length - 1;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        const start = chartState.active === -1 ? (step === 1 ? -1 : last + 1) : chartState.active;
+        setActiveBar(Math.min(Math.max(start + step, 0), last));
+    } else if (e.key === 'Escape') {
+        setActiveBar(-1);
+    } else if (e.key === 'Enter') {
+        return championDetailPath(chartState.active);
+    }
+    return null;
+}
+
+function filteredMasteries() {
+    const { masteries, championClass, sort, showAll } = chartState;
+    const filtered = masteries.filter(mastery => {
+        if (championClass === 'all') return true;
+        const champion = StaticData.getChampion(mastery.championId);
+        return Boolean(champion && champion.tags && champion.tags.includes(championClass));
+    });
+
+    // The top champions are always the highest by points, whatever order they're shown in
+    const pool = showAll ? filtered : [...filtered].sort(MASTERY_SORTS.points.compare).slice(0, TOP_CHAMPIONS);
+    return { total: filtered.length, visible: [...pool].sort(MASTERY_SORTS[sort].compare) };
+}
+
+function renderMasteryChart() {
+    const { masteries, championClass, sort, showAll } = chartState;
+    if (masteries.length === 0) {
+        elements.championMastery.innerHTML = html`
+            <h4 class="mastery-title">Champion Mastery</h4>
+            <p class="mastery-empty">No champion mastery yet</p>
+        `;
+        return;
+    }
+
+    const { total, visible } = filteredMasteries();
+    chartState.visible = visible;
+    chartState.active = -1;
+
+    const totalPoints = masteries.reduce((sum, mastery) => sum + mastery.championPoints, 0);
+    const summary = visible.slice(0, 3)
+        .map(mastery => `${championName(mastery.championId)} ${mastery.championPoints.toLocaleString()} points`)
+        .join(', ');
+
+    elements.championMastery.innerHTML = html`
+        <div class="mastery-header">
+            <h4 class="mastery-title">Champion Mastery</h4>
+            <div class="mastery-controls">
+                <select class="mastery-filter" data-mastery-control="championClass" aria-label="Filter by class">
+                    <option value="all">All classes</option>
+                    ${CHAMPION_CLASSES.map(name => html`
+                        <option value="${name}" ${name === championClass ? 'selected' : ''}>${name}</option>
+                    `)}
+                </select>
+                <select class="mastery-sort" data-mastery-control="sort" aria-label="Sort champions">
+                    ${Object.entries(MASTERY_SORTS).map(([key, { label }]) => html`
+                        <option value="${key}" ${key === sort ? 'selected' : ''}>${label}</option>
+                    `)}
+                </select>
+                ${total > TOP_CHAMPIONS ? html`
+                    <button class="mastery-toggle" data-mastery-toggle>${showAll ? `Top ${TOP_CHAMPIONS}` : `All ${total}`}</button>
+                ` : ''}
+            </div>
+        </div>
+        <p class="mastery-summary">${masteries.length} champions · ${totalPoints.toLocaleString()} total points</p>
+        ${visible.length === 0 ? html`
+            <p class="mastery-empty">No ${championClass} champions played yet</p>
+        ` : html`
+            <div class="mastery-chart-wrapper">
+                <canvas class="mastery-chart" tabindex="0" role="img"
+                        aria-label="Champion mastery, ${visible.length} of ${total} champions: ${summary}"></canvas>
+                <div class="mastery-tooltip hidden" role="tooltip"></div>
+            </div>
+        `}
+    `;
+
+    drawMasteryChart();
+}
+
+function setActiveBar(index) {
+    if (index === chartState.active) return;
+    chartState.active = index;
+    const canvas = elements.championMastery.querySelector('.mastery-chart');
+    if (canvas) canvas.style.cursor = index === -1 ? '' : 'pointer';
+    drawMasteryChart();
+    renderTooltip();
+}
+
+function renderTooltip() {
+    const tooltip = elements.championMastery.querySelector('.mastery-tooltip');
+    if (!tooltip) return;
+
+    const mastery = chartState.visible[chartState.active];
+    tooltip.classList.toggle('hidden', !mastery);
+    if (!mastery) return;
+
+    const since = mastery.championPointsSinceLastLevel;
+    const until = mastery.championPointsUntilNextLevel;
+    const progress = until > 0 ? since / (since + until) : 1;
+    const nextLevel = mastery.championLevel + 1;
+
+    tooltip.innerHTML = html`
+        <div class="mastery-tooltip-name">${championName(mastery.championId)}</div>
+        <div>Level ${mastery.championLevel} · ${mastery.championPoints.toLocaleString()} points</div>
+        <div class="mastery-tooltip-meta">Last played ${formatTimeAgo(mastery.lastPlayTime)}</div>
+        <div class="mastery-progress"><div class="mastery-progress-fill" style="width: ${Math.round(progress * 100)}%"></div></div>
+        <div class="mastery-tooltip-meta">${until > 0
+            ? `${until.toLocaleString()} points to level ${nextLevel}`
+            : `Points for level ${nextLevel} reached`}</div>
+        <div class="mastery-tooltip-hint">Click for the champion deep-dive</div>
+    `;
+    tooltip.style.top = `${CHART_PADDING + chartState.active * ROW_HEIGHT + BAR_HEIGHT}px`;
+    tooltip.style.left = `${LABEL_WIDTH}px`;
+}
+
+function championIcon(championId) {
+    if (!iconCache.has(championId)) {
+        const image = new Image();
+        image.onload = () => drawMasteryChart();
+        image.src = StaticData.championIconUrl(championId);
+        iconCache.set(championId, image);
+    }
+
+    const image = iconCache.get(championId);
+    return image.complete && image.naturalWidth > 0 ? image : null;
+}
+
+function drawMasteryChart() {
+    const canvas = elements.championMastery.querySelector('.mastery-chart');
+    const context = canvas && canvas.getContext && canvas.getContext('2d');
+    if (!context) return;
+
+    const { visible, active } = chartState;
+    const width = canvas.clientWidth || 600;
+    const height = CHART_PADDING * 2 + visible.length * ROW_HEIGHT;
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = width * ratio;
+    canvas.height = height * ratio;
+    canvas.style.height = `${height}px`;
+    context.scale(ratio, ratio);
+
+    const maxPoints = Math.max(...visible.map(mastery => mastery.championPoints));
+    const barSpace = width - LABEL_WIDTH - VALUE_WIDTH;
+
+    context.font = '12px Inter, sans-serif';
+    context.textBaseline = 'middle';
+
+    visible.forEach((mastery, index) => {
+        const top = CHART_PADDING + index * ROW_HEIGHT;
+        const middle = top + BAR_HEIGHT / 2;
+        const barWidth = Math.max((mastery.championPoints / maxPoints) * barSpace, 2);
+        const { color } = LEVEL_COLORS.find(({ minLevel }) => mastery.championLevel >= minLevel);
+
+        if (index === active) {
+            context.fillStyle = 'rgba(200, 155, 60, 0.12)';
+            context.fillRect(0, top - 2, width, BAR_HEIGHT + 4);
+        }
+
+        const icon = championIcon(mastery.championId);
+        if (icon) context.drawImage(icon, 0, top, BAR_HEIGHT, BAR_HEIGHT);
+
+        context.textAlign = 'left';
+        context.fillStyle = '#F0E6D2';
+        context.fillText(championName(mastery.championId), BAR_HEIGHT + 8, middle, LABEL_WIDTH - BAR_HEIGHT - 16);
+
+        context.globalAlpha = active === -1 || index === active ? 1 : 0.6;
+        context.fillStyle = color;
+        context.fillRect(LABEL_WIDTH, top + 4, barWidth, BAR_HEIGHT - 8);
+        context.globalAlpha = 1;
+
+        context.fillStyle = '#A09B8C';
+        context.fillText(mastery.championPoints.toLocaleString(), LABEL_WIDTH + barWidth + 8, middle);
+    });
+}
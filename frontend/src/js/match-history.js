@@ -0,0 +1,203 @@
+import { fetchMatchData, fetchMatchIds } from './api.js';
+import { html } from './html.js';
+import { logger } from './logger.js';
+import { StaticData } from './static-data.js';
+import { elements, showNotification } from './ui.js';
+
+// Match history (match-v5)
+// The first page is also the comparison view's recent form, so both share one cached request
+export const MATCH_PAGE_SIZE = 10;
+
+export const QUEUE_NAMES = {
+    400: 'Normal Draft',
+    420: 'Ranked Solo/Duo',
+    430: 'Normal Blind',
+    440: 'Ranked Flex',
+    450: 'ARAM',
+    490: 'Quickplay',
+    700: 'Clash',
+    830: 'Co-op vs AI',
+    840: 'Co-op vs AI',
+    850: 'Co-op vs AI',
+    900: 'ARURF',
+    1700: 'Arena',
+    1900: 'URF'
+};
+
+const matchHistoryState = {
+    puuid: null,
+    region: null,
+    matches: [],
+    hasMore: false,
+    loading: false,
+    requestId: 0
+};
+
+export async function loadMatchHistory(puuid, region, append = false, forceRefresh = false) {
+    if (!append) {
+        Object.assign(matchHistoryState, { puuid, region, matches: [], hasMore: false });
+    }
+    
+    const requestId = ++matchHistoryState.requestId;
+    matchHistoryState.loading = true;
+    displayMatchHistory();
+    
+    try {
+        const start = matchHistoryState.matches.length;
+        const matchIds = await fetchMatchIds(puuid, region, start, MATCH_PAGE_SIZE, {
+            forceRefresh,
+            // New games since the cached page - reload from the top
+            onUpdate: () => {
+                if (!append && matchHistoryState.puuid === puuid) {
+                    loadMatchHistory(puuid, region);
+                }
+            }
+        });
+        const matches = await Promise.all(matchIds.map(matchId => fetchMatchData(matchId, region)));
+        
+        // Ignore results for another player, or a page a newer load (a reset or reload) replaced
+        if (requestId !== matchHistoryState.requestId) return;
+        
+        matchHistoryState.matches.push(...matches);
+        matchHistoryState.hasMore = matchIds.length === MATCH_PAGE_SIZE;
+    } catch (error) {
+        if (error.name === 'AbortError' || requestId !== matchHistoryState.requestId) return;
+        logger.error('Match history error', error);
+        showNotification(`Could not load match history: ${error.message}`, 'error');
+    } finally {
+        if (requestId === matchHistoryState.requestId) {
+            matchHistoryState.loading = false;
+            displayMatchHistory();
+        }
+    }
+}
+
+export function handleMatchHistoryClick(event) {
+    if (event.target.closest('.load-more-btn')) {
+        if (!matchHistoryState.loading) {
+            loadMatchHistory(matchHistoryState.puuid, matchHistoryState.region, true);
+        }
+        return;
+    }
+    
+    const summary = event.target.closest('.match-summary');
+    if (summary) {
+        summary.parentElement.classList.toggle('expanded');
+    }
+}
+
+function displayMatchHistory() {
+    const { matches, puuid, hasMore, loading } = matchHistoryState;
+    
+    let content;
+    if (matches.length === 0) {
+        content = html`<p class="match-history-empty">${loading ? 'Loading recent games...' : 'No recent games found'}</p>`;
+    } else {
+        content = html`<div class="match-list">${matches.map(match => renderMatchRow(match, puuid))}</div>`;
+    }
+    
+    elements.matchHistory.innerHTML = html`
+        <h4 class="match-history-title">Match History</h4>
+        ${content}
+        ${hasMore || (loading && matches.length > 0) ? html`
+            <button class="load-more-btn" ${loading ? 'disabled' : ''}>
+                ${loading ? 'Loading...' : 'Load more'}
+            </button>
+        ` : ''}
+    `;
+}
+
+function renderMatchRow(match, puuid) {
+    const { info } = match;
+    const player = info.participants.find(participant => participant.puuid === puuid);
+    if (!player) return '';
+    
+    const result = getMatchResult(info, player);
+    const cs = player.totalMinionsKilled + player.neutralMinionsKilled;
+    const minutes = info.gameDuration / 60;
+    const kda = player.deaths === 0 ? 'Perfect' : ((player.kills + player.assists) / player.deaths).toFixed(2);
+    
+    return html`
+        <div class="match-row ${result.className}">
+            <div class="match-summary">
+                <img src="${StaticData.championIconUrl(player.championId)}"
+                     alt="${player.championName}" class="match-champion-icon">
+                <div class="match-meta">
+                    <div class="match-result">${result.label}</div>
+                    <div class="match-queue">${QUEUE_NAMES[info.queueId] || info.gameMode}</div>
+                    <div class="match-time">${formatTimeAgo(info.gameEndTimestamp || info.gameCreation)} · ${formatDuration(info.gameDuration)}</div>
+                </div>
+                <div class="match-kda">
+                    <div class="kda-score">${player.kills} / ${player.deaths} / ${player.assists}</div>
+                    <div class="kda-ratio">${kda} KDA</div>
+                </div>
+                <div class="match-cs">
+                    <div>${cs} CS</div>
+                    <div class="cs-per-min">${(cs / minutes).toFixed(1)}/min</div>
+                </div>
+                ${renderItems(player)}
+            </div>
+            <div class="match-scoreboard">${renderScoreboard(info, puuid)}</div>
+        </div>
+    `;
+}
+
+function renderScoreboard(info, puuid) {
+    return [100, 200].map(teamId => {
+        const team = info.participants.filter(participant => participant.teamId === teamId);
+        const won = team.length > 0 && team[0].win;
+        
+        return html`
+            <div class="scoreboard-team">
+                <div class="scoreboard-header ${won ? 'win' : 'loss'}">${teamId === 100 ? 'Blue' : 'Red'} Team · ${won ? 'Victory' : 'Defeat'}</div>
+                ${team.map(participant => html`
+                    <div class="scoreboard-row ${participant.puuid === puuid ? 'current-player' : ''}">
+                        <img src="${StaticData.championIconUrl(participant.championId)}"
+                             alt="${participant.championName}" class="scoreboard-champion-icon">
+                        <span class="scoreboard-name">${participant.riotIdGameName || participant.summonerName}</span>
+                        <span class="scoreboard-kda">${participant.kills}/${participant.deaths}/${participant.assists}</span>
+                        <span class="scoreboard-cs">${participant.totalMinionsKilled + participant.neutralMinionsKilled} CS</span>
+                        <span class="scoreboard-damage">${participant.totalDamageDealtToChampions.toLocaleString()} dmg</span>
+                        <span class="scoreboard-gold">${participant.goldEarned.toLocaleString()} g</span>
+                        ${renderItems(participant)}
+                    </div>
+                `)}
+            </div>
+        `;
+    });
+}
+
+function renderItems(participant) {
+    const items = [0, 1, 2, 3, 4, 5, 6].map(slot => participant[`item${slot}`]);
+    
+    return html`
+        <div class="match-items">
+            ${items.map(itemId => {
+                if (!itemId) return html`<div class="item-icon empty"></div>`;
+                const itemName = (StaticData.getItem(itemId) || {}).name || 'Item';
+                return html`<img src="${StaticData.itemIconUrl(itemId)}" alt="${itemName}" title="${itemName}" class="item-icon">`;
+            })}
+        </div>
+    `;
+}
+
+function getMatchResult(info, player) {
+    if (player.gameEndedInEarlySurrender) {
+        return { label: 'Remake', className: 'remake' };
+    }
+    return player.win ? { label: 'Victory', className: 'win' } : { label: 'Defeat', className: 'loss' };
+}
+
+function formatDuration(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const remainder = Math.floor(seconds % 60);
+    return `${minutes}:${String(remainder).padStart(2, '0')}`;
+}
+
+export function formatTimeAgo(timestamp) {
+    const minutes = Math.floor((Date.now() - timestamp) / 60000);
+    
+    if (minutes < 60) return `${Math.max(minutes, 1)}m ago`;
+    if (minutes < 1440) return `${Math.floor(minutes / 60)}h ago`;
+    return `${Math.floor(minutes / 1440)}d ago`;
+}
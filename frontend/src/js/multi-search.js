@@ -0,0 +1,185 @@
+import { fetchAccountData, fetchLeagueData, fetchMasteryData, fetchSummonerData } from './api.js';
+import { html } from './html.js';
+import { APEX_TIERS, addToLeaderboard } from './leaderboard.js';
+import { multiPath, profilePath } from './router.js';
+import { StaticData } from './static-data.js';
+import { elements, regionLabel, showNotification } from './ui.js';
+
+// Multi-search
+// Pasted lobby or champ select chat ("Name #TAG joined the lobby") or a list of Riot IDs,
+// looked up together on /multi/region. Players load in parallel through the cached fetch
+// helpers and are added to the leaderboard like a normal search.
+export const MULTI_SEARCH_LIMIT = 5;
+const TOP_CHAMPIONS = 3;
+
+// "[12:34] " before a chat line
+const CHAT_TIMESTAMP = /^\[[^\]]*\]\s*/;
+// "... joined the lobby", "... has left the lobby."
+const LOBBY_EVENT = /\s+(?:has\s+)?(joined|left)\s+the\s+(?:lobby|room|chat)\.?$/i;
+// "Name #TAG: message"
+const CHAT_SENDER = /^([^:#]+#\s*[\p{L}\p{N}]+)\s*:/u;
+
+let multiRequestId = 0;
+
+// Riot IDs are `gameName#tagLine`: 3-16 character name, 3-5 character tag
+export function parseRiotId(input) {
+    const separator = input.lastIndexOf('#');
+    if (separator === -1) return null;
+
+    const gameName = input.slice(0, separator).trim();
+    const tagLine = input.slice(separator + 1).trim();
+
+    if (!/^[\p{L}\p{N} _.]{3,16}$/u.test(gameName)) return null;
+    if (!/^[\p{L}\p{N}]{3,5}$/u.test(tagLine)) return null;
+
+    return { gameName, tagLine };
+}
+
+// Riot IDs in the order they first appear, one per line or comma-separated entry. Players
+// who left the lobby after joining are dropped; lines without a Riot ID are skipped.
+export function parseLobbyText(text) {
+    const players = new Map();
+
+    text.split(/[\n,]/).forEach(line => {
+        let entry = line.trim().replace(CHAT_TIMESTAMP, '');
+        const event = LOBBY_EVENT.exec(entry);
+        if (event) {
+            entry = entry.slice(0, event.index);
+        } else {
+            const sender = CHAT_SENDER.exec(entry);
+            if (sender) entry = sender[1];
+        }
+
+        const riotId = parseRiotId(entry);
+        if (!riotId) return;
+
+        const key = `${riotId.gameName}#${riotId.tagLine}`.toLowerCase();
+        if (event && event[1].toLowerCase() === 'left') {
+            players.delete(key);
+        } else if (!players.has(key)) {
+            players.set(key, riotId);
+        }
+    });
+
+    return [...players.values()];
+}
+
+export function toggleMultiSearch() {
+    const open = elements.multiSearch.classList.toggle('hidden') === false;
+    elements.multiSearchToggle.classList.toggle('active', open);
+    elements.multiSearchToggle.setAttribute('aria-expanded', String(open));
+    if (open) elements.multiSearchInput.focus();
+}
+
+// The team's path in the selected region, or null when there's nothing to look up
+export function handleMultiSearch() {
+    const text = elements.multiSearchInput.value.trim();
+    if (!text) {
+        showNotification('Paste lobby chat or a list of Riot IDs (Name#TAG)', 'error');
+        return null;
+    }
+
+    const riotIds = parseLobbyText(text);
+    if (riotIds.length === 0) {
+        showNotification('No Riot IDs found - players look like Name#TAG', 'error');
+        return null;
+    }
+    if (riotIds.length > MULTI_SEARCH_LIMIT) {
+        showNotification(`Only the first ${MULTI_SEARCH_LIMIT} of ${riotIds.length} players are looked up`, 'error');
+    }
+
+    return multiPath(elements.regionSelect.value, riotIds.slice(0, MULTI_SEARCH_LIMIT));
+}
+
+// Team overview
+export async function loadMultiSearch(region, riotIds) {
+    const requestId = ++multiRequestId;
+    elements.multiView.innerHTML = html`<p class="multi-note">Looking up the team...</p>`;
+
+    // Icon lookups need champion data; resolves immediately once loaded
+    await StaticData.load();
+    const results = await Promise.allSettled(riotIds.map(riotId => loadTeamPlayer(riotId, region)));
+
+    // Ignore results for a team the user has already left
+    if (requestId !== multiRequestId) return;
+    if (results.some(result => result.status === 'rejected' && result.reason.name === 'AbortError')) return;
+
+    const players = results.map((result, index) => (
+        result.status === 'fulfilled' ? result.value : { riotId: riotIds[index], error: result.reason }
+    ));
+    players
+        .filter(player => !player.error)
+        .forEach(({ account, summoner, league }) => addToLeaderboard(account, summoner, league, region));
+    renderTeam(players, region);
+}
+
+async function loadTeamPlayer(riotId, region) {
+    const account = await fetchAccountData(riotId.gameName, riotId.tagLine, region);
+    const [summoner, league, mastery] = await Promise.all([
+        fetchSummonerData(account.puuid, region),
+        fetchLeagueData(account.puuid, region),
+        fetchMasteryData(account.puuid, region, { limit: TOP_CHAMPIONS })
+    ]);
+
+    return { riotId, account, summoner, league, mastery };
+}
+
+function renderTeam(players, region) {
+    const found = players.filter(player => !player.error).length;
+
+    elements.multiView.innerHTML = html`
+        <p class="multi-note">${found} of ${players.length} players found · ${regionLabel(region)}</p>
+        <div class="multi-team">
+            ${players.map(player => (player.error ? renderMissingPlayer(player) : renderPlayer(player, region)))}
+        </div>
+    `;
+}
+
+function renderMissingPlayer({ riotId, error }) {
+    return html`
+        <article class="multi-player missing">
+            <span class="multi-name">${riotId.gameName}<span class="player-tag">#${riotId.tagLine}</span></span>
+            <span class="multi-error">${error.message}</span>
+        </article>
+    `;
+}
+
+function renderPlayer({ account, summoner, league, mastery }, region) {
+    const soloQueue = league.find(entry => entry.queueType === 'RANKED_SOLO_5x5');
+    const path = profilePath(region, account);
+
+    let rank = html`<p class="multi-rank unranked">Unranked</p>`;
+    if (soloQueue) {
+        const division = APEX_TIERS.includes(soloQueue.tier) ? '' : ` ${soloQueue.rank}`;
+        const games = soloQueue.wins + soloQueue.losses;
+        rank = html`
+            <p class="multi-rank">${soloQueue.tier}${division}</p>
+            <p class="multi-meta">${soloQueue.leaguePoints} LP · ${Math.round((soloQueue.wins / games) * 100)}% in ${games} games</p>
+        `;
+    }
+
+    const champions = mastery.length === 0 ? html`<li class="multi-meta">No mastery</li>` : mastery.map(entry => {
+        const champion = StaticData.getChampion(entry.championId);
+        const name = champion ? champion.name : 'Unknown Champion';
+        return html`
+            <li class="multi-champion">
+                <img src="${StaticData.championIconUrl(entry.championId)}" alt="">
+                <span>${name}</span>
+                <span class="multi-meta">${entry.championPoints.toLocaleString()}</span>
+            </li>
+        `;
+    });
+
+    return html`
+        <article class="multi-player">
+            <a href="${path}" class="multi-player-link" data-route>
+                <img src="${StaticData.profileIconUrl(summoner.profileIconId)}" alt="" class="multi-icon">
+                <span class="multi-name">${account.gameName}<span class="player-tag">#${account.tagLine}</span></span>
+            </a>
+            <span class="multi-meta">Level ${summoner.summonerLevel}</span>
+            ${rank}
+            <ul class="multi-champions">${champions}</ul>
+            <a href="${path}" class="multi-open" data-route>Full profile →</a>
+        </article>
+    `;
+}
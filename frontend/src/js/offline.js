@@ -0,0 +1,40 @@
+import { logger } from './logger.js';
+import { elements } from './ui.js';
+
+// Offline support
+// Registers the service worker (src/sw.js) and shows the offline banner when it answers an API
+// request from its cache. The banner gives the oldest data time seen while offline, since
+// everything on screen is at least that old, and goes away once the connection is back.
+let offlineSince = null;
+
+export function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.addEventListener('message', handleServiceWorkerMessage);
+    window.addEventListener('online', hideOfflineBanner);
+    navigator.serviceWorker.register('/sw.js').catch(error => {
+        logger.warn('Service worker registration failed', error);
+    });
+}
+
+export function handleServiceWorkerMessage(event) {
+    const { type, cachedAt } = event.data || {};
+    if (type !== 'offline-data' || !cachedAt) return;
+
+    offlineSince = offlineSince === null ? cachedAt : Math.min(offlineSince, cachedAt);
+    elements.offlineBanner.textContent = `Offline, data from ${formatDataTime(offlineSince)}`;
+    elements.offlineBanner.classList.remove('hidden');
+}
+
+export function hideOfflineBanner() {
+    offlineSince = null;
+    elements.offlineBanner.classList.add('hidden');
+}
+
+// Time of day for data from today, with the date for anything older
+export function formatDataTime(timestamp, now = Date.now()) {
+    const date = new Date(timestamp);
+    const time = date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+    if (date.toDateString() === new Date(now).toDateString()) return time;
+    return `${date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}, ${time}`;
+}
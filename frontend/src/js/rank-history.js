@@ -0,0 +1,341 @@
+import { API_CONFIG, STORAGE_KEYS } from './config.js';
+import { html } from './html.js';
+import { APEX_TIERS, DIVISION_TIERS, DIVISIONS, LEADERBOARD_QUEUES, calculatePlayerScore } from './leaderboard.js';
+import { logger } from './logger.js';
+import { elements } from './ui.js';
+
+// LP history
+// Every lookup stores a rank snapshot per ranked queue in STORAGE_KEYS.rankHistory, and the
+// shared leaderboard stores one whenever it refreshes a player from Riot. The chart on the
+// summoner card merges both, so it has data offline and for players first seen elsewhere.
+const DAY = 24 * 3600000;
+const HISTORY_DAYS = 90; // Charted and requested from the shared board
+const NET_CHANGE_DAYS = [7, 30];
+const SNAPSHOTS_PER_QUEUE = 200;
+const TRACKED_HISTORIES = 100; // Player-queue histories kept on this device, most recently updated
+const SNAPSHOT_MERGE_WINDOW = 600000; // Identical snapshots this close together are one lookup
+const APEX_BASE = DIVISION_TIERS.length * 400;
+
+const CHART_HEIGHT = 220;
+const CHART_PADDING = { top: 20, right: 16, bottom: 28, left: 92 };
+const CHART_COLORS = {
+    line: '#C89B3C',
+    grid: 'rgba(160, 155, 140, 0.15)',
+    label: '#A09B8C',
+    promotion: '#10B981',
+    demotion: '#EF4444'
+};
+
+const historyState = {
+    puuid: null,
+    queue: null,
+    queues: [],
+    snapshots: [],
+    requestId: 0
+};
+
+function historyKey(puuid, queueType) {
+    return `${puuid}:${queueType}`;
+}
+
+function sameRank(a, b) {
+    return a.tier === b.tier && a.rank === b.rank && a.leaguePoints === b.leaguePoints
+        && a.wins === b.wins && a.losses === b.losses;
+}
+
+export function recordRankSnapshots(account, leagues) {
+    const history = getRankHistory();
+    const timestamp = Date.now();
+
+    leagues.filter(league => LEADERBOARD_QUEUES[league.queueType]).forEach(league => {
+        const key = historyKey(account.puuid, league.queueType);
+        const snapshots = history[key] || [];
+        const { tier, rank, leaguePoints, wins, losses } = league;
+        const snapshot = { timestamp, tier, rank, leaguePoints, wins, losses };
+
+        // The cached and refreshed renders of one search are a single lookup
+        const last = snapshots[snapshots.length - 1];
+        if (last && sameRank(last, snapshot) && timestamp - last.timestamp < SNAPSHOT_MERGE_WINDOW) return;
+
+        // Re-inserted so keys stay in update order for saveRankHistory's pruning
+        delete history[key];
+        history[key] = [...snapshots, snapshot].slice(-SNAPSHOTS_PER_QUEUE);
+    });
+
+    saveRankHistory(history);
+}
+
+// Oldest first, shared and local snapshots merged. Falls back to this device's snapshots
+// when the shared board is unreachable.
+export async function loadRankHistory(puuid, queueType) {
+    const since = Date.now() - HISTORY_DAYS * DAY;
+    const local = (getRankHistory()[historyKey(puuid, queueType)] || [])
+        .filter(snapshot => snapshot.timestamp >= since);
+
+    let shared = [];
+    try {
+        const query = new URLSearchParams({ puuid, queue: queueType, days: HISTORY_DAYS });
+        const response = await fetch(`${API_CONFIG.leaderboardUrl}/history?${query}`);
+        if (!response.ok) {
+            throw new Error(`Rank history request failed (${response.status})`);
+        }
+        ({ snapshots: shared } = await response.json());
+    } catch (error) {
+        logger.warn('Shared rank history unavailable, showing this device\'s snapshots', error);
+    }
+
+    return mergeSnapshots([...shared, ...local]);
+}
+
+function mergeSnapshots(snapshots) {
+    return snapshots
+        .sort((a, b) => a.timestamp - b.timestamp)
+        .reduce((merged, snapshot) => {
+            const last = merged[merged.length - 1];
+            if (last && sameRank(last, snapshot) && snapshot.timestamp - last.timestamp < SNAPSHOT_MERGE_WINDOW) {
+                return merged;
+            }
+            return [...merged, snapshot];
+        }, []);
+}
+
+// Score change (100 per division, LP above Diamond) from the start of the window to the
+// latest snapshot. The start is the last snapshot before the window, or the first in it.
+export function netLpChange(snapshots, days, now = Date.now()) {
+    const since = now - days * DAY;
+    const latest = snapshots[snapshots.length - 1];
+    if (!latest || latest.timestamp < since) return null;
+
+    const before = snapshots.filter(snapshot => snapshot.timestamp <= since);
+    const baseline = before.length > 0 ? before[before.length - 1] : snapshots[0];
+    if (baseline === latest) return null;
+
+    return calculatePlayerScore(latest) - calculatePlayerScore(baseline);
+}
+
+// Divisions, then Master, Grandmaster and Challenger, lowest first
+const RANK_LADDER = [
+    ...DIVISION_TIERS.flatMap(tier => DIVISIONS.map(division => `${tier} ${division}`)),
+    ...APEX_TIERS
+];
+
+function rankLabel({ tier, rank }) {
+    return APEX_TIERS.includes(tier) ? tier : `${tier} ${rank}`;
+}
+
+// Division and apex tier changes between consecutive snapshots
+export function findRankChanges(snapshots) {
+    return snapshots.slice(1).flatMap((snapshot, index) => {
+        const previous = snapshots[index];
+        const change = RANK_LADDER.indexOf(rankLabel(snapshot)) - RANK_LADDER.indexOf(rankLabel(previous));
+        if (change === 0) return [];
+        return [{
+            index: index + 1,
+            type: change > 0 ? 'promotion' : 'demotion',
+            from: rankLabel(previous),
+            to: rankLabel(snapshot)
+        }];
+    });
+}
+
+// Renders the chart for the player's ranked queues into the summoner card. Call after
+// displaySummonerResults, which replaces the card.
+export async function showRankHistory(account, leagues) {
+    const container = elements.summonerCard.querySelector('.rank-history');
+    const queues = Object.keys(LEADERBOARD_QUEUES)
+        .filter(queueType => leagues.some(league => league.queueType === queueType));
+    if (!container || queues.length === 0) return;
+
+    // Re-renders of the same player keep the selected queue and what's already loaded
+    const samePlayer = historyState.puuid === account.puuid;
+    const queue = samePlayer && queues.includes(historyState.queue) ? historyState.queue : queues[0];
+    Object.assign(historyState, {
+        puuid: account.puuid,
+        queues,
+        queue,
+        snapshots: samePlayer && queue === historyState.queue ? historyState.snapshots : []
+    });
+    await refreshRankHistory();
+}
+
+export function handleRankHistoryClick(e) {
+    const queueButton = e.target.closest('[data-history-queue]');
+    if (!queueButton || queueButton.dataset.historyQueue === historyState.queue) return;
+
+    historyState.queue = queueButton.dataset.historyQueue;
+    historyState.snapshots = [];
+    refreshRankHistory();
+}
+
+// Shows what's loaded straight away, then the merged history once it arrives
+async function refreshRankHistory() {
+    const { puuid, queue } = historyState;
+    const requestId = ++historyState.requestId;
+    renderRankHistory(historyState.snapshots.length === 0);
+
+    const snapshots = await loadRankHistory(puuid, queue);
+
+    // Ignore history for a player or queue the user has already moved away from
+    if (requestId !== historyState.requestId) return;
+    historyState.snapshots = snapshots;
+    renderRankHistory(false);
+}
+
+function renderRankHistory(loading) {
+    const container = elements.summonerCard.querySelector('.rank-history');
+    if (!container) return;
+
+    const { queue, queues, snapshots } = historyState;
+    const changes = findRankChanges(snapshots);
+
+    const queueButtons = queues.length > 1 ? html`
+        <div class="rank-history-queues">
+            ${queues.map(queueType => html`
+                <button class="rank-history-queue${queueType === queue ? ' active' : ''}" data-history-queue="${queueType}">${LEADERBOARD_QUEUES[queueType]}</button>
+            `)}
+        </div>
+    ` : '';
+
+    const netChanges = NET_CHANGE_DAYS.map(days => {
+        const change = netLpChange(snapshots, days);
+        const direction = change > 0 ? 'up' : change < 0 ? 'down' : '';
+        const value = change === null ? '—' : `${change > 0 ? '+' : ''}${change} LP`;
+        return html`<div class="lp-change ${direction}"><span class="lp-change-value">${value}</span><span class="lp-change-label">${days} days</span></div>`;
+    });
+
+    let body;
+    if (loading) {
+        body = html`<p class="rank-history-note">Loading LP history...</p>`;
+    } else if (snapshots.length < 2) {
+        body = html`<p class="rank-history-note">Not enough history yet - LP is tracked each time this player is looked up.</p>`;
+    } else {
+        body = html`
+            <canvas class="lp-chart" role="img" aria-label="${LEADERBOARD_QUEUES[queue]} LP over the last ${HISTORY_DAYS} days, ${changes.length} rank changes"></canvas>
+            <div class="rank-history-legend">
+                <span class="legend-promotion">▲ Promotion</span>
+                <span class="legend-demotion">▼ Demotion</span>
+            </div>
+        `;
+    }
+
+    container.innerHTML = html`
+        <div class="rank-history-header">
+            <h4 class="rank-history-title">LP History</h4>
+            ${queueButtons}
+        </div>
+        <div class="lp-changes">${netChanges}</div>
+        ${body}
+    `;
+
+    const canvas = container.querySelector('.lp-chart');
+    if (canvas) drawLpChart(canvas, snapshots, changes);
+}
+
+// Gridline label for a score: the division below Master, LP above it
+function scoreLabel(score) {
+    if (score >= APEX_BASE) return `${score - APEX_BASE} LP`;
+    const tier = DIVISION_TIERS[Math.floor(score / 400)];
+    return `${tier} ${DIVISIONS[Math.floor((score % 400) / 100)]}`;
+}
+
+function drawLpChart(canvas, snapshots, changes) {
+    const context = canvas.getContext && canvas.getContext('2d');
+    if (!context) return;
+
+    // Sharp lines on high-DPI screens
+    const width = canvas.clientWidth || 600;
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = width * ratio;
+    canvas.height = CHART_HEIGHT * ratio;
+    canvas.style.height = `${CHART_HEIGHT}px`;
+    context.scale(ratio, ratio);
+
+    const scores = snapshots.map(snapshot => calculatePlayerScore(snapshot));
+    const times = snapshots.map(snapshot => snapshot.timestamp);
+
+    // At least one division of range, rounded out to gridlines
+    const step = Math.max(...scores) - Math.min(...scores) > 800 ? 400 : 100;
+    const minScore = Math.floor((Math.min(...scores) - 20) / step) * step;
+    const maxScore = Math.max(Math.ceil((Math.max(...scores) + 20) / step) * step, minScore + step);
+    const firstTime = times[0];
+    const timeRange = Math.max(times[times.length - 1] - firstTime, 1);
+
+    const plot = {
+        left: CHART_PADDING.left,
+        top: CHART_PADDING.top,
+        width: width - CHART_PADDING.left - CHART_PADDING.right,
+        height: CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom
+    };
+    const x = time => plot.left + ((time - firstTime) / timeRange) * plot.width;
+    const y = score => plot.top + plot.height - ((score - minScore) / (maxScore - minScore)) * plot.height;
+
+    context.font = '11px Inter, sans-serif';
+    context.textBaseline = 'middle';
+
+    // Division (or LP) gridlines
+    context.strokeStyle = CHART_COLORS.grid;
+    context.fillStyle = CHART_COLORS.label;
+    context.lineWidth = 1;
+    context.textAlign = 'right';
+    for (let score = minScore; score <= maxScore; score += step) {
+        context.beginPath();
+        context.moveTo(plot.left, y(score));
+        context.lineTo(plot.left + plot.width, y(score));
+        context.stroke();
+        context.fillText(scoreLabel(score), plot.left - 8, y(score));
+    }
+
+    // First and last dates
+    const dateLabel = time => new Date(time).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+    context.textBaseline = 'alphabetic';
+    context.textAlign = 'left';
+    context.fillText(dateLabel(firstTime), plot.left, CHART_HEIGHT - 8);
+    context.textAlign = 'right';
+    context.fillText(dateLabel(times[times.length - 1]), plot.left + plot.width, CHART_HEIGHT - 8);
+
+    // LP line
+    context.strokeStyle = CHART_COLORS.line;
+    context.lineWidth = 2;
+    context.beginPath();
+    snapshots.forEach((snapshot, index) => {
+        const method = index === 0 ? 'moveTo' : 'lineTo';
+        context[method](x(times[index]), y(scores[index]));
+    });
+    context.stroke();
+
+    context.fillStyle = CHART_COLORS.line;
+    snapshots.forEach((snapshot, index) => {
+        context.beginPath();
+        context.arc(x(times[index]), y(scores[index]), 2.5, 0, Math.PI * 2);
+        context.fill();
+    });
+
+    // Promotions point up above the line, demotions down below it
+    changes.forEach(({ index, type }) => {
+        const pointX = x(times[index]);
+        const pointY = y(scores[index]);
+        const promotion = type === 'promotion';
+        const tipY = promotion ? pointY - 8 : pointY + 8;
+        const baseY = promotion ? tipY - 8 : tipY + 8;
+
+        context.fillStyle = promotion ? CHART_COLORS.promotion : CHART_COLORS.demotion;
+        context.beginPath();
+        context.moveTo(pointX, tipY);
+        context.lineTo(pointX - 6, baseY);
+        context.lineTo(pointX + 6, baseY);
+        context.closePath();
+        context.fill();
+    });
+}
+
+// { "puuid:queueType": [snapshot, ...] }, oldest snapshot first and least recently updated key first
+function getRankHistory() {
+    const stored = localStorage.getItem(STORAGE_KEYS.rankHistory);
+    return stored ? JSON.parse(stored) : {};
+}
+
+function saveRankHistory(history) {
+    const keys = Object.keys(history);
+    const kept = Object.fromEntries(keys.slice(-TRACKED_HISTORIES).map(key => [key, history[key]]));
+    localStorage.setItem(STORAGE_KEYS.rankHistory, JSON.stringify(kept));
+}
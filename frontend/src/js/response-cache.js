@@ -0,0 +1,148 @@
+import { logger } from './logger.js';
+
+// Tiered API response cache
+// Memory first, IndexedDB behind it so profiles survive reloads. Entries past their TTL are
+// still served immediately while a background request refreshes them (stale-while-revalidate),
+// and identical in-flight requests share one promise.
+export const ResponseCache = (() => {
+    const DB_NAME = 'rift-rewind-cache';
+    const STORE_NAME = 'responses';
+    const MEMORY_LIMIT = 200; // Entries kept in memory, least recently used evicted first
+    const MAX_AGE = 30 * 24 * 3600000; // Entries older than this are dropped from IndexedDB on startup
+
+    const memory = new Map();
+    const inFlight = new Map();
+    let dbPromise = null;
+
+    function openDatabase() {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve) => {
+                if (!window.indexedDB) {
+                    resolve(null);
+                    return;
+                }
+
+                const request = indexedDB.open(DB_NAME, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+                request.onsuccess = () => {
+                    pruneExpired(request.result);
+                    resolve(request.result);
+                };
+                // Private browsing can refuse IndexedDB - fall back to memory only
+                request.onerror = () => resolve(null);
+            });
+        }
+        return dbPromise;
+    }
+
+    function runTransaction(db, mode, operation) {
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const request = operation(transaction.objectStore(STORE_NAME));
+            transaction.oncomplete = () => resolve(request && request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    function pruneExpired(db) {
+        const now = Date.now();
+        const transaction = db.transaction(STORE_NAME, 'readwrite');
+        transaction.objectStore(STORE_NAME).openCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+            if (now - cursor.value.timestamp > MAX_AGE) {
+                cursor.delete();
+            }
+            cursor.continue();
+        };
+    }
+
+    function remember(key, entry) {
+        memory.delete(key);
+        memory.set(key, entry);
+        if (memory.size > MEMORY_LIMIT) {
+            memory.delete(memory.keys().next().value);
+        }
+    }
+
+    async function read(key) {
+        if (memory.has(key)) {
+            const entry = memory.get(key);
+            remember(key, entry);
+            return entry;
+        }
+
+        const db = await openDatabase();
+        if (!db) return null;
+
+        try {
+            const entry = await runTransaction(db, 'readonly', store => store.get(key));
+            if (entry) remember(key, entry);
+            return entry || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async function write(key, entry) {
+        remember(key, entry);
+
+        const db = await openDatabase();
+        if (!db) return;
+
+        try {
+            await runTransaction(db, 'readwrite', store => store.put(entry, key));
+        } catch (error) {
+            logger.warn('Could not persist cached response', error);
+        }
+    }
+
+    // Fetch once per key at a time; every caller asking meanwhile gets the same promise
+    function fetchAndStore(key, fetcher) {
+        if (!inFlight.has(key)) {
+            const request = fetcher()
+                .then(async (data) => {
+                    await write(key, { data, timestamp: Date.now() });
+                    return data;
+                })
+                .finally(() => inFlight.delete(key));
+            inFlight.set(key, request);
+        }
+        return inFlight.get(key);
+    }
+
+    return {
+        // Returns cached data when fresh, stale data plus a background refresh (reported via
+        // onUpdate) when expired, and otherwise waits for the fetcher. forceRefresh skips the cache.
+        // onFresh gets the data once it's within its TTL: fetched, cached or background-refreshed.
+        async get(key, ttl, fetcher, { forceRefresh = false, onUpdate, onFresh } = {}) {
+            const entry = forceRefresh ? null : await read(key);
+
+            if (!entry) {
+                const data = await fetchAndStore(key, fetcher);
+                if (onFresh) onFresh(data);
+                return data;
+            }
+
+            if (Date.now() - entry.timestamp < ttl) {
+                if (onFresh) onFresh(entry.data);
+                return entry.data;
+            }
+
+            fetchAndStore(key, fetcher)
+                .then((data) => {
+                    if (onFresh) onFresh(data);
+                    if (onUpdate && JSON.stringify(data) !== JSON.stringify(entry.data)) {
+                        onUpdate(data);
+                    }
+                })
+                .catch((error) => {
+                    if (error.name !== 'AbortError') {
+                        logger.warn('Background refresh failed', error);
+                    }
+                });
+
+            return entry.data;
+        }
+    };
+})();
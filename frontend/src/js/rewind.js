@@ -0,0 +1,641 @@
+import { REQUEST_PRIORITY, fetchAccountData, fetchMatchData, fetchMatchIds } from './api.js';
+import { STORAGE_KEYS } from './config.js';
+import { html } from './html.js';
+import { logger } from './logger.js';
+import { profilePath, rewindPath } from './router.js';
+import { StaticData } from './static-data.js';
+import { elements, showNotification } from './ui.js';
+
+// Season Rewind
+// A year-in-review built from match-v5. The walk lists the range's match IDs, then fetches the
+// games oldest first at background priority, so the request queue paces it within the rate
+// limits, and folds each into a running recap saved after every batch (STORAGE_KEYS.rewind).
+// Leaving the page stops the walk and opening it again resumes; a finished recap only fetches
+// games played since it was last run.
+const DAY = 24 * 3600000;
+const MATCH_ID_PAGE = 100; // match-v5 maximum
+const MATCH_BATCH = 5; // Games fetched together before the recap is saved
+const SAVED_RECAPS = 5; // Recaps kept on this device, most recently updated
+const FIRST_SEASON = 2022; // Match lists only carry timestamps from mid-2021
+const TOP_CHAMPIONS = 5;
+const TOP_DUOS = 3;
+const DUO_MIN_GAMES = 2;
+const DUO_PRUNE_AFTER = 50; // Games after which a one-off teammate is forgotten
+
+const ROLE_NAMES = {
+    TOP: 'Top',
+    JUNGLE: 'Jungle',
+    MIDDLE: 'Mid',
+    BOTTOM: 'Bot',
+    UTILITY: 'Support'
+};
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const rewindState = {
+    riotId: null,
+    region: null,
+    range: null,
+    account: null,
+    recap: null,
+    status: 'idle', // loading, listing, fetching, paused, error or done
+    error: null,
+    customRange: false,
+    card: 0
+};
+
+// Bumped by every new walk and by pausing; a walk stops once it's no longer the latest
+let rewindRunId = 0;
+
+function recapKey(puuid, range) {
+    return `${puuid}:${range.season ? `season-${range.season}` : `${range.from}_${range.to}`}`;
+}
+
+// Seasons are calendar years in UTC; custom ranges include both end dates
+export function rangeLabel(range) {
+    if (range.season) return `Season ${range.season}`;
+    return `${formatDate(Date.parse(range.from))} – ${formatDate(Date.parse(range.to))}`;
+}
+
+// Epoch seconds, as match-v5 takes them
+function rangeBounds(range) {
+    const start = range.season ? Date.UTC(range.season, 0, 1) : Date.parse(range.from);
+    const end = range.season ? Date.UTC(range.season + 1, 0, 1) : Date.parse(range.to) + DAY;
+    return { startTime: start / 1000, endTime: end / 1000 - 1 };
+}
+
+function formatDate(timestamp) {
+    return new Date(timestamp).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+}
+
+function createRecap(puuid, region, range) {
+    return {
+        key: recapKey(puuid, range),
+        puuid,
+        region,
+        range,
+        matchIds: [], // Newest first; the last `processed` of them are in the stats
+        processed: 0,
+        stats: {
+            games: 0,
+            wins: 0,
+            remakes: 0,
+            timePlayed: 0,
+            champions: {},
+            roles: {},
+            months: {},
+            hours: new Array(24).fill(0),
+            weekdays: new Array(7).fill(0),
+            streak: { win: null, length: 0 },
+            longestWinStreak: 0,
+            longestLossStreak: 0,
+            bestGame: null,
+            duos: {}
+        }
+    };
+}
+
+function kdaRatio({ kills, deaths, assists }) {
+    return (kills + assists) / Math.max(deaths, 1);
+}
+
+function tally(totals, key, player) {
+    const entry = totals[key] || (totals[key] = { games: 0, wins: 0, kills: 0, deaths: 0, assists: 0 });
+    entry.games++;
+    if (player.win) entry.wins++;
+    entry.kills += player.kills;
+    entry.deaths += player.deaths;
+    entry.assists += player.assists;
+}
+
+// Folds one game into the stats. Games must arrive oldest first for the streaks; remakes only
+// count as remakes. Hours, weekdays and months are in the viewer's local time.
+export function addMatchToRecap(stats, match, puuid) {
+    const { info, metadata } = match;
+    const player = info.participants.find(participant => participant.puuid === puuid);
+    if (!player) return stats;
+    if (player.gameEndedInEarlySurrender) {
+        stats.remakes++;
+        return stats;
+    }
+
+    const played = new Date(info.gameCreation);
+    stats.games++;
+    if (player.win) stats.wins++;
+    stats.timePlayed += info.gameDuration;
+
+    tally(stats.champions, player.championId, player);
+    stats.champions[player.championId].name = player.championName;
+    if (ROLE_NAMES[player.teamPosition]) tally(stats.roles, player.teamPosition, player);
+    tally(stats.months, `${played.getFullYear()}-${String(played.getMonth() + 1).padStart(2, '0')}`, player);
+    stats.hours[played.getHours()]++;
+    stats.weekdays[played.getDay()]++;
+
+    stats.streak = stats.streak.win === player.win
+        ? { win: player.win, length: stats.streak.length + 1 }
+        : { win: player.win, length: 1 };
+    if (player.win) {
+        stats.longestWinStreak = Math.max(stats.longestWinStreak, stats.streak.length);
+    } else {
+        stats.longestLossStreak = Math.max(stats.longestLossStreak, stats.streak.length);
+    }
+
+    // Best game by KDA, more kills breaking ties
+    const score = kdaRatio(player);
+    const best = stats.bestGame;
+    if (!best || score > best.score || (score === best.score && player.kills > best.kills)) {
+        const { championId, championName, kills, deaths, assists, win } = player;
+        stats.bestGame = {
+            matchId: metadata.matchId,
+            championId,
+            championName,
+            kills,
+            deaths,
+            assists,
+            win,
+            timestamp: info.gameCreation,
+            score
+        };
+    }
+
+    info.participants
+        .filter(participant => participant.teamId === player.teamId && participant.puuid !== puuid)
+        .forEach(teammate => {
+            const duo = stats.duos[teammate.puuid] || (stats.duos[teammate.puuid] = { games: 0, wins: 0 });
+            duo.name = teammate.riotIdGameName || teammate.summonerName;
+            duo.tagLine = teammate.riotIdTagline || '';
+            duo.games++;
+            if (player.win) duo.wins++;
+            duo.lastGame = stats.games;
+        });
+
+    return stats;
+}
+
+// Solo queue fills the duo list with strangers; drop the ones not seen again for a while
+function pruneDuos(stats) {
+    Object.entries(stats.duos).forEach(([puuid, duo]) => {
+        if (duo.games === 1 && stats.games - duo.lastGame > DUO_PRUNE_AFTER) {
+            delete stats.duos[puuid];
+        }
+    });
+}
+
+export async function loadRewind(riotId, region, range) {
+    const runId = ++rewindRunId;
+    Object.assign(rewindState, {
+        riotId,
+        region,
+        range,
+        account: null,
+        recap: null,
+        status: 'loading',
+        error: null,
+        customRange: Boolean(range.from),
+        card: 0
+    });
+    renderRewind();
+
+    try {
+        // Icon lookups need champion data; resolves immediately once loaded
+        await StaticData.load();
+        const account = await fetchAccountData(riotId.gameName, riotId.tagLine, region);
+        if (runId !== rewindRunId) return;
+
+        rewindState.account = account;
+        rewindState.recap = getRecaps()[recapKey(account.puuid, range)] || createRecap(account.puuid, region, range);
+    } catch (error) {
+        if (error.name === 'AbortError' || runId !== rewindRunId) return;
+        Object.assign(rewindState, { status: 'error', error });
+        renderRewind();
+        return;
+    }
+
+    await walkMatches(runId);
+}
+
+async function walkMatches(runId) {
+    const { recap } = rewindState;
+    const isCurrent = () => runId === rewindRunId;
+
+    try {
+        rewindState.status = 'listing';
+        renderRewind();
+        const newMatchIds = await listNewMatchIds(recap);
+        if (!isCurrent()) return;
+
+        if (newMatchIds.length > 0) {
+            recap.matchIds = [...newMatchIds, ...recap.matchIds];
+            saveRecap(recap);
+        }
+
+        rewindState.status = 'fetching';
+        renderRewind();
+        while (recap.processed < recap.matchIds.length) {
+            // The oldest games not yet in the stats, oldest first
+            const batch = recap.matchIds.slice(0, recap.matchIds.length - recap.processed).slice(-MATCH_BATCH).reverse();
+            const matches = await Promise.all(batch.map(matchId => fetchMatchData(matchId, recap.region, {
+                priority: REQUEST_PRIORITY.background
+            })));
+            // Paused or replaced; the fetched games are cached for the next walk
+            if (!isCurrent()) return;
+
+            matches.forEach(match => addMatchToRecap(recap.stats, match, recap.puuid));
+            recap.processed += batch.length;
+            pruneDuos(recap.stats);
+            saveRecap(recap);
+            renderRewind();
+        }
+
+        rewindState.status = 'done';
+        renderRewind();
+    } catch (error) {
+        if (error.name === 'AbortError' || !isCurrent()) return;
+        logger.error('Rewind error', error);
+        Object.assign(rewindState, { status: 'error', error });
+        renderRewind();
+    }
+}
+
+// Match IDs in the range played since the newest one already listed, newest first
+async function listNewMatchIds(recap) {
+    const newest = recap.matchIds[0];
+    const matchIds = [];
+
+    for (let start = 0; ; start += MATCH_ID_PAGE) {
+        const page = await fetchMatchIds(recap.puuid, recap.region, start, MATCH_ID_PAGE, {
+            query: rangeBounds(recap.range),
+            priority: REQUEST_PRIORITY.background
+        });
+        const knownIndex = page.indexOf(newest);
+        if (knownIndex !== -1) return [...matchIds, ...page.slice(0, knownIndex)];
+
+        matchIds.push(...page);
+        if (page.length < MATCH_ID_PAGE) return matchIds;
+    }
+}
+
+// Returns the path to navigate to when the season or date range changes
+export function handleRewindChange(e) {
+    const seasonSelect = e.target.closest('[data-rewind-season]');
+    if (!seasonSelect) return null;
+
+    if (seasonSelect.value === 'custom') {
+        rewindState.customRange = true;
+        renderRewind();
+        return null;
+    }
+    return rewindPath(rewindState.region, rewindState.riotId, { season: Number(seasonSelect.value) });
+}
+
+// Pause/resume, story steps and the custom range form. Returns a path to navigate to, if any.
+export function handleRewindClick(e) {
+    if (e.target.closest('[data-rewind-apply]')) {
+        const from = elements.rewindView.querySelector('[data-rewind-from]').value;
+        const to = elements.rewindView.querySelector('[data-rewind-to]').value;
+        if (!from || !to || from > to) {
+            showNotification('Pick a start date on or before the end date', 'error');
+            return null;
+        }
+        return rewindPath(rewindState.region, rewindState.riotId, { from, to });
+    }
+
+    const action = e.target.closest('[data-rewind-action]');
+    if (action) {
+        if (action.dataset.rewindAction === 'pause' && rewindState.status === 'fetching') {
+            rewindRunId++;
+            rewindState.status = 'paused';
+            renderRewind();
+        } else if (action.dataset.rewindAction === 'resume' && rewindState.recap) {
+            walkMatches(++rewindRunId);
+        }
+        return null;
+    }
+
+    const step = e.target.closest('[data-rewind-step]');
+    if (step) {
+        showCard(rewindState.card + Number(step.dataset.rewindStep));
+    } else if (e.target.closest('[data-rewind-replay]')) {
+        showCard(0);
+    }
+    return null;
+}
+
+export function handleRewindKeydown(e) {
+    if (!e.target.closest('.rewind-story')) return;
+
+    if (e.key === 'ArrowRight' || e.key === 'ArrowLeft') {
+        e.preventDefault();
+        showCard(rewindState.card + (e.key === 'ArrowRight' ? 1 : -1));
+    }
+}
+
+// Each card's segment in the progress strip fills over a few seconds (CSS), then the story moves on
+export function handleRewindAnimationEnd(e) {
+    if (!e.target.closest('.rewind-segment.active')) return;
+
+    const cards = storyCards();
+    if (rewindState.card < cards.length - 1) showCard(rewindState.card + 1);
+}
+
+function showCard(index) {
+    const cards = storyCards();
+    const story = elements.rewindView.querySelector('.rewind-story');
+    if (!story || cards.length === 0) return;
+
+    rewindState.card = Math.min(Math.max(index, 0), cards.length - 1);
+    story.innerHTML = renderStory(cards);
+}
+
+function renderRewind() {
+    const { account, riotId, region, range, recap, status } = rewindState;
+    const name = account || riotId;
+
+    elements.rewindView.innerHTML = html`
+        <div class="rewind-header">
+            <a href="${profilePath(region, name)}" class="rewind-player" data-route>
+                ${name.gameName}<span class="player-tag">#${name.tagLine}</span>
+            </a>
+            ${renderRangeControls(range)}
+        </div>
+        ${renderProgress(status, recap)}
+        ${status === 'done' && recap.stats.games > 0 ? html`
+            <div class="rewind-story" tabindex="0" aria-roledescription="story" aria-label="${rangeLabel(range)} recap">
+                ${renderStory(storyCards())}
+            </div>
+        ` : ''}
+    `;
+}
+
+function renderRangeControls(range) {
+    const seasons = [];
+    for (let season = new Date().getFullYear(); season >= FIRST_SEASON; season--) seasons.push(season);
+    const custom = rewindState.customRange;
+    const bounds = rangeBounds(range);
+    const from = range.from || new Date(bounds.startTime * 1000).toISOString().slice(0, 10);
+    const to = range.to || new Date(bounds.endTime * 1000).toISOString().slice(0, 10);
+
+    return html`
+        <div class="rewind-controls">
+            <select class="rewind-season" data-rewind-season aria-label="Season">
+                ${seasons.map(season => html`
+                    <option value="${season}" ${!custom && season === range.season ? 'selected' : ''}>Season ${season}</option>
+                `)}
+                <option value="custom" ${custom ? 'selected' : ''}>Custom range</option>
+            </select>
+            ${custom ? html`
+                <input type="date" class="rewind-date" data-rewind-from value="${from}" aria-label="From">
+                <input type="date" class="rewind-date" data-rewind-to value="${to}" aria-label="To">
+                <button class="rewind-apply" data-rewind-apply>Rewind</button>
+            ` : ''}
+        </div>
+    `;
+}
+
+function renderProgress(status, recap) {
+    const label = rangeLabel(rewindState.range);
+    if (status === 'loading') return html`<p class="rewind-status">Finding player...</p>`;
+    if (status === 'error' && !recap) return html`<p class="rewind-status error">${rewindState.error.message}</p>`;
+    if (status === 'listing') return html`<p class="rewind-status">Finding games from ${label}...</p>`;
+    if (status === 'done') {
+        return recap.stats.games > 0 ? '' : html`<p class="rewind-status">No games found in ${label}</p>`;
+    }
+
+    const total = recap.matchIds.length;
+    const messages = {
+        fetching: `Rewinding ${label}: ${recap.processed} of ${total} games`,
+        paused: `Paused at ${recap.processed} of ${total} games`,
+        error: `Stopped at ${recap.processed} of ${total} games: ${rewindState.error && rewindState.error.message}`
+    };
+    return html`
+        <div class="rewind-progress">
+            <p class="rewind-status ${status === 'error' ? 'error' : ''}">${messages[status]}</p>
+            <div class="rewind-progress-bar"><div class="rewind-progress-fill" style="width: ${total > 0 ? Math.round((recap.processed / total) * 100) : 0}%"></div></div>
+            <p class="rewind-note">Games load at Riot's rate limit. You can leave and pick up where you left off.</p>
+            ${status === 'fetching'
+                ? html`<button class="rewind-action" data-rewind-action="pause">Pause</button>`
+                : html`<button class="rewind-action" data-rewind-action="resume">Resume</button>`}
+        </div>
+    `;
+}
+
+function renderStory(cards) {
+    const { card } = rewindState;
+    const { id, content } = cards[card];
+
+    return html`
+        <div class="rewind-segments">
+            ${cards.map((_, index) => html`
+                <span class="rewind-segment ${index < card ? 'seen' : ''} ${index === card ? 'active' : ''}"><span class="rewind-segment-fill"></span></span>
+            `)}
+        </div>
+        <article class="rewind-card rewind-card-${id}" aria-live="polite">${content}</article>
+        <button class="rewind-nav prev" data-rewind-step="-1" aria-label="Previous card" ${card === 0 ? 'disabled' : ''}>‹</button>
+        <button class="rewind-nav next" data-rewind-step="1" aria-label="Next card" ${card === cards.length - 1 ? 'disabled' : ''}>›</button>
+    `;
+}
+
+// Story cards for the finished recap; cards without data are left out
+function storyCards() {
+    const { stats } = rewindState.recap;
+    const label = rangeLabel(rewindState.range);
+
+    return [
+        { id: 'intro', content: introCard(stats, label) },
+        { id: 'champions', content: championsCard(stats) },
+        { id: 'roles', content: rolesCard(stats) },
+        { id: 'kda', content: kdaCard(stats) },
+        { id: 'streaks', content: streaksCard(stats) },
+        { id: 'best-game', content: bestGameCard(stats) },
+        { id: 'schedule', content: scheduleCard(stats) },
+        { id: 'duos', content: duosCard(stats) },
+        { id: 'outro', content: outroCard(stats, label) }
+    ].filter(card => card.content);
+}
+
+function plural(count, word) {
+    return `${count.toLocaleString()} ${word}${count === 1 ? '' : 's'}`;
+}
+
+function winRate({ wins, games }) {
+    return `${Math.round((wins / games) * 100)}%`;
+}
+
+// Entries reveal one after another; --order sets each one's delay
+function reveal(order, content, className = '') {
+    return html`<div class="rewind-reveal ${className}" style="--order: ${order}">${content}</div>`;
+}
+
+function introCard(stats, label) {
+    return html`
+        <p class="rewind-kicker">${label} Rewind</p>
+        ${reveal(1, html`<h3 class="rewind-headline">${plural(stats.games, 'game')}</h3>`)}
+        ${reveal(2, html`<p class="rewind-line">${plural(Math.round(stats.timePlayed / 3600), 'hour')} on the Rift</p>`)}
+        ${reveal(3, html`<p class="rewind-line">${winRate(stats)} win rate · ${stats.wins}W ${stats.games - stats.wins}L</p>`)}
+    `;
+}
+
+function championsCard(stats) {
+    const champions = Object.entries(stats.champions)
+        .sort(([, a], [, b]) => b.games - a.games || b.wins - a.wins)
+        .slice(0, TOP_CHAMPIONS);
+    const [topId, top] = champions[0];
+
+    return html`
+        <p class="rewind-kicker">Your champions</p>
+        <h3 class="rewind-headline">${championName(topId, top)}</h3>
+        <ol class="rewind-list">
+            ${champions.map(([championId, champion], index) => reveal(index + 1, html`
+                <img src="${StaticData.championIconUrl(championId)}" alt="" class="rewind-icon">
+                <span class="rewind-name">${championName(championId, champion)}</span>
+                <span class="rewind-value">${plural(champion.games, 'game')} · ${winRate(champion)} · ${kdaRatio(champion).toFixed(2)} KDA</span>
+            `, 'rewind-list-item'))}
+        </ol>
+    `;
+}
+
+function championName(championId, { name }) {
+    const champion = StaticData.getChampion(championId);
+    return champion ? champion.name : name;
+}
+
+function rolesCard(stats) {
+    const roles = Object.keys(ROLE_NAMES).filter(role => stats.roles[role]);
+    if (roles.length === 0) return '';
+
+    const main = roles.reduce((a, b) => (stats.roles[b].games > stats.roles[a].games ? b : a));
+    return html`
+        <p class="rewind-kicker">Your roles</p>
+        <h3 class="rewind-headline">${ROLE_NAMES[main]} main</h3>
+        <ul class="rewind-list">
+            ${roles.map((role, index) => reveal(index + 1, html`
+                <span class="rewind-name">${ROLE_NAMES[role]}</span>
+                <span class="rewind-meter"><span class="rewind-meter-fill" style="width: ${winRate(stats.roles[role])}"></span></span>
+                <span class="rewind-value">${winRate(stats.roles[role])} in ${plural(stats.roles[role].games, 'game')}</span>
+            `, 'rewind-list-item'))}
+        </ul>
+    `;
+}
+
+// KDA per month as growing bars
+function kdaCard(stats) {
+    const months = Object.keys(stats.months).sort();
+    const ratios = months.map(month => kdaRatio(stats.months[month]));
+    const highest = Math.max(...ratios);
+    const spansYears = months[0].slice(0, 4) !== months[months.length - 1].slice(0, 4);
+
+    return html`
+        <p class="rewind-kicker">KDA by month</p>
+        <h3 class="rewind-headline">${kdaRatio(totals(stats.months)).toFixed(2)} KDA</h3>
+        <div class="rewind-bars">
+            ${months.map((month, index) => {
+                const [year, monthIndex] = month.split('-').map(Number);
+                const label = new Date(year, monthIndex - 1).toLocaleDateString('en-US', spansYears
+                    ? { month: 'short', year: '2-digit' }
+                    : { month: 'short' });
+                return html`
+                    <div class="rewind-bar" title="${label}: ${ratios[index].toFixed(2)} KDA in ${plural(stats.months[month].games, 'game')}">
+                        <span class="rewind-bar-value">${ratios[index].toFixed(1)}</span>
+                        <span class="rewind-bar-fill" style="height: ${Math.round((ratios[index] / highest) * 100)}%; --order: ${index}"></span>
+                        <span class="rewind-bar-label">${label}</span>
+                    </div>
+                `;
+            })}
+        </div>
+    `;
+}
+
+function totals(entries) {
+    return Object.values(entries).reduce((sum, entry) => ({
+        kills: sum.kills + entry.kills,
+        deaths: sum.deaths + entry.deaths,
+        assists: sum.assists + entry.assists
+    }), { kills: 0, deaths: 0, assists: 0 });
+}
+
+function streaksCard(stats) {
+    return html`
+        <p class="rewind-kicker">Streaks</p>
+        ${reveal(1, html`<h3 class="rewind-headline win">${plural(stats.longestWinStreak, 'win')} in a row</h3>`)}
+        ${reveal(2, html`<p class="rewind-line loss">Longest losing streak: ${plural(stats.longestLossStreak, 'game')}</p>`)}
+    `;
+}
+
+function bestGameCard({ bestGame }) {
+    const { championId, championName: name, kills, deaths, assists, win, timestamp, score } = bestGame;
+    return html`
+        <p class="rewind-kicker">Best game</p>
+        ${reveal(1, html`<img src="${StaticData.championIconUrl(championId)}" alt="" class="rewind-champion">`)}
+        ${reveal(2, html`<h3 class="rewind-headline">${kills} / ${deaths} / ${assists}</h3>`)}
+        ${reveal(3, html`<p class="rewind-line">${championName(championId, { name })} · ${score.toFixed(2)} KDA · ${win ? 'Victory' : 'Defeat'}</p>`)}
+        ${reveal(4, html`<p class="rewind-meta">${new Date(timestamp).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' })}</p>`)}
+    `;
+}
+
+// Games by hour of day and weekday
+function scheduleCard(stats) {
+    const busiest = counts => counts.indexOf(Math.max(...counts));
+    const hour = new Date(2000, 0, 1, busiest(stats.hours)).toLocaleTimeString('en-US', { hour: 'numeric' });
+    const chart = (counts, labels) => {
+        const highest = Math.max(...counts);
+        return html`
+            <div class="rewind-bars compact">
+                ${counts.map((count, index) => html`
+                    <div class="rewind-bar" title="${labels[index]}: ${plural(count, 'game')}">
+                        <span class="rewind-bar-fill" style="height: ${Math.round((count / highest) * 100)}%; --order: ${index}"></span>
+                        <span class="rewind-bar-label">${labels[index].slice(0, 3)}</span>
+                    </div>
+                `)}
+            </div>
+        `;
+    };
+
+    return html`
+        <p class="rewind-kicker">When you play</p>
+        <h3 class="rewind-headline">${WEEKDAYS[busiest(stats.weekdays)]}s around ${hour}</h3>
+        ${chart(stats.weekdays, WEEKDAYS)}
+        ${chart(stats.hours, stats.hours.map((_, index) => (index % 6 === 0 ? `${index}h` : '')))}
+    `;
+}
+
+function duosCard(stats) {
+    const duos = Object.values(stats.duos)
+        .filter(duo => duo.games >= DUO_MIN_GAMES)
+        .sort((a, b) => b.games - a.games || b.wins - a.wins)
+        .slice(0, TOP_DUOS);
+    if (duos.length === 0) return '';
+
+    return html`
+        <p class="rewind-kicker">Your duos</p>
+        <h3 class="rewind-headline">${duos[0].name}</h3>
+        <ol class="rewind-list">
+            ${duos.map((duo, index) => reveal(index + 1, html`
+                <span class="rewind-name">${duo.name}<span class="player-tag">#${duo.tagLine}</span></span>
+                <span class="rewind-value">${plural(duo.games, 'game')} together · ${winRate(duo)}</span>
+            `, 'rewind-list-item'))}
+        </ol>
+    `;
+}
+
+function outroCard(stats, label) {
+    const champions = Object.keys(stats.champions).length;
+    return html`
+        <p class="rewind-kicker">That was ${label}</p>
+        ${reveal(1, html`<h3 class="rewind-headline">${plural(champions, 'champion')}, ${plural(stats.games, 'game')}</h3>`)}
+        ${reveal(2, html`<button class="rewind-replay" data-rewind-replay>Watch again</button>`)}
+    `;
+}
+
+// { "puuid:range": recap }, least recently updated first
+function getRecaps() {
+    const stored = localStorage.getItem(STORAGE_KEYS.rewind);
+    return stored ? JSON.parse(stored) : {};
+}
+
+function saveRecap(recap) {
+    const recaps = getRecaps();
+    // Re-inserted so keys stay in update order for pruning
+    delete recaps[recap.key];
+    recaps[recap.key] = recap;
+    const kept = Object.keys(recaps).slice(-SAVED_RECAPS);
+    localStorage.setItem(STORAGE_KEYS.rewind, JSON.stringify(Object.fromEntries(kept.map(key => [key, recaps[key]]))));
+}
@@ -0,0 +1,216 @@
+import { REGIONAL_ROUTING } from './config.js';
+
+// Client-side routing (History API)
+//   /                                    search
+//   /na1/Name-TAG                        profile (the tag follows the last "-", which Riot IDs can't contain)
+//   /na1/Name-TAG/rewind?season=2024     season recap (or ?from=2024-01-01&to=2024-06-30)
+//   /na1/Name-TAG/champion/Ahri          champion deep-dive (Data Dragon champion ID)
+//   /leaderboard?queue=flex&region=euw1  leaderboard filters (&rank=challenges ranks by challenge points)
+//   /compare?players=na1/A-NA1,kr/B-KR1  player comparison
+//   /multi/kr?players=A-KR1,B-KR1        multi-search team overview
+// Production serves index.html for extensionless paths (SpaRewriteFunction, Amplify custom
+// rules) and `npm run dev` does the same, so any of these can be opened directly.
+const LEADERBOARD_PATH = '/leaderboard';
+const COMPARE_PATH = '/compare';
+const REWIND_SEGMENT = 'rewind';
+const CHAMPION_SEGMENT = 'champion';
+const MULTI_SEGMENT = 'multi';
+
+// Leaderboard queues as they appear in URLs
+const QUEUE_SLUGS = {
+    solo: 'RANKED_SOLO_5x5',
+    flex: 'RANKED_FLEX_SR'
+};
+// Leaderboard rankings other than the default, by rank score
+const LEADERBOARD_RANKINGS = ['challenges'];
+
+let routeHandler = null;
+
+// Turns a location into { view: 'home' | 'profile' | 'rewind' | 'champion' | 'leaderboard' | 'compare' | 'multi', ... }.
+// Unknown paths, regions and queues fall back to the home view or the defaults.
+export function parseRoute(location = window.location) {
+    const segments = location.pathname.split('/').filter(Boolean).map(safeDecode);
+
+    if (segments.length === 1 && `/${segments[0]}` === LEADERBOARD_PATH) {
+        const params = new URLSearchParams(location.search);
+        const region = params.get('region');
+        return {
+            view: 'leaderboard',
+            queue: QUEUE_SLUGS[params.get('queue')] || QUEUE_SLUGS.solo,
+            region: REGIONAL_ROUTING[region] ? region : 'all',
+            ranking: LEADERBOARD_RANKINGS.includes(params.get('rank')) ? params.get('rank') : 'score'
+        };
+    }
+
+    if (segments.length === 1 && `/${segments[0]}` === COMPARE_PATH) {
+        // Split before decoding so encoded commas and slashes stay inside names
+        const list = location.search.slice(1).split('&').find(param => param.startsWith('players=')) || '';
+        const players = list.slice('players='.length)
+            .split(',')
+            .map(player => parsePlayer(...player.split('/').map(safeDecode)))
+            .filter(Boolean);
+        if (players.length > 0) {
+            return { view: 'compare', players };
+        }
+    }
+
+    if (segments.length === 2 && segments[0] === MULTI_SEGMENT) {
+        const list = location.search.slice(1).split('&').find(param => param.startsWith('players=')) || '';
+        const players = list.slice('players='.length)
+            .split(',')
+            .map(player => parsePlayer(segments[1], safeDecode(player)))
+            .filter(Boolean);
+        if (players.length > 0) {
+            return { view: 'multi', region: players[0].region, riotIds: players.map(({ riotId }) => riotId) };
+        }
+    }
+
+    if (segments.length === 2) {
+        const player = parsePlayer(...segments);
+        if (player) {
+            return { view: 'profile', region: player.region, riotId: player.riotId };
+        }
+    }
+
+    if (segments.length === 3 && segments[2] === REWIND_SEGMENT) {
+        const player = parsePlayer(segments[0], segments[1]);
+        if (player) {
+            return { view: 'rewind', region: player.region, riotId: player.riotId, range: parseRewindRange(location.search) };
+        }
+    }
+
+    if (segments.length === 4 && segments[2] === CHAMPION_SEGMENT && segments[3]) {
+        const player = parsePlayer(segments[0], segments[1]);
+        if (player) {
+            return { view: 'champion', region: player.region, riotId: player.riotId, champion: segments[3] };
+        }
+    }
+
+    return { view: 'home' };
+}
+
+// ?season=2024 or ?from=2024-01-01&to=2024-06-30 (inclusive); anything else is the current season
+function parseRewindRange(search) {
+    const params = new URLSearchParams(search);
+    const from = params.get('from');
+    const to = params.get('to');
+    if (isDate(from) && isDate(to) && from <= to) {
+        return { from, to };
+    }
+
+    const season = Number(params.get('season'));
+    return { season: Number.isInteger(season) && season > 2000 ? season : new Date().getFullYear() };
+}
+
+function isDate(value) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !Number.isNaN(Date.parse(value));
+}
+
+// "na1", "Name-TAG" to { region, riotId }, or null
+function parsePlayer(region = '', nameAndTag = '') {
+    const separator = nameAndTag.lastIndexOf('-');
+    if (!REGIONAL_ROUTING[region.toLowerCase()] || separator <= 0) return null;
+
+    return {
+        region: region.toLowerCase(),
+        riotId: {
+            gameName: nameAndTag.slice(0, separator),
+            tagLine: nameAndTag.slice(separator + 1)
+        }
+    };
+}
+
+function safeDecode(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch (error) {
+        return segment;
+    }
+}
+
+export function profilePath(region, { gameName, tagLine }) {
+    return `/${region}/${encodeURIComponent(`${gameName}-${tagLine}`)}`;
+}
+
+// Ranges are { season } or { from, to }, as in the rewind route; without one the recap is
+// the current season
+export function rewindPath(region, riotId, range) {
+    const path = `${profilePath(region, riotId)}/${REWIND_SEGMENT}`;
+    if (!range) return path;
+    return range.season ? `${path}?season=${range.season}` : `${path}?from=${range.from}&to=${range.to}`;
+}
+
+// champion is the Data Dragon ID ("MonkeyKing"), which stays the same when display names change
+export function championPath(region, riotId, champion) {
+    return `${profilePath(region, riotId)}/${CHAMPION_SEGMENT}/${encodeURIComponent(champion)}`;
+}
+
+// Players are { region, riotId }, as in the compare route
+export function comparePath(players) {
+    const list = players
+        .map(({ region, riotId }) => `${region}/${encodeURIComponent(`${riotId.gameName}-${riotId.tagLine}`)}`)
+        .join(',');
+    return `${COMPARE_PATH}?players=${list}`;
+}
+
+// One region, as a lobby is; riotIds are { gameName, tagLine }
+export function multiPath(region, riotIds) {
+    const list = riotIds.map(({ gameName, tagLine }) => encodeURIComponent(`${gameName}-${tagLine}`)).join(',');
+    return `/${MULTI_SEGMENT}/${region}?players=${list}`;
+}
+
+export function leaderboardPath(queue, region, ranking) {
+    const params = new URLSearchParams();
+    const slug = Object.keys(QUEUE_SLUGS).find(key => QUEUE_SLUGS[key] === queue);
+    if (slug && slug !== 'solo') params.set('queue', slug);
+    if (region && region !== 'all') params.set('region', region);
+    if (LEADERBOARD_RANKINGS.includes(ranking)) params.set('rank', ranking);
+
+    const query = params.toString();
+    return query ? `${LEADERBOARD_PATH}?${query}` : LEADERBOARD_PATH;
+}
+
+// Calls handler(route, { initial }) for the current URL now and after every navigation,
+// including back/forward
+export function startRouter(handler) {
+    routeHandler = handler;
+
+    window.addEventListener('popstate', () => routeHandler(parseRoute(), { initial: false }));
+
+    // Same-origin links marked data-route navigate without a page load
+    document.addEventListener('click', (e) => {
+        const link = e.target.closest('a[data-route]');
+        if (!link || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+        e.preventDefault();
+        navigate(link.getAttribute('href'));
+    });
+
+    routeHandler(parseRoute(), { initial: true });
+}
+
+// Pushes a history entry (or replaces the current one) and shows the route. Navigating to
+// the URL already on screen replaces it, so repeated searches don't stack up history.
+export function navigate(path, { replace = false } = {}) {
+    const current = window.location.pathname + window.location.search;
+    if (replace || path === current) {
+        window.history.replaceState(null, '', path);
+    } else {
+        window.history.pushState(null, '', path);
+    }
+    routeHandler(parseRoute(), { initial: false });
+}
+
+// Title and Open Graph tags for the current view. Link previewers that run scripts pick
+// these up; the defaults in index.html cover the ones that don't.
+export function setPageMeta({ title, description }) {
+    document.title = title;
+    setMetaContent('meta[name="description"]', description);
+    setMetaContent('meta[property="og:title"]', title);
+    setMetaContent('meta[property="og:description"]', description);
+    setMetaContent('meta[property="og:url"]', window.location.href);
+}
+
+function setMetaContent(selector, content) {
+    const meta = document.querySelector(selector);
+    if (meta) meta.setAttribute('content', content);
+}
@@ -0,0 +1,237 @@
+import { REQUEST_PRIORITY, fetchLeagueData } from './api.js';
+import { STORAGE_KEYS } from './config.js';
+import { html } from './html.js';
+import { logger } from './logger.js';
+import { StaticData } from './static-data.js';
+import { elements, regionLabel } from './ui.js';
+
+// Search history and favorites
+// Every successful search is saved to STORAGE_KEYS.searchHistory with the player's icon and
+// rank. The dropdown under the search input offers favorites, then recent searches, filtered
+// as the user types; favorites also make up the "my players" strip under the search form.
+const HISTORY_LIMIT = 20; // Recent searches kept; favorites don't count towards it
+const SUGGESTION_LIMIT = 8;
+
+const suggestionState = {
+    entries: [],
+    active: -1
+};
+
+function entryKey(region, gameName, tagLine) {
+    return `${region}:${gameName}#${tagLine}`.toLowerCase();
+}
+
+export function recordSearch(account, summoner, leagues, region) {
+    const key = entryKey(region, account.gameName, account.tagLine);
+    const history = getSearchHistory();
+    const existing = history.find(entry => entry.key === key);
+
+    const entry = {
+        key,
+        puuid: account.puuid,
+        gameName: account.gameName,
+        tagLine: account.tagLine,
+        region,
+        profileIconId: summoner.profileIconId,
+        rank: summarizeRank(leagues),
+        lastSearched: Date.now(),
+        favorite: existing ? existing.favorite : false
+    };
+
+    saveSearchHistory([entry, ...history.filter(other => other.key !== key)]);
+    renderMyPlayers();
+}
+
+// Solo/Duo rank, or Flex for players only ranked there
+function summarizeRank(leagues) {
+    const league = leagues.find(entry => entry.queueType === 'RANKED_SOLO_5x5')
+        || leagues.find(entry => entry.queueType === 'RANKED_FLEX_SR');
+    if (!league) return null;
+
+    const { queueType, tier, rank, leaguePoints } = league;
+    return { queueType, tier, rank, leaguePoints };
+}
+
+function formatRank(rank) {
+    if (!rank) return 'Unranked';
+    const apex = ['MASTER', 'GRANDMASTER', 'CHALLENGER'].includes(rank.tier);
+    const queue = rank.queueType === 'RANKED_FLEX_SR' ? ' (Flex)' : '';
+    return `${apex ? rank.tier : `${rank.tier} ${rank.rank}`} · ${rank.leaguePoints} LP${queue}`;
+}
+
+function toggleFavorite(key) {
+    const history = getSearchHistory().map(entry => (
+        entry.key === key ? { ...entry, favorite: !entry.favorite } : entry
+    ));
+    saveSearchHistory(history);
+    renderMyPlayers();
+}
+
+// Clears recent searches; favorites stay until they're unpinned
+function clearSearchHistory() {
+    saveSearchHistory(getSearchHistory().filter(entry => entry.favorite));
+    renderMyPlayers();
+}
+
+function getFavorites() {
+    return getSearchHistory().filter(entry => entry.favorite);
+}
+
+// Re-fetches favorites' ranks at background priority so the strip shows current LP
+export async function refreshFavorites() {
+    await Promise.all(getFavorites().map(async (favorite) => {
+        try {
+            const leagues = await fetchLeagueData(favorite.puuid, favorite.region, {
+                priority: REQUEST_PRIORITY.background
+            });
+            const history = getSearchHistory().map(entry => (
+                entry.key === favorite.key ? { ...entry, rank: summarizeRank(leagues) } : entry
+            ));
+            saveSearchHistory(history);
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                logger.warn(`Could not refresh ${favorite.gameName}#${favorite.tagLine}`, error);
+            }
+        }
+    }));
+    renderMyPlayers();
+}
+
+// Suggestions dropdown
+export function showSuggestions() {
+    const query = elements.summonerInput.value.trim().toLowerCase();
+    const matches = getSearchHistory()
+        .filter(entry => `${entry.gameName}#${entry.tagLine}`.toLowerCase().includes(query));
+
+    suggestionState.entries = [
+        ...matches.filter(entry => entry.favorite),
+        ...matches.filter(entry => !entry.favorite)
+    ].slice(0, SUGGESTION_LIMIT);
+    suggestionState.active = -1;
+    renderSuggestions();
+}
+
+export function hideSuggestions() {
+    suggestionState.entries = [];
+    suggestionState.active = -1;
+    elements.searchSuggestions.classList.add('hidden');
+    elements.summonerInput.setAttribute('aria-expanded', 'false');
+}
+
+// Arrow keys move through the suggestions; Enter returns the highlighted entry to search for
+export function handleSuggestionKeydown(e) {
+    const { entries, active } = suggestionState;
+    if (entries.length === 0) return null;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        // Positions cycle through the entries and back to the input (-1)
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        const positions = entries.length + 1;
+        suggestionState.active = (active + 1 + step + positions) % positions - 1;
+        renderSuggestions();
+    } else if (e.key === 'Enter' && active >= 0) {
+        e.preventDefault();
+        hideSuggestions();
+        return entries[active];
+    } else if (e.key === 'Escape' || e.key === 'Tab') {
+        hideSuggestions();
+    }
+    return null;
+}
+
+// Returns the entry to search for when a suggestion is picked
+export function handleSuggestionClick(e) {
+    const favoriteButton = e.target.closest('[data-favorite]');
+    if (favoriteButton) {
+        toggleFavorite(favoriteButton.dataset.favorite);
+        showSuggestions();
+        return null;
+    }
+
+    if (e.target.closest('.clear-history-btn')) {
+        clearSearchHistory();
+        showSuggestions();
+        return null;
+    }
+
+    const suggestion = e.target.closest('[data-key]');
+    if (!suggestion) return null;
+
+    const entry = suggestionState.entries.find(candidate => candidate.key === suggestion.dataset.key);
+    hideSuggestions();
+    return entry || null;
+}
+
+function renderSuggestions() {
+    const { entries, active } = suggestionState;
+    if (entries.length === 0) {
+        hideSuggestions();
+        return;
+    }
+
+    const hasRecent = entries.some(entry => !entry.favorite);
+    elements.searchSuggestions.innerHTML = html`
+        <ul class="suggestion-list" role="listbox">
+            ${entries.map((entry, index) => html`
+                <li class="suggestion${index === active ? ' active' : ''}" role="option" aria-selected="${index === active}" data-key="${entry.key}">
+                    <img src="${StaticData.profileIconUrl(entry.profileIconId)}" alt="" class="suggestion-icon">
+                    <div class="suggestion-details">
+                        <div class="suggestion-name">${entry.gameName}<span class="player-tag">#${entry.tagLine}</span></div>
+                        <div class="suggestion-meta">${regionLabel(entry.region)} · ${formatRank(entry.rank)}</div>
+                    </div>
+                    <button class="favorite-toggle${entry.favorite ? ' active' : ''}" data-favorite="${entry.key}"
+                            title="${entry.favorite ? 'Remove from my players' : 'Add to my players'}">${entry.favorite ? '★' : '☆'}</button>
+                </li>
+            `)}
+        </ul>
+        ${hasRecent ? html`<button class="clear-history-btn">Clear search history</button>` : ''}
+    `;
+    elements.searchSuggestions.classList.remove('hidden');
+    elements.summonerInput.setAttribute('aria-expanded', 'true');
+}
+
+// "My players" strip
+export function renderMyPlayers() {
+    const favorites = getFavorites();
+    elements.myPlayers.classList.toggle('hidden', favorites.length === 0);
+
+    elements.myPlayers.innerHTML = favorites.length === 0 ? '' : html`
+        <span class="my-players-label">My players</span>
+        ${favorites.map(entry => html`
+            <div class="my-player" data-key="${entry.key}">
+                <button class="my-player-open" title="Open ${entry.gameName}#${entry.tagLine}">
+                    <img src="${StaticData.profileIconUrl(entry.profileIconId)}" alt="" class="my-player-icon">
+                    <span class="my-player-name">${entry.gameName}</span>
+                    <span class="my-player-rank">${formatRank(entry.rank)}</span>
+                </button>
+                <button class="unpin-btn" data-favorite="${entry.key}" title="Remove from my players">×</button>
+            </div>
+        `)}
+    `;
+}
+
+// Returns the favorite to search for when a chip is clicked
+export function handleMyPlayersClick(e) {
+    const unpinButton = e.target.closest('[data-favorite]');
+    if (unpinButton) {
+        toggleFavorite(unpinButton.dataset.favorite);
+        return null;
+    }
+
+    const chip = e.target.closest('[data-key]');
+    if (!chip) return null;
+    return getFavorites().find(entry => entry.key === chip.dataset.key) || null;
+}
+
+// Most recent first; favorites are kept however old they are
+function getSearchHistory() {
+    const stored = localStorage.getItem(STORAGE_KEYS.searchHistory);
+    return stored ? JSON.parse(stored) : [];
+}
+
+function saveSearchHistory(history) {
+    let recent = 0;
+    const pruned = history.filter(entry => entry.favorite || ++recent <= HISTORY_LIMIT);
+    localStorage.setItem(STORAGE_KEYS.searchHistory, JSON.stringify(pruned));
+}
@@ -0,0 +1,208 @@
+import { logger } from './logger.js';
+
+// Data Dragon static data registry
+// Loads champion, summoner spell, item and rune data for the latest patch, caches it in
+// localStorage keyed by version and exposes lookups by numeric ID plus icon URL builders.
+export const StaticData = (() => {
+    const DDRAGON_BASE = 'https://ddragon.leagueoflegends.com';
+    const LOCALE = 'en_US';
+    const FALLBACK_VERSION = '14.20.1';
+    const STORAGE_PREFIX = 'rift-rewind-static-data';
+    // Part of the cache key: bump it when fetchPatchData stores new fields, so copies cached
+    // without them are fetched again instead of read with the fields missing
+    const CACHE_FORMAT = 2;
+    const VERSION_CHECK_INTERVAL = 3600000; // Re-check versions.json at most once per hour
+
+    // Neutral silhouette used when an icon is missing or fails to load
+    const PLACEHOLDER_ICON = 'data:image/svg+xml,' + encodeURIComponent(
+        '<svg xmlns="http://www.w3.org/2000/svg" width="64" height="64">' +
+        '<rect width="64" height="64" fill="#1E2328"/>' +
+        '<text x="32" y="42" font-size="32" text-anchor="middle" fill="#C89B3C">?</text></svg>'
+    );
+
+    let version = FALLBACK_VERSION;
+    let data = { champions: {}, spells: {}, items: {}, runes: {} };
+    let loadPromise = null;
+
+    async function fetchJson(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Data Dragon request failed (${response.status}): ${url}`);
+        }
+        return response.json();
+    }
+
+    async function resolveLatestVersion() {
+        const stored = JSON.parse(localStorage.getItem(`${STORAGE_PREFIX}-version`) || 'null');
+        if (stored && Date.now() - stored.checkedAt < VERSION_CHECK_INTERVAL) {
+            return stored.version;
+        }
+
+        try {
+            const versions = await fetchJson(`${DDRAGON_BASE}/api/versions.json`);
+            localStorage.setItem(`${STORAGE_PREFIX}-version`, JSON.stringify({ version: versions[0], checkedAt: Date.now() }));
+            return versions[0];
+        } catch (error) {
+            // Offline or Data Dragon down - keep using whatever patch we last saw
+            return stored ? stored.version : FALLBACK_VERSION;
+        }
+    }
+
+    // Only keep the fields the views use so the cached copy stays well under localStorage limits
+    async function fetchPatchData(patch) {
+        const dataUrl = `${DDRAGON_BASE}/cdn/${patch}/data/${LOCALE}`;
+        const [champions, spells, items, runeTrees] = await Promise.all([
+            fetchJson(`${dataUrl}/champion.json`),
+            fetchJson(`${dataUrl}/summoner.json`),
+            fetchJson(`${dataUrl}/item.json`),
+            fetchJson(`${dataUrl}/runesReforged.json`)
+        ]);
+
+        const patchData = { champions: {}, spells: {}, items: {}, runes: {} };
+
+        Object.values(champions.data).forEach(champion => {
+            patchData.champions[champion.key] = {
+                id: champion.id,
+                name: champion.name,
+                title: champion.title,
+                tags: champion.tags
+            };
+        });
+
+        Object.values(spells.data).forEach(spell => {
+            patchData.spells[spell.key] = { id: spell.id, name: spell.name, image: spell.image.full };
+        });
+
+        // Finished items are what a build is made of: not components (boots aside, which are often
+        // kept un-upgraded) and not consumables such as potions and wards
+        Object.entries(items.data).forEach(([itemId, item]) => {
+            const boots = (item.tags || []).includes('Boots');
+            patchData.items[itemId] = {
+                name: item.name,
+                gold: item.gold.total,
+                image: item.image.full,
+                finished: (!item.into || boots) && !item.consumed
+            };
+        });
+
+        runeTrees.forEach(tree => {
+            patchData.runes[tree.id] = { name: tree.name, icon: tree.icon, tree: true };
+            tree.slots.forEach(slot => slot.runes.forEach(rune => {
+                patchData.runes[rune.id] = { name: rune.name, icon: rune.icon, treeId: tree.id };
+            }));
+        });
+
+        return patchData;
+    }
+
+    function cacheKey(patch) {
+        return `${STORAGE_PREFIX}-v${CACHE_FORMAT}-${patch}`;
+    }
+
+    function readCache(patch) {
+        try {
+            return JSON.parse(localStorage.getItem(cacheKey(patch)));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function writeCache(patch, patchData) {
+        // Drop data for older patches and cache formats before storing the new one
+        Object.keys(localStorage)
+            .filter(key => key.startsWith(`${STORAGE_PREFIX}-`) && key !== `${STORAGE_PREFIX}-version`)
+            .forEach(key => localStorage.removeItem(key));
+
+        try {
+            localStorage.setItem(cacheKey(patch), JSON.stringify(patchData));
+        } catch (error) {
+            logger.warn('Could not cache static data', error);
+        }
+    }
+
+    async function loadStaticData() {
+        version = await resolveLatestVersion();
+
+        const cached = readCache(version);
+        if (cached) {
+            data = cached;
+            return;
+        }
+
+        data = await fetchPatchData(version);
+        writeCache(version, data);
+    }
+
+    return {
+        PLACEHOLDER_ICON,
+
+        // Resolves once static data is available; never rejects so views can fall back to placeholders
+        load() {
+            if (!loadPromise) {
+                loadPromise = loadStaticData().catch(error => {
+                    logger.error('Static data unavailable', error);
+                });
+            }
+            return loadPromise;
+        },
+
+        getVersion() {
+            return version;
+        },
+
+        getChampion(championId) {
+            return data.champions[championId] || null;
+        },
+
+        getAllChampions() {
+            return Object.entries(data.champions).map(([key, champion]) => ({ key: Number(key), ...champion }));
+        },
+
+        getSummonerSpell(spellId) {
+            return data.spells[spellId] || null;
+        },
+
+        getItem(itemId) {
+            return data.items[itemId] || null;
+        },
+
+        // Items newer than the loaded patch data count as finished
+        isFinishedItem(itemId) {
+            const item = data.items[itemId];
+            return !item || item.finished;
+        },
+
+        getRune(runeId) {
+            return data.runes[runeId] || null;
+        },
+
+        profileIconUrl(profileIconId) {
+            return `${DDRAGON_BASE}/cdn/${version}/img/profileicon/${profileIconId}.png`;
+        },
+
+        championIconUrl(championId) {
+            const champion = data.champions[championId];
+            return champion ? `${DDRAGON_BASE}/cdn/${version}/img/champion/${champion.id}.png` : PLACEHOLDER_ICON;
+        },
+
+        summonerSpellIconUrl(spellId) {
+            const spell = data.spells[spellId];
+            return spell ? `${DDRAGON_BASE}/cdn/${version}/img/spell/${spell.image}` : PLACEHOLDER_ICON;
+        },
+
+        itemIconUrl(itemId) {
+            return `${DDRAGON_BASE}/cdn/${version}/img/item/${itemId}.png`;
+        },
+
+        // Rune icons are not versioned
+        runeIconUrl(runeId) {
+            const rune = data.runes[runeId];
+            return rune ? `${DDRAGON_BASE}/cdn/img/${rune.icon}` : PLACEHOLDER_ICON;
+        },
+
+        // Challenge tokens, one per tier (IRON to CHALLENGER); not versioned either
+        challengeIconUrl(challengeId, level) {
+            return `${DDRAGON_BASE}/cdn/img/challenges-images/${challengeId}-${level}.png`;
+        }
+    };
+})();
@@ -0,0 +1,149 @@
+import { CLUSTER_LABELS, PLATFORMS } from './config.js';
+import { html } from './html.js';
+import { rewindPath } from './router.js';
+import { StaticData } from './static-data.js';
+
+// DOM Elements
+export const elements = {
+    searchBtn: document.getElementById('search-btn'),
+    summonerInput: document.getElementById('summoner-name'),
+    searchSuggestions: document.getElementById('search-suggestions'),
+    myPlayers: document.getElementById('my-players'),
+    compareTray: document.getElementById('compare-tray'),
+    compareSection: document.getElementById('compare'),
+    compareView: document.getElementById('compare-view'),
+    multiSearchToggle: document.getElementById('multi-search-toggle'),
+    multiSearch: document.getElementById('multi-search'),
+    multiSearchInput: document.getElementById('multi-search-input'),
+    multiSearchBtn: document.getElementById('multi-search-btn'),
+    multiSection: document.getElementById('multi'),
+    multiView: document.getElementById('multi-view'),
+    rewindSection: document.getElementById('rewind'),
+    rewindView: document.getElementById('rewind-view'),
+    championSection: document.getElementById('champion'),
+    championView: document.getElementById('champion-view'),
+    regionSelect: document.getElementById('region'),
+    loading: document.getElementById('loading'),
+    results: document.getElementById('results'),
+    summonerCard: document.getElementById('summoner-card'),
+    championMastery: document.getElementById('champion-mastery'),
+    matchHistory: document.getElementById('match-history'),
+    leaderboardList: document.getElementById('leaderboard-list'),
+    leaderboardQueue: document.getElementById('leaderboard-queue'),
+    leaderboardRegion: document.getElementById('leaderboard-region'),
+    leaderboardRanking: document.getElementById('leaderboard-ranking'),
+    notification: document.getElementById('notification'),
+    offlineBanner: document.getElementById('offline-banner')
+};
+
+// Both region pickers list every platform, grouped by regional cluster. Filled in on import so
+// the router can select a region from the URL straight away.
+function renderRegionOptions(select) {
+    select.insertAdjacentHTML('beforeend', html`${Object.entries(CLUSTER_LABELS).map(([cluster, label]) => html`
+        <optgroup label="${label}">
+            ${Object.entries(PLATFORMS)
+                .filter(([, platform]) => platform.cluster === cluster)
+                .map(([region, platform]) => html`<option value="${region}">${platform.label}</option>`)}
+        </optgroup>
+    `)}`);
+}
+
+renderRegionOptions(elements.regionSelect);
+renderRegionOptions(elements.leaderboardRegion);
+
+export function regionLabel(region) {
+    return PLATFORMS[region] ? PLATFORMS[region].label : region.toUpperCase();
+}
+
+// The LP history chart is filled in by rank-history.js (showRankHistory), the challenges
+// panel by challenges.js (showChallenges) and champion mastery by mastery-chart.js (showMasteryChart)
+export function displaySummonerResults(account, summoner, leagues, region) {
+    // Display summoner card
+    const rankedData = leagues.find(league => league.queueType === 'RANKED_SOLO_5x5') || {};
+    const ranked = leagues.some(league => ['RANKED_SOLO_5x5', 'RANKED_FLEX_SR'].includes(league.queueType));
+    
+    elements.summonerCard.innerHTML = html`
+        <div class="summoner-info">
+            <div class="summoner-avatar">
+                <img src="${StaticData.profileIconUrl(summoner.profileIconId)}" 
+                     alt="Profile Icon" class="profile-icon">
+                <div class="summoner-level">${summoner.summonerLevel}</div>
+            </div>
+            <div class="summoner-details">
+                <h3 class="summoner-name">${account.gameName}<span class="summoner-tag">#${account.tagLine}</span></h3>
+                <p class="summoner-region">${regionLabel(region)}</p>
+                ${rankedData.tier ? html`
+                    <div class="rank-info">
+                        <span class="rank-tier">${rankedData.tier} ${rankedData.rank}</span>
+                        <span class="rank-lp">${rankedData.leaguePoints} LP</span>
+                        <div class="rank-stats">
+                            <span class="wins">${rankedData.wins}W</span>
+                            <span class="losses">${rankedData.losses}L</span>
+                            <span class="winrate">${Math.round((rankedData.wins / (rankedData.wins + rankedData.losses)) * 100)}%</span>
+                        </div>
+                    </div>
+                ` : html`<p class="unranked">Unranked</p>`}
+            </div>
+            <div class="summoner-actions">
+                <button class="compare-btn" data-compare-region="${region}" data-compare-name="${account.gameName}" data-compare-tag="${account.tagLine}"
+                        title="Add to the comparison tray">＋ Compare</button>
+                <a href="${rewindPath(region, account)}" class="rewind-btn" data-route title="Recap this season from match history">⏪ Rewind</a>
+                <button class="refresh-btn" title="Fetch the latest data from Riot">↻ Refresh</button>
+            </div>
+        </div>
+        <div class="challenges" data-challenges></div>
+        <div class="summoner-tabs" role="tablist">
+            ${ranked ? html`<button class="summoner-tab active" role="tab" aria-selected="true" data-summoner-tab="history">LP History</button>` : ''}
+            <button class="summoner-tab" role="tab" aria-selected="false" data-summoner-tab="live">● Live Game</button>
+        </div>
+        ${ranked ? html`<div class="rank-history" role="tabpanel" data-summoner-panel="history"></div>` : ''}
+        <div class="live-game hidden" role="tabpanel" data-summoner-panel="live"></div>
+    `;
+    
+    elements.results.classList.remove('hidden');
+}
+
+export function showLoading(show) {
+    elements.loading.classList.toggle('hidden', !show);
+    elements.searchBtn.disabled = show;
+}
+
+export function showNotification(message, type) {
+    elements.notification.textContent = message;
+    elements.notification.className = `notification ${type}`;
+    elements.notification.classList.add('show');
+    
+    setTimeout(() => {
+        elements.notification.classList.remove('show');
+    }, 4000);
+}
+
+export function createParticleEffect() {
+    const particles = document.querySelector('.background-particles');
+    
+    for (let i = 0; i < 50; i++) {
+        const particle = document.createElement('div');
+        particle.style.cssText = `
+            position: absolute;
+            width: 2px;
+            height: 2px;
+            background: var(--riot-gold);
+            border-radius: 50%;
+            opacity: ${Math.random() * 0.5 + 0.1};
+            left: ${Math.random() * 100}%;
+            top: ${Math.random() * 100}%;
+            animation: float ${Math.random() * 10 + 10}s linear infinite;
+        `;
+        particles.appendChild(particle);
+    }
+}
+
+// Add CSS animation for particles
+const style = document.createElement('style');
+style.textContent = `
+    @keyframes float {
+        0% { transform: translateY(100vh) rotate(0deg); }
+        100% { transform: translateY(-100vh) rotate(360deg); }
+    }
+`;
+document.head.appendChild(style);
@@ -0,0 +1,105 @@
+// Service worker
+// Precaches the built app shell so the site opens offline, keeps the last response of every
+// /api GET for when the network is down, and caches Data Dragon images as they're shown.
+// build.js fills in __PRECACHE_MANIFEST__ from its output files; its version names the
+// precache, so each deploy installs a fresh copy and drops the previous one on activation.
+const PRECACHE_MANIFEST = typeof __PRECACHE_MANIFEST__ === 'undefined'
+    ? { version: 'dev', files: [] } // Unbuilt src/: nothing to precache
+    : __PRECACHE_MANIFEST__;
+
+const CACHE_PREFIX = 'rift-rewind';
+const PRECACHE = `${CACHE_PREFIX}-precache-${PRECACHE_MANIFEST.version}`;
+const API_CACHE = `${CACHE_PREFIX}-api`;
+const DDRAGON_CACHE = `${CACHE_PREFIX}-ddragon`;
+const API_CACHE_LIMIT = 300; // Responses kept for offline use, oldest dropped first
+const DDRAGON_CACHE_LIMIT = 500; // Champion, item, spell, rune and profile icons
+const DDRAGON_ORIGIN = 'https://ddragon.leagueoflegends.com';
+// Stored API responses carry the time they were fetched
+const CACHED_AT_HEADER = 'X-Cached-At';
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(PRECACHE)
+            // Past the HTTP cache, so index.html can't come from a previous deploy
+            .then(cache => cache.addAll(PRECACHE_MANIFEST.files.map(file => new Request(file, { cache: 'reload' }))))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drops precaches from earlier deploys; the API and Data Dragon caches carry over
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith(`${CACHE_PREFIX}-precache-`) && key !== PRECACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    if (url.origin === self.location.origin && url.pathname.startsWith('/api/')) {
+        event.respondWith(networkFirstApi(event));
+    } else if (url.origin === DDRAGON_ORIGIN && url.pathname.startsWith('/cdn/')) {
+        // Patch-versioned paths never change
+        event.respondWith(cacheFirstDataDragon(request));
+    } else if (request.mode === 'navigate') {
+        event.respondWith(fetch(request).catch(() => caches.match('/index.html', { cacheName: PRECACHE })));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(caches.match(request, { cacheName: PRECACHE }).then(cached => cached || fetch(request)));
+    }
+});
+
+// Fresh data when online. Offline, the last stored response is served and the page is told
+// how old it is (see js/offline.js).
+async function networkFirstApi(event) {
+    const cache = await caches.open(API_CACHE);
+    try {
+        const response = await fetch(event.request);
+        if (response.ok) {
+            const headers = new Headers(response.headers);
+            headers.set(CACHED_AT_HEADER, String(Date.now()));
+            const stored = new Response(await response.clone().blob(), {
+                status: response.status,
+                statusText: response.statusText,
+                headers
+            });
+            event.waitUntil(cache.put(event.request, stored).then(() => trimCache(cache, API_CACHE_LIMIT)));
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(event.request);
+        if (!cached) throw error;
+
+        const client = event.clientId && await self.clients.get(event.clientId);
+        if (client) {
+            client.postMessage({ type: 'offline-data', cachedAt: Number(cached.headers.get(CACHED_AT_HEADER)) });
+        }
+        return cached;
+    }
+}
+
+// Fetched with CORS (Data Dragon allows any origin) so the cache holds readable responses
+// instead of padded opaque ones
+async function cacheFirstDataDragon(request) {
+    const cache = await caches.open(DDRAGON_CACHE);
+    const cached = await cache.match(request.url);
+    if (cached) return cached;
+
+    const response = await fetch(request.url, { mode: 'cors', credentials: 'omit' });
+    if (response.ok) {
+        await cache.put(request.url, response.clone());
+        trimCache(cache, DDRAGON_CACHE_LIMIT);
+    }
+    return response;
+}
+
+// Cache keys come back in insertion order
+async function trimCache(cache, limit) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - limit)).map(key => cache.delete(key)));
+}
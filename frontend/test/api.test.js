@@ -0,0 +1,175 @@
+import { jest } from '@jest/globals';
+import {
+    RETRY_POLICY,
+    buildApiUrl,
+    makeApiRequest,
+    parseRateLimitHeader,
+    rateLimitTracker
+} from '../src/js/api.js';
+import { API_CONFIG } from '../src/js/config.js';
+import { flushErrorReports, startErrorReporting } from '../src/js/logger.js';
+import { loadPlayerFixture } from '../mock/server.js';
+import { startMockApi } from './helpers.js';
+
+const { account } = loadPlayerFixture('hide-on-bush');
+
+function accountUrl(gameName, tagLine) {
+    return buildApiUrl('account', 'kr', {
+        gameName: encodeURIComponent(gameName),
+        tagLine: encodeURIComponent(tagLine)
+    });
+}
+
+function request(url) {
+    return makeApiRequest(url, { endpoint: 'account', region: 'kr' });
+}
+
+beforeAll(() => {
+    RETRY_POLICY.baseDelay = 5;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+beforeEach(() => {
+    rateLimitTracker.buckets.clear();
+});
+
+describe('buildApiUrl', () => {
+    const path = (endpoint, region, params) => new URL(buildApiUrl(endpoint, region, params)).pathname;
+
+    test('sends every platform to its regional cluster for match-v5', () => {
+        expect(path('matchIds', 'la2', { puuid: 'abc' })).toBe('/api/riot/americas/lol/match/v5/matches/by-puuid/abc/ids');
+        expect(path('matchIds', 'me1', { puuid: 'abc' })).toBe('/api/riot/europe/lol/match/v5/matches/by-puuid/abc/ids');
+        expect(path('matchIds', 'vn2', { puuid: 'abc' })).toBe('/api/riot/sea/lol/match/v5/matches/by-puuid/abc/ids');
+    });
+
+    test('resolves SEA accounts through asia', () => {
+        expect(path('account', 'oc1', { gameName: 'Name', tagLine: 'OCE' })).toBe('/api/riot/asia/riot/account/v1/accounts/by-riot-id/Name/OCE');
+        expect(path('account', 'tr1', { gameName: 'Name', tagLine: 'TR1' })).toBe('/api/riot/europe/riot/account/v1/accounts/by-riot-id/Name/TR1');
+    });
+
+    test('keeps platform endpoints on the platform host', () => {
+        expect(path('league', 'sg2', { puuid: 'abc' })).toBe('/api/riot/sg2/lol/league/v4/entries/by-puuid/abc');
+    });
+});
+
+describe('makeApiRequest against the mock API', () => {
+    let api;
+
+    beforeEach(async () => {
+        api = await startMockApi();
+    });
+
+    afterEach(() => api.close());
+
+    test('routes account lookups to the regional cluster', async () => {
+        const url = accountUrl('Hide on bush', 'KR1');
+        expect(url).toBe(`${api.origin}/api/riot/asia/riot/account/v1/accounts/by-riot-id/Hide%20on%20bush/KR1`);
+        await expect(request(url)).resolves.toEqual(account);
+    });
+
+    test('adopts the rate limits reported in the response headers', async () => {
+        await request(accountUrl('Hide on bush', 'KR1'));
+
+        const [appBucket, methodBucket] = rateLimitTracker.getBucketsFor('asia', 'account');
+        expect(appBucket.limits).toEqual([
+            { requests: 20, window: 1000 },
+            { requests: 100, window: 120000 }
+        ]);
+        expect(methodBucket.limits).toEqual([{ requests: 2000, window: 60000 }]);
+    });
+
+    test('waits out Retry-After on a 429 and then succeeds', async () => {
+        const started = Date.now();
+        await expect(request(accountUrl('Anyone', '429'))).resolves.toEqual(account);
+
+        expect(Date.now() - started).toBeGreaterThanOrEqual(900);
+        const [appBucket] = rateLimitTracker.getBucketsFor('asia', 'account');
+        expect(appBucket.blockedUntil).toBeGreaterThan(0);
+    });
+
+    test.each(['500', '503'])('retries a %s and then succeeds', async (status) => {
+        await expect(request(accountUrl('Anyone', status))).resolves.toEqual(account);
+    });
+
+    test.each([
+        ['404', 'Player not found (404)'],
+        ['401', 'API Authentication Failed (401)'],
+        ['403', 'API Access Forbidden (403)']
+    ])('turns a %s into a readable error without retrying', async (status, message) => {
+        await expect(request(accountUrl('Anyone', status))).rejects.toThrow(message);
+    });
+
+    test('reports a 404 for an unknown player', async () => {
+        await expect(request(accountUrl('Nobody', 'NA1'))).rejects.toThrow('Player not found (404)');
+    });
+});
+
+describe('makeApiRequest when failures persist', () => {
+    let api;
+
+    beforeEach(async () => {
+        api = await startMockApi({ failTimes: Infinity });
+    });
+
+    afterEach(() => api.close());
+
+    test('gives up on server errors after the configured retries', async () => {
+        await expect(request(accountUrl('Anyone', '500'))).rejects.toThrow('Server error (500)');
+    });
+
+    test('reports a request that fails once retries run out', async () => {
+        startErrorReporting(API_CONFIG.logsUrl);
+
+        await expect(request(accountUrl('Anyone', '503'))).rejects.toThrow('Server error (503)');
+        await flushErrorReports();
+
+        expect(api.clientLogs).toEqual([expect.objectContaining({
+            kind: 'error',
+            message: 'account request failed',
+            context: expect.objectContaining({ endpoint: 'account', status: 503 })
+        })]);
+    });
+
+    test('gives up on network errors after the configured retries', async () => {
+        await api.close();
+        API_CONFIG.baseUrl = 'http://127.0.0.1:1/api/riot/{region}';
+
+        await expect(request(accountUrl('Hide on bush', 'KR1')))
+            .rejects.toThrow(`after ${RETRY_POLICY.maxRetries} attempts`);
+    });
+});
+
+describe('rateLimitTracker', () => {
+    test('parses Riot rate limit headers', () => {
+        expect(parseRateLimitHeader('20:1,100:120')).toEqual([
+            { count: 20, seconds: 1 },
+            { count: 100, seconds: 120 }
+        ]);
+    });
+
+    test('delays a request until the oldest one leaves a full window', () => {
+        const bucket = rateLimitTracker.getBucket('test', [{ requests: 2, window: 1000 }]);
+        rateLimitTracker.recordRequest([bucket], 0);
+        rateLimitTracker.recordRequest([bucket], 200);
+
+        expect(rateLimitTracker.getDelay([bucket], 500)).toBe(500);
+        expect(rateLimitTracker.getDelay([bucket], 1000)).toBe(0);
+    });
+
+    test('counts requests Riot has seen from other visitors', () => {
+        const bucket = rateLimitTracker.getBucket('test');
+        rateLimitTracker.applyHeaders(bucket, '5:10', '5:10');
+
+        expect(bucket.limits).toEqual([{ requests: 5, window: 10000 }]);
+        expect(rateLimitTracker.getDelay([bucket])).toBeGreaterThan(0);
+    });
+
+    test('blocks the bucket named by X-Rate-Limit-Type', () => {
+        rateLimitTracker.blockFor('kr', 'league', 2, 'method');
+        const [appBucket, methodBucket] = rateLimitTracker.getBucketsFor('kr', 'league');
+
+        expect(appBucket.blockedUntil).toBe(0);
+        expect(rateLimitTracker.getDelay([methodBucket])).toBeGreaterThan(1000);
+    });
+});
@@ -0,0 +1,131 @@
+import { jest } from '@jest/globals';
+import { closestChallenges, loadChallenges, showChallenges, titleName } from '../src/js/challenges.js';
+import { displaySummonerResults, elements } from '../src/js/ui.js';
+import { loadFixture, loadPlayerFixture } from '../mock/server.js';
+import { startMockApi } from './helpers.js';
+
+const faker = loadPlayerFixture('hide-on-bush');
+const chovy = loadPlayerFixture('chovy');
+const config = new Map(loadFixture('challenge-config').map(challenge => [challenge.id, challenge]));
+
+describe('closestChallenges', () => {
+    test('orders challenges by progress toward their next tier', () => {
+        const closest = closestChallenges(faker.challenges, config);
+
+        expect(closest.map(challenge => challenge.name))
+            .toEqual(['Solo Carry', 'Jack of All Champs', 'All Hands on Deck', 'DPS Threat', 'Flawless']);
+        expect(closest[0]).toMatchObject({ level: 'GOLD', nextLevel: 'PLATINUM', value: 45, target: 50, progress: 0.9 });
+    });
+
+    test('leaves out the category totals, archived challenges and maxed tiers', () => {
+        const ids = closestChallenges(faker.challenges, config, Infinity).map(challenge => challenge.challengeId);
+
+        expect(ids).not.toContain(0);
+        expect(ids).not.toContain(2);
+        expect(ids).not.toContain(2022000);
+        expect(ids).not.toContain(301101);
+    });
+});
+
+describe('titleName', () => {
+    test('names a title after the challenge that awards it', () => {
+        expect(titleName(config, '40110402')).toBe('Jack of All Champs');
+    });
+
+    test('is empty without a title', () => {
+        expect(titleName(config, undefined)).toBeNull();
+        expect(titleName(config, '')).toBeNull();
+    });
+});
+
+describe('showChallenges', () => {
+    let api;
+
+    function panel() {
+        return elements.summonerCard.querySelector('[data-challenges]');
+    }
+
+    function text(selector) {
+        return panel().querySelector(selector).textContent.replace(/\s+/g, ' ').trim();
+    }
+
+    function show({ account, summoner, league }) {
+        displaySummonerResults(account, summoner, league, 'kr');
+        showChallenges(account, 'kr');
+        return loadChallenges(account, 'kr');
+    }
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        localStorage.clear();
+        api = await startMockApi();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        return api.close();
+    });
+
+    test('shows total points, category levels, the title and tokens', async () => {
+        await show(faker);
+
+        expect(text('.challenges-total')).toBe('Master 18,250 / 25,380 points · Top 0.4%');
+        const categories = [...panel().querySelectorAll('.challenge-category')]
+            .map(category => category.textContent.replace(/\s+/g, ' ').trim());
+        expect(categories[0]).toBe('Imagination Diamond 3,120 / 5,800');
+        expect(categories.map(category => category.split(' ')[0]))
+            .toEqual(['Imagination', 'Expertise', 'Veterancy', 'Teamwork', 'Collection']);
+        expect(text('.challenges-player-title')).toBe('Jack of All Champs');
+
+        const tokens = [...panel().querySelectorAll('.challenge-token')];
+        expect(tokens.map(token => token.getAttribute('alt')))
+            .toEqual(['Wave Goodbye token', 'All Hands on Deck token', 'Jack of All Champs token']);
+        expect(tokens[0].getAttribute('src')).toMatch(/\/challenges-images\/301101-MASTER\.png$/);
+    });
+
+    test('lists the challenges closest to their next tier with percentiles', async () => {
+        await show(faker);
+
+        const [first] = panel().querySelectorAll('.challenge-item');
+        expect(panel().querySelectorAll('.challenge-item')).toHaveLength(5);
+        expect(first.querySelector('.challenge-name').textContent).toBe('Solo Carry');
+        expect(first.querySelector('.challenge-next').textContent).toBe('Gold → Platinum');
+        expect(first.querySelector('.challenge-points').textContent).toBe('45 / 50 · Top 12%');
+        expect(first.querySelector('.challenge-progress-fill').getAttribute('style')).toBe('width: 90%');
+    });
+
+    test('leaves the showcase out when nothing is equipped', async () => {
+        await show(chovy);
+
+        expect(text('.challenges-total')).toMatch(/^Diamond 14,230/);
+        expect(panel().querySelector('.challenges-showcase')).toBeNull();
+    });
+
+    test('re-renders what is loaded without looking it up again', async () => {
+        await show(faker);
+        const fetchSpy = jest.spyOn(globalThis, 'fetch');
+
+        displaySummonerResults(faker.account, faker.summoner, faker.league, 'kr');
+        showChallenges(faker.account, 'kr');
+
+        expect(text('.challenges-player-title')).toBe('Jack of All Champs');
+        expect(fetchSpy).not.toHaveBeenCalled();
+    });
+
+    test('says so for players without challenge data', async () => {
+        await show({ ...chovy, account: { ...chovy.account, puuid: 'unknown-puuid' } });
+
+        expect(text('.challenges-status')).toBe('No challenge progress yet');
+    });
+
+    test('says so when the lookup fails', async () => {
+        jest.spyOn(globalThis, 'fetch').mockResolvedValue(new Response(
+            JSON.stringify({ status: { status_code: 403, message: 'Forbidden' } }),
+            { status: 403, headers: { 'Content-Type': 'application/json' } }
+        ));
+
+        await show({ ...faker, account: { ...faker.account, puuid: 'another-puuid' } });
+
+        expect(text('.challenges-status')).toBe('Challenges unavailable right now');
+    });
+});
@@ -0,0 +1,176 @@
+import { jest } from '@jest/globals';
+import { loadChampionDetail, summarizeChampionGames } from '../src/js/champion-detail.js';
+import { elements } from '../src/js/ui.js';
+import { loadPlayerFixture } from '../mock/server.js';
+import { seedStaticData, startMockApi } from './helpers.js';
+
+const faker = loadPlayerFixture('hide-on-bush');
+const FAKER_ID = { gameName: 'Hide on bush', tagLine: 'KR1' };
+
+// A 30 minute mid game for player "me" on LeBlanc against `opponent`
+function game(matchId, win, { opponent = 245, items = [3157, 3020, 1058], remake = false, flashOn = 'D' } = {}) {
+    const spells = flashOn === 'D' ? [4, 14] : [14, 4];
+    const participant = (puuid, teamId, championId, won) => ({
+        puuid,
+        teamId,
+        teamPosition: 'MIDDLE',
+        championId,
+        championName: `Champion${championId}`,
+        win: won,
+        kills: 6,
+        deaths: 2,
+        assists: 4,
+        totalMinionsKilled: 240,
+        neutralMinionsKilled: 0,
+        summoner1Id: spells[0],
+        summoner2Id: spells[1],
+        ...Object.fromEntries([0, 1, 2, 3, 4, 5].map(slot => [`item${slot}`, items[slot] || 0])),
+        perks: { styles: [{ style: 8100, selections: [{ perk: 8112 }] }, { style: 8300, selections: [{ perk: 8304 }] }] },
+        gameEndedInEarlySurrender: remake
+    });
+    return {
+        metadata: { matchId },
+        info: {
+            gameCreation: Date.UTC(2024, 5, 1),
+            gameDuration: 1800,
+            participants: [participant('me', 100, 7, win), participant('them', 200, opponent, !win)]
+        }
+    };
+}
+
+beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await seedStaticData({
+        4: { id: 'TwistedFate', name: 'Twisted Fate', title: 'the Card Master', tags: ['Mage'] },
+        7: { id: 'Leblanc', name: 'LeBlanc', title: 'the Deceiver', tags: ['Assassin', 'Mage'] },
+        61: { id: 'Orianna', name: 'Orianna', title: 'the Lady of Clockwork', tags: ['Mage', 'Support'] },
+        245: { id: 'Ekko', name: 'Ekko', title: 'the Boy Who Shattered Time', tags: ['Assassin', 'Mage'] }
+    }, {
+        spells: {
+            4: { id: 'SummonerFlash', name: 'Flash', image: 'SummonerFlash.png' },
+            14: { id: 'SummonerDot', name: 'Ignite', image: 'SummonerDot.png' }
+        },
+        items: {
+            1058: { name: 'Needlessly Large Rod', finished: false },
+            3020: { name: "Sorcerer's Shoes", finished: true },
+            3135: { name: 'Void Staff', finished: true },
+            3157: { name: "Zhonya's Hourglass", finished: true },
+            3165: { name: 'Morellonomicon', finished: true },
+            3363: { name: 'Farsight Alteration', finished: false }
+        },
+        runes: {
+            8100: { name: 'Domination', tree: true },
+            8112: { name: 'Electrocute', treeId: 8100 },
+            8300: { name: 'Inspiration', tree: true }
+        }
+    });
+});
+
+describe('summarizeChampionGames', () => {
+    test('totals win rate, KDA and CS per minute, leaving remakes out', () => {
+        const summary = summarizeChampionGames([
+            game('KR_3', true),
+            game('KR_2', false, { remake: true }),
+            game('KR_1', false)
+        ], 'me');
+
+        expect(summary).toMatchObject({ games: 2, wins: 1, kills: 12, deaths: 4, assists: 8, cs: 480, minutes: 60 });
+    });
+
+    test('counts finished items once per game', () => {
+        const summary = summarizeChampionGames([
+            game('KR_2', true, { items: [3157, 3157, 3020, 1058, 3363] }),
+            game('KR_1', false, { items: [3157, 3135] })
+        ], 'me');
+
+        expect(summary.items).toEqual({
+            3157: { itemId: 3157, games: 2, wins: 1 },
+            3020: { itemId: 3020, games: 1, wins: 1 },
+            3135: { itemId: 3135, games: 1, wins: 0 }
+        });
+    });
+
+    test('groups rune pages and spell pairs whichever key Flash is on', () => {
+        const summary = summarizeChampionGames([
+            game('KR_2', true, { flashOn: 'D' }),
+            game('KR_1', true, { flashOn: 'F' })
+        ], 'me');
+
+        expect(Object.values(summary.runes)).toEqual([
+            { keystone: 8112, primaryStyle: 8100, subStyle: 8300, games: 2, wins: 2 }
+        ]);
+        expect(Object.values(summary.spells)).toEqual([{ spells: [4, 14], games: 2, wins: 2 }]);
+    });
+
+    test('records the lane opponent and the trend oldest first', () => {
+        const summary = summarizeChampionGames([
+            game('KR_3', false, { opponent: 61 }),
+            game('KR_2', true),
+            game('KR_1', true)
+        ], 'me');
+
+        expect(summary.matchups[245]).toMatchObject({ championId: 245, games: 2, wins: 2 });
+        expect(summary.matchups[61]).toMatchObject({ games: 1, wins: 0 });
+        expect(summary.trend.map(entry => [entry.matchId, entry.win])).toEqual([['KR_1', true], ['KR_2', true], ['KR_3', false]]);
+        expect(summary.trend[0]).toMatchObject({ kda: 5, csPerMinute: 8 });
+    });
+});
+
+describe('loadChampionDetail', () => {
+    let api;
+
+    beforeAll(async () => {
+        api = await startMockApi();
+    });
+
+    afterAll(() => api.close());
+
+    function text(selector) {
+        return elements.championView.querySelector(selector).textContent.replace(/\s+/g, ' ').trim();
+    }
+
+    test('combines the mastery entry with the games on the champion', async () => {
+        await loadChampionDetail(FAKER_ID, 'kr', 'leblanc');
+
+        const mastery = faker.mastery.find(entry => entry.championId === 7);
+        expect(text('.champion-detail-name')).toBe('LeBlanc');
+        expect(text('.champion-detail-mastery')).toContain(`Mastery ${mastery.championLevel}`);
+        expect(text('.champion-detail-mastery')).toContain(`${mastery.championPoints.toLocaleString()} points`);
+        expect(text('.champion-detail-status')).toBe(`From 1 LeBlanc game in the last ${faker.matchIds.length} played`);
+
+        // 10/0/16 with 162 CS in 28:32
+        const stats = [...elements.championView.querySelectorAll('.champion-stat-value')].map(stat => stat.textContent);
+        expect(stats).toEqual(['100%', '26.00', '5.7']);
+    });
+
+    test('lists builds, runes, spells and matchups from Data Dragon names', async () => {
+        await loadChampionDetail(FAKER_ID, 'kr', 'Leblanc');
+
+        const names = title => [...elements.championView.querySelectorAll('.champion-panel')]
+            .find(panel => panel.querySelector('.champion-panel-title').textContent === title)
+            .querySelectorAll('.champion-list-name');
+        const labels = title => [...names(title)].map(name => name.textContent.replace(/\s+/g, ' ').trim());
+
+        // One game each; the ward and components are left out
+        expect(labels('Most built').sort()).toEqual(['Morellonomicon', "Sorcerer's Shoes", 'Void Staff', "Zhonya's Hourglass"]);
+        expect(labels('Rune pages')).toEqual(['Electrocute Domination / Inspiration']);
+        expect(labels('Summoner spells')).toEqual(['Flash + Ignite']);
+        expect(text('.champion-panel-subtitle')).toBe('Wins against');
+        expect(labels('Matchups')).toEqual(['Ekko']);
+        expect(elements.championView.querySelectorAll('.champion-trend-game.win')).toHaveLength(1);
+    });
+
+    test('counts losses and links back to the profile', async () => {
+        await loadChampionDetail(FAKER_ID, 'kr', 'Orianna');
+
+        expect(elements.championView.querySelector('.champion-detail-player').getAttribute('href')).toBe('/kr/Hide%20on%20bush-KR1');
+        expect(elements.championView.querySelectorAll('.champion-trend-game.loss')).toHaveLength(1);
+    });
+
+    test('says so for a champion Data Dragon does not know', async () => {
+        await loadChampionDetail(FAKER_ID, 'kr', 'Nobody');
+
+        expect(text('.champion-detail-status')).toBe('Unknown champion: Nobody');
+    });
+});
@@ -0,0 +1,155 @@
+import { jest } from '@jest/globals';
+import { rateLimitTracker } from '../src/js/api.js';
+import { STORAGE_KEYS } from '../src/js/config.js';
+import { handleCompareButtonClick, handleCompareTrayClick, loadComparison, renderCompareTray } from '../src/js/compare.js';
+import { displaySummonerResults, elements } from '../src/js/ui.js';
+import { loadPlayerFixture } from '../mock/server.js';
+import { startMockApi } from './helpers.js';
+
+const faker = loadPlayerFixture('hide-on-bush');
+const chovy = loadPlayerFixture('chovy');
+
+function comparePlayer({ account }) {
+    return { region: 'kr', riotId: { gameName: account.gameName, tagLine: account.tagLine } };
+}
+
+function compareButton(region, gameName, tagLine) {
+    const button = document.createElement('button');
+    Object.assign(button.dataset, { compareRegion: region, compareName: gameName, compareTag: tagLine });
+    return button;
+}
+
+function trayNames() {
+    return [...elements.compareTray.querySelectorAll('.compare-tray-player')]
+        .map(player => player.firstChild.textContent.trim());
+}
+
+function rowCells(label) {
+    const row = [...elements.compareView.querySelectorAll('tr')]
+        .find(candidate => candidate.querySelector('th[scope="row"]')?.textContent === label);
+    return [...row.querySelectorAll('td')];
+}
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('comparison tray', () => {
+    beforeEach(() => {
+        // showNotification hides itself on a timer
+        jest.useFakeTimers({ advanceTimers: true });
+        localStorage.clear();
+        renderCompareTray();
+    });
+
+    afterEach(() => {
+        jest.runOnlyPendingTimers();
+        jest.useRealTimers();
+    });
+
+    test('adds the player on the summoner card', () => {
+        displaySummonerResults(faker.account, faker.summoner, faker.league, 'kr');
+        handleCompareButtonClick({ target: elements.summonerCard.querySelector('.compare-btn') });
+
+        expect(trayNames()).toEqual(['Hide on bush']);
+        expect(elements.compareTray.classList.contains('hidden')).toBe(false);
+        expect(JSON.parse(localStorage.getItem(STORAGE_KEYS.compareTray))).toEqual([comparePlayer(faker)]);
+    });
+
+    test('needs two players before comparing', () => {
+        handleCompareButtonClick({ target: compareButton('kr', 'Hide on bush', 'KR1') });
+        expect(elements.compareTray.querySelector('.compare-tray-open').classList.contains('disabled')).toBe(true);
+
+        handleCompareButtonClick({ target: compareButton('kr', 'Chovy', 'KR1') });
+        const link = elements.compareTray.querySelector('.compare-tray-open');
+        expect(link.classList.contains('disabled')).toBe(false);
+        expect(link.getAttribute('href')).toBe('/compare?players=kr/Hide%20on%20bush-KR1,kr/Chovy-KR1');
+    });
+
+    test('skips duplicates and stops at four players', () => {
+        ['Hide on bush', 'hide on bush', 'Chovy', 'Caps', 'Rekkles', 'Jankos'].forEach(name => {
+            handleCompareButtonClick({ target: compareButton('kr', name, 'KR1') });
+        });
+
+        expect(trayNames()).toEqual(['Hide on bush', 'Chovy', 'Caps', 'Rekkles']);
+    });
+
+    test('removes players and clears the tray', () => {
+        ['Hide on bush', 'Chovy', 'Caps'].forEach(name => {
+            handleCompareButtonClick({ target: compareButton('kr', name, 'KR1') });
+        });
+
+        handleCompareTrayClick({ target: elements.compareTray.querySelectorAll('[data-remove]')[1] });
+        expect(trayNames()).toEqual(['Hide on bush', 'Caps']);
+
+        handleCompareTrayClick({ target: elements.compareTray.querySelector('.compare-tray-clear') });
+        expect(elements.compareTray.classList.contains('hidden')).toBe(true);
+    });
+});
+
+describe('loadComparison', () => {
+    let api;
+
+    beforeEach(async () => {
+        rateLimitTracker.buckets.clear();
+        api = await startMockApi();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        return api.close();
+    });
+
+    test('lines up rank, win rate, games and recent form', async () => {
+        await loadComparison([comparePlayer(faker), comparePlayer(chovy)]);
+
+        const headers = [...elements.compareView.querySelectorAll('thead .compare-player')];
+        expect(headers.map(header => header.getAttribute('href')))
+            .toEqual(['/kr/Hide%20on%20bush-KR1', '/kr/Chovy-KR1']);
+
+        const solo = rowCells('Solo/Duo');
+        expect(solo.map(cell => cell.textContent.replace(/\s+/g, ' ').trim()))
+            .toEqual(['CHALLENGER1432 LP', 'GRANDMASTER986 LP']);
+        expect(solo.map(cell => cell.classList.contains('best'))).toEqual([true, false]);
+
+        expect(rowCells('Flex')[1].textContent.trim()).toBe('Unranked');
+        expect(rowCells('Ranked games').map(cell => cell.textContent.trim())).toEqual(['817', '678']);
+
+        const form = rowCells('Recent form');
+        expect(form[0].querySelectorAll('.form-game')).toHaveLength(3);
+        expect(form.map(cell => cell.querySelector('.compare-meta').textContent))
+            .toEqual([expect.stringMatching(/^2W 1L/), expect.stringMatching(/^1W 2L/)]);
+    });
+
+    test('lists champions both players have mastery on', async () => {
+        await loadComparison([comparePlayer(faker), comparePlayer(chovy)]);
+
+        const fakerPool = new Set(faker.mastery.map(mastery => mastery.championId));
+        const shared = chovy.mastery.filter(mastery => fakerPool.has(mastery.championId));
+        const rows = elements.compareView.querySelectorAll('.shared-champions tr');
+        expect(rows).toHaveLength(shared.length);
+    });
+
+    test('costs no API calls for players that were already loaded', async () => {
+        await loadComparison([comparePlayer(faker), comparePlayer(chovy)]);
+
+        const fetchSpy = jest.spyOn(globalThis, 'fetch');
+        await loadComparison([comparePlayer(chovy), comparePlayer(faker)]);
+
+        const apiCalls = fetchSpy.mock.calls.filter(([url]) => String(url).startsWith(api.origin));
+        expect(apiCalls).toHaveLength(0);
+        expect(rowCells('Solo/Duo').map(cell => cell.classList.contains('best'))).toEqual([false, true]);
+    });
+
+    test('shows players that could not be loaded without dropping the others', async () => {
+        await loadComparison([comparePlayer(faker), { region: 'kr', riotId: { gameName: 'Nobody', tagLine: 'KR1' } }]);
+
+        const headers = elements.compareView.querySelectorAll('thead th[scope="col"]');
+        expect(headers[2].querySelector('.compare-error').textContent).toMatch(/^Player not found \(404\)/);
+        expect(rowCells('Solo/Duo')[1].textContent.trim()).toBe('—');
+        expect(elements.compareView.querySelector('.shared-champions')).toBeNull();
+    });
+});
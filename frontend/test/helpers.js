@@ -0,0 +1,35 @@
+import { API_CONFIG } from '../src/js/config.js';
+import { StaticData } from '../src/js/static-data.js';
+import { createMockServer } from '../mock/server.js';
+
+// Starts the mock API on a free port and points the app's API_CONFIG at it
+export async function startMockApi(options) {
+    const server = createMockServer(options);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    const origin = `http://127.0.0.1:${server.address().port}`;
+    API_CONFIG.baseUrl = `${origin}/api/riot/{region}`;
+    API_CONFIG.leaderboardUrl = `${origin}/api/leaderboard`;
+    API_CONFIG.logsUrl = `${origin}/api/logs`;
+
+    return {
+        origin,
+        clientLogs: server.clientLogs,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+// Lets pending fetches and renders settle
+export function flushPromises(ms = 50) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Loads Data Dragon champion data (and optionally spells, items and runes) from the
+// static-data cache instead of the network. Call before anything else in the test file loads
+// static data.
+export async function seedStaticData(champions, { spells = {}, items = {}, runes = {} } = {}) {
+    const version = '14.20.1';
+    localStorage.setItem('rift-rewind-static-data-version', JSON.stringify({ version, checkedAt: Date.now() }));
+    localStorage.setItem(`rift-rewind-static-data-v2-${version}`, JSON.stringify({ champions, spells, items, runes }));
+    await StaticData.load();
+}
@@ -0,0 +1,35 @@
+import { escapeHtml, html } from '../src/js/html.js';
+
+describe('escapeHtml', () => {
+    test('escapes markup and attribute delimiters', () => {
+        expect(escapeHtml('<a href="x" title=\'y\'>&`</a>')).toBe('&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&#96;&lt;/a&gt;');
+    });
+
+    test('stringifies other values', () => {
+        expect(escapeHtml(42)).toBe('42');
+    });
+});
+
+describe('html', () => {
+    test('escapes interpolated values', () => {
+        const name = '<img src=x onerror="alert(1)">';
+        expect(String(html`<span title="${name}">${name}</span>`))
+            .toBe('<span title="&lt;img src=x onerror=&quot;alert(1)&quot;&gt;">&lt;img src=x onerror=&quot;alert(1)&quot;&gt;</span>');
+    });
+
+    test('inserts nested templates and arrays of them as markup', () => {
+        const items = ['a', '<b>'].map(item => html`<li>${item}</li>`);
+        expect(String(html`<ul>${items}</ul>`)).toBe('<ul><li>a</li><li>&lt;b&gt;</li></ul>');
+    });
+
+    test('renders null, undefined and false as nothing but keeps 0', () => {
+        expect(String(html`${null}${undefined}${false}${0}`)).toBe('0');
+    });
+
+    test('assigns to innerHTML', () => {
+        const element = document.createElement('div');
+        element.innerHTML = html`<p>${'<script>alert(1)</script>'}</p>`;
+        expect(element.querySelector('script')).toBeNull();
+        expect(element.textContent).toBe('<script>alert(1)</script>');
+    });
+});
@@ -0,0 +1,209 @@
+import { jest } from '@jest/globals';
+import { STORAGE_KEYS } from '../src/js/config.js';
+import {
+    addToLeaderboard,
+    calculatePlayerScore,
+    compareChallengeEntries,
+    compareLeaderboardEntries,
+    loadLeaderboard
+} from '../src/js/leaderboard.js';
+import { elements } from '../src/js/ui.js';
+import { loadFixture, loadPlayerFixture } from '../mock/server.js';
+import { flushPromises, startMockApi } from './helpers.js';
+
+describe('calculatePlayerScore', () => {
+    test.each([
+        [{ tier: 'IRON', rank: 'IV', leaguePoints: 0 }, 0],
+        [{ tier: 'GOLD', rank: 'II', leaguePoints: 55 }, 1455],
+        [{ tier: 'DIAMOND', rank: 'I', leaguePoints: 100 }, 2800],
+        [{ tier: 'MASTER', rank: 'I', leaguePoints: 0 }, 2800],
+        [{ tier: 'CHALLENGER', rank: 'I', leaguePoints: 1432 }, 4232],
+        [{ tier: 'UNRANKED', rank: '', leaguePoints: 0 }, 0]
+    ])('scores %o as %i', (entry, score) => {
+        expect(calculatePlayerScore(entry)).toBe(score);
+    });
+
+    test('ranks a Master player with more LP above a Grandmaster', () => {
+        const master = calculatePlayerScore({ tier: 'MASTER', rank: 'I', leaguePoints: 600 });
+        const grandmaster = calculatePlayerScore({ tier: 'GRANDMASTER', rank: 'I', leaguePoints: 450 });
+        expect(master).toBeGreaterThan(grandmaster);
+    });
+
+    test('matches the scores stored in the shared leaderboard fixture', () => {
+        loadFixture('leaderboard').forEach(entry => {
+            expect(calculatePlayerScore(entry)).toBe(entry.score);
+        });
+    });
+});
+
+describe('compareLeaderboardEntries', () => {
+    test('breaks score ties on win rate, then games played', () => {
+        const players = [
+            { name: 'fewer games', score: 2000, wins: 6, losses: 4 },
+            { name: 'lower win rate', score: 2000, wins: 50, losses: 50 },
+            { name: 'higher score', score: 2100, wins: 1, losses: 9 },
+            { name: 'more games', score: 2000, wins: 60, losses: 40 }
+        ];
+
+        expect(players.sort(compareLeaderboardEntries).map(player => player.name))
+            .toEqual(['higher score', 'more games', 'fewer games', 'lower win rate']);
+    });
+});
+
+describe('compareChallengeEntries', () => {
+    test('ranks on challenge points, then rank, with players without points last', () => {
+        const players = [
+            { name: 'no points', score: 4000, wins: 10, losses: 0 },
+            { name: 'higher rank', score: 2100, wins: 5, losses: 5, challengePoints: 9000 },
+            { name: 'most points', score: 1000, wins: 5, losses: 5, challengePoints: 12000 },
+            { name: 'lower rank', score: 2000, wins: 5, losses: 5, challengePoints: 9000 }
+        ];
+
+        expect(players.sort(compareChallengeEntries).map(player => player.name))
+            .toEqual(['most points', 'higher rank', 'lower rank', 'no points']);
+    });
+});
+
+describe('loadLeaderboard', () => {
+    let api;
+
+    beforeAll(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    beforeEach(async () => {
+        localStorage.clear();
+        elements.leaderboardQueue.value = 'RANKED_SOLO_5x5';
+        elements.leaderboardRegion.value = 'all';
+        elements.leaderboardRanking.value = 'score';
+        api = await startMockApi();
+    });
+
+    afterEach(() => api.close());
+
+    function renderedNames() {
+        return [...elements.leaderboardList.querySelectorAll('.player-name')]
+            .map(name => name.firstChild.textContent);
+    }
+
+    test('renders the shared board for the selected queue in score order', async () => {
+        await loadLeaderboard();
+
+        const expected = loadFixture('leaderboard')
+            .filter(player => player.queueType === 'RANKED_SOLO_5x5')
+            .sort(compareLeaderboardEntries)
+            .map(player => player.name);
+        expect(renderedNames()).toEqual(expected);
+        expect(elements.leaderboardList.querySelector('.rank-position').nextElementSibling.dataset.sort).toBe('name');
+        expect(elements.leaderboardList.querySelector('.leaderboard-offline')).toBeNull();
+    });
+
+    test('keeps a local copy of the shared board', async () => {
+        await loadLeaderboard();
+
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEYS.leaderboard));
+        expect(saved.length).toBeGreaterThan(0);
+    });
+
+    test('ranks by challenge points, leaving out players without any', async () => {
+        elements.leaderboardRanking.value = 'challenges';
+        await loadLeaderboard();
+
+        const expected = loadFixture('leaderboard')
+            .filter(player => player.queueType === 'RANKED_SOLO_5x5' && player.challengePoints !== undefined)
+            .sort(compareChallengeEntries);
+        expect(renderedNames()).toEqual(expected.map(player => player.name));
+        expect(renderedNames()).not.toContain('Tarzaned');
+        expect(elements.leaderboardList.querySelector('.leaderboard-sort.active').dataset.sort).toBe('challenges');
+        expect(elements.leaderboardList.querySelector('.challenge-score').textContent)
+            .toBe(expected[0].challengePoints.toLocaleString());
+    });
+
+    test('filters by region', async () => {
+        elements.leaderboardRegion.value = 'kr';
+        await loadLeaderboard();
+
+        const regions = [...elements.leaderboardList.querySelectorAll('.player-region')]
+            .map(region => region.textContent);
+        expect(regions.length).toBeGreaterThan(0);
+        expect(new Set(regions)).toEqual(new Set(['KR']));
+    });
+
+    test('falls back to the local copy when the shared board is down', async () => {
+        await loadLeaderboard();
+        const online = renderedNames();
+        await api.close();
+
+        await loadLeaderboard();
+        await flushPromises();
+
+        expect(elements.leaderboardList.querySelector('.leaderboard-offline')).not.toBeNull();
+        expect(renderedNames()).toEqual(online);
+    });
+
+    test('renders a tampered local entry as text', async () => {
+        await api.close();
+        const name = '<img src=x onerror="alert(1)">';
+        const [entry] = loadFixture('leaderboard').filter(player => player.queueType === 'RANKED_SOLO_5x5');
+        localStorage.setItem(STORAGE_KEYS.leaderboard, JSON.stringify([{ ...entry, name, tagLine: '"><b>x' }]));
+
+        await loadLeaderboard();
+
+        expect(renderedNames()).toEqual([name]);
+        expect(elements.leaderboardList.querySelector('.player-name').textContent).toBe(`${name}#"><b>x`);
+        expect(elements.leaderboardList.querySelector('.player-name img, .player-name b')).toBeNull();
+        expect(elements.leaderboardList.querySelector('.compare-btn').dataset.compareName).toBe(name);
+    });
+
+    test('shows movement since the previous update', async () => {
+        await loadLeaderboard();
+
+        const movement = name => [...elements.leaderboardList.querySelectorAll('.leaderboard-item')]
+            .find(item => item.querySelector('.player-name').firstChild.textContent === name)
+            .querySelector('.rank-movement');
+        expect(movement('Hide on bush').className).toBe('rank-movement up');
+        expect(movement('Hide on bush').textContent).toBe('▲ 34');
+        expect(movement('Chovy').textContent).toBe('▼ 16');
+        expect(movement('Doublelift')).toBeNull();
+    });
+
+    test('keeps the replaced score when a lookup updates the local copy', async () => {
+        await api.close();
+        const { account, summoner, league } = loadPlayerFixture('chovy');
+        const region = 'kr';
+
+        addToLeaderboard(account, summoner, league, region);
+        addToLeaderboard(account, summoner, [{ ...league[0], leaguePoints: 1011 }], region);
+        await flushPromises();
+
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEYS.leaderboard));
+        expect(saved.find(player => player.puuid === account.puuid)).toMatchObject({ score: 3811, previousScore: 3786 });
+    });
+
+    test('keeps the movement baseline when a lookup finds the score unchanged', async () => {
+        await loadLeaderboard();
+        await api.close();
+        const { account, summoner, league } = loadPlayerFixture('chovy');
+        const shared = loadFixture('leaderboard').find(player => player.puuid === account.puuid);
+
+        addToLeaderboard(account, summoner, league, 'kr');
+        addToLeaderboard(account, summoner, league, 'kr');
+        await flushPromises();
+
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEYS.leaderboard));
+        expect(saved.find(player => player.puuid === account.puuid))
+            .toMatchObject({ score: shared.score, previousScore: shared.previousScore });
+    });
+
+    test('keeps challenge points from the shared board when a lookup updates the local copy', async () => {
+        await loadLeaderboard();
+        await api.close();
+        const { account, summoner, league } = loadPlayerFixture('chovy');
+
+        addToLeaderboard(account, summoner, league, 'kr');
+        await flushPromises();
+
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEYS.leaderboard));
+        expect(saved.find(player => player.puuid === account.puuid).challengePoints).toBe(14230);
+    });
+});
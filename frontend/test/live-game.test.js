@@ -0,0 +1,137 @@
+import { jest } from '@jest/globals';
+import { formatGameClock, handleLiveGameClick, reloadLiveGame, showLiveGame } from '../src/js/live-game.js';
+import { displaySummonerResults, elements } from '../src/js/ui.js';
+import { loadPlayerFixture } from '../mock/server.js';
+import { flushPromises, seedStaticData, startMockApi } from './helpers.js';
+
+const faker = loadPlayerFixture('hide-on-bush');
+const chovy = loadPlayerFixture('chovy');
+
+function showPlayer({ account, summoner, league }) {
+    displaySummonerResults(account, summoner, league, 'kr');
+    showLiveGame(account, 'kr');
+}
+
+function click(selector) {
+    handleLiveGameClick({ target: elements.summonerCard.querySelector(selector) });
+}
+
+function liveGame() {
+    return elements.summonerCard.querySelector('.live-game');
+}
+
+function ranks() {
+    return [...liveGame().querySelectorAll('.live-rank')].map(rank => rank.textContent);
+}
+
+// The lookups run in the background of the click
+async function waitFor(check) {
+    for (let attempt = 0; attempt < 100 && !check(); attempt++) {
+        await flushPromises();
+    }
+}
+
+function ranksLoaded() {
+    return ranks().length === 10 && !ranks().includes('…');
+}
+
+let api;
+let fetchSpy;
+
+function spectatorRequests() {
+    return fetchSpy.mock.calls.filter(([url]) => String(url).includes('/spectator/v5/')).length;
+}
+
+beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await seedStaticData({
+        103: { id: 'Ahri', name: 'Ahri', tags: ['Mage', 'Assassin'] },
+        777: { id: 'Yone', name: 'Yone', tags: ['Assassin', 'Fighter'] }
+    });
+});
+
+beforeEach(async () => {
+    api = await startMockApi();
+    fetchSpy = jest.spyOn(globalThis, 'fetch');
+});
+
+afterEach(async () => {
+    // Stops the game clock
+    click('[data-summoner-tab="history"]');
+    fetchSpy.mockRestore();
+    await api.close();
+});
+
+test('looks the game up only once the tab opens', async () => {
+    showPlayer(faker);
+
+    expect(liveGame().classList.contains('hidden')).toBe(true);
+    expect(elements.summonerCard.querySelector('.summoner-tab.active').dataset.summonerTab).toBe('history');
+    await flushPromises();
+    expect(spectatorRequests()).toBe(0);
+
+    click('[data-summoner-tab="live"]');
+    expect(liveGame().classList.contains('hidden')).toBe(false);
+    expect(elements.summonerCard.querySelector('.rank-history').classList.contains('hidden')).toBe(true);
+    await waitFor(ranksLoaded);
+    expect(spectatorRequests()).toBe(1);
+});
+
+test('shows both teams with champions, spells, runes and ranks', async () => {
+    showPlayer(faker);
+    click('[data-summoner-tab="live"]');
+    await waitFor(ranksLoaded);
+
+    expect(liveGame().querySelector('.live-game-mode').textContent).toBe('Ranked Solo/Duo');
+    // The recorded game started 754 seconds before the request
+    expect(liveGame().querySelector('.live-game-clock').textContent).toMatch(/^12:3\d$/);
+
+    const teams = [...liveGame().querySelectorAll('.live-team')];
+    expect(teams.map(team => team.querySelectorAll('.live-player').length)).toEqual([5, 5]);
+
+    const self = liveGame().querySelector('.live-player.self');
+    expect(self.querySelector('.live-player-name').textContent).toBe('Hide on bush#KR1');
+    expect(self.querySelector('.live-champion').alt).toBe('Ahri');
+    expect(self.querySelectorAll('.live-spell')).toHaveLength(2);
+    expect(self.querySelectorAll('.live-rune')).toHaveLength(2);
+    expect(self.querySelector('.live-player-name').getAttribute('href')).toBe('/kr/Hide%20on%20bush-KR1');
+
+    expect(ranks()).toHaveLength(10);
+    expect(ranks()[0]).toBe('CHALLENGER · 1432 LP');
+    expect(teams[1].querySelector('.live-player:last-child .live-rank').textContent).toBe('Unranked');
+});
+
+test('says so when the player is not in a game', async () => {
+    showPlayer(chovy);
+    click('[data-summoner-tab="live"]');
+    await waitFor(() => !liveGame().querySelector('.live-game-refresh').disabled);
+
+    expect(liveGame().querySelector('.live-game-note').textContent)
+        .toBe('Chovy isn\'t in a game right now. Games show up here from the loading screen on.');
+    expect(elements.notification.classList.contains('show')).toBe(false);
+});
+
+test('keeps the tab open when the same player refreshes', async () => {
+    showPlayer(faker);
+    click('[data-summoner-tab="live"]');
+    await waitFor(ranksLoaded);
+
+    // Background refreshes re-render what's loaded; a new search looks the game up again
+    showPlayer(faker);
+    expect(elements.summonerCard.querySelector('.summoner-tab.active').dataset.summonerTab).toBe('live');
+    expect(liveGame().querySelectorAll('.live-player')).toHaveLength(10);
+    expect(spectatorRequests()).toBe(1);
+    reloadLiveGame();
+    expect(liveGame().querySelector('.live-game-refresh').disabled).toBe(true);
+    await waitFor(ranksLoaded);
+
+    showPlayer(chovy);
+    expect(elements.summonerCard.querySelector('.summoner-tab.active').dataset.summonerTab).toBe('history');
+    expect(liveGame().innerHTML).toBe('');
+});
+
+test('formats the game clock', () => {
+    expect(formatGameClock(0)).toBe('Loading screen');
+    expect(formatGameClock(1000, 1000 + 65000)).toBe('1:05');
+    expect(formatGameClock(1000, 1000 + 2405000)).toBe('40:05');
+});
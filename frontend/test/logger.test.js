@@ -0,0 +1,125 @@
+import { jest } from '@jest/globals';
+import { API_CONFIG } from '../src/js/config.js';
+import { flushErrorReports, logger, redact, setLogLevel, startErrorReporting } from '../src/js/logger.js';
+import { flushPromises, startMockApi } from './helpers.js';
+
+const API_KEY = 'RGAPI-afe09931-a170-4541-8f25-2b071c0ab4ed';
+
+describe('redact', () => {
+    test('removes Riot API keys, key and token parameters and bearer tokens from strings', () => {
+        expect(redact(`key ${API_KEY} failed`)).toBe('key RGAPI-[redacted] failed');
+        expect(redact('https://example.com/x?region=kr&api_key=abc123&token=t0k3n'))
+            .toBe('https://example.com/x?region=kr&api_key=[redacted]&token=[redacted]');
+        expect(redact('Authorization: Bearer eyJhbGciOi.J9.abc')).toBe('Authorization: Bearer [redacted]');
+    });
+
+    test('drops secret fields and redacts nested values', () => {
+        expect(redact({ apiKey: API_KEY, headers: { authorization: 'Basic x', region: 'kr' }, urls: [`?key=${API_KEY}`] }))
+            .toEqual({ apiKey: '[redacted]', headers: { authorization: '[redacted]', region: 'kr' }, urls: ['?key=[redacted]'] });
+    });
+
+    test('turns errors into plain objects', () => {
+        const error = Object.assign(new Error(`Rejected ${API_KEY}`), { status: 401 });
+        expect(redact(error)).toMatchObject({ name: 'Error', message: 'Rejected RGAPI-[redacted]', status: 401 });
+    });
+
+    test('leaves numbers, booleans and null alone', () => {
+        expect(redact({ count: 3, ok: false, value: null })).toEqual({ count: 3, ok: false, value: null });
+    });
+});
+
+describe('logger', () => {
+    let consoleError;
+
+    beforeEach(() => {
+        consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(console, 'debug').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        setLogLevel('silent');
+        jest.restoreAllMocks();
+    });
+
+    test('is silent by default', () => {
+        logger.error('Something broke');
+        logger.debug('Details');
+
+        expect(consoleError).not.toHaveBeenCalled();
+        expect(console.debug).not.toHaveBeenCalled();
+    });
+
+    test('logs redacted messages in debug mode', () => {
+        setLogLevel('debug');
+        logger.error(`Request with ${API_KEY} failed`, { token: 'secret', region: 'kr' });
+
+        expect(consoleError).toHaveBeenCalledWith('[error] Request with RGAPI-[redacted] failed', { token: '[redacted]', region: 'kr' });
+    });
+
+    test('skips levels below the one set', () => {
+        setLogLevel('warn');
+        logger.debug('Details');
+        logger.error('Something broke');
+
+        expect(console.debug).not.toHaveBeenCalled();
+        expect(consoleError).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('error reporting', () => {
+    let api;
+
+    beforeAll(async () => {
+        // The mock API prints each report
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        api = await startMockApi();
+        startErrorReporting(API_CONFIG.logsUrl);
+    });
+
+    afterAll(() => api.close());
+
+    beforeEach(() => {
+        api.clientLogs.length = 0;
+    });
+
+    test('sends logged errors in one batch, once per error', async () => {
+        const error = Object.assign(new Error(`Proxy rejected ${API_KEY}`), { status: 403 });
+        logger.error('account request failed', error, { endpoint: 'account', region: 'kr', status: 403 });
+        // The same failure logged again further up
+        logger.error('Search failed', error);
+        logger.error('Live game lookup failed', new Error('Timeout'));
+        logger.warn('Not reported');
+
+        await flushErrorReports();
+
+        expect(api.clientLogs).toHaveLength(2);
+        expect(api.clientLogs[0]).toMatchObject({
+            kind: 'error',
+            message: 'account request failed',
+            error: { message: 'Proxy rejected RGAPI-[redacted]', status: 403 },
+            context: { endpoint: 'account', region: 'kr', status: 403 },
+            page: '/'
+        });
+        expect(api.clientLogs[1].message).toBe('Live game lookup failed');
+    });
+
+    test('reports uncaught errors', async () => {
+        const error = new Error('Cannot read properties of undefined');
+        window.dispatchEvent(new window.ErrorEvent('error', { message: error.message, error }));
+
+        await flushErrorReports();
+
+        expect(api.clientLogs).toEqual([expect.objectContaining({ kind: 'uncaught', message: error.message })]);
+    });
+
+    test('sends queued errors on its own after a short delay', async () => {
+        jest.useFakeTimers({ advanceTimers: true });
+        logger.error('Rewind error', new Error('Quota exceeded'));
+
+        jest.advanceTimersByTime(5000);
+        jest.useRealTimers();
+        await flushPromises(100);
+
+        expect(api.clientLogs.map(event => event.message)).toEqual(['Rewind error']);
+    });
+});
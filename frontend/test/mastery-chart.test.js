@@ -0,0 +1,171 @@
+import { jest } from '@jest/globals';
+import {
+    handleMasteryChartClick,
+    handleMasteryChartKeydown,
+    handleMasteryChartPointer,
+    handleMasteryControlChange,
+    showMasteryChart
+} from '../src/js/mastery-chart.js';
+import { elements } from '../src/js/ui.js';
+import { loadPlayerFixture } from '../mock/server.js';
+import { seedStaticData } from './helpers.js';
+
+const { account, mastery: masteries } = loadPlayerFixture('hide-on-bush');
+const { mastery: chovyMasteries } = loadPlayerFixture('chovy');
+
+const CHAMPIONS = {
+    1: { id: 'Annie', name: 'Annie', tags: ['Mage'] },
+    4: { id: 'TwistedFate', name: 'Twisted Fate', tags: ['Mage'] },
+    7: { id: 'Leblanc', name: 'LeBlanc', tags: ['Assassin', 'Mage'] },
+    13: { id: 'Ryze', name: 'Ryze', tags: ['Mage', 'Fighter'] },
+    55: { id: 'Katarina', name: 'Katarina', tags: ['Assassin', 'Mage'] },
+    61: { id: 'Orianna', name: 'Orianna', tags: ['Mage', 'Support'] },
+    69: { id: 'Cassiopeia', name: 'Cassiopeia', tags: ['Mage'] },
+    90: { id: 'Malzahar', name: 'Malzahar', tags: ['Mage', 'Assassin'] },
+    101: { id: 'Xerath', name: 'Xerath', tags: ['Mage'] },
+    103: { id: 'Ahri', name: 'Ahri', tags: ['Mage', 'Assassin'] },
+    112: { id: 'Viktor', name: 'Viktor', tags: ['Mage'] },
+    127: { id: 'Lissandra', name: 'Lissandra', tags: ['Mage'] },
+    134: { id: 'Syndra', name: 'Syndra', tags: ['Mage'] },
+    136: { id: 'AurelionSol', name: 'Aurelion Sol', tags: ['Mage'] },
+    163: { id: 'Taliyah', name: 'Taliyah', tags: ['Mage', 'Support'] },
+    238: { id: 'Zed', name: 'Zed', tags: ['Assassin'] }
+};
+
+// Layout constants from mastery-chart.js: 8px padding, then 36px rows with 28px bars
+function barPointer(type, index) {
+    return { type, target: canvas(), clientY: 8 + index * 36 + 10 };
+}
+
+function canvas() {
+    return elements.championMastery.querySelector('.mastery-chart');
+}
+
+function tooltip() {
+    return elements.championMastery.querySelector('.mastery-tooltip');
+}
+
+// The chart's accessible label lists the first three bars in order
+function firstBars() {
+    return canvas().getAttribute('aria-label').split(': ')[1].split(', ').map(bar => bar.replace(/ [\d,]+ points$/, ''));
+}
+
+function changeControl(name, value) {
+    const control = elements.championMastery.querySelector(`[data-mastery-control="${name}"]`);
+    control.value = value;
+    handleMasteryControlChange({ target: control });
+}
+
+beforeAll(async () => {
+    // jsdom has no canvas; drawing is skipped but layout, labels and tooltips still work
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await seedStaticData(CHAMPIONS);
+});
+
+beforeEach(() => {
+    // Switching players resets the filters
+    showMasteryChart(chovyMasteries);
+    showMasteryChart(masteries, account, 'kr');
+});
+
+test('charts the top ten champions and expands to the whole pool', () => {
+    expect(elements.championMastery.querySelector('.mastery-summary').textContent)
+        .toBe(`16 champions · ${masteries.reduce((sum, m) => sum + m.championPoints, 0).toLocaleString()} total points`);
+    expect(canvas().getAttribute('aria-label')).toMatch(/^Champion mastery, 10 of 16 champions: LeBlanc 1,505,305 points/);
+
+    const toggle = elements.championMastery.querySelector('[data-mastery-toggle]');
+    expect(toggle.textContent.trim()).toBe('All 16');
+    handleMasteryChartClick({ target: toggle });
+
+    expect(canvas().getAttribute('aria-label')).toMatch(/^Champion mastery, 16 of 16 champions/);
+    expect(elements.championMastery.querySelector('[data-mastery-toggle]').textContent.trim()).toBe('Top 10');
+});
+
+test('filters by champion class', () => {
+    changeControl('championClass', 'Assassin');
+
+    expect(canvas().getAttribute('aria-label')).toMatch(/, 5 of 5 champions: /);
+    expect(firstBars()).toEqual(['LeBlanc', 'Zed', 'Ahri']);
+    expect(elements.championMastery.querySelector('[data-mastery-toggle]')).toBeNull();
+
+    changeControl('championClass', 'Tank');
+    expect(canvas()).toBeNull();
+    expect(elements.championMastery.querySelector('.mastery-empty').textContent).toBe('No Tank champions played yet');
+});
+
+test('sorts the top champions', () => {
+    changeControl('sort', 'name');
+    expect(firstBars()).toEqual(['Ahri', 'Annie', 'LeBlanc']);
+
+    changeControl('sort', 'lastPlayed');
+    handleMasteryChartClick({ target: elements.championMastery.querySelector('[data-mastery-toggle]') });
+    changeControl('sort', 'level');
+    expect(firstBars()).toEqual(['LeBlanc', 'Twisted Fate', 'Orianna']);
+});
+
+test('keeps the filters when the same player refreshes', () => {
+    changeControl('championClass', 'Assassin');
+    showMasteryChart(masteries);
+
+    expect(elements.championMastery.querySelector('.mastery-filter').value).toBe('Assassin');
+    expect(canvas().getAttribute('aria-label')).toMatch(/, 5 of 5 champions: /);
+});
+
+test('shows a tooltip for the bar under the pointer', () => {
+    handleMasteryChartPointer(barPointer('mousemove', 1));
+
+    expect(tooltip().classList.contains('hidden')).toBe(false);
+    expect(tooltip().querySelector('.mastery-tooltip-name').textContent).toBe('Twisted Fate');
+    expect(tooltip().textContent).toContain('Level 36 · 1,332,471 points');
+    expect(tooltip().textContent).toContain('Points for level 37 reached');
+
+    // Between bars
+    handleMasteryChartPointer({ ...barPointer('mousemove', 1), clientY: 8 + 36 + 30 });
+    expect(tooltip().classList.contains('hidden')).toBe(true);
+
+    handleMasteryChartPointer(barPointer('mousemove', 0));
+    handleMasteryChartPointer(barPointer('mouseout', 0));
+    expect(tooltip().classList.contains('hidden')).toBe(true);
+});
+
+test('shows progress to the next level', () => {
+    handleMasteryChartClick({ target: elements.championMastery.querySelector('[data-mastery-toggle]') });
+    handleMasteryChartPointer(barPointer('mousemove', 15));
+
+    expect(tooltip().querySelector('.mastery-tooltip-name').textContent).toBe('Taliyah');
+    expect(tooltip().textContent).toContain('1,620 points to level 3');
+    expect(tooltip().querySelector('.mastery-progress-fill').style.width).toBe('19%');
+});
+
+test('steps through the bars with the arrow keys', () => {
+    const keydown = key => handleMasteryChartKeydown({ key, target: canvas(), preventDefault: () => {} });
+
+    keydown('ArrowDown');
+    keydown('ArrowDown');
+    expect(tooltip().querySelector('.mastery-tooltip-name').textContent).toBe('Twisted Fate');
+
+    keydown('ArrowUp');
+    keydown('ArrowUp');
+    expect(tooltip().querySelector('.mastery-tooltip-name').textContent).toBe('LeBlanc');
+
+    keydown('Escape');
+    expect(tooltip().classList.contains('hidden')).toBe(true);
+});
+
+test('opens the champion deep-dive from a bar', () => {
+    expect(handleMasteryChartClick({ target: canvas(), clientY: barPointer('click', 1).clientY }))
+        .toBe('/kr/Hide%20on%20bush-KR1/champion/TwistedFate');
+    // Between bars
+    expect(handleMasteryChartClick({ target: canvas(), clientY: 8 + 36 + 30 })).toBeNull();
+
+    const keydown = key => handleMasteryChartKeydown({ key, target: canvas(), preventDefault: () => {} });
+    expect(keydown('Enter')).toBeNull();
+    keydown('ArrowDown');
+    expect(keydown('Enter')).toBe('/kr/Hide%20on%20bush-KR1/champion/Leblanc');
+});
+
+test('says so when the player has no mastery', () => {
+    showMasteryChart([]);
+
+    expect(elements.championMastery.querySelector('.mastery-empty').textContent).toBe('No champion mastery yet');
+});
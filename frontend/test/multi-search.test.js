@@ -0,0 +1,127 @@
+import { jest } from '@jest/globals';
+import { STORAGE_KEYS } from '../src/js/config.js';
+import { handleMultiSearch, loadMultiSearch, parseLobbyText } from '../src/js/multi-search.js';
+import { elements } from '../src/js/ui.js';
+import { loadPlayerFixture } from '../mock/server.js';
+import { flushPromises, seedStaticData, startMockApi } from './helpers.js';
+
+const faker = loadPlayerFixture('hide-on-bush');
+const chovy = loadPlayerFixture('chovy');
+
+function riotId(gameName, tagLine) {
+    return { gameName, tagLine };
+}
+
+function columns() {
+    return [...elements.multiView.querySelectorAll('.multi-player')];
+}
+
+beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await seedStaticData({
+        4: { id: 'TwistedFate', name: 'Twisted Fate', tags: ['Mage'] },
+        7: { id: 'Leblanc', name: 'LeBlanc', tags: ['Assassin', 'Mage'] }
+    });
+});
+
+describe('parseLobbyText', () => {
+    test('reads lobby chat', () => {
+        const chat = [
+            'Hide on bush #KR1 joined the lobby',
+            'Chovy #KR1 joined the lobby',
+            '[21:04] Peyz #KR1 has joined the lobby.',
+            'Hide on bush #KR1: mid or feed',
+            'Chovy #KR1 left the lobby'
+        ].join('\n');
+
+        expect(parseLobbyText(chat)).toEqual([riotId('Hide on bush', 'KR1'), riotId('Peyz', 'KR1')]);
+    });
+
+    test('reads comma and newline separated Riot IDs once each', () => {
+        expect(parseLobbyText('Hide on bush#KR1, Chovy#KR1\nhide on bush#kr1,\n\nnot a riot id'))
+            .toEqual([riotId('Hide on bush', 'KR1'), riotId('Chovy', 'KR1')]);
+    });
+
+    test('finds nothing in text without Riot IDs', () => {
+        expect(parseLobbyText('gl hf\nmid or feed')).toEqual([]);
+    });
+});
+
+describe('handleMultiSearch', () => {
+    beforeEach(() => {
+        // showNotification hides itself on a timer
+        jest.useFakeTimers({ advanceTimers: true });
+        elements.regionSelect.value = 'kr';
+    });
+
+    afterEach(() => {
+        jest.runOnlyPendingTimers();
+        jest.useRealTimers();
+    });
+
+    test('opens the team in the selected region', () => {
+        elements.multiSearchInput.value = 'Hide on bush #KR1 joined the lobby\nChovy #KR1 joined the lobby';
+
+        expect(handleMultiSearch()).toBe('/multi/kr?players=Hide%20on%20bush-KR1,Chovy-KR1');
+    });
+
+    test('looks up the first five players', () => {
+        elements.multiSearchInput.value = ['One', 'Two', 'Three', 'Four', 'Five', 'Six'].map(name => `Player ${name}#KR1`).join(', ');
+
+        expect(handleMultiSearch()).toMatch(/players=Player%20One-KR1,(?:[^,]+,){3}Player%20Five-KR1$/);
+        expect(elements.notification.textContent).toBe('Only the first 5 of 6 players are looked up');
+    });
+
+    test('explains when no Riot IDs are found', () => {
+        elements.multiSearchInput.value = 'gl hf';
+
+        expect(handleMultiSearch()).toBeNull();
+        expect(elements.notification.textContent).toBe('No Riot IDs found - players look like Name#TAG');
+    });
+});
+
+describe('loadMultiSearch', () => {
+    let api;
+
+    beforeEach(async () => {
+        localStorage.removeItem(STORAGE_KEYS.leaderboard);
+        api = await startMockApi();
+    });
+
+    afterEach(async () => {
+        // Lets the shared leaderboard submissions finish
+        await flushPromises();
+        await api.close();
+    });
+
+    test('shows rank and top champions for each player', async () => {
+        await loadMultiSearch('kr', [riotId('Hide on bush', 'KR1'), riotId('Chovy', 'KR1')]);
+
+        expect(columns()).toHaveLength(2);
+        const [fakerColumn, chovyColumn] = columns();
+        expect(fakerColumn.querySelector('.multi-name').textContent).toBe('Hide on bush#KR1');
+        expect(fakerColumn.querySelector('.multi-rank').textContent).toBe('CHALLENGER');
+        expect(chovyColumn.querySelector('.multi-rank').textContent).toBe('GRANDMASTER');
+        expect(fakerColumn.querySelectorAll('.multi-champion')).toHaveLength(3);
+        expect(fakerColumn.querySelector('.multi-champion span').textContent).toBe('LeBlanc');
+        expect(fakerColumn.querySelector('.multi-open').getAttribute('href')).toBe('/kr/Hide%20on%20bush-KR1');
+    });
+
+    test('adds the players to the leaderboard', async () => {
+        await loadMultiSearch('kr', [riotId('Hide on bush', 'KR1'), riotId('Chovy', 'KR1')]);
+
+        const leaderboard = JSON.parse(localStorage.getItem(STORAGE_KEYS.leaderboard));
+        const puuids = new Set(leaderboard.map(player => player.puuid));
+        expect(puuids).toEqual(new Set([faker.account.puuid, chovy.account.puuid]));
+    });
+
+    test('keeps the team when a player is not found', async () => {
+        await loadMultiSearch('kr', [riotId('Nobody', 'KR1'), riotId('Chovy', 'KR1')]);
+
+        expect(elements.multiView.querySelector('.multi-note').textContent).toBe('1 of 2 players found · KR');
+        expect(columns()[0].classList.contains('missing')).toBe(true);
+        expect(columns()[0].querySelector('.multi-error').textContent).toMatch(/^Player not found \(404\)/);
+        expect(columns()[1].querySelector('.multi-rank').textContent).toBe('GRANDMASTER');
+    });
+});
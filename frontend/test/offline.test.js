@@ -0,0 +1,53 @@
+import { formatDataTime, handleServiceWorkerMessage, hideOfflineBanner } from '../src/js/offline.js';
+import { elements } from '../src/js/ui.js';
+
+function cachedResponse(cachedAt) {
+    handleServiceWorkerMessage({ data: { type: 'offline-data', cachedAt } });
+}
+
+afterEach(hideOfflineBanner);
+
+describe('offline banner', () => {
+    test('shows when the service worker answers from its cache', () => {
+        const cachedAt = Date.now() - 3600000;
+        cachedResponse(cachedAt);
+
+        expect(elements.offlineBanner.classList.contains('hidden')).toBe(false);
+        expect(elements.offlineBanner.textContent).toBe(`Offline, data from ${formatDataTime(cachedAt)}`);
+    });
+
+    test('gives the oldest data on screen', () => {
+        const older = Date.now() - 2 * 24 * 3600000;
+        cachedResponse(Date.now() - 60000);
+        cachedResponse(older);
+        cachedResponse(Date.now() - 120000);
+
+        expect(elements.offlineBanner.textContent).toBe(`Offline, data from ${formatDataTime(older)}`);
+    });
+
+    test('ignores other messages', () => {
+        handleServiceWorkerMessage({ data: { type: 'something-else', cachedAt: Date.now() } });
+        handleServiceWorkerMessage({ data: null });
+
+        expect(elements.offlineBanner.classList.contains('hidden')).toBe(true);
+    });
+
+    test('hides once back online', () => {
+        cachedResponse(Date.now());
+        hideOfflineBanner();
+
+        expect(elements.offlineBanner.classList.contains('hidden')).toBe(true);
+    });
+});
+
+describe('formatDataTime', () => {
+    test('gives the time of day for data from today', () => {
+        const now = new Date(2025, 4, 10, 18, 0).getTime();
+        expect(formatDataTime(new Date(2025, 4, 10, 14, 5).getTime(), now)).toBe('2:05 PM');
+    });
+
+    test('adds the date for older data', () => {
+        const now = new Date(2025, 4, 10, 18, 0).getTime();
+        expect(formatDataTime(new Date(2025, 4, 8, 9, 30).getTime(), now)).toBe('May 8, 9:30 AM');
+    });
+});
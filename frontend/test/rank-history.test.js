@@ -0,0 +1,221 @@
+import { jest } from '@jest/globals';
+import { RETRY_POLICY, fetchLeagueData } from '../src/js/api.js';
+import { CACHE_TTLS, STORAGE_KEYS } from '../src/js/config.js';
+import {
+    findRankChanges,
+    handleRankHistoryClick,
+    netLpChange,
+    recordRankSnapshots,
+    showRankHistory
+} from '../src/js/rank-history.js';
+import { displaySummonerResults, elements } from '../src/js/ui.js';
+import { loadPlayerFixture } from '../mock/server.js';
+import { flushPromises, startMockApi } from './helpers.js';
+
+const DAY = 24 * 3600000;
+const NOW = Date.UTC(2024, 9, 31);
+
+function snapshot(daysAgo, tier, rank, leaguePoints) {
+    return { timestamp: NOW - daysAgo * DAY, tier, rank, leaguePoints, wins: 0, losses: 0 };
+}
+
+function storedHistory() {
+    return JSON.parse(localStorage.getItem(STORAGE_KEYS.rankHistory));
+}
+
+describe('netLpChange', () => {
+    const snapshots = [
+        snapshot(40, 'GOLD', 'I', 90),
+        snapshot(20, 'PLATINUM', 'IV', 10),
+        snapshot(8, 'PLATINUM', 'IV', 60),
+        snapshot(3, 'PLATINUM', 'III', 5),
+        snapshot(0, 'PLATINUM', 'III', 30)
+    ];
+
+    test('measures from the last snapshot before the window', () => {
+        expect(netLpChange(snapshots, 7, NOW)).toBe(70);
+        expect(netLpChange(snapshots, 30, NOW)).toBe(140);
+    });
+
+    test('measures from the first snapshot when history starts inside the window', () => {
+        expect(netLpChange(snapshots.slice(2), 30, NOW)).toBe(70);
+    });
+
+    test('counts LP above Master across apex tiers', () => {
+        expect(netLpChange([snapshot(5, 'MASTER', 'I', 450), snapshot(1, 'GRANDMASTER', 'I', 610)], 7, NOW)).toBe(160);
+    });
+
+    test('is unknown without a change to measure', () => {
+        expect(netLpChange([], 7, NOW)).toBeNull();
+        expect(netLpChange([snapshot(1, 'GOLD', 'I', 10)], 7, NOW)).toBeNull();
+        expect(netLpChange(snapshots.slice(0, 2), 7, NOW)).toBeNull();
+    });
+});
+
+describe('findRankChanges', () => {
+    test('marks division and apex tier promotions and demotions', () => {
+        const changes = findRankChanges([
+            snapshot(9, 'DIAMOND', 'II', 95),
+            snapshot(8, 'DIAMOND', 'I', 5),
+            snapshot(7, 'DIAMOND', 'I', 60),
+            snapshot(6, 'MASTER', 'I', 0),
+            snapshot(5, 'GRANDMASTER', 'I', 500),
+            snapshot(4, 'MASTER', 'I', 480)
+        ]);
+
+        expect(changes).toEqual([
+            { index: 1, type: 'promotion', from: 'DIAMOND II', to: 'DIAMOND I' },
+            { index: 3, type: 'promotion', from: 'DIAMOND I', to: 'MASTER' },
+            { index: 4, type: 'promotion', from: 'MASTER', to: 'GRANDMASTER' },
+            { index: 5, type: 'demotion', from: 'GRANDMASTER', to: 'MASTER' }
+        ]);
+    });
+});
+
+describe('recordRankSnapshots', () => {
+    const { account, league } = loadPlayerFixture('hide-on-bush');
+
+    beforeEach(() => {
+        localStorage.clear();
+        jest.useFakeTimers({ now: NOW });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('stores a snapshot per ranked queue', () => {
+        recordRankSnapshots(account, league);
+
+        expect(storedHistory()).toEqual({
+            [`${account.puuid}:RANKED_SOLO_5x5`]: [
+                { timestamp: NOW, tier: 'CHALLENGER', rank: 'I', leaguePoints: 1432, wins: 412, losses: 338 }
+            ],
+            [`${account.puuid}:RANKED_FLEX_SR`]: [
+                { timestamp: NOW, tier: 'DIAMOND', rank: 'II', leaguePoints: 47, wins: 38, losses: 29 }
+            ]
+        });
+    });
+
+    test('treats an unchanged rank moments later as the same lookup', () => {
+        recordRankSnapshots(account, league);
+        jest.setSystemTime(NOW + 60000);
+        recordRankSnapshots(account, league);
+        jest.setSystemTime(NOW + DAY);
+        recordRankSnapshots(account, league);
+        recordRankSnapshots(account, [{ ...league[0], leaguePoints: 1450, wins: 413 }]);
+
+        expect(storedHistory()[`${account.puuid}:RANKED_SOLO_5x5`].map(entry => entry.timestamp))
+            .toEqual([NOW, NOW + DAY, NOW + DAY]);
+    });
+});
+
+// The way app.js records a search: only league data within its cache TTL is snapshotted
+describe('recording from cached league data', () => {
+    const { account } = loadPlayerFixture('hide-on-bush');
+    const record = { onFresh: league => recordRankSnapshots(account, league) };
+    let api;
+
+    beforeAll(() => {
+        RETRY_POLICY.baseDelay = 5;
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    beforeEach(async () => {
+        api = await startMockApi();
+        // Cache the league entries, then let them go stale
+        await fetchLeagueData(account.puuid, 'kr', { forceRefresh: true });
+        localStorage.clear();
+        const now = Date.now;
+        jest.spyOn(Date, 'now').mockImplementation(() => now() + CACHE_TTLS.league + DAY);
+    });
+
+    afterEach(async () => {
+        Date.now.mockRestore();
+        await api.close();
+    });
+
+    test('skips a stale cached rank the refresh could not replace', async () => {
+        await api.close();
+
+        const league = await fetchLeagueData(account.puuid, 'kr', record);
+        await flushPromises(200);
+
+        expect(league.length).toBeGreaterThan(0);
+        expect(storedHistory()).toBeNull();
+    });
+
+    test('records the rank the background refresh brings back', async () => {
+        await fetchLeagueData(account.puuid, 'kr', record);
+        await flushPromises();
+
+        expect(Object.keys(storedHistory())).toEqual([
+            `${account.puuid}:RANKED_SOLO_5x5`,
+            `${account.puuid}:RANKED_FLEX_SR`
+        ]);
+    });
+});
+
+describe('showRankHistory', () => {
+    const { account, summoner, league } = loadPlayerFixture('hide-on-bush');
+    let api;
+
+    function lpChanges() {
+        return [...elements.summonerCard.querySelectorAll('.lp-change-value')].map(value => value.textContent);
+    }
+
+    beforeAll(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        // jsdom has no canvas; drawing is skipped
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    beforeEach(async () => {
+        localStorage.clear();
+        api = await startMockApi();
+        displaySummonerResults(account, summoner, league, 'kr');
+        recordRankSnapshots(account, league);
+    });
+
+    afterEach(() => api.close());
+
+    test('charts the shared history merged with this lookup', async () => {
+        await showRankHistory(account, league);
+
+        expect(elements.summonerCard.querySelector('.lp-chart')).not.toBeNull();
+        expect(elements.summonerCard.querySelector('.lp-chart').getAttribute('aria-label'))
+            .toBe('Solo/Duo LP over the last 90 days, 3 rank changes');
+        // 1245 LP nine days ago and 1012 LP at the start of the history, to 1432 LP now
+        expect(lpChanges()).toEqual(['+187 LP', '+420 LP']);
+        expect(elements.summonerCard.querySelector('.lp-change').className).toBe('lp-change up');
+    });
+
+    test('switches queues', async () => {
+        await showRankHistory(account, league);
+
+        handleRankHistoryClick({ target: elements.summonerCard.querySelector('[data-history-queue="RANKED_FLEX_SR"]') });
+        await flushPromises();
+
+        expect(elements.summonerCard.querySelector('.rank-history-queue.active').textContent).toBe('Flex');
+        // Diamond III 90 LP ten days ago and 80 LP at the start, to Diamond II 47 LP now
+        expect(lpChanges()).toEqual(['+57 LP', '+67 LP']);
+    });
+
+    test('falls back to this device\'s snapshots when the shared board is down', async () => {
+        await api.close();
+
+        await showRankHistory(account, league);
+
+        expect(elements.summonerCard.querySelector('.lp-chart')).toBeNull();
+        expect(elements.summonerCard.querySelector('.rank-history-note').textContent).toMatch(/^Not enough history yet/);
+        expect(lpChanges()).toEqual(['—', '—']);
+    });
+
+    test('leaves unranked players without a chart', async () => {
+        displaySummonerResults(account, summoner, [], 'kr');
+
+        await showRankHistory(account, []);
+
+        expect(elements.summonerCard.querySelector('.rank-history')).toBeNull();
+    });
+});
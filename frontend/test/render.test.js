@@ -0,0 +1,108 @@
+import { jest } from '@jest/globals';
+import { cancelPendingRequests } from '../src/js/api.js';
+import { PLATFORMS } from '../src/js/config.js';
+import { loadMatchHistory } from '../src/js/match-history.js';
+import { displaySummonerResults, elements } from '../src/js/ui.js';
+import { loadPlayerFixture } from '../mock/server.js';
+import { startMockApi } from './helpers.js';
+
+const { account, summoner, league: leagues, matchIds } = loadPlayerFixture('hide-on-bush');
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+describe('region pickers', () => {
+    test('list every platform grouped by regional cluster', () => {
+        const values = select => [...select.options].map(option => option.value);
+        const platforms = Object.keys(PLATFORMS);
+
+        expect(values(elements.regionSelect)).toEqual(platforms);
+        expect(values(elements.leaderboardRegion)).toEqual(['all', ...platforms]);
+        expect([...elements.regionSelect.querySelectorAll('optgroup')].map(group => group.label))
+            .toEqual(['Americas', 'Europe', 'Asia', 'SEA & Oceania']);
+        expect(elements.regionSelect.querySelector('option[value="la1"]').textContent).toBe('LAN');
+    });
+});
+
+describe('displaySummonerResults', () => {
+    beforeEach(() => {
+        elements.results.classList.add('hidden');
+    });
+
+    test('shows the Riot ID, level and Solo/Duo rank', () => {
+        displaySummonerResults(account, summoner, leagues, 'kr');
+
+        const card = elements.summonerCard;
+        expect(card.querySelector('.summoner-name').textContent).toBe('Hide on bush#KR1');
+        expect(card.querySelector('.summoner-level').textContent).toBe(String(summoner.summonerLevel));
+        expect(card.querySelector('.summoner-region').textContent).toBe('KR');
+        expect(card.querySelector('.rank-tier').textContent).toBe('CHALLENGER I');
+        expect(card.querySelector('.rank-lp').textContent).toBe('1432 LP');
+        expect(card.querySelector('.winrate').textContent).toBe('55%');
+        expect(elements.results.classList.contains('hidden')).toBe(false);
+    });
+
+    test('shows unranked players as Unranked', () => {
+        displaySummonerResults(account, summoner, [], 'kr');
+
+        expect(elements.summonerCard.querySelector('.unranked')).not.toBeNull();
+        expect(elements.summonerCard.querySelector('.rank-tier')).toBeNull();
+    });
+});
+
+describe('loadMatchHistory', () => {
+    let api;
+
+    beforeEach(async () => {
+        api = await startMockApi();
+    });
+
+    afterEach(() => api.close());
+
+    test('renders a row per recorded match from the player\'s point of view', async () => {
+        cancelPendingRequests();
+        await loadMatchHistory(account.puuid, 'kr');
+
+        const rows = [...elements.matchHistory.querySelectorAll('.match-row')];
+        expect(rows).toHaveLength(matchIds.length);
+
+        const queues = rows.map(row => row.querySelector('.match-queue').textContent);
+        expect(queues).toEqual(['Ranked Solo/Duo', 'Ranked Solo/Duo', 'Ranked Flex']);
+
+        rows.forEach(row => {
+            expect(row.querySelectorAll('.scoreboard-row')).toHaveLength(10);
+            expect(row.querySelectorAll('.scoreboard-row.current-player')).toHaveLength(1);
+        });
+
+        // Fewer than a page of matches: nothing more to load
+        expect(elements.matchHistory.querySelector('.load-more-btn')).toBeNull();
+    });
+
+    test('drops the page of a load a newer one replaced', async () => {
+        cancelPendingRequests();
+        const first = loadMatchHistory(account.puuid, 'kr');
+        // The same reset a background refresh with new games starts
+        await loadMatchHistory(account.puuid, 'kr');
+        await first;
+
+        expect(elements.matchHistory.querySelectorAll('.match-row')).toHaveLength(matchIds.length);
+    });
+
+    test('shows an empty state and a notification when the history can\'t be loaded', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        // The notification hides itself on a timer
+        jest.useFakeTimers({ advanceTimers: true });
+
+        await loadMatchHistory('unknown-puuid', 'kr');
+
+        expect(elements.matchHistory.querySelector('.match-history-empty').textContent)
+            .toBe('No recent games found');
+        expect(elements.notification.textContent).toMatch(/^Could not load match history: Player not found \(404\)/);
+        expect(elements.notification.classList.contains('show')).toBe(true);
+
+        jest.runOnlyPendingTimers();
+        expect(elements.notification.classList.contains('show')).toBe(false);
+        jest.useRealTimers();
+    });
+});
@@ -0,0 +1,292 @@
+import { jest } from '@jest/globals';
+import { STORAGE_KEYS } from '../src/js/config.js';
+import {
+    addMatchToRecap,
+    handleRewindAnimationEnd,
+    handleRewindChange,
+    handleRewindClick,
+    loadRewind
+} from '../src/js/rewind.js';
+import { elements } from '../src/js/ui.js';
+import { loadFixture, loadPlayerFixture } from '../mock/server.js';
+import { seedStaticData, startMockApi } from './helpers.js';
+
+const faker = loadPlayerFixture('hide-on-bush');
+const FAKER_ID = { gameName: 'Hide on bush', tagLine: 'KR1' };
+const SEASON = { season: 2024 };
+// Newest first, as match-v5 lists them
+const [NEWEST, MIDDLE, OLDEST] = faker.matchIds;
+
+function emptyStats() {
+    return {
+        games: 0,
+        wins: 0,
+        remakes: 0,
+        timePlayed: 0,
+        champions: {},
+        roles: {},
+        months: {},
+        hours: new Array(24).fill(0),
+        weekdays: new Array(7).fill(0),
+        streak: { win: null, length: 0 },
+        longestWinStreak: 0,
+        longestLossStreak: 0,
+        bestGame: null,
+        duos: {}
+    };
+}
+
+// A game for player "me" with one teammate and one opponent
+function game(matchId, win, { kills = 5, deaths = 5, assists = 5, remake = false, teammate = 'duo' } = {}) {
+    const participant = (puuid, teamId, won) => ({
+        puuid,
+        riotIdGameName: puuid,
+        riotIdTagline: 'TAG',
+        teamId,
+        teamPosition: 'MIDDLE',
+        championId: 7,
+        championName: 'Leblanc',
+        win: won,
+        kills,
+        deaths,
+        assists,
+        gameEndedInEarlySurrender: remake
+    });
+    return {
+        metadata: { matchId },
+        info: {
+            gameCreation: Date.UTC(2024, 5, 1),
+            gameDuration: 1800,
+            participants: [participant('me', 100, win), participant(teammate, 100, win), participant('them', 200, !win)]
+        }
+    };
+}
+
+function savedRecaps() {
+    return JSON.parse(localStorage.getItem(STORAGE_KEYS.rewind));
+}
+
+function saveRecap(matchIds, processedIds) {
+    const stats = emptyStats();
+    processedIds.forEach(matchId => addMatchToRecap(stats, loadFixture(`matches/${matchId}`), faker.account.puuid));
+    const key = `${faker.account.puuid}:season-2024`;
+    localStorage.setItem(STORAGE_KEYS.rewind, JSON.stringify({
+        [key]: { key, puuid: faker.account.puuid, region: 'kr', range: SEASON, matchIds, processed: processedIds.length, stats }
+    }));
+}
+
+function status() {
+    return elements.rewindView.querySelector('.rewind-status').textContent;
+}
+
+function card() {
+    return elements.rewindView.querySelector('.rewind-card');
+}
+
+beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await seedStaticData({
+        4: { id: 'TwistedFate', name: 'Twisted Fate', tags: ['Mage'] },
+        7: { id: 'Leblanc', name: 'LeBlanc', tags: ['Assassin', 'Mage'] },
+        61: { id: 'Orianna', name: 'Orianna', tags: ['Mage', 'Support'] }
+    });
+});
+
+describe('addMatchToRecap', () => {
+    test('tracks streaks in play order', () => {
+        const stats = emptyStats();
+        [true, true, false, false, false, true].forEach((win, index) => addMatchToRecap(stats, game(`KR_${index}`, win), 'me'));
+
+        expect(stats).toMatchObject({ games: 6, wins: 3, longestWinStreak: 2, longestLossStreak: 3, streak: { win: true, length: 1 } });
+    });
+
+    test('leaves remakes out of the stats', () => {
+        const stats = addMatchToRecap(emptyStats(), game('KR_1', false, { remake: true }), 'me');
+
+        expect(stats).toMatchObject({ games: 0, remakes: 1, champions: {}, bestGame: null, duos: {} });
+    });
+
+    test('picks the best game by KDA, kills breaking ties', () => {
+        const stats = emptyStats();
+        addMatchToRecap(stats, game('KR_1', true, { kills: 2, deaths: 1, assists: 10 }), 'me');
+        addMatchToRecap(stats, game('KR_2', true, { kills: 8, deaths: 1, assists: 4 }), 'me');
+        addMatchToRecap(stats, game('KR_3', false, { kills: 12, deaths: 4, assists: 4 }), 'me');
+
+        expect(stats.bestGame).toMatchObject({ matchId: 'KR_2', kills: 8, deaths: 1, assists: 4, score: 12 });
+    });
+
+    test('counts games with each teammate', () => {
+        const stats = emptyStats();
+        addMatchToRecap(stats, game('KR_1', true), 'me');
+        addMatchToRecap(stats, game('KR_2', false), 'me');
+        addMatchToRecap(stats, game('KR_3', true, { teammate: 'stranger' }), 'me');
+
+        expect(stats.duos.duo).toMatchObject({ name: 'duo', tagLine: 'TAG', games: 2, wins: 1 });
+        expect(stats.duos.stranger).toMatchObject({ games: 1, wins: 1 });
+        expect(stats.duos.them).toBeUndefined();
+    });
+});
+
+describe('loadRewind', () => {
+    let api;
+    let fetchSpy;
+
+    function requestedMatches() {
+        return fetchSpy.mock.calls
+            .map(([url]) => /\/matches\/(KR_\d+)$/.exec(String(url)))
+            .filter(Boolean)
+            .map(match => match[1]);
+    }
+
+    beforeEach(async () => {
+        localStorage.clear();
+        api = await startMockApi();
+        fetchSpy = jest.spyOn(globalThis, 'fetch');
+    });
+
+    afterEach(async () => {
+        fetchSpy.mockRestore();
+        await api.close();
+    });
+
+    test('only fetches games played since the last run', async () => {
+        saveRecap([MIDDLE, OLDEST], [OLDEST, MIDDLE]);
+
+        await loadRewind(FAKER_ID, 'kr', SEASON);
+
+        expect(requestedMatches()).toEqual([NEWEST]);
+        const [recap] = Object.values(savedRecaps());
+        expect(recap).toMatchObject({ matchIds: faker.matchIds, processed: 3 });
+        expect(recap.stats).toMatchObject({ games: 3, wins: 2 });
+    });
+
+    test('resumes an interrupted walk without refetching processed games', async () => {
+        saveRecap(faker.matchIds, [OLDEST]);
+
+        await loadRewind(FAKER_ID, 'kr', SEASON);
+
+        expect(requestedMatches()).not.toContain(OLDEST);
+        expect(Object.values(savedRecaps())[0].stats).toMatchObject({ games: 3, wins: 2, longestWinStreak: 1, longestLossStreak: 1 });
+    });
+
+    test('tells the season as a story', async () => {
+        await loadRewind(FAKER_ID, 'kr', SEASON);
+
+        const cards = [];
+        for (;;) {
+            cards.push(card().className.replace('rewind-card rewind-card-', ''));
+            const active = elements.rewindView.querySelector('.rewind-segment.active .rewind-segment-fill');
+            handleRewindAnimationEnd({ target: active });
+            if (card().className.endsWith(cards[cards.length - 1])) break;
+        }
+
+        expect(cards).toEqual(['intro', 'champions', 'roles', 'kda', 'streaks', 'best-game', 'schedule', 'duos', 'outro']);
+        expect(elements.rewindView.querySelectorAll('.rewind-segment.seen')).toHaveLength(8);
+    });
+
+    test('sums up the season on its cards', async () => {
+        await loadRewind(FAKER_ID, 'kr', SEASON);
+        const next = () => handleRewindClick({ target: elements.rewindView.querySelector('.rewind-nav.next') });
+
+        expect(card().textContent).toContain('Season 2024 Rewind');
+        expect(card().querySelector('.rewind-headline').textContent).toBe('3 games');
+        // 1488 + 2103 + 1712 seconds
+        expect(card().textContent).toContain('1 hour on the Rift');
+        expect(card().textContent).toContain('67% win rate · 2W 1L');
+
+        next();
+        expect([...card().querySelectorAll('.rewind-name')].map(name => name.textContent))
+            .toEqual(['Twisted Fate', 'LeBlanc', 'Orianna']);
+
+        next();
+        expect(card().querySelector('.rewind-headline').textContent).toBe('Mid main');
+        expect(card().querySelector('.rewind-value').textContent).toBe('67% in 3 games');
+
+        next();
+        next();
+        next();
+        const best = loadFixture(`matches/${NEWEST}`).info.participants[0];
+        expect(card().querySelector('.rewind-headline').textContent).toBe(`${best.kills} / ${best.deaths} / ${best.assists}`);
+
+        next();
+        const weekdays = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+        // Local time, so count the fixtures' weekdays the same way
+        const played = faker.matchIds.map(matchId => new Date(loadFixture(`matches/${matchId}`).info.gameCreation).getDay());
+        const day = played[0];
+        const count = played.filter(other => other === day).length;
+        expect(card().querySelector('.rewind-headline').textContent).toMatch(/^\w+days around \d+ (AM|PM)$/);
+        expect(card().querySelectorAll('.rewind-bars')[0].children[day].title)
+            .toBe(`${weekdays[day]}: ${count} game${count === 1 ? '' : 's'}`);
+
+        next();
+        expect([...card().querySelectorAll('.rewind-value')].map(value => value.textContent))
+            .toEqual(new Array(3).fill('3 games together · 67%'));
+
+        next();
+        expect(elements.rewindView.querySelector('.rewind-nav.next').disabled).toBe(true);
+        handleRewindClick({ target: card().querySelector('[data-rewind-replay]') });
+        expect(card().className).toContain('rewind-card-intro');
+    });
+
+    test('says when the range has no games', async () => {
+        await loadRewind(FAKER_ID, 'kr', { season: 2023 });
+
+        expect(status()).toBe('No games found in Season 2023');
+        expect(elements.rewindView.querySelector('.rewind-story')).toBeNull();
+    });
+
+    test('reports a player that does not exist', async () => {
+        await loadRewind({ gameName: 'Nobody', tagLine: '404' }, 'kr', SEASON);
+
+        expect(status()).toMatch(/^Player not found \(404\)/);
+    });
+});
+
+describe('range controls', () => {
+    let api;
+
+    beforeEach(async () => {
+        localStorage.clear();
+        api = await startMockApi();
+        await loadRewind(FAKER_ID, 'kr', SEASON);
+    });
+
+    afterEach(() => api.close());
+
+    function control(selector) {
+        return elements.rewindView.querySelector(selector);
+    }
+
+    test('switches seasons', () => {
+        control('[data-rewind-season]').value = '2023';
+
+        expect(handleRewindChange({ target: control('[data-rewind-season]') })).toBe('/kr/Hide%20on%20bush-KR1/rewind?season=2023');
+    });
+
+    test('rewinds a custom date range', () => {
+        control('[data-rewind-season]').value = 'custom';
+        expect(handleRewindChange({ target: control('[data-rewind-season]') })).toBeNull();
+
+        expect(control('[data-rewind-from]').value).toBe('2024-01-01');
+        expect(control('[data-rewind-to]').value).toBe('2024-12-31');
+
+        control('[data-rewind-from]').value = '2024-10-01';
+        expect(handleRewindClick({ target: control('[data-rewind-apply]') }))
+            .toBe('/kr/Hide%20on%20bush-KR1/rewind?from=2024-10-01&to=2024-12-31');
+    });
+
+    test('rejects a range that ends before it starts', () => {
+        // showNotification hides itself on a timer
+        jest.useFakeTimers({ advanceTimers: true });
+        control('[data-rewind-season]').value = 'custom';
+        handleRewindChange({ target: control('[data-rewind-season]') });
+        control('[data-rewind-from]').value = '2025-01-01';
+
+        expect(handleRewindClick({ target: control('[data-rewind-apply]') })).toBeNull();
+        expect(elements.notification.textContent).toBe('Pick a start date on or before the end date');
+
+        jest.runOnlyPendingTimers();
+        jest.useRealTimers();
+    });
+});
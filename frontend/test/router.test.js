@@ -0,0 +1,236 @@
+import { jest } from '@jest/globals';
+import {
+    championPath,
+    comparePath,
+    leaderboardPath,
+    multiPath,
+    navigate,
+    parseRoute,
+    profilePath,
+    rewindPath,
+    setPageMeta,
+    startRouter
+} from '../src/js/router.js';
+
+function routeFor(url) {
+    return parseRoute(new URL(url, 'http://localhost:8000'));
+}
+
+describe('parseRoute', () => {
+    test('reads a profile from /region/Name-TAG', () => {
+        expect(routeFor('/na1/Doublelift-NA1')).toEqual({
+            view: 'profile',
+            region: 'na1',
+            riotId: { gameName: 'Doublelift', tagLine: 'NA1' }
+        });
+    });
+
+    test('decodes spaces and splits on the last dash', () => {
+        expect(routeFor('/KR/Hide%20on%20bush-KR1')).toEqual({
+            view: 'profile',
+            region: 'kr',
+            riotId: { gameName: 'Hide on bush', tagLine: 'KR1' }
+        });
+    });
+
+    test('reads leaderboard filters from the query string', () => {
+        expect(routeFor('/leaderboard?region=euw1&queue=flex')).toEqual({
+            view: 'leaderboard',
+            queue: 'RANKED_FLEX_SR',
+            region: 'euw1',
+            ranking: 'score'
+        });
+    });
+
+    test('defaults unknown leaderboard filters', () => {
+        expect(routeFor('/leaderboard?region=mars&queue=aram&rank=kda')).toEqual({
+            view: 'leaderboard',
+            queue: 'RANKED_SOLO_5x5',
+            region: 'all',
+            ranking: 'score'
+        });
+    });
+
+    test('reads the leaderboard ranking from the query string', () => {
+        expect(routeFor('/leaderboard?rank=challenges')).toMatchObject({ view: 'leaderboard', ranking: 'challenges' });
+    });
+
+    test('reads compared players and skips invalid ones', () => {
+        expect(routeFor('/compare?players=kr/Hide%20on%20bush-KR1,mars/X-Y,EUW1/Caps-EUW')).toEqual({
+            view: 'compare',
+            players: [
+                { region: 'kr', riotId: { gameName: 'Hide on bush', tagLine: 'KR1' } },
+                { region: 'euw1', riotId: { gameName: 'Caps', tagLine: 'EUW' } }
+            ]
+        });
+    });
+
+    test('reads a multi-search team and skips invalid players', () => {
+        expect(routeFor('/multi/KR?players=Hide%20on%20bush-KR1,NoTag,Chovy-KR1')).toEqual({
+            view: 'multi',
+            region: 'kr',
+            riotIds: [{ gameName: 'Hide on bush', tagLine: 'KR1' }, { gameName: 'Chovy', tagLine: 'KR1' }]
+        });
+    });
+
+    test('reads a rewind season or date range', () => {
+        const riotId = { gameName: 'Hide on bush', tagLine: 'KR1' };
+
+        expect(routeFor('/kr/Hide%20on%20bush-KR1/rewind?season=2024')).toEqual({
+            view: 'rewind', region: 'kr', riotId, range: { season: 2024 }
+        });
+        expect(routeFor('/kr/Hide%20on%20bush-KR1/rewind?from=2024-03-01&to=2024-06-30')).toEqual({
+            view: 'rewind', region: 'kr', riotId, range: { from: '2024-03-01', to: '2024-06-30' }
+        });
+    });
+
+    test('reads a champion deep-dive', () => {
+        expect(routeFor('/kr/Hide%20on%20bush-KR1/champion/Leblanc')).toEqual({
+            view: 'champion', region: 'kr', riotId: { gameName: 'Hide on bush', tagLine: 'KR1' }, champion: 'Leblanc'
+        });
+    });
+
+    test.each(['', '?season=soon', '?from=2024-06-30&to=2024-03-01', '?from=2024-13-01&to=2024-14-01'])(
+        'rewinds the current season for %s',
+        (search) => {
+            expect(routeFor(`/kr/Hide%20on%20bush-KR1/rewind${search}`).range).toEqual({ season: new Date().getFullYear() });
+        }
+    );
+
+    test.each(['/', '/compare', '/compare?players=mars/X-Y', '/multi/kr', '/multi/mars?players=A-B', '/mars/Name-TAG', '/na1/NoTag', '/na1/Name-TAG/extra', '/na1/Name-TAG/champions/Ahri', '/%E0%A4%A'])(
+        'falls back to home for %s',
+        (path) => {
+            expect(routeFor(path)).toEqual({ view: 'home' });
+        }
+    );
+});
+
+describe('paths', () => {
+    test('profile paths round-trip through parseRoute', () => {
+        const riotId = { gameName: 'Hide on bush', tagLine: 'KR1' };
+        const path = profilePath('kr', riotId);
+
+        expect(path).toBe('/kr/Hide%20on%20bush-KR1');
+        expect(routeFor(path)).toEqual({ view: 'profile', region: 'kr', riotId });
+    });
+
+    test('compare paths round-trip through parseRoute', () => {
+        const players = [
+            { region: 'kr', riotId: { gameName: 'Hide on bush', tagLine: 'KR1' } },
+            { region: 'na1', riotId: { gameName: 'A,B/C', tagLine: 'NA1' } }
+        ];
+
+        expect(routeFor(comparePath(players))).toEqual({ view: 'compare', players });
+    });
+
+    test('rewind paths round-trip through parseRoute', () => {
+        const riotId = { gameName: 'Hide on bush', tagLine: 'KR1' };
+
+        expect(rewindPath('kr', riotId)).toBe('/kr/Hide%20on%20bush-KR1/rewind');
+        [{ season: 2023 }, { from: '2024-01-01', to: '2024-01-31' }].forEach(range => {
+            expect(routeFor(rewindPath('kr', riotId, range))).toEqual({ view: 'rewind', region: 'kr', riotId, range });
+        });
+    });
+
+    test('champion paths round-trip through parseRoute', () => {
+        const riotId = { gameName: 'Hide on bush', tagLine: 'KR1' };
+
+        expect(championPath('kr', riotId, 'MonkeyKing')).toBe('/kr/Hide%20on%20bush-KR1/champion/MonkeyKing');
+        expect(routeFor(championPath('kr', riotId, 'MonkeyKing'))).toEqual({ view: 'champion', region: 'kr', riotId, champion: 'MonkeyKing' });
+    });
+
+    test('multi-search paths round-trip through parseRoute', () => {
+        const riotIds = [{ gameName: 'Hide on bush', tagLine: 'KR1' }, { gameName: 'A,B', tagLine: 'KR1' }];
+
+        expect(multiPath('kr', riotIds)).toBe('/multi/kr?players=Hide%20on%20bush-KR1,A%2CB-KR1');
+        expect(routeFor(multiPath('kr', riotIds))).toEqual({ view: 'multi', region: 'kr', riotIds });
+    });
+
+    test('leaderboard paths leave out default filters', () => {
+        expect(leaderboardPath('RANKED_SOLO_5x5', 'all')).toBe('/leaderboard');
+        expect(leaderboardPath('RANKED_FLEX_SR', 'euw1')).toBe('/leaderboard?queue=flex&region=euw1');
+        expect(leaderboardPath('RANKED_SOLO_5x5', 'all', 'score')).toBe('/leaderboard');
+        expect(leaderboardPath('RANKED_SOLO_5x5', 'kr', 'challenges')).toBe('/leaderboard?region=kr&rank=challenges');
+        expect(routeFor(leaderboardPath('RANKED_FLEX_SR', 'euw1'))).toEqual({
+            view: 'leaderboard',
+            queue: 'RANKED_FLEX_SR',
+            region: 'euw1',
+            ranking: 'score'
+        });
+    });
+});
+
+describe('navigation', () => {
+    const handler = jest.fn();
+    let initialCall;
+
+    beforeAll(() => {
+        window.history.replaceState(null, '', '/leaderboard');
+        startRouter(handler);
+        initialCall = handler.mock.calls[0];
+    });
+
+    beforeEach(() => {
+        handler.mockClear();
+    });
+
+    test('shows the current URL on start', () => {
+        expect(initialCall).toEqual([expect.objectContaining({ view: 'leaderboard' }), { initial: true }]);
+    });
+
+    test('pushes a history entry per navigation', () => {
+        const length = window.history.length;
+        navigate('/na1/Doublelift-NA1');
+
+        expect(window.location.pathname).toBe('/na1/Doublelift-NA1');
+        expect(window.history.length).toBe(length + 1);
+        expect(handler).toHaveBeenCalledWith(expect.objectContaining({ view: 'profile' }), { initial: false });
+    });
+
+    test('replaces the entry when navigating to the URL already shown', () => {
+        navigate('/euw1/Caps-EUW');
+        const length = window.history.length;
+        navigate('/euw1/Caps-EUW');
+
+        expect(window.history.length).toBe(length);
+        expect(handler).toHaveBeenCalledTimes(2);
+    });
+
+    test('shows the earlier route on back', async () => {
+        navigate('/na1/First-NA1');
+        navigate('/na1/Second-NA1');
+        handler.mockClear();
+
+        const popped = new Promise(resolve => window.addEventListener('popstate', resolve, { once: true }));
+        window.history.back();
+        await popped;
+
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(handler).toHaveBeenCalledWith(expect.objectContaining({
+            riotId: { gameName: 'First', tagLine: 'NA1' }
+        }), { initial: false });
+    });
+
+    test('intercepts plain clicks on data-route links', () => {
+        navigate('/');
+        handler.mockClear();
+        const link = document.querySelector('a[data-route][href="/leaderboard"]');
+        link.dispatchEvent(new window.MouseEvent('click', { bubbles: true, cancelable: true, button: 0 }));
+
+        expect(window.location.pathname).toBe('/leaderboard');
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(handler).toHaveBeenCalledWith(expect.objectContaining({ view: 'leaderboard' }), { initial: false });
+    });
+});
+
+describe('setPageMeta', () => {
+    test('updates the title and Open Graph tags', () => {
+        setPageMeta({ title: 'Caps#EUW (EUW) - Rift Rewind', description: 'CHALLENGER I 900 LP' });
+
+        expect(document.title).toBe('Caps#EUW (EUW) - Rift Rewind');
+        expect(document.querySelector('meta[property="og:title"]').content).toBe('Caps#EUW (EUW) - Rift Rewind');
+        expect(document.querySelector('meta[property="og:description"]').content).toBe('CHALLENGER I 900 LP');
+        expect(document.querySelector('meta[name="description"]').content).toBe('CHALLENGER I 900 LP');
+        expect(document.querySelector('meta[property="og:url"]').content).toBe(window.location.href);
+    });
+});
@@ -0,0 +1,200 @@
+import { jest } from '@jest/globals';
+import { rateLimitTracker } from '../src/js/api.js';
+import { STORAGE_KEYS } from '../src/js/config.js';
+import {
+    handleMyPlayersClick,
+    handleSuggestionClick,
+    handleSuggestionKeydown,
+    hideSuggestions,
+    recordSearch,
+    refreshFavorites,
+    showSuggestions
+} from '../src/js/search-history.js';
+import { elements } from '../src/js/ui.js';
+import { loadPlayerFixture } from '../mock/server.js';
+import { startMockApi } from './helpers.js';
+
+const { account, summoner, league: leagues } = loadPlayerFixture('hide-on-bush');
+
+function player(gameName, tagLine = 'EUW') {
+    return { ...account, puuid: `${gameName}-puuid`, gameName, tagLine };
+}
+
+function type(value) {
+    elements.summonerInput.value = value;
+    showSuggestions();
+}
+
+function suggestionNames() {
+    return [...elements.searchSuggestions.querySelectorAll('.suggestion-name')]
+        .map(name => name.textContent);
+}
+
+function click(element) {
+    return { target: element };
+}
+
+function key(name) {
+    return { key: name, preventDefault: jest.fn() };
+}
+
+function storedHistory() {
+    return JSON.parse(localStorage.getItem(STORAGE_KEYS.searchHistory));
+}
+
+beforeEach(() => {
+    localStorage.clear();
+    hideSuggestions();
+    elements.summonerInput.value = '';
+});
+
+test('records searches with region, icon and rank, most recent first', () => {
+    recordSearch(player('Caps'), summoner, [], 'euw1');
+    recordSearch(account, summoner, leagues, 'kr');
+
+    const [latest, earlier] = storedHistory();
+    expect(latest).toMatchObject({
+        gameName: 'Hide on bush',
+        tagLine: 'KR1',
+        region: 'kr',
+        profileIconId: summoner.profileIconId,
+        rank: { queueType: 'RANKED_SOLO_5x5', tier: 'CHALLENGER', rank: 'I', leaguePoints: 1432 },
+        favorite: false
+    });
+    expect(earlier).toMatchObject({ gameName: 'Caps', rank: null });
+});
+
+test('searching a player again moves them to the top without duplicating them', () => {
+    recordSearch(account, summoner, leagues, 'kr');
+    recordSearch(player('Caps'), summoner, [], 'euw1');
+    recordSearch(account, summoner, leagues, 'kr');
+
+    expect(storedHistory().map(entry => entry.gameName)).toEqual(['Hide on bush', 'Caps']);
+});
+
+test('keeps the 20 most recent searches', () => {
+    for (let i = 0; i < 25; i++) {
+        recordSearch(player(`Player${i}`), summoner, [], 'euw1');
+    }
+
+    const history = storedHistory();
+    expect(history).toHaveLength(20);
+    expect(history[0].gameName).toBe('Player24');
+});
+
+test('suggestions filter as the user types', () => {
+    recordSearch(player('Caps'), summoner, [], 'euw1');
+    recordSearch(player('Rekkles'), summoner, [], 'euw1');
+    recordSearch(account, summoner, leagues, 'kr');
+
+    type('');
+    expect(suggestionNames()).toEqual(['Hide on bush#KR1', 'Rekkles#EUW', 'Caps#EUW']);
+
+    type('ca');
+    expect(suggestionNames()).toEqual(['Caps#EUW']);
+
+    type('#kr');
+    expect(suggestionNames()).toEqual(['Hide on bush#KR1']);
+
+    type('nobody');
+    expect(elements.searchSuggestions.classList.contains('hidden')).toBe(true);
+});
+
+test('arrow keys and Enter pick a suggestion', () => {
+    recordSearch(player('Caps'), summoner, [], 'euw1');
+    recordSearch(account, summoner, leagues, 'kr');
+    type('');
+
+    expect(handleSuggestionKeydown(key('ArrowDown'))).toBeNull();
+    expect(handleSuggestionKeydown(key('ArrowDown'))).toBeNull();
+    expect(elements.searchSuggestions.querySelector('.suggestion.active .suggestion-name').textContent)
+        .toBe('Caps#EUW');
+
+    const enter = key('Enter');
+    expect(handleSuggestionKeydown(enter)).toMatchObject({ gameName: 'Caps', region: 'euw1' });
+    expect(enter.preventDefault).toHaveBeenCalled();
+    expect(elements.searchSuggestions.classList.contains('hidden')).toBe(true);
+});
+
+test('Enter without a highlighted suggestion is left to the search form', () => {
+    recordSearch(account, summoner, leagues, 'kr');
+    type('');
+
+    const enter = key('Enter');
+    expect(handleSuggestionKeydown(enter)).toBeNull();
+    expect(enter.preventDefault).not.toHaveBeenCalled();
+});
+
+test('clicking a suggestion returns it to search for', () => {
+    recordSearch(account, summoner, leagues, 'kr');
+    type('hide');
+
+    const picked = handleSuggestionClick(click(elements.searchSuggestions.querySelector('.suggestion-name')));
+    expect(picked).toMatchObject({ gameName: 'Hide on bush', tagLine: 'KR1', region: 'kr' });
+});
+
+test('starred players are listed first and shown in the my players strip', () => {
+    recordSearch(player('Caps'), summoner, [], 'euw1');
+    recordSearch(account, summoner, leagues, 'kr');
+    type('');
+
+    const capsStar = elements.searchSuggestions.querySelectorAll('.favorite-toggle')[1];
+    expect(handleSuggestionClick(click(capsStar))).toBeNull();
+
+    expect(suggestionNames()).toEqual(['Caps#EUW', 'Hide on bush#KR1']);
+    expect(elements.myPlayers.classList.contains('hidden')).toBe(false);
+    expect([...elements.myPlayers.querySelectorAll('.my-player-name')].map(name => name.textContent))
+        .toEqual(['Caps']);
+    expect(elements.myPlayers.querySelector('.my-player-rank').textContent).toBe('Unranked');
+});
+
+test('clearing history keeps favorites', () => {
+    recordSearch(player('Caps'), summoner, [], 'euw1');
+    recordSearch(account, summoner, leagues, 'kr');
+    type('');
+    handleSuggestionClick(click(elements.searchSuggestions.querySelectorAll('.favorite-toggle')[0]));
+
+    handleSuggestionClick(click(elements.searchSuggestions.querySelector('.clear-history-btn')));
+
+    expect(storedHistory().map(entry => entry.gameName)).toEqual(['Hide on bush']);
+    expect(suggestionNames()).toEqual(['Hide on bush#KR1']);
+    expect(elements.searchSuggestions.querySelector('.clear-history-btn')).toBeNull();
+});
+
+test('the my players strip opens and unpins favorites', () => {
+    recordSearch(account, summoner, leagues, 'kr');
+    type('');
+    handleSuggestionClick(click(elements.searchSuggestions.querySelector('.favorite-toggle')));
+
+    const chip = elements.myPlayers.querySelector('.my-player-name');
+    expect(handleMyPlayersClick(click(chip))).toMatchObject({ gameName: 'Hide on bush', region: 'kr' });
+    expect(elements.myPlayers.querySelector('.my-player-rank').textContent).toBe('CHALLENGER · 1432 LP');
+
+    expect(handleMyPlayersClick(click(elements.myPlayers.querySelector('.unpin-btn')))).toBeNull();
+    expect(elements.myPlayers.classList.contains('hidden')).toBe(true);
+    expect(storedHistory()[0].favorite).toBe(false);
+});
+
+describe('refreshFavorites', () => {
+    let api;
+
+    beforeEach(async () => {
+        rateLimitTracker.buckets.clear();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        api = await startMockApi();
+    });
+
+    afterEach(() => api.close());
+
+    test('updates favorites with their current rank', async () => {
+        recordSearch(account, summoner, [], 'kr');
+        type('');
+        handleSuggestionClick(click(elements.searchSuggestions.querySelector('.favorite-toggle')));
+        expect(elements.myPlayers.querySelector('.my-player-rank').textContent).toBe('Unranked');
+
+        await refreshFavorites();
+
+        expect(storedHistory()[0].rank).toMatchObject({ tier: 'CHALLENGER', leaguePoints: 1432 });
+        expect(elements.myPlayers.querySelector('.my-player-rank').textContent).toBe('CHALLENGER · 1432 LP');
+    });
+});
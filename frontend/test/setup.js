@@ -0,0 +1,16 @@
+// Runs before each test file: loads index.html into jsdom and exposes the browser globals the
+// app modules read at import time. Node's own fetch stays in place and talks to mock/server.js.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { JSDOM } from 'jsdom';
+
+const html = fs.readFileSync(
+    path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'src', 'index.html'),
+    'utf8'
+);
+const dom = new JSDOM(html, { url: 'http://localhost:8000/' });
+
+globalThis.window = dom.window;
+globalThis.document = dom.window.document;
+globalThis.localStorage = dom.window.localStorage;
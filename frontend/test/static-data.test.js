@@ -0,0 +1,41 @@
+import { jest } from '@jest/globals';
+import { StaticData } from '../src/js/static-data.js';
+
+const VERSION = '14.20.1';
+
+// Just enough of each Data Dragon file for one patch
+const DATA_DRAGON = {
+    'champion.json': { data: { Ahri: { key: '103', id: 'Ahri', name: 'Ahri', title: 'the Nine-Tailed Fox', tags: ['Mage'] } } },
+    'summoner.json': { data: { SummonerFlash: { key: '4', id: 'SummonerFlash', name: 'Flash', image: { full: 'SummonerFlash.png' } } } },
+    'item.json': {
+        data: {
+            1058: { name: 'Needlessly Large Rod', gold: { total: 1250 }, image: { full: '1058.png' }, into: ['3089'] },
+            2003: { name: 'Health Potion', gold: { total: 50 }, image: { full: '2003.png' }, consumed: true },
+            3089: { name: "Rabadon's Deathcap", gold: { total: 3600 }, image: { full: '3089.png' } }
+        }
+    },
+    'runesReforged.json': []
+};
+
+test('fetches the patch again over a copy cached in an older format', async () => {
+    localStorage.setItem('rift-rewind-static-data-version', JSON.stringify({ version: VERSION, checkedAt: Date.now() }));
+    // Cached before items recorded whether they're finished
+    localStorage.setItem(`rift-rewind-static-data-${VERSION}`, JSON.stringify({
+        champions: {},
+        spells: {},
+        items: { 1058: { name: 'Needlessly Large Rod' }, 2003: { name: 'Health Potion' } },
+        runes: {}
+    }));
+    const fetchSpy = jest.spyOn(globalThis, 'fetch').mockImplementation(async url => (
+        new Response(JSON.stringify(DATA_DRAGON[String(url).split('/').pop()]))
+    ));
+
+    await StaticData.load();
+
+    expect(fetchSpy).toHaveBeenCalledTimes(4);
+    expect(StaticData.isFinishedItem(1058)).toBe(false);
+    expect(StaticData.isFinishedItem(2003)).toBe(false);
+    expect(StaticData.isFinishedItem(3089)).toBe(true);
+    expect(localStorage.getItem(`rift-rewind-static-data-${VERSION}`)).toBeNull();
+    fetchSpy.mockRestore();
+});
@@ -2,13 +2,18 @@
 import 'source-map-support/register';
 import * as cdk from 'aws-cdk-lib';
 import { RiftRewindStack } from '../lib/rift-rewind-stack';
+import { STAGES } from '../lib/stage-config';
 
 const app = new cdk.App();
 
-new RiftRewindStack(app, 'RiftRewindStack', {
-  env: {
-    account: process.env.CDK_DEFAULT_ACCOUNT,
-    region: process.env.CDK_DEFAULT_REGION || 'us-east-1',
-  },
-  description: 'Rift Rewind - League of Legends Player Insights Application Infrastructure',
+// One stack per stage: `cdk deploy RiftRewindStack-dev`, `RiftRewindStack-staging` or `RiftRewindStack` (prod)
+Object.values(STAGES).forEach(config => {
+  new RiftRewindStack(app, config.stackName, {
+    env: {
+      account: config.account || process.env.CDK_DEFAULT_ACCOUNT,
+      region: config.region,
+    },
+    description: `Rift Rewind - League of Legends Player Insights Application Infrastructure (${config.stage})`,
+    config,
+  });
 });
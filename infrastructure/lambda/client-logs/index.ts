@@ -0,0 +1,109 @@
+import type { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
+
+// Client error reports from the frontend logger (frontend/src/js/logger.js). Each event is
+// written to the function's log group as one JSON line, so CloudWatch Logs Insights can
+// filter on its fields. The browser redacts before sending; secrets are stripped again here
+// in case an older or modified client didn't.
+const MAX_BODY_BYTES = 64 * 1024;
+const MAX_EVENTS = 20; // Matches the client's batch size
+const MAX_STRING_LENGTH = 2000;
+const MAX_DEPTH = 4;
+const REDACTED = '[redacted]';
+const EVENT_KINDS = ['error', 'uncaught', 'unhandledrejection'];
+
+const SECRET_KEY = /api[_-]?key|token|secret|password|authorization|cookie/i;
+const SECRET_PATTERNS: [RegExp, string][] = [
+  [/RGAPI-[\w-]+/g, `RGAPI-${REDACTED}`],
+  [/([?&](?:api_key|apikey|key|token|access_token)=)[^&#\s]+/gi, `$1${REDACTED}`],
+  [/(Bearer\s+)[\w.~+/-]+=*/gi, `$1${REDACTED}`],
+];
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': process.env.ALLOWED_ORIGIN || '*',
+  'Access-Control-Allow-Methods': 'POST,OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type',
+};
+
+export interface ClientLogEvent {
+  kind: string;
+  message: string;
+  error?: unknown;
+  context?: unknown;
+  page?: string;
+  timestamp: number;
+}
+
+function jsonResponse(statusCode: number, body: unknown): APIGatewayProxyResult {
+  return {
+    statusCode,
+    headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  };
+}
+
+// Redacts and truncates strings, drops secret-named fields and cuts off deep nesting
+export function sanitize(value: unknown, depth = 0): unknown {
+  if (typeof value === 'string') {
+    const redacted = SECRET_PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), value);
+    return redacted.length > MAX_STRING_LENGTH ? `${redacted.slice(0, MAX_STRING_LENGTH)}…` : redacted;
+  }
+  if (value === null || typeof value !== 'object') {
+    return typeof value === 'number' || typeof value === 'boolean' ? value : undefined;
+  }
+  if (depth >= MAX_DEPTH) return '[…]';
+
+  if (Array.isArray(value)) return value.slice(0, MAX_EVENTS).map(item => sanitize(item, depth + 1));
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => (
+    [key, SECRET_KEY.test(key) ? REDACTED : sanitize(item, depth + 1)]
+  )));
+}
+
+function toLogEvent(raw: unknown): ClientLogEvent | null {
+  if (!raw || typeof raw !== 'object') return null;
+  const { kind, message, error, context, page, timestamp } = raw as Record<string, unknown>;
+  if (typeof kind !== 'string' || !EVENT_KINDS.includes(kind) || typeof message !== 'string') return null;
+
+  return {
+    kind,
+    message: sanitize(message) as string,
+    error: sanitize(error),
+    context: sanitize(context),
+    page: typeof page === 'string' ? sanitize(page) as string : undefined,
+    timestamp: typeof timestamp === 'number' ? timestamp : Date.now(),
+  };
+}
+
+export async function handler(event: APIGatewayProxyEvent): Promise<APIGatewayProxyResult> {
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 204, headers: CORS_HEADERS, body: '' };
+  }
+  if (event.httpMethod !== 'POST') {
+    return jsonResponse(405, { message: 'Method not allowed' });
+  }
+
+  const body = event.isBase64Encoded && event.body ? Buffer.from(event.body, 'base64').toString() : event.body || '';
+  if (Buffer.byteLength(body) > MAX_BODY_BYTES) {
+    return jsonResponse(413, { message: 'Report too large' });
+  }
+
+  let events: unknown;
+  try {
+    ({ events } = JSON.parse(body));
+  } catch (error) {
+    return jsonResponse(400, { message: 'Request body must be JSON' });
+  }
+  if (!Array.isArray(events) || events.length === 0 || events.length > MAX_EVENTS) {
+    return jsonResponse(400, { message: `events must be an array of 1 to ${MAX_EVENTS} reports` });
+  }
+
+  const userAgent = sanitize(event.headers?.['User-Agent'] || event.headers?.['user-agent']);
+  let accepted = 0;
+  for (const raw of events) {
+    const logEvent = toLogEvent(raw);
+    if (!logEvent) continue;
+    console.log(JSON.stringify({ source: 'client', ...logEvent, userAgent }));
+    accepted++;
+  }
+
+  return jsonResponse(202, { accepted });
+}
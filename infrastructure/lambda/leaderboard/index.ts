@@ -0,0 +1,362 @@
+import type { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, PutCommand, QueryCommand, QueryCommandInput } from '@aws-sdk/lib-dynamodb';
+import { getAccountRoute, PLATFORM_ROUTES, RiotApiError, riotJson } from '../shared/riot';
+import { LEADERBOARD_SCHEMA, RANK_HISTORY_SCHEMA } from './schema';
+import {
+  calculatePlayerScore, compareChallengeRankings, compareRankings, LeagueEntry, RANKED_QUEUES, RANKINGS,
+} from './scoring';
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+const MIN_REFRESH_INTERVAL = 5 * 60 * 1000; // Resubmitting a player sooner reuses the stored entry
+const PUUID_PATTERN = /^[A-Za-z0-9_-]{40,100}$/;
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_HISTORY_DAYS = 30;
+const HISTORY_RETENTION_DAYS = 365; // Snapshots expire after this via the table's TTL
+const MAX_HISTORY_POINTS = 1000;
+
+// DYNAMODB_ENDPOINT points the handler at DynamoDB Local
+const documentClient = DynamoDBDocumentClient.from(new DynamoDBClient(
+  process.env.DYNAMODB_ENDPOINT ? { endpoint: process.env.DYNAMODB_ENDPOINT } : {},
+));
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': process.env.ALLOWED_ORIGIN || '*',
+  'Access-Control-Allow-Methods': 'GET,POST,OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type',
+};
+
+export interface LeaderboardEntry {
+  puuid: string;
+  queueType: string;
+  name: string;
+  tagLine: string;
+  region: string;
+  tier: string;
+  rank: string;
+  leaguePoints: number;
+  wins: number;
+  losses: number;
+  profileIconId: number;
+  summonerLevel: number;
+  score: number;
+  lastUpdated: number;
+  // Score at the previous refresh, for the leaderboard's movement arrows
+  previousScore?: number;
+  // Total challenge points (lol-challenges-v1), when Riot has challenge data for the player
+  challengePoints?: number;
+}
+
+// One refresh of a player's rank in a queue
+export interface RankSnapshot {
+  timestamp: number;
+  tier: string;
+  rank: string;
+  leaguePoints: number;
+  wins: number;
+  losses: number;
+  score: number;
+}
+
+function jsonResponse(statusCode: number, body: unknown): APIGatewayProxyResult {
+  return {
+    statusCode,
+    headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  };
+}
+
+function tableName(): string {
+  return process.env.LEADERBOARD_TABLE || 'rift-rewind-leaderboard';
+}
+
+function historyTableName(): string {
+  return process.env.RANK_HISTORY_TABLE || 'rift-rewind-rank-history';
+}
+
+function playerQueueKey(puuid: string, queueType: string): string {
+  return `${puuid}#${queueType}`;
+}
+
+// Pages are addressed by DynamoDB's LastEvaluatedKey, passed back to the client as an opaque cursor
+function encodeCursor(key: Record<string, unknown> | undefined): string | null {
+  return key ? Buffer.from(JSON.stringify(key)).toString('base64url') : null;
+}
+
+function decodeCursor(cursor: string): Record<string, unknown> {
+  const key = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+  if (!key || typeof key !== 'object') {
+    throw new SyntaxError('Cursor is not an object');
+  }
+  return key;
+}
+
+/**
+ * `GET /api/leaderboard?queue=RANKED_FLEX_SR&region=na1&ranking=challenges&limit=50&cursor=...` -
+ * one page of players for a queue (Solo/Duo by default), optionally limited to one region,
+ * ranked by score or by total challenge points.
+ */
+async function listPlayers(params: Record<string, string | undefined>): Promise<APIGatewayProxyResult> {
+  const { region, cursor } = params;
+  const queue = params.queue || RANKED_QUEUES[0];
+  const ranking = params.ranking || RANKINGS[0];
+  const limit = Math.min(Math.max(Number(params.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  if (!RANKED_QUEUES.includes(queue)) {
+    return jsonResponse(400, { message: `Unknown queue: ${queue}` });
+  }
+  if (!RANKINGS.includes(ranking)) {
+    return jsonResponse(400, { message: `Unknown ranking: ${ranking}` });
+  }
+  if (region && !PLATFORM_ROUTES.includes(region)) {
+    return jsonResponse(400, { message: `Unknown region: ${region}` });
+  }
+
+  let startKey: Record<string, unknown> | undefined;
+  try {
+    startKey = cursor ? decodeCursor(cursor) : undefined;
+  } catch (error) {
+    return jsonResponse(400, { message: 'Invalid cursor' });
+  }
+
+  const { regionIndex, scoreIndex, challengeIndex } = LEADERBOARD_SCHEMA;
+  let query: QueryCommandInput;
+  if (ranking === 'challenges') {
+    // No index sorts one region by challenge points, so a region's page is filtered from the queue's
+    query = {
+      TableName: tableName(),
+      IndexName: challengeIndex.name,
+      KeyConditionExpression: '#pk = :pk',
+      ...(region && { FilterExpression: '#region = :region' }),
+      ExpressionAttributeNames: { '#pk': challengeIndex.partitionKey, ...(region && { '#region': 'region' }) },
+      ExpressionAttributeValues: { ':pk': queue, ...(region && { ':region': region }) },
+      ScanIndexForward: false,
+    };
+  } else if (region) {
+    query = {
+      TableName: tableName(),
+      IndexName: regionIndex.name,
+      KeyConditionExpression: '#pk = :pk',
+      // The region index holds every queue, so the page is filtered down to the requested one
+      FilterExpression: '#queueType = :queueType',
+      ExpressionAttributeNames: { '#pk': regionIndex.partitionKey, '#queueType': 'queueType' },
+      ExpressionAttributeValues: { ':pk': region, ':queueType': queue },
+      ScanIndexForward: false,
+    };
+  } else {
+    query = {
+      TableName: tableName(),
+      IndexName: scoreIndex.name,
+      KeyConditionExpression: '#pk = :pk',
+      ExpressionAttributeNames: { '#pk': scoreIndex.partitionKey },
+      ExpressionAttributeValues: { ':pk': queue },
+      ScanIndexForward: false,
+    };
+  }
+
+  // Filtered queries can come back short, so keep reading until the page is full
+  const players: LeaderboardEntry[] = [];
+  do {
+    const result = await documentClient.send(new QueryCommand({
+      ...query,
+      Limit: limit - players.length,
+      ExclusiveStartKey: startKey,
+    }));
+    players.push(...(result.Items || []) as LeaderboardEntry[]);
+    startKey = result.LastEvaluatedKey;
+  } while (startKey && players.length < limit);
+
+  // The indexes order by one number only; apply the tie-breaks within the page
+  players.sort(ranking === 'challenges' ? compareChallengeRankings : compareRankings);
+
+  return jsonResponse(200, { players, nextCursor: encodeCursor(startKey) });
+}
+
+/**
+ * `GET /api/leaderboard/history?puuid=...&queue=RANKED_SOLO_5x5&days=30` - the player's rank
+ * snapshots for a queue over the last `days` days, oldest first.
+ */
+async function getRankHistory(params: Record<string, string | undefined>): Promise<APIGatewayProxyResult> {
+  const { puuid } = params;
+  const queue = params.queue || RANKED_QUEUES[0];
+  const days = Math.min(Math.max(Number(params.days) || DEFAULT_HISTORY_DAYS, 1), HISTORY_RETENTION_DAYS);
+
+  if (!puuid || !PUUID_PATTERN.test(puuid)) {
+    return jsonResponse(400, { message: 'A valid puuid is required' });
+  }
+  if (!RANKED_QUEUES.includes(queue)) {
+    return jsonResponse(400, { message: `Unknown queue: ${queue}` });
+  }
+
+  // Newest first so a capped result keeps the most recent snapshots
+  const { partitionKey, sortKey } = RANK_HISTORY_SCHEMA;
+  const result = await documentClient.send(new QueryCommand({
+    TableName: historyTableName(),
+    KeyConditionExpression: '#pk = :pk AND #sk >= :since',
+    ExpressionAttributeNames: { '#pk': partitionKey, '#sk': sortKey },
+    ExpressionAttributeValues: { ':pk': playerQueueKey(puuid, queue), ':since': Date.now() - days * DAY },
+    ScanIndexForward: false,
+    Limit: MAX_HISTORY_POINTS,
+  }));
+
+  const snapshots: RankSnapshot[] = (result.Items || []).reverse().map(item => ({
+    timestamp: item.timestamp,
+    tier: item.tier,
+    rank: item.rank,
+    leaguePoints: item.leaguePoints,
+    wins: item.wins,
+    losses: item.losses,
+    score: item.score,
+  }));
+  return jsonResponse(200, { snapshots });
+}
+
+function toLeaderboardEntry(
+  puuid: string,
+  region: string,
+  account: { gameName: string; tagLine: string },
+  summoner: { profileIconId: number; summonerLevel: number },
+  rankedData: LeagueEntry,
+  challengePoints: number | null | undefined,
+  previous?: LeaderboardEntry,
+): LeaderboardEntry {
+  const score = calculatePlayerScore(rankedData);
+  // See fetchChallengePoints: null is no challenge data, undefined a failed lookup
+  const points = challengePoints === undefined ? previous?.challengePoints : challengePoints ?? undefined;
+  // The movement baseline only moves when the score does, so refreshes with no games between
+  // them keep the arrow
+  const previousScore = previous && previous.score !== score ? previous.score : previous?.previousScore;
+  return {
+    puuid,
+    queueType: rankedData.queueType,
+    name: account.gameName,
+    tagLine: account.tagLine,
+    region,
+    tier: rankedData.tier,
+    rank: rankedData.rank,
+    leaguePoints: rankedData.leaguePoints,
+    wins: rankedData.wins,
+    losses: rankedData.losses,
+    profileIconId: summoner.profileIconId,
+    summonerLevel: summoner.summonerLevel,
+    score,
+    lastUpdated: Date.now(),
+    // The document client rejects undefined attributes, so first-time players go without
+    ...(previousScore !== undefined && { previousScore }),
+    ...(points !== undefined && { challengePoints: points }),
+  };
+}
+
+// Challenges only add a ranking, so a failed lookup doesn't stop the player being listed.
+// Resolves to null when Riot has no challenge data for the player (404) and to undefined when
+// the lookup failed, in which case the stored points are kept.
+async function fetchChallengePoints(region: string, encodedPuuid: string): Promise<number | null | undefined> {
+  try {
+    const data = await riotJson<{ totalPoints: { current: number } }>(
+      region, `/lol/challenges/v1/player-data/${encodedPuuid}`);
+    return data.totalPoints.current;
+  } catch (error) {
+    if (!(error instanceof RiotApiError)) throw error;
+    if (error.status === 404) return null;
+    console.warn('Challenge points lookup failed, keeping the stored points', error);
+    return undefined;
+  }
+}
+
+function toRankSnapshot(entry: LeaderboardEntry) {
+  return {
+    [RANK_HISTORY_SCHEMA.partitionKey]: playerQueueKey(entry.puuid, entry.queueType),
+    timestamp: entry.lastUpdated,
+    tier: entry.tier,
+    rank: entry.rank,
+    leaguePoints: entry.leaguePoints,
+    wins: entry.wins,
+    losses: entry.losses,
+    score: entry.score,
+    [RANK_HISTORY_SCHEMA.ttlAttribute]: Math.floor((entry.lastUpdated + HISTORY_RETENTION_DAYS * DAY) / 1000),
+  };
+}
+
+/**
+ * `POST /api/leaderboard` with `{ puuid, region }`. Rank data and challenge points are looked
+ * up from Riot here, never taken from the request, so a client can't submit a fake rank. Stores
+ * one entry per ranked queue the player has played, plus a rank snapshot for each.
+ */
+async function submitPlayer(body: string | null): Promise<APIGatewayProxyResult> {
+  let submission: { puuid?: unknown; region?: unknown };
+  try {
+    submission = JSON.parse(body || '{}');
+  } catch (error) {
+    return jsonResponse(400, { message: 'Request body must be JSON' });
+  }
+
+  const { puuid, region } = submission;
+  if (typeof puuid !== 'string' || !PUUID_PATTERN.test(puuid)) {
+    return jsonResponse(400, { message: 'A valid puuid is required' });
+  }
+  if (typeof region !== 'string' || !PLATFORM_ROUTES.includes(region)) {
+    return jsonResponse(400, { message: 'A valid region is required' });
+  }
+
+  const existing = await documentClient.send(new QueryCommand({
+    TableName: tableName(),
+    KeyConditionExpression: '#pk = :pk',
+    ExpressionAttributeNames: { '#pk': LEADERBOARD_SCHEMA.partitionKey },
+    ExpressionAttributeValues: { ':pk': puuid },
+  }));
+  const stored = (existing.Items || []) as LeaderboardEntry[];
+  if (stored.length > 0 && stored.every(entry => entry.region === region
+      && Date.now() - entry.lastUpdated < MIN_REFRESH_INTERVAL)) {
+    return jsonResponse(200, { players: stored });
+  }
+
+  const encodedPuuid = encodeURIComponent(puuid);
+  const [account, summoner, leagues, challengePoints] = await Promise.all([
+    riotJson<{ gameName: string; tagLine: string }>(
+      getAccountRoute(region), `/riot/account/v1/accounts/by-puuid/${encodedPuuid}`),
+    riotJson<{ profileIconId: number; summonerLevel: number }>(
+      region, `/lol/summoner/v4/summoners/by-puuid/${encodedPuuid}`),
+    riotJson<LeagueEntry[]>(region, `/lol/league/v4/entries/by-puuid/${encodedPuuid}`),
+    fetchChallengePoints(region, encodedPuuid),
+  ]);
+
+  const rankedQueues = leagues.filter(league => RANKED_QUEUES.includes(league.queueType));
+  if (rankedQueues.length === 0) {
+    return jsonResponse(422, { message: 'Only ranked players are listed on the leaderboard' });
+  }
+
+  const players = rankedQueues.map(rankedData => toLeaderboardEntry(puuid, region, account, summoner, rankedData,
+    challengePoints, stored.find(entry => entry.queueType === rankedData.queueType)));
+
+  await Promise.all(players.flatMap(player => [
+    documentClient.send(new PutCommand({ TableName: tableName(), Item: player })),
+    documentClient.send(new PutCommand({ TableName: historyTableName(), Item: toRankSnapshot(player) })),
+  ]));
+  return jsonResponse(200, { players });
+}
+
+export async function handler(event: APIGatewayProxyEvent): Promise<APIGatewayProxyResult> {
+  try {
+    switch (event.httpMethod) {
+      case 'OPTIONS':
+        return { statusCode: 204, headers: CORS_HEADERS, body: '' };
+      case 'GET':
+        return event.path?.endsWith('/history')
+          ? await getRankHistory(event.queryStringParameters || {})
+          : await listPlayers(event.queryStringParameters || {});
+      case 'POST':
+        return await submitPlayer(event.body);
+      default:
+        return jsonResponse(405, { message: 'Method not allowed' });
+    }
+  } catch (error) {
+    if (error instanceof RiotApiError) {
+      const status = error.status === 404 ? 404 : 502;
+      return jsonResponse(status, { message: status === 404 ? 'Player not found' : 'Unable to verify player with Riot' });
+    }
+
+    console.error('Leaderboard request failed', error);
+    return jsonResponse(500, { message: 'Leaderboard unavailable' });
+  }
+}
@@ -0,0 +1,63 @@
+import type { CreateTableCommandInput } from '@aws-sdk/client-dynamodb';
+
+// Leaderboard table layout, shared by the CDK stack and the DynamoDB Local setup
+export const LEADERBOARD_SCHEMA = {
+  partitionKey: 'puuid',
+  sortKey: 'queueType',
+  regionIndex: { name: 'RegionIndex', partitionKey: 'region', sortKey: 'score' },
+  scoreIndex: { name: 'ScoreIndex', partitionKey: 'queueType', sortKey: 'score' },
+  // Sparse: entries stored before challenge points were recorded, or without challenge data, are left out
+  challengeIndex: { name: 'ChallengeIndex', partitionKey: 'queueType', sortKey: 'challengePoints' },
+};
+
+// Rank snapshots, one item per refresh of a player's queue (`puuid#queueType`), oldest expire
+export const RANK_HISTORY_SCHEMA = {
+  partitionKey: 'playerQueue',
+  sortKey: 'timestamp',
+  ttlAttribute: 'expiresAt',
+};
+
+export function createTableInput(tableName: string): CreateTableCommandInput {
+  const { partitionKey, sortKey, regionIndex, scoreIndex, challengeIndex } = LEADERBOARD_SCHEMA;
+
+  return {
+    TableName: tableName,
+    BillingMode: 'PAY_PER_REQUEST',
+    AttributeDefinitions: [
+      { AttributeName: partitionKey, AttributeType: 'S' },
+      { AttributeName: sortKey, AttributeType: 'S' },
+      { AttributeName: regionIndex.partitionKey, AttributeType: 'S' },
+      { AttributeName: regionIndex.sortKey, AttributeType: 'N' },
+      { AttributeName: challengeIndex.sortKey, AttributeType: 'N' },
+    ],
+    KeySchema: [
+      { AttributeName: partitionKey, KeyType: 'HASH' },
+      { AttributeName: sortKey, KeyType: 'RANGE' },
+    ],
+    GlobalSecondaryIndexes: [regionIndex, scoreIndex, challengeIndex].map(index => ({
+      IndexName: index.name,
+      KeySchema: [
+        { AttributeName: index.partitionKey, KeyType: 'HASH' },
+        { AttributeName: index.sortKey, KeyType: 'RANGE' },
+      ],
+      Projection: { ProjectionType: 'ALL' },
+    })),
+  };
+}
+
+export function createRankHistoryTableInput(tableName: string): CreateTableCommandInput {
+  const { partitionKey, sortKey } = RANK_HISTORY_SCHEMA;
+
+  return {
+    TableName: tableName,
+    BillingMode: 'PAY_PER_REQUEST',
+    AttributeDefinitions: [
+      { AttributeName: partitionKey, AttributeType: 'S' },
+      { AttributeName: sortKey, AttributeType: 'N' },
+    ],
+    KeySchema: [
+      { AttributeName: partitionKey, KeyType: 'HASH' },
+      { AttributeName: sortKey, KeyType: 'RANGE' },
+    ],
+  };
+}
@@ -0,0 +1,60 @@
+// Mirrors calculatePlayerScore, compareLeaderboardEntries and compareChallengeEntries in
+// frontend/src/js/leaderboard.js so server-side rankings match the UI
+export interface LeagueEntry {
+  queueType: string;
+  tier: string;
+  rank: string;
+  leaguePoints: number;
+  wins: number;
+  losses: number;
+}
+
+// Queues the leaderboard ranks players in
+export const RANKED_QUEUES = ['RANKED_SOLO_5x5', 'RANKED_FLEX_SR'];
+
+// Orders the leaderboard can be listed in: rank score, or total challenge points
+export const RANKINGS = ['score', 'challenges'];
+
+const DIVISION_TIERS = ['IRON', 'BRONZE', 'SILVER', 'GOLD', 'PLATINUM', 'EMERALD', 'DIAMOND'];
+const APEX_TIERS = ['MASTER', 'GRANDMASTER', 'CHALLENGER'];
+const DIVISIONS = ['IV', 'III', 'II', 'I'];
+const TIER_SIZE = DIVISIONS.length * 100; // Four 100 LP divisions per tier
+
+// Master, Grandmaster and Challenger have no divisions and share one unbounded LP ladder
+// (the higher tiers are LP cut-offs), so all three rank on LP above Diamond I
+const APEX_BASE = DIVISION_TIERS.length * TIER_SIZE;
+
+export function calculatePlayerScore(entry: LeagueEntry): number {
+  if (APEX_TIERS.includes(entry.tier)) {
+    return APEX_BASE + entry.leaguePoints;
+  }
+
+  const tierIndex = DIVISION_TIERS.indexOf(entry.tier);
+  if (tierIndex === -1) return 0;
+
+  const divisionIndex = Math.max(DIVISIONS.indexOf(entry.rank), 0);
+  return tierIndex * TIER_SIZE + divisionIndex * 100 + Math.min(entry.leaguePoints, 100);
+}
+
+export function winRate(entry: { wins: number; losses: number }): number {
+  const games = entry.wins + entry.losses;
+  return games > 0 ? entry.wins / games : 0;
+}
+
+// Highest score first; equal scores fall back to win rate, then games played
+export function compareRankings(
+  a: { score: number; wins: number; losses: number },
+  b: { score: number; wins: number; losses: number },
+): number {
+  return (b.score - a.score)
+    || (winRate(b) - winRate(a))
+    || ((b.wins + b.losses) - (a.wins + a.losses));
+}
+
+// Most challenge points first; players without any recorded go last. Ties fall back to rank.
+export function compareChallengeRankings(
+  a: { score: number; wins: number; losses: number; challengePoints?: number },
+  b: { score: number; wins: number; losses: number; challengePoints?: number },
+): number {
+  return ((b.challengePoints ?? -1) - (a.challengePoints ?? -1)) || compareRankings(a, b);
+}
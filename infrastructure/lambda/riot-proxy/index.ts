@@ -0,0 +1,138 @@
+import type { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
+import { isKnownRoute, PLATFORM_ROUTES, RATE_LIMIT_HEADERS, REGIONAL_ROUTES, riotFetch } from '../shared/riot';
+
+interface AllowedEndpoint {
+  name: string;
+  routes: string[];
+  pattern: RegExp;
+}
+
+// Only the Riot endpoints the frontend actually calls are forwarded
+export const ALLOWED_ENDPOINTS: AllowedEndpoint[] = [
+  {
+    name: 'account',
+    routes: REGIONAL_ROUTES,
+    pattern: /^\/riot\/account\/v1\/accounts\/by-riot-id\/[^/]+\/[^/]+$/,
+  },
+  {
+    name: 'summoner',
+    routes: PLATFORM_ROUTES,
+    pattern: /^\/lol\/summoner\/v4\/summoners\/by-puuid\/[^/]+$/,
+  },
+  {
+    name: 'league',
+    routes: PLATFORM_ROUTES,
+    pattern: /^\/lol\/league\/v4\/entries\/by-puuid\/[^/]+$/,
+  },
+  {
+    name: 'mastery',
+    routes: PLATFORM_ROUTES,
+    pattern: /^\/lol\/champion-mastery\/v4\/champion-masteries\/by-puuid\/[^/]+$/,
+  },
+  {
+    name: 'activeGame',
+    routes: PLATFORM_ROUTES,
+    pattern: /^\/lol\/spectator\/v5\/active-games\/by-summoner\/[^/]+$/,
+  },
+  {
+    name: 'challenges',
+    routes: PLATFORM_ROUTES,
+    pattern: /^\/lol\/challenges\/v1\/player-data\/[^/]+$/,
+  },
+  {
+    name: 'challengeConfig',
+    routes: PLATFORM_ROUTES,
+    pattern: /^\/lol\/challenges\/v1\/challenges\/config$/,
+  },
+  {
+    name: 'matchIds',
+    routes: REGIONAL_ROUTES,
+    pattern: /^\/lol\/match\/v5\/matches\/by-puuid\/[^/]+\/ids$/,
+  },
+  {
+    name: 'match',
+    routes: REGIONAL_ROUTES,
+    pattern: /^\/lol\/match\/v5\/matches\/[A-Z0-9]+_\d+$/,
+  },
+];
+
+// Query parameters callers may pass through to Riot
+const ALLOWED_QUERY_PARAMS = ['start', 'count', 'queue', 'type', 'startTime', 'endTime'];
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': process.env.ALLOWED_ORIGIN || '*',
+  'Access-Control-Allow-Methods': 'GET,OPTIONS',
+  'Access-Control-Expose-Headers': RATE_LIMIT_HEADERS.join(','),
+};
+
+function jsonResponse(statusCode: number, message: string): APIGatewayProxyResult {
+  return {
+    statusCode,
+    headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ status: { status_code: statusCode, message } }),
+  };
+}
+
+export function findEndpoint(route: string, path: string): AllowedEndpoint | undefined {
+  return ALLOWED_ENDPOINTS.find(endpoint => endpoint.routes.includes(route) && endpoint.pattern.test(path));
+}
+
+/**
+ * Forwards `GET /api/riot/{route}/{proxy+}` to `https://{route}.api.riotgames.com/{proxy}`
+ * with the API key attached server-side. Riot's status, body and rate limit headers are
+ * passed through unchanged so the browser can keep handling them.
+ */
+export async function handler(event: APIGatewayProxyEvent): Promise<APIGatewayProxyResult> {
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 204, headers: CORS_HEADERS, body: '' };
+  }
+  if (event.httpMethod !== 'GET') {
+    return jsonResponse(405, 'Method not allowed');
+  }
+
+  const route = event.pathParameters?.route || '';
+  const path = `/${event.pathParameters?.proxy || ''}`;
+
+  if (!isKnownRoute(route)) {
+    return jsonResponse(400, `Unknown routing value: ${route}`);
+  }
+
+  const endpoint = findEndpoint(route, path);
+  if (!endpoint) {
+    return jsonResponse(403, 'Endpoint not allowed by proxy');
+  }
+
+  const query: Record<string, string> = {};
+  Object.entries(event.queryStringParameters || {}).forEach(([key, value]) => {
+    if (ALLOWED_QUERY_PARAMS.includes(key) && value !== undefined) {
+      query[key] = value;
+    }
+  });
+
+  // API Gateway hands us decoded path parameters, so re-encode each segment
+  const encodedPath = path.split('/').map(segment => encodeURIComponent(segment)).join('/');
+
+  try {
+    const response = await riotFetch(route, encodedPath, query);
+
+    const headers: Record<string, string> = {
+      ...CORS_HEADERS,
+      'Content-Type': response.headers.get('content-type') || 'application/json',
+    };
+    RATE_LIMIT_HEADERS.forEach(header => {
+      const value = response.headers.get(header);
+      if (value !== null) {
+        headers[header] = value;
+      }
+    });
+
+    return {
+      statusCode: response.status,
+      headers,
+      body: await response.text(),
+    };
+  } catch (error) {
+    console.error('Riot proxy request failed', { endpoint: endpoint.name, route, error });
+    return jsonResponse(502, 'Unable to reach Riot Games API');
+  }
+}
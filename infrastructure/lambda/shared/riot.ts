@@ -0,0 +1,95 @@
+import { GetSecretValueCommand, SecretsManagerClient } from '@aws-sdk/client-secrets-manager';
+
+// Platform hosts (summoner, league, mastery) and regional clusters (account, match)
+export const PLATFORM_ROUTES = [
+  'br1', 'eun1', 'euw1', 'jp1', 'kr', 'la1', 'la2', 'me1', 'na1', 'oc1',
+  'ph2', 'ru', 'sg2', 'th2', 'tr1', 'tw2', 'vn2',
+];
+export const REGIONAL_ROUTES = ['americas', 'asia', 'europe', 'sea'];
+
+// Regional cluster each platform's match-v5 data lives on. The frontend's region pickers list
+// the same platforms (PLATFORMS in frontend/src/js/config.js).
+export const REGIONAL_ROUTING: Record<string, string> = {
+  br1: 'americas', la1: 'americas', la2: 'americas', na1: 'americas',
+  eun1: 'europe', euw1: 'europe', me1: 'europe', ru: 'europe', tr1: 'europe',
+  jp1: 'asia', kr: 'asia',
+  oc1: 'sea', ph2: 'sea', sg2: 'sea', th2: 'sea', tw2: 'sea', vn2: 'sea',
+};
+
+// Rate limit headers the browser needs to pace its own requests
+export const RATE_LIMIT_HEADERS = [
+  'x-app-rate-limit',
+  'x-app-rate-limit-count',
+  'x-method-rate-limit',
+  'x-method-rate-limit-count',
+  'x-rate-limit-type',
+  'retry-after',
+];
+
+let cachedApiKey: string | undefined;
+
+/**
+ * Resolve the Riot API key. Locally it comes from RIOT_API_KEY; in AWS it is read
+ * once per container from the secret named by RIOT_API_SECRET_ARN.
+ */
+export async function getRiotApiKey(): Promise<string> {
+  if (process.env.RIOT_API_KEY) {
+    return process.env.RIOT_API_KEY;
+  }
+  if (cachedApiKey) {
+    return cachedApiKey;
+  }
+
+  const client = new SecretsManagerClient({});
+  const result = await client.send(new GetSecretValueCommand({ SecretId: process.env.RIOT_API_SECRET_ARN }));
+  const apiKey = JSON.parse(result.SecretString || '{}').apiKey;
+  if (!apiKey) {
+    throw new Error('Riot API secret does not contain an apiKey field');
+  }
+
+  cachedApiKey = apiKey;
+  return apiKey;
+}
+
+export class RiotApiError extends Error {
+  constructor(public readonly status: number, message: string) {
+    super(message);
+    this.name = 'RiotApiError';
+  }
+}
+
+export function isKnownRoute(route: string): boolean {
+  return PLATFORM_ROUTES.includes(route) || REGIONAL_ROUTES.includes(route);
+}
+
+// account-v1 is only served from americas, asia and europe; SEA players resolve through asia
+export function getAccountRoute(platform: string): string {
+  const cluster = REGIONAL_ROUTING[platform];
+  return cluster === 'sea' ? 'asia' : cluster;
+}
+
+/**
+ * Base URL for a routing value. RIOT_API_BASE_URL lets local runs and tests point
+ * the handlers at a stub server, e.g. `http://localhost:4000/{route}`.
+ */
+export function riotBaseUrl(route: string): string {
+  const template = process.env.RIOT_API_BASE_URL || 'https://{route}.api.riotgames.com';
+  return template.replace('{route}', route);
+}
+
+export async function riotFetch(route: string, path: string, query?: Record<string, string>): Promise<Response> {
+  const search = query && Object.keys(query).length > 0 ? `?${new URLSearchParams(query)}` : '';
+  const apiKey = await getRiotApiKey();
+
+  return fetch(`${riotBaseUrl(route)}${path}${search}`, {
+    headers: { 'X-Riot-Token': apiKey },
+  });
+}
+
+export async function riotJson<T>(route: string, path: string): Promise<T> {
+  const response = await riotFetch(route, path);
+  if (!response.ok) {
+    throw new RiotApiError(response.status, `Riot API request failed (${response.status}): ${path}`);
+  }
+  return response.json() as Promise<T>;
+}
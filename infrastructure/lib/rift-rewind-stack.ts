@@ -6,18 +6,46 @@ import * as iam from 'aws-cdk-lib/aws-iam';
 import * as secretsmanager from 'aws-cdk-lib/aws-secretsmanager';
 import * as amplify from 'aws-cdk-lib/aws-amplify';
 import * as logs from 'aws-cdk-lib/aws-logs';
+import * as lambda from 'aws-cdk-lib/aws-lambda';
+import * as lambdaNodejs from 'aws-cdk-lib/aws-lambda-nodejs';
+import * as apigateway from 'aws-cdk-lib/aws-apigateway';
+import * as dynamodb from 'aws-cdk-lib/aws-dynamodb';
 import { Construct } from 'constructs';
+import * as path from 'path';
+import { LEADERBOARD_SCHEMA, RANK_HISTORY_SCHEMA } from '../lambda/leaderboard/schema';
+import { StageConfig } from './stage-config';
+
+// Scripts only from the site itself. Styles allow 'unsafe-inline' for the style attributes views
+// set (bar widths, animation order); images and static data come from Data Dragon.
+const CONTENT_SECURITY_POLICY = [
+  "default-src 'self'",
+  "script-src 'self'",
+  "style-src 'self' 'unsafe-inline' https://fonts.googleapis.com",
+  'font-src https://fonts.gstatic.com',
+  "img-src 'self' data: https://ddragon.leagueoflegends.com",
+  "connect-src 'self' https://ddragon.leagueoflegends.com",
+  "object-src 'none'",
+  "base-uri 'self'",
+  "form-action 'self'",
+  "frame-ancestors 'none'",
+].join('; ');
+
+export interface RiftRewindStackProps extends cdk.StackProps {
+  config: StageConfig;
+}
 
 export class RiftRewindStack extends cdk.Stack {
-  constructor(scope: Construct, id: string, props?: cdk.StackProps) {
+  constructor(scope: Construct, id: string, props: RiftRewindStackProps) {
     super(scope, id, props);
+    const { config } = props;
 
-    // Reference the GitHub PAT from Secrets Manager
-    const githubPat = secretsmanager.Secret.fromSecretNameV2(this, 'GitHubPAT', 'rift-rewind/github-pat');
+    // Secrets are created outside the stack (setup-secrets.sh) and only referenced here
+    const githubPat = secretsmanager.Secret.fromSecretNameV2(this, 'GitHubPAT', config.secrets.githubPat);
+    const riotApiSecret = secretsmanager.Secret.fromSecretNameV2(this, 'RiotApiSecret', config.secrets.riotApiKey);
 
     // Create S3 bucket for static website hosting (private bucket)
     const websiteBucket = new s3.Bucket(this, 'RiftRewindWebsiteBucket', {
-      bucketName: `rift-rewind-website-${this.account}-${this.region}`,
+      bucketName: `${config.resourcePrefix}-website-${this.account}-${this.region}`,
       blockPublicAccess: s3.BlockPublicAccess.BLOCK_ALL,
       encryption: s3.BucketEncryption.S3_MANAGED,
       enforceSSL: true,
@@ -29,7 +57,7 @@ export class RiftRewindStack extends cdk.Stack {
           noncurrentVersionExpiration: cdk.Duration.days(30),
         },
       ],
-      removalPolicy: cdk.RemovalPolicy.DESTROY, // For development - change to RETAIN for production
+      removalPolicy: config.removalPolicy,
     });
 
     // Create Origin Access Identity for CloudFront
@@ -48,63 +76,190 @@ export class RiftRewindStack extends cdk.Stack {
 
     // Create CloudWatch Log Group for CloudFront
     const cloudFrontLogGroup = new logs.LogGroup(this, 'CloudFrontLogGroup', {
-      logGroupName: '/aws/cloudfront/rift-rewind',
-      retention: logs.RetentionDays.ONE_MONTH,
-      removalPolicy: cdk.RemovalPolicy.DESTROY,
+      logGroupName: `/aws/cloudfront/${config.resourcePrefix}`,
+      retention: config.logRetention,
+      removalPolicy: config.removalPolicy,
+    });
+
+    // Lambda proxy that attaches the Riot API key server-side
+    const riotProxyFunction = new lambdaNodejs.NodejsFunction(this, 'RiotProxyFunction', {
+      entry: path.join(__dirname, '../lambda/riot-proxy/index.ts'),
+      handler: 'handler',
+      runtime: lambda.Runtime.NODEJS_18_X,
+      memorySize: 256,
+      timeout: cdk.Duration.seconds(10),
+      logRetention: config.logRetention,
+      environment: {
+        RIOT_API_SECRET_ARN: riotApiSecret.secretArn,
+      },
+    });
+    riotApiSecret.grantRead(riotProxyFunction);
+
+    // Shared leaderboard, one item per player and ranked queue
+    const leaderboardTable = new dynamodb.Table(this, 'LeaderboardTable', {
+      partitionKey: { name: LEADERBOARD_SCHEMA.partitionKey, type: dynamodb.AttributeType.STRING },
+      sortKey: { name: LEADERBOARD_SCHEMA.sortKey, type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      removalPolicy: config.removalPolicy,
+    });
+
+    const { regionIndex, scoreIndex, challengeIndex } = LEADERBOARD_SCHEMA;
+    for (const index of [regionIndex, scoreIndex, challengeIndex]) {
+      leaderboardTable.addGlobalSecondaryIndex({
+        indexName: index.name,
+        partitionKey: { name: index.partitionKey, type: dynamodb.AttributeType.STRING },
+        sortKey: { name: index.sortKey, type: dynamodb.AttributeType.NUMBER },
+      });
+    }
+
+    // Rank snapshots behind the LP history charts, expired by TTL
+    const rankHistoryTable = new dynamodb.Table(this, 'RankHistoryTable', {
+      partitionKey: { name: RANK_HISTORY_SCHEMA.partitionKey, type: dynamodb.AttributeType.STRING },
+      sortKey: { name: RANK_HISTORY_SCHEMA.sortKey, type: dynamodb.AttributeType.NUMBER },
+      timeToLiveAttribute: RANK_HISTORY_SCHEMA.ttlAttribute,
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      removalPolicy: config.removalPolicy,
+    });
+
+    // Leaderboard API - verifies submitted players against Riot before storing them
+    const leaderboardFunction = new lambdaNodejs.NodejsFunction(this, 'LeaderboardFunction', {
+      entry: path.join(__dirname, '../lambda/leaderboard/index.ts'),
+      handler: 'handler',
+      runtime: lambda.Runtime.NODEJS_18_X,
+      memorySize: 256,
+      timeout: cdk.Duration.seconds(10),
+      logRetention: config.logRetention,
+      environment: {
+        LEADERBOARD_TABLE: leaderboardTable.tableName,
+        RANK_HISTORY_TABLE: rankHistoryTable.tableName,
+        RIOT_API_SECRET_ARN: riotApiSecret.secretArn,
+      },
+    });
+    leaderboardTable.grantReadWriteData(leaderboardFunction);
+    rankHistoryTable.grantReadWriteData(leaderboardFunction);
+    riotApiSecret.grantRead(leaderboardFunction);
+
+    // Error reports from the browser, one JSON line per event in the function's own log group
+    const clientLogsFunction = new lambdaNodejs.NodejsFunction(this, 'ClientLogsFunction', {
+      entry: path.join(__dirname, '../lambda/client-logs/index.ts'),
+      handler: 'handler',
+      runtime: lambda.Runtime.NODEJS_18_X,
+      memorySize: 128,
+      timeout: cdk.Duration.seconds(5),
+    });
+
+    // Created here rather than through logRetention so the stack owns the group the reports go to
+    const clientLogGroup = new logs.LogGroup(this, 'ClientLogGroup', {
+      logGroupName: `/aws/lambda/${clientLogsFunction.functionName}`,
+      retention: config.logRetention,
+      removalPolicy: config.removalPolicy,
+    });
+
+    // REST API for the proxy, served to the browser through CloudFront under /api/*
+    const api = new apigateway.RestApi(this, 'RiftRewindApi', {
+      restApiName: `${config.resourcePrefix}-api`,
+      description: 'Rift Rewind backend API',
+      deployOptions: {
+        stageName: config.stage,
+        throttlingRateLimit: 20,
+        throttlingBurstLimit: 40,
+      },
+    });
+
+    const apiResource = api.root.addResource('api');
+    const riotProxyResource = apiResource
+      .addResource('riot')
+      .addResource('{route}')
+      .addResource('{proxy+}');
+    riotProxyResource.addMethod('GET', new apigateway.LambdaIntegration(riotProxyFunction));
+
+    const leaderboardResource = apiResource.addResource('leaderboard');
+    const leaderboardIntegration = new apigateway.LambdaIntegration(leaderboardFunction);
+    leaderboardResource.addMethod('GET', leaderboardIntegration);
+    leaderboardResource.addMethod('POST', leaderboardIntegration);
+    leaderboardResource.addResource('history').addMethod('GET', leaderboardIntegration);
+
+    apiResource.addResource('logs').addMethod('POST', new apigateway.LambdaIntegration(clientLogsFunction));
+
+    // SPA fallback for extensionless paths. This replaces distribution-wide 403/404 error
+    // responses, which would otherwise turn Riot API 404s into index.html.
+    const spaRewriteFunction = new cloudfront.Function(this, 'SpaRewriteFunction', {
+      comment: 'Serve index.html for client-side routes',
+      code: cloudfront.FunctionCode.fromInline(`
+function handler(event) {
+  var request = event.request;
+  if (!/\\.[a-zA-Z0-9]+$/.test(request.uri)) {
+    request.uri = '/index.html';
+  }
+  return request;
+}
+      `),
+    });
+
+    const securityHeadersPolicy = new cloudfront.ResponseHeadersPolicy(this, 'SecurityHeadersPolicy', {
+      comment: 'Rift Rewind security headers',
+      securityHeadersBehavior: {
+        contentSecurityPolicy: { contentSecurityPolicy: CONTENT_SECURITY_POLICY, override: true },
+        strictTransportSecurity: {
+          accessControlMaxAge: cdk.Duration.days(365),
+          includeSubdomains: true,
+          preload: true,
+          override: true,
+        },
+        contentTypeOptions: { override: true },
+        referrerPolicy: {
+          referrerPolicy: cloudfront.HeadersReferrerPolicy.STRICT_ORIGIN_WHEN_CROSS_ORIGIN,
+          override: true,
+        },
+        frameOptions: { frameOption: cloudfront.HeadersFrameOption.DENY, override: true },
+      },
+    });
+
+    const websiteOrigin = new origins.S3Origin(websiteBucket, {
+      originAccessIdentity,
     });
 
     // Create CloudFront distribution
     const distribution = new cloudfront.Distribution(this, 'RiftRewindDistribution', {
       defaultBehavior: {
-        origin: new origins.S3Origin(websiteBucket, {
-          originAccessIdentity,
-        }),
+        origin: websiteOrigin,
         viewerProtocolPolicy: cloudfront.ViewerProtocolPolicy.REDIRECT_TO_HTTPS,
         allowedMethods: cloudfront.AllowedMethods.ALLOW_GET_HEAD_OPTIONS,
         cachedMethods: cloudfront.CachedMethods.CACHE_GET_HEAD_OPTIONS,
         compress: true,
         cachePolicy: cloudfront.CachePolicy.CACHING_OPTIMIZED,
+        responseHeadersPolicy: securityHeadersPolicy,
+        functionAssociations: [
+          {
+            function: spaRewriteFunction,
+            eventType: cloudfront.FunctionEventType.VIEWER_REQUEST,
+          },
+        ],
       },
-      defaultRootObject: 'index.html',
-      errorResponses: [
-        {
-          httpStatus: 404,
-          responseHttpStatus: 200,
-          responsePagePath: '/index.html',
-          ttl: cdk.Duration.minutes(5),
+      additionalBehaviors: {
+        // Browsers check the service worker for updates on each visit; an edge-cached copy
+        // would keep serving the previous deploy's precache manifest
+        'sw.js': {
+          origin: websiteOrigin,
+          viewerProtocolPolicy: cloudfront.ViewerProtocolPolicy.REDIRECT_TO_HTTPS,
+          cachePolicy: cloudfront.CachePolicy.CACHING_DISABLED,
+          responseHeadersPolicy: securityHeadersPolicy,
         },
-        {
-          httpStatus: 403,
-          responseHttpStatus: 200,
-          responsePagePath: '/index.html',
-          ttl: cdk.Duration.minutes(5),
+        'api/*': {
+          origin: new origins.RestApiOrigin(api),
+          viewerProtocolPolicy: cloudfront.ViewerProtocolPolicy.HTTPS_ONLY,
+          allowedMethods: cloudfront.AllowedMethods.ALLOW_ALL,
+          cachePolicy: cloudfront.CachePolicy.CACHING_DISABLED,
+          originRequestPolicy: cloudfront.OriginRequestPolicy.ALL_VIEWER_EXCEPT_HOST_HEADER,
+          responseHeadersPolicy: securityHeadersPolicy,
         },
-      ],
-      priceClass: cloudfront.PriceClass.PRICE_CLASS_100, // Cost optimization - US, Canada, Europe
+      },
+      defaultRootObject: 'index.html',
+      priceClass: config.priceClass,
       enableLogging: true,
       comment: 'Rift Rewind - League of Legends Player Insights',
     });
 
-    // Create AWS Secrets Manager secret for Riot Games API key
-    const riotApiSecret = new secretsmanager.Secret(this, 'RiotApiSecret', {
-      secretName: 'rift-rewind/riot-api-key',
-      description: 'Riot Games API key for Rift Rewind application',
-      secretObjectValue: {
-        apiKey: cdk.SecretValue.unsafePlainText('RGAPI-afe09931-a170-4541-8f25-2b071c0ab4ed'),
-      },
-    });
-
-    // Create GitHub token secret for Amplify
-    const githubTokenSecret = new secretsmanager.Secret(this, 'GitHubTokenSecret', {
-      secretName: 'rift-rewind/github-token',
-      description: 'GitHub Personal Access Token for Amplify CI/CD',
-      generateSecretString: {
-        secretStringTemplate: JSON.stringify({ username: 'github' }),
-        generateStringKey: 'token',
-        excludeCharacters: '"@/\\',
-      },
-    });
-
     // Create IAM role for Amplify
     const amplifyRole = new iam.Role(this, 'AmplifyRole', {
       assumedBy: new iam.ServicePrincipal('amplify.amazonaws.com'),
@@ -143,32 +298,29 @@ export class RiftRewindStack extends cdk.Stack {
             }),
           ],
         }),
-        SecretsManagerAccess: new iam.PolicyDocument({
-          statements: [
-            new iam.PolicyStatement({
-              effect: iam.Effect.ALLOW,
-              actions: [
-                'secretsmanager:GetSecretValue',
-              ],
-              resources: [
-                riotApiSecret.secretArn,
-                githubTokenSecret.secretArn,
-              ],
-            }),
-          ],
-        }),
       },
     });
+    // Referenced secrets are granted by name, whatever suffix Secrets Manager gave their ARN
+    riotApiSecret.grantRead(amplifyRole);
+    githubPat.grantRead(amplifyRole);
 
     // Create Amplify App for CI/CD
     const amplifyApp = new amplify.CfnApp(this, 'RiftRewindAmplifyApp', {
-      name: 'rift-rewind',
+      name: config.resourcePrefix,
       description: 'Rift Rewind - League of Legends Player Insights',
-      repository: 'https://github.com/ajitnk-lab/rift-rewind-challenge-1',
+      repository: config.amplify.repository,
       accessToken: githubPat.secretValue.unsafeUnwrap(),
       iamServiceRole: amplifyRole.roleArn,
       platform: 'WEB',
       // buildSpec will be read from amplify.yml in repository root
+      // Same SPA fallback as SpaRewriteFunction: paths without a file extension get index.html
+      customRules: [
+        {
+          source: '</^((?!\\.[a-zA-Z0-9]+$).)*$/>',
+          target: '/index.html',
+          status: '200',
+        },
+      ],
       environmentVariables: [
         {
           name: 'AMPLIFY_DIFF_DEPLOY',
@@ -181,21 +333,21 @@ export class RiftRewindStack extends cdk.Stack {
       ],
     });
 
-    // Create Amplify branch for main
+    // The branch this stage builds from
     const amplifyBranch = new amplify.CfnBranch(this, 'RiftRewindAmplifyBranch', {
       appId: amplifyApp.attrAppId,
-      branchName: 'main',
+      branchName: config.amplify.branch,
       enableAutoBuild: true,
       enablePerformanceMode: false,
-      stage: 'PRODUCTION',
+      stage: config.amplify.branchStage,
       framework: 'Web',
     });
 
     // Create CloudWatch Log Group for Amplify
     const amplifyLogGroup = new logs.LogGroup(this, 'AmplifyLogGroup', {
       logGroupName: `/aws/amplify/${amplifyApp.name}`,
-      retention: logs.RetentionDays.ONE_MONTH,
-      removalPolicy: cdk.RemovalPolicy.DESTROY,
+      retention: config.logRetention,
+      removalPolicy: config.removalPolicy,
     });
 
     // Output important values
@@ -219,6 +371,26 @@ export class RiftRewindStack extends cdk.Stack {
       description: 'Website URL',
     });
 
+    new cdk.CfnOutput(this, 'ApiUrl', {
+      value: api.url,
+      description: 'API Gateway URL for the Riot proxy',
+    });
+
+    new cdk.CfnOutput(this, 'LeaderboardTableName', {
+      value: leaderboardTable.tableName,
+      description: 'DynamoDB table backing the shared leaderboard',
+    });
+
+    new cdk.CfnOutput(this, 'RankHistoryTableName', {
+      value: rankHistoryTable.tableName,
+      description: 'DynamoDB table holding rank snapshots for LP history',
+    });
+
+    new cdk.CfnOutput(this, 'ClientLogGroupName', {
+      value: clientLogGroup.logGroupName,
+      description: 'CloudWatch log group holding frontend error reports',
+    });
+
     new cdk.CfnOutput(this, 'RiotApiSecretArn', {
       value: riotApiSecret.secretArn,
       description: 'ARN of the Riot Games API key secret',
@@ -235,9 +407,6 @@ export class RiftRewindStack extends cdk.Stack {
     });
 
     // Add tags for cost tracking and management
-    cdk.Tags.of(this).add('Project', 'RiftRewind');
-    cdk.Tags.of(this).add('Environment', 'Production');
-    cdk.Tags.of(this).add('CostCenter', 'Development');
-    cdk.Tags.of(this).add('Owner', 'DevTeam');
+    Object.entries(config.tags).forEach(([key, value]) => cdk.Tags.of(this).add(key, value));
   }
 }
@@ -0,0 +1,92 @@
+import * as cdk from 'aws-cdk-lib';
+import * as cloudfront from 'aws-cdk-lib/aws-cloudfront';
+import * as logs from 'aws-cdk-lib/aws-logs';
+
+export type StageName = 'dev' | 'staging' | 'prod';
+
+// Everything that differs between the dev, staging and prod stacks. Secrets are referenced
+// by name and created outside CDK (setup-secrets.sh), so no secret value is ever in a template.
+export interface StageConfig {
+  stage: StageName;
+  stackName: string;
+  // Leave unset to deploy to the CLI's account (CDK_DEFAULT_ACCOUNT)
+  account?: string;
+  region: string;
+  // Prefix for physical names (bucket, log groups, Amplify app), unique per stage
+  resourcePrefix: string;
+  amplify: {
+    repository: string;
+    branch: string;
+    branchStage: 'DEVELOPMENT' | 'BETA' | 'PRODUCTION';
+  };
+  // Applied to the website bucket, DynamoDB tables and log groups
+  removalPolicy: cdk.RemovalPolicy;
+  logRetention: logs.RetentionDays;
+  priceClass: cloudfront.PriceClass;
+  secrets: {
+    // JSON secret with an `apiKey` field, read by the Riot proxy and leaderboard Lambdas
+    riotApiKey: string;
+    // Plain-text GitHub personal access token Amplify clones the repository with
+    githubPat: string;
+  };
+  tags: Record<string, string>;
+}
+
+const REPOSITORY = 'https://github.com/ajitnk-lab/rift-rewind-challenge-1';
+const REGION = 'us-east-1';
+
+const COMMON_TAGS = {
+  Project: 'RiftRewind',
+  CostCenter: 'Development',
+  Owner: 'DevTeam',
+};
+
+export const STAGES: Record<StageName, StageConfig> = {
+  dev: {
+    stage: 'dev',
+    stackName: 'RiftRewindStack-dev',
+    region: REGION,
+    resourcePrefix: 'rift-rewind-dev',
+    amplify: { repository: REPOSITORY, branch: 'develop', branchStage: 'DEVELOPMENT' },
+    removalPolicy: cdk.RemovalPolicy.DESTROY,
+    logRetention: logs.RetentionDays.ONE_WEEK,
+    priceClass: cloudfront.PriceClass.PRICE_CLASS_100,
+    secrets: {
+      riotApiKey: 'rift-rewind/dev/riot-api-key',
+      githubPat: 'rift-rewind/github-pat',
+    },
+    tags: { ...COMMON_TAGS, Environment: 'Development' },
+  },
+  staging: {
+    stage: 'staging',
+    stackName: 'RiftRewindStack-staging',
+    region: REGION,
+    resourcePrefix: 'rift-rewind-staging',
+    amplify: { repository: REPOSITORY, branch: 'staging', branchStage: 'BETA' },
+    removalPolicy: cdk.RemovalPolicy.DESTROY,
+    logRetention: logs.RetentionDays.TWO_WEEKS,
+    priceClass: cloudfront.PriceClass.PRICE_CLASS_100,
+    secrets: {
+      riotApiKey: 'rift-rewind/staging/riot-api-key',
+      githubPat: 'rift-rewind/github-pat',
+    },
+    tags: { ...COMMON_TAGS, Environment: 'Staging' },
+  },
+  // Keeps the names the single stack used before stages, so prod updates in place. The Riot key
+  // is the exception: the old stack owned `rift-rewind/riot-api-key` and deletes it on upgrade.
+  prod: {
+    stage: 'prod',
+    stackName: 'RiftRewindStack',
+    region: REGION,
+    resourcePrefix: 'rift-rewind',
+    amplify: { repository: REPOSITORY, branch: 'main', branchStage: 'PRODUCTION' },
+    removalPolicy: cdk.RemovalPolicy.RETAIN,
+    logRetention: logs.RetentionDays.ONE_MONTH,
+    priceClass: cloudfront.PriceClass.PRICE_CLASS_ALL, // Players come from every Riot region
+    secrets: {
+      riotApiKey: 'rift-rewind/prod/riot-api-key',
+      githubPat: 'rift-rewind/github-pat',
+    },
+    tags: { ...COMMON_TAGS, Environment: 'Production' },
+  },
+};
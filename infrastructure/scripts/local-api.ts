@@ -0,0 +1,77 @@
+import * as http from 'http';
+import type { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
+import { CreateTableCommand, DynamoDBClient, ResourceInUseException } from '@aws-sdk/client-dynamodb';
+import { handler as riotProxyHandler } from '../lambda/riot-proxy';
+import { handler as leaderboardHandler } from '../lambda/leaderboard';
+import { handler as clientLogsHandler } from '../lambda/client-logs';
+import { createRankHistoryTableInput, createTableInput } from '../lambda/leaderboard/schema';
+
+// Runs the API Lambdas as a plain HTTP server for local development.
+//   RIOT_API_KEY=RGAPI-... npm run api:local
+// Set RIOT_API_BASE_URL (e.g. http://localhost:4000/{route}) to use a stub Riot server instead.
+// The leaderboard needs DynamoDB Local: `npm run dynamodb:local`, then DYNAMODB_ENDPOINT=http://localhost:8000.
+const port = Number(process.env.PORT || 3001);
+const PROXY_PREFIX = /^\/api\/riot\/([^/]+)\/(.+)$/;
+const LEADERBOARD_PATH = '/api/leaderboard';
+const CLIENT_LOGS_PATH = '/api/logs';
+
+function readBody(req: http.IncomingMessage): Promise<string> {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+async function ensureLeaderboardTables(): Promise<void> {
+  if (!process.env.DYNAMODB_ENDPOINT) {
+    console.warn('⚠️ DYNAMODB_ENDPOINT not set - /api/leaderboard will use your AWS credentials');
+    return;
+  }
+
+  const client = new DynamoDBClient({ endpoint: process.env.DYNAMODB_ENDPOINT });
+  const tables = [
+    createTableInput(process.env.LEADERBOARD_TABLE || 'rift-rewind-leaderboard'),
+    createRankHistoryTableInput(process.env.RANK_HISTORY_TABLE || 'rift-rewind-rank-history'),
+  ];
+  for (const table of tables) {
+    try {
+      await client.send(new CreateTableCommand(table));
+      console.log(`📦 Created ${table.TableName} table on DynamoDB Local`);
+    } catch (error) {
+      if (!(error instanceof ResourceInUseException)) throw error;
+    }
+  }
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url || '/', `http://localhost:${port}`);
+  const match = PROXY_PREFIX.exec(url.pathname);
+
+  const event = {
+    httpMethod: req.method || 'GET',
+    path: url.pathname,
+    pathParameters: match ? { route: match[1], proxy: decodeURIComponent(match[2]) } : null,
+    queryStringParameters: Object.fromEntries(url.searchParams),
+    body: await readBody(req),
+  } as unknown as APIGatewayProxyEvent;
+
+  let result: APIGatewayProxyResult;
+  if (url.pathname === LEADERBOARD_PATH || url.pathname === `${LEADERBOARD_PATH}/history`) {
+    result = await leaderboardHandler(event);
+  } else if (url.pathname === CLIENT_LOGS_PATH) {
+    result = await clientLogsHandler(event);
+  } else {
+    result = await riotProxyHandler(event);
+  }
+
+  res.writeHead(result.statusCode, result.headers as http.OutgoingHttpHeaders);
+  res.end(result.body);
+});
+
+ensureLeaderboardTables().then(() => {
+  server.listen(port, () => {
+    console.log(`🚀 Local API listening on http://localhost:${port}/api/riot/{route}/{path}, ${LEADERBOARD_PATH} and ${CLIENT_LOGS_PATH}`);
+  });
+});
@@ -0,0 +1,82 @@
+import type { APIGatewayProxyEvent } from 'aws-lambda';
+import { handler } from '../lambda/client-logs';
+
+const API_KEY = 'RGAPI-afe09931-a170-4541-8f25-2b071c0ab4ed';
+
+function postEvent(body: unknown): APIGatewayProxyEvent {
+  return {
+    httpMethod: 'POST',
+    headers: { 'User-Agent': 'jest' },
+    body: typeof body === 'string' ? body : JSON.stringify(body),
+  } as unknown as APIGatewayProxyEvent;
+}
+
+let logged: string[];
+
+beforeEach(() => {
+  logged = [];
+  jest.spyOn(console, 'log').mockImplementation((line: string) => { logged.push(line); });
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+test('writes each report as a JSON line', async () => {
+  const result = await handler(postEvent({
+    events: [
+      { kind: 'error', message: 'account request failed', context: { region: 'kr', status: 403 }, page: '/', timestamp: 1 },
+      { kind: 'uncaught', message: 'x is undefined', page: '/leaderboard', timestamp: 2 },
+    ],
+  }));
+
+  expect(result.statusCode).toBe(202);
+  expect(JSON.parse(result.body)).toEqual({ accepted: 2 });
+  expect(logged.map(line => JSON.parse(line))).toEqual([
+    expect.objectContaining({ source: 'client', kind: 'error', context: { region: 'kr', status: 403 }, userAgent: 'jest' }),
+    expect.objectContaining({ source: 'client', kind: 'uncaught', page: '/leaderboard' }),
+  ]);
+});
+
+test('redacts secrets the client let through', async () => {
+  await handler(postEvent({
+    events: [{
+      kind: 'error',
+      message: `Rejected ${API_KEY}`,
+      error: { message: 'GET /x?api_key=abc', stack: 'Bearer abc.def' },
+      context: { apiKey: API_KEY, headers: { Authorization: 'Basic x' } },
+      timestamp: 1,
+    }],
+  }));
+
+  const line = logged[0];
+  expect(line).not.toContain(API_KEY);
+  expect(JSON.parse(line)).toMatchObject({
+    message: 'Rejected RGAPI-[redacted]',
+    error: { message: 'GET /x?api_key=[redacted]', stack: 'Bearer [redacted]' },
+    context: { apiKey: '[redacted]', headers: { Authorization: '[redacted]' } },
+  });
+});
+
+test('truncates long strings and skips malformed reports', async () => {
+  const result = await handler(postEvent({
+    events: [
+      { kind: 'error', message: 'x'.repeat(5000), timestamp: 1 },
+      { kind: 'debug', message: 'Not an error kind' },
+      { message: 'No kind' },
+      'not an object',
+    ],
+  }));
+
+  expect(JSON.parse(result.body)).toEqual({ accepted: 1 });
+  expect(JSON.parse(logged[0]).message).toHaveLength(2001);
+});
+
+test('rejects bad bodies and other methods', async () => {
+  const tooMany = { events: Array.from({ length: 21 }, () => ({ kind: 'error', message: 'x' })) };
+
+  expect((await handler(postEvent('not json'))).statusCode).toBe(400);
+  expect((await handler(postEvent({ events: [] }))).statusCode).toBe(400);
+  expect((await handler(postEvent(tooMany))).statusCode).toBe(400);
+  expect((await handler(postEvent({ events: [{ kind: 'error', message: 'x'.repeat(70 * 1024) }] }))).statusCode).toBe(413);
+  expect((await handler({ httpMethod: 'GET' } as APIGatewayProxyEvent)).statusCode).toBe(405);
+  expect(logged).toEqual([]);
+});
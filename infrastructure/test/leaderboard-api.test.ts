@@ -0,0 +1,346 @@
+import * as http from 'http';
+import { AddressInfo } from 'net';
+import type { APIGatewayProxyEvent } from 'aws-lambda';
+import { DynamoDBDocumentClient, PutCommand, QueryCommand } from '@aws-sdk/lib-dynamodb';
+import { handler } from '../lambda/leaderboard';
+import { calculatePlayerScore, compareChallengeRankings, compareRankings } from '../lambda/leaderboard/scoring';
+
+const PUUID = 'a'.repeat(78);
+const UNRANKED_PUUID = 'b'.repeat(78);
+const MISSING_PUUID = 'c'.repeat(78);
+const NO_CHALLENGES_PUUID = 'd'.repeat(78);
+
+// Stub Riot server: two ranked players, only one of them with challenge data, one unranked player,
+// everyone else 404
+let stub: http.Server;
+let riotRequests: string[];
+// When set, the challenges lookup fails with this status
+let challengesStatus: number | undefined;
+
+// In-memory stand-ins for the tables: leaderboard entries keyed by puuid and queue, and rank snapshots
+let items: Map<string, Record<string, any>>;
+let snapshots: Record<string, any>[];
+
+beforeAll(async () => {
+  stub = http.createServer((req, res) => {
+    riotRequests.push(req.url || '');
+    const puuid = req.url?.split(/\/by-puuid\/|\/player-data\//)[1];
+
+    const known = [PUUID, UNRANKED_PUUID, NO_CHALLENGES_PUUID].includes(puuid || '');
+    if (!known || (req.url?.includes('/challenges/') && puuid !== PUUID)) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ status: { status_code: 404 } }));
+      return;
+    }
+    if (req.url?.includes('/challenges/') && challengesStatus) {
+      res.writeHead(challengesStatus, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ status: { status_code: challengesStatus } }));
+      return;
+    }
+
+    let body: unknown;
+    if (req.url?.startsWith('/americas/riot/account')) {
+      body = { puuid, gameName: 'Doublelift', tagLine: 'NA1' };
+    } else if (req.url?.includes('/summoner/')) {
+      body = { puuid, profileIconId: 29, summonerLevel: 400 };
+    } else if (req.url?.includes('/challenges/')) {
+      body = { totalPoints: { level: 'DIAMOND', current: 18250, max: 40000, percentile: 0.02 } };
+    } else {
+      body = puuid === UNRANKED_PUUID ? [] : [
+        { queueType: 'RANKED_FLEX_SR', tier: 'GOLD', rank: 'I', leaguePoints: 10, wins: 5, losses: 5 },
+        { queueType: 'RANKED_SOLO_5x5', tier: 'DIAMOND', rank: 'II', leaguePoints: 55, wins: 120, losses: 100 },
+      ];
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  });
+  await new Promise<void>(resolve => stub.listen(0, resolve));
+
+  const { port } = stub.address() as AddressInfo;
+  process.env.RIOT_API_BASE_URL = `http://localhost:${port}/{route}`;
+  process.env.RIOT_API_KEY = 'RGAPI-test-key';
+});
+
+afterAll(async () => {
+  await new Promise(resolve => stub.close(resolve));
+  delete process.env.RIOT_API_BASE_URL;
+  delete process.env.RIOT_API_KEY;
+});
+
+beforeEach(() => {
+  riotRequests = [];
+  challengesStatus = undefined;
+  items = new Map();
+  snapshots = [];
+
+  jest.spyOn(DynamoDBDocumentClient.prototype, 'send').mockImplementation(async (command: any) => {
+    if (command instanceof PutCommand && command.input.TableName === 'rift-rewind-rank-history') {
+      snapshots.push(command.input.Item!);
+      return {};
+    }
+    if (command instanceof QueryCommand && command.input.TableName === 'rift-rewind-rank-history') {
+      const values = command.input.ExpressionAttributeValues!;
+      const matches = snapshots
+        .filter(item => item.playerQueue === values[':pk'] && item.timestamp >= values[':since'])
+        .sort((a, b) => b.timestamp - a.timestamp);
+      return { Items: matches.slice(0, command.input.Limit) };
+    }
+    if (command instanceof PutCommand) {
+      const item = command.input.Item!;
+      items.set(`${item.puuid}|${item.queueType}`, item);
+      return {};
+    }
+    if (command instanceof QueryCommand) {
+      const { IndexName: indexName, ExpressionAttributeNames: names, ExpressionAttributeValues: values } = command.input;
+      // The challenge index is sparse and sorted by challenge points; the others by score
+      const sortKey = indexName === 'ChallengeIndex' ? 'challengePoints' : 'score';
+      const matches = [...items.values()]
+        .filter(item => item[names!['#pk']] === values![':pk'] && item[sortKey] !== undefined)
+        .filter(item => !values![':queueType'] || item.queueType === values![':queueType'])
+        .filter(item => !values![':region'] || item.region === values![':region'])
+        .sort((a, b) => b[sortKey] - a[sortKey]);
+
+      // Stands in for LastEvaluatedKey paging
+      const offset = Number(command.input.ExclusiveStartKey?.offset || 0);
+      const end = command.input.Limit ? offset + command.input.Limit : matches.length;
+      return {
+        Items: matches.slice(offset, end),
+        LastEvaluatedKey: end < matches.length ? { offset: end } : undefined,
+      };
+    }
+    throw new Error(`Unexpected command ${command.constructor.name}`);
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+function leaderboardEvent(method: string, body?: unknown, query?: Record<string, string>, path = '/api/leaderboard'): APIGatewayProxyEvent {
+  return {
+    httpMethod: method,
+    path,
+    body: body === undefined ? null : JSON.stringify(body),
+    queryStringParameters: query || null,
+  } as unknown as APIGatewayProxyEvent;
+}
+
+test('Stores every ranked queue with rank data looked up from Riot', async () => {
+  const result = await handler(leaderboardEvent('POST', { puuid: PUUID, region: 'na1', tier: 'CHALLENGER' }));
+
+  expect(result.statusCode).toBe(200);
+  const { players } = JSON.parse(result.body);
+  expect(players).toHaveLength(2);
+  expect(players.find((p: any) => p.queueType === 'RANKED_SOLO_5x5')).toMatchObject({
+    puuid: PUUID,
+    name: 'Doublelift',
+    tagLine: 'NA1',
+    region: 'na1',
+    tier: 'DIAMOND',
+    rank: 'II',
+    score: 2655,
+    challengePoints: 18250,
+  });
+  expect(items.get(`${PUUID}|RANKED_FLEX_SR`)).toMatchObject({ tier: 'GOLD', score: 1510, challengePoints: 18250 });
+});
+
+test('Reuses recently stored players without calling Riot again', async () => {
+  await handler(leaderboardEvent('POST', { puuid: PUUID, region: 'na1' }));
+  riotRequests = [];
+
+  const result = await handler(leaderboardEvent('POST', { puuid: PUUID, region: 'na1' }));
+
+  expect(result.statusCode).toBe(200);
+  expect(riotRequests).toHaveLength(0);
+});
+
+test('Records a rank snapshot per queue and the previous score on each refresh', async () => {
+  await handler(leaderboardEvent('POST', { puuid: PUUID, region: 'na1' }));
+  expect(items.get(`${PUUID}|RANKED_SOLO_5x5`)!.previousScore).toBeUndefined();
+
+  // Past the reuse window, so the next submission refreshes from Riot
+  items.get(`${PUUID}|RANKED_SOLO_5x5`)!.lastUpdated -= 10 * 60 * 1000;
+  items.get(`${PUUID}|RANKED_SOLO_5x5`)!.score = 2600;
+  await handler(leaderboardEvent('POST', { puuid: PUUID, region: 'na1' }));
+
+  expect(items.get(`${PUUID}|RANKED_SOLO_5x5`)).toMatchObject({ score: 2655, previousScore: 2600 });
+  expect(snapshots).toHaveLength(4);
+  expect(snapshots[0]).toMatchObject({
+    playerQueue: `${PUUID}#RANKED_FLEX_SR`,
+    tier: 'GOLD',
+    score: 1510,
+    expiresAt: expect.any(Number),
+  });
+  expect(snapshots[0].expiresAt * 1000).toBeGreaterThan(Date.now() + 300 * 24 * 60 * 60 * 1000);
+});
+
+test('Keeps the previous score when a refresh finds the score unchanged', async () => {
+  await handler(leaderboardEvent('POST', { puuid: PUUID, region: 'na1' }));
+  const entry = items.get(`${PUUID}|RANKED_SOLO_5x5`)!;
+  Object.assign(entry, { lastUpdated: entry.lastUpdated - 10 * 60 * 1000, previousScore: 2600 });
+
+  await handler(leaderboardEvent('POST', { puuid: PUUID, region: 'na1' }));
+
+  expect(items.get(`${PUUID}|RANKED_SOLO_5x5`)).toMatchObject({ score: 2655, previousScore: 2600 });
+});
+
+test('Returns rank history for a queue, oldest first', async () => {
+  const now = Date.now();
+  const day = 24 * 60 * 60 * 1000;
+  [40, 20, 10, 1].forEach((daysAgo, i) => snapshots.push({
+    playerQueue: `${PUUID}#RANKED_SOLO_5x5`,
+    timestamp: now - daysAgo * day,
+    tier: 'DIAMOND', rank: 'II', leaguePoints: 10 * i, wins: i, losses: 0, score: 2610 + 10 * i,
+    expiresAt: 0,
+  }));
+  snapshots.push({ playerQueue: `${PUUID}#RANKED_FLEX_SR`, timestamp: now, score: 1510 });
+
+  const result = await handler(leaderboardEvent('GET', undefined, { puuid: PUUID }, '/api/leaderboard/history'));
+
+  expect(result.statusCode).toBe(200);
+  const { snapshots: history } = JSON.parse(result.body);
+  expect(history.map((s: any) => s.score)).toEqual([2620, 2630, 2640]);
+  expect(history[0]).not.toHaveProperty('expiresAt');
+
+  const longer = await handler(leaderboardEvent('GET', undefined, { puuid: PUUID, days: '60' }, '/api/leaderboard/history'));
+  expect(JSON.parse(longer.body).snapshots).toHaveLength(4);
+
+  const invalid = await handler(leaderboardEvent('GET', undefined, { puuid: 'short' }, '/api/leaderboard/history'));
+  expect(invalid.statusCode).toBe(400);
+});
+
+test('Lists one queue by score, optionally for one region', async () => {
+  await handler(leaderboardEvent('POST', { puuid: PUUID, region: 'na1' }));
+
+  const solo = await handler(leaderboardEvent('GET'));
+  expect(JSON.parse(solo.body).players.map((p: any) => p.tier)).toEqual(['DIAMOND']);
+
+  const flex = await handler(leaderboardEvent('GET', undefined, { queue: 'RANKED_FLEX_SR', region: 'na1' }));
+  expect(JSON.parse(flex.body).players.map((p: any) => p.tier)).toEqual(['GOLD']);
+
+  const euw = await handler(leaderboardEvent('GET', undefined, { region: 'euw1' }));
+  expect(JSON.parse(euw.body).players).toEqual([]);
+});
+
+test('Pages through results with a cursor', async () => {
+  for (let i = 0; i < 5; i++) {
+    const puuid = `${i}`.repeat(78);
+    items.set(`${puuid}|RANKED_SOLO_5x5`, {
+      puuid, queueType: 'RANKED_SOLO_5x5', region: 'euw1', score: 1000 + i, wins: 1, losses: 1,
+    });
+  }
+
+  const first = JSON.parse((await handler(leaderboardEvent('GET', undefined, { limit: '3' }))).body);
+  expect(first.players.map((p: any) => p.score)).toEqual([1004, 1003, 1002]);
+  expect(first.nextCursor).toEqual(expect.any(String));
+
+  const second = JSON.parse((await handler(leaderboardEvent('GET', undefined, { limit: '3', cursor: first.nextCursor }))).body);
+  expect(second.players.map((p: any) => p.score)).toEqual([1001, 1000]);
+  expect(second.nextCursor).toBeNull();
+});
+
+test('Lists one queue by challenge points, optionally for one region', async () => {
+  const entry = (puuid: string, region: string, score: number, challengePoints?: number) => items.set(
+    `${puuid}|RANKED_SOLO_5x5`,
+    { puuid, queueType: 'RANKED_SOLO_5x5', region, score, wins: 1, losses: 1, ...(challengePoints !== undefined && { challengePoints }) },
+  );
+  entry('1'.repeat(78), 'kr', 4000, 9000);
+  entry('2'.repeat(78), 'euw1', 3000, 21000);
+  entry('3'.repeat(78), 'kr', 2000, 15000);
+  // Stored before challenge points were recorded
+  entry('4'.repeat(78), 'kr', 5000);
+
+  const all = JSON.parse((await handler(leaderboardEvent('GET', undefined, { ranking: 'challenges' }))).body);
+  expect(all.players.map((p: any) => p.challengePoints)).toEqual([21000, 15000, 9000]);
+
+  const kr = JSON.parse((await handler(leaderboardEvent('GET', undefined, { ranking: 'challenges', region: 'kr' }))).body);
+  expect(kr.players.map((p: any) => p.challengePoints)).toEqual([15000, 9000]);
+
+  expect((await handler(leaderboardEvent('GET', undefined, { ranking: 'mastery' }))).statusCode).toBe(400);
+});
+
+test('Ranks challenge point ties on rank, and players without points last', () => {
+  const ranked = [
+    { name: 'no points', score: 4000, wins: 1, losses: 1 },
+    { name: 'lower rank', score: 1000, wins: 1, losses: 1, challengePoints: 500 },
+    { name: 'higher rank', score: 2000, wins: 1, losses: 1, challengePoints: 500 },
+    { name: 'zero points', score: 3000, wins: 1, losses: 1, challengePoints: 0 },
+  ].sort(compareChallengeRankings);
+
+  expect(ranked.map(p => p.name)).toEqual(['higher rank', 'lower rank', 'zero points', 'no points']);
+});
+
+test('Stores players Riot has no challenge data for without challenge points', async () => {
+  const result = await handler(leaderboardEvent('POST', { puuid: NO_CHALLENGES_PUUID, region: 'na1' }));
+
+  expect(result.statusCode).toBe(200);
+  expect(items.get(`${NO_CHALLENGES_PUUID}|RANKED_SOLO_5x5`)).not.toHaveProperty('challengePoints');
+});
+
+test('Keeps stored challenge points when the challenges lookup fails, and drops them on a 404', async () => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  const refresh = async (status: number) => {
+    items.forEach(item => { item.lastUpdated -= 10 * 60 * 1000; });
+    challengesStatus = status;
+    return handler(leaderboardEvent('POST', { puuid: PUUID, region: 'na1' }));
+  };
+  await handler(leaderboardEvent('POST', { puuid: PUUID, region: 'na1' }));
+
+  expect((await refresh(503)).statusCode).toBe(200);
+  expect(items.get(`${PUUID}|RANKED_SOLO_5x5`)).toMatchObject({ challengePoints: 18250 });
+  expect(console.warn).toHaveBeenCalled();
+
+  await refresh(404);
+  expect(items.get(`${PUUID}|RANKED_SOLO_5x5`)).not.toHaveProperty('challengePoints');
+});
+
+test('Ranks apex tiers on LP alone', () => {
+  const entry = (tier: string, rank: string, leaguePoints: number) => (
+    { queueType: 'RANKED_SOLO_5x5', tier, rank, leaguePoints, wins: 0, losses: 0 });
+
+  expect(calculatePlayerScore(entry('MASTER', 'I', 900)))
+    .toBeGreaterThan(calculatePlayerScore(entry('GRANDMASTER', 'I', 0)));
+  expect(calculatePlayerScore(entry('MASTER', 'I', 0)))
+    .toBeGreaterThan(calculatePlayerScore(entry('DIAMOND', 'I', 99)));
+  expect(calculatePlayerScore(entry('DIAMOND', 'IV', 0)))
+    .toBeGreaterThan(calculatePlayerScore(entry('EMERALD', 'I', 99)));
+});
+
+test('Breaks score ties on win rate, then games played', () => {
+  const ranked = [
+    { name: 'fewer games', score: 2000, wins: 6, losses: 4 },
+    { name: 'lower win rate', score: 2000, wins: 50, losses: 50 },
+    { name: 'more games', score: 2000, wins: 60, losses: 40 },
+    { name: 'higher score', score: 2001, wins: 0, losses: 10 },
+  ].sort(compareRankings);
+
+  expect(ranked.map(p => p.name)).toEqual(['higher score', 'more games', 'fewer games', 'lower win rate']);
+});
+
+test('Rejects unranked players', async () => {
+  const result = await handler(leaderboardEvent('POST', { puuid: UNRANKED_PUUID, region: 'na1' }));
+
+  expect(result.statusCode).toBe(422);
+  expect(items.size).toBe(0);
+});
+
+test('Returns 404 for players Riot does not know', async () => {
+  const result = await handler(leaderboardEvent('POST', { puuid: MISSING_PUUID, region: 'na1' }));
+
+  expect(result.statusCode).toBe(404);
+});
+
+test('Validates the submitted puuid and region', async () => {
+  expect((await handler(leaderboardEvent('POST', { puuid: 'short', region: 'na1' }))).statusCode).toBe(400);
+  expect((await handler(leaderboardEvent('POST', { puuid: PUUID, region: 'moon1' }))).statusCode).toBe(400);
+  expect((await handler(leaderboardEvent('GET', undefined, { region: 'moon1' }))).statusCode).toBe(400);
+  expect((await handler(leaderboardEvent('GET', undefined, { queue: 'ARAM' }))).statusCode).toBe(400);
+  expect((await handler(leaderboardEvent('GET', undefined, { cursor: 'not-a-cursor' }))).statusCode).toBe(400);
+  expect((await handler({ httpMethod: 'POST', body: '{not json' } as unknown as APIGatewayProxyEvent)).statusCode).toBe(400);
+});
+
+test('Rejects unsupported methods', async () => {
+  const result = await handler(leaderboardEvent('DELETE'));
+
+  expect(result.statusCode).toBe(405);
+});
@@ -1,10 +1,11 @@
 import * as cdk from 'aws-cdk-lib';
-import { Template } from 'aws-cdk-lib/assertions';
+import { Match, Template } from 'aws-cdk-lib/assertions';
 import * as RiftRewind from '../lib/rift-rewind-stack';
+import { STAGES } from '../lib/stage-config';
 
 test('S3 Bucket Created', () => {
   const app = new cdk.App();
-  const stack = new RiftRewind.RiftRewindStack(app, 'MyTestStack');
+  const stack = new RiftRewind.RiftRewindStack(app, 'MyTestStack', { config: STAGES.prod });
   const template = Template.fromStack(stack);
 
   template.hasResourceProperties('AWS::S3::Bucket', {
@@ -19,7 +20,7 @@ test('S3 Bucket Created', () => {
 
 test('CloudFront Distribution Created', () => {
   const app = new cdk.App();
-  const stack = new RiftRewind.RiftRewindStack(app, 'MyTestStack');
+  const stack = new RiftRewind.RiftRewindStack(app, 'MyTestStack', { config: STAGES.prod });
   const template = Template.fromStack(stack);
 
   template.hasResourceProperties('AWS::CloudFront::Distribution', {
@@ -29,10 +30,281 @@ test('CloudFront Distribution Created', () => {
   });
 });
 
-test('Secrets Manager Secrets Created', () => {
+test('Secrets Are Referenced, Never Created', () => {
   const app = new cdk.App();
-  const stack = new RiftRewind.RiftRewindStack(app, 'MyTestStack');
+  const stack = new RiftRewind.RiftRewindStack(app, 'MyTestStack', { config: STAGES.prod });
   const template = Template.fromStack(stack);
 
-  template.resourceCountIs('AWS::SecretsManager::Secret', 2);
+  template.resourceCountIs('AWS::SecretsManager::Secret', 0);
+  expect(JSON.stringify(template.toJSON())).not.toMatch(/RGAPI-/);
+});
+
+test('Riot Proxy Function Reads The API Key Secret', () => {
+  const app = new cdk.App();
+  const stack = new RiftRewind.RiftRewindStack(app, 'MyTestStack', { config: STAGES.prod });
+  const template = Template.fromStack(stack);
+
+  template.hasResourceProperties('AWS::Lambda::Function', {
+    Handler: 'index.handler',
+    Environment: {
+      Variables: {
+        RIOT_API_SECRET_ARN: Match.anyValue(),
+      },
+    },
+  });
+  template.hasResourceProperties('AWS::ApiGateway::Resource', {
+    PathPart: '{proxy+}',
+  });
+});
+
+test('CloudFront Routes /api/* To The API Without Caching', () => {
+  const app = new cdk.App();
+  const stack = new RiftRewind.RiftRewindStack(app, 'MyTestStack', { config: STAGES.prod });
+  const template = Template.fromStack(stack);
+
+  template.hasResourceProperties('AWS::CloudFront::Distribution', {
+    DistributionConfig: {
+      CacheBehaviors: Match.arrayWith([
+        Match.objectLike({
+          PathPattern: 'api/*',
+          AllowedMethods: Match.arrayWith(['POST']),
+        }),
+      ]),
+    },
+  });
+});
+
+test('Leaderboard Table Indexes Players By Region, Score And Challenge Points', () => {
+  const app = new cdk.App();
+  const stack = new RiftRewind.RiftRewindStack(app, 'MyTestStack', { config: STAGES.prod });
+  const template = Template.fromStack(stack);
+
+  template.hasResourceProperties('AWS::DynamoDB::Table', {
+    KeySchema: [
+      { AttributeName: 'puuid', KeyType: 'HASH' },
+      { AttributeName: 'queueType', KeyType: 'RANGE' },
+    ],
+    BillingMode: 'PAY_PER_REQUEST',
+    GlobalSecondaryIndexes: Match.arrayWith([
+      Match.objectLike({ IndexName: 'RegionIndex' }),
+      Match.objectLike({ IndexName: 'ScoreIndex' }),
+      Match.objectLike({ IndexName: 'ChallengeIndex' }),
+    ]),
+  });
+  template.hasResourceProperties('AWS::ApiGateway::Method', {
+    HttpMethod: 'POST',
+  });
+  template.hasResourceProperties('AWS::Lambda::Function', {
+    Environment: {
+      Variables: {
+        LEADERBOARD_TABLE: Match.anyValue(),
+      },
+    },
+  });
+});
+
+test('Rank History Table Expires Snapshots', () => {
+  const app = new cdk.App();
+  const stack = new RiftRewind.RiftRewindStack(app, 'MyTestStack', { config: STAGES.prod });
+  const template = Template.fromStack(stack);
+
+  template.hasResourceProperties('AWS::DynamoDB::Table', {
+    KeySchema: [
+      { AttributeName: 'playerQueue', KeyType: 'HASH' },
+      { AttributeName: 'timestamp', KeyType: 'RANGE' },
+    ],
+    TimeToLiveSpecification: { AttributeName: 'expiresAt', Enabled: true },
+  });
+  template.hasResourceProperties('AWS::ApiGateway::Resource', {
+    PathPart: 'history',
+  });
+  template.hasResourceProperties('AWS::Lambda::Function', {
+    Environment: {
+      Variables: {
+        RANK_HISTORY_TABLE: Match.anyValue(),
+      },
+    },
+  });
+});
+
+test('Client-Side Routes Fall Back To index.html', () => {
+  const app = new cdk.App();
+  const stack = new RiftRewind.RiftRewindStack(app, 'MyTestStack', { config: STAGES.prod });
+  const template = Template.fromStack(stack);
+
+  const [amplifyApp] = Object.values(template.findResources('AWS::Amplify::App'));
+  const [rule] = amplifyApp.Properties.CustomRules;
+  expect(rule).toEqual({ Source: expect.any(String), Target: '/index.html', Status: '200' });
+
+  const routePattern = new RegExp(rule.Source.slice(2, -2));
+  ['/na1/Hide%20on%20bush-KR1', '/euw1/Mr.Bean-EUW', '/leaderboard'].forEach(route => {
+    expect(routePattern.test(route)).toBe(true);
+  });
+  ['/js/app-5KXQ2F3T.js', '/styles-AB12CD34.css', '/assets/logo.png'].forEach(asset => {
+    expect(routePattern.test(asset)).toBe(false);
+  });
+
+  template.hasResourceProperties('AWS::CloudFront::Function', {
+    FunctionConfig: Match.objectLike({ Comment: 'Serve index.html for client-side routes' }),
+  });
+});
+
+test('CloudFront Sends Strict Security Headers', () => {
+  const app = new cdk.App();
+  const stack = new RiftRewind.RiftRewindStack(app, 'MyTestStack', { config: STAGES.prod });
+  const template = Template.fromStack(stack);
+
+  const [[policyId, policy]] = Object.entries(template.findResources('AWS::CloudFront::ResponseHeadersPolicy'));
+  const headers = policy.Properties.ResponseHeadersPolicyConfig.SecurityHeadersConfig;
+  const csp: string[] = headers.ContentSecurityPolicy.ContentSecurityPolicy.split('; ');
+  expect(csp).toEqual(expect.arrayContaining([
+    "default-src 'self'",
+    "script-src 'self'",
+    "object-src 'none'",
+    "frame-ancestors 'none'",
+  ]));
+  // No inline or eval'd script, and no third-party script hosts
+  expect(csp.find(directive => directive.startsWith('script-src'))).toBe("script-src 'self'");
+  expect(headers).toMatchObject({
+    StrictTransportSecurity: { AccessControlMaxAgeSec: 31536000, IncludeSubdomains: true, Preload: true, Override: true },
+    ContentTypeOptions: { Override: true },
+    ReferrerPolicy: { ReferrerPolicy: 'strict-origin-when-cross-origin', Override: true },
+  });
+
+  // Both the site and the API responses carry the headers
+  const policyRef = { Ref: policyId };
+  template.hasResourceProperties('AWS::CloudFront::Distribution', {
+    DistributionConfig: {
+      DefaultCacheBehavior: Match.objectLike({ ResponseHeadersPolicyId: policyRef }),
+      CacheBehaviors: Match.arrayWith([
+        Match.objectLike({ PathPattern: 'api/*', ResponseHeadersPolicyId: policyRef }),
+      ]),
+    },
+  });
+});
+
+test('CloudFront Never Caches The Service Worker', () => {
+  const app = new cdk.App();
+  const stack = new RiftRewind.RiftRewindStack(app, 'MyTestStack', { config: STAGES.prod });
+  const template = Template.fromStack(stack);
+
+  template.hasResourceProperties('AWS::CloudFront::Distribution', {
+    DistributionConfig: {
+      CacheBehaviors: Match.arrayWith([
+        Match.objectLike({
+          PathPattern: 'sw.js',
+          // Managed CachingDisabled policy
+          CachePolicyId: '4135ea2d-6df8-44a3-9df3-4b5a84be39ad',
+        }),
+      ]),
+    },
+  });
+});
+
+test('Client Error Reports Go To Their Own Log Group', () => {
+  const app = new cdk.App();
+  const stack = new RiftRewind.RiftRewindStack(app, 'MyTestStack', { config: STAGES.prod });
+  const template = Template.fromStack(stack);
+
+  template.hasResourceProperties('AWS::ApiGateway::Resource', {
+    PathPart: 'logs',
+  });
+  template.hasResourceProperties('AWS::ApiGateway::Method', {
+    HttpMethod: 'POST',
+    ResourceId: { Ref: Match.stringLikeRegexp('apilogs') },
+  });
+  template.hasResourceProperties('AWS::Logs::LogGroup', {
+    LogGroupName: {
+      'Fn::Join': ['', ['/aws/lambda/', { Ref: Match.stringLikeRegexp('ClientLogsFunction') }]],
+    },
+    RetentionInDays: 30,
+  });
+});
+
+// Lambda asset hashes change with every handler edit; the snapshots cover the stack itself
+function normalizedTemplate(template: Template): unknown {
+  return JSON.parse(JSON.stringify(template.toJSON()).replace(/[0-9a-f]{64}/g, '[asset hash]'));
+}
+
+describe.each(Object.values(STAGES))('$stage stage', config => {
+  let template: Template;
+
+  beforeAll(() => {
+    const app = new cdk.App();
+    // Pinned to the stage's region like bin/rift-rewind.ts; with an unresolved region token,
+    // generated names such as the CloudFront Function's depend on the order tests run in
+    const stack = new RiftRewind.RiftRewindStack(app, config.stackName, { env: { region: config.region }, config });
+    template = Template.fromStack(stack);
+  });
+
+  test('Matches The Snapshot', () => {
+    expect(normalizedTemplate(template)).toMatchSnapshot();
+  });
+
+  test('Builds Its Own Amplify Branch', () => {
+    template.hasResourceProperties('AWS::Amplify::App', {
+      Name: config.resourcePrefix,
+      Repository: config.amplify.repository,
+    });
+    template.hasResourceProperties('AWS::Amplify::Branch', {
+      BranchName: config.amplify.branch,
+      Stage: config.amplify.branchStage,
+    });
+  });
+
+  test('Uses The Stage Retention, Removal Policy And Price Class', () => {
+    template.hasResourceProperties('AWS::Logs::LogGroup', {
+      LogGroupName: `/aws/cloudfront/${config.resourcePrefix}`,
+      RetentionInDays: config.logRetention,
+    });
+    template.hasResourceProperties('Custom::LogRetention', {
+      RetentionInDays: config.logRetention,
+    });
+
+    const deletionPolicy = config.removalPolicy === cdk.RemovalPolicy.RETAIN ? 'Retain' : 'Delete';
+    const websiteBucket = template.findResources('AWS::S3::Bucket', { Properties: { BucketName: Match.anyValue() } });
+    const resources = [
+      ...Object.values(websiteBucket),
+      ...Object.values(template.findResources('AWS::DynamoDB::Table')),
+      ...Object.values(template.findResources('AWS::Logs::LogGroup')),
+    ];
+    expect(resources).toHaveLength(6);
+    resources.forEach(resource => expect(resource.DeletionPolicy).toBe(deletionPolicy));
+
+    template.hasResourceProperties('AWS::CloudFront::Distribution', {
+      DistributionConfig: Match.objectLike({ PriceClass: config.priceClass }),
+    });
+  });
+
+  test('Tags Every Resource With The Stage', () => {
+    // CDK writes tags sorted by key
+    const tags = Object.entries(config.tags)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([Key, Value]) => ({ Key, Value }));
+    template.hasResourceProperties('AWS::S3::Bucket', { Tags: Match.arrayWith(tags) });
+    template.hasResourceProperties('AWS::DynamoDB::Table', { Tags: Match.arrayWith(tags) });
+  });
+
+  test('Reads The Stage Secrets By Name', () => {
+    template.resourceCountIs('AWS::SecretsManager::Secret', 0);
+
+    const templateJson = JSON.stringify(template.toJSON());
+    expect(templateJson).toContain(`secret:${config.secrets.riotApiKey}`);
+    expect(templateJson).toContain(`secret:${config.secrets.githubPat}:SecretString:::}}`);
+    expect(templateJson).not.toMatch(/RGAPI-/);
+  });
+});
+
+test('Stages Never Share Physical Names', () => {
+  const stages = Object.values(STAGES);
+  ['stackName', 'resourcePrefix'].forEach(field => {
+    const names = stages.map(config => config[field as 'stackName' | 'resourcePrefix']);
+    expect(new Set(names).size).toBe(stages.length);
+  });
+  expect(new Set(stages.map(config => config.secrets.riotApiKey)).size).toBe(stages.length);
+});
+
+test('Prod Does Not Read The Secret The Old Stack Deletes', () => {
+  // The single stack before stages created this secret, so updating it in place removes it
+  expect(Object.values(STAGES).map(config => config.secrets.riotApiKey)).not.toContain('rift-rewind/riot-api-key');
 });
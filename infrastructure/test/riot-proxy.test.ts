@@ -0,0 +1,131 @@
+import * as http from 'http';
+import { AddressInfo } from 'net';
+import type { APIGatewayProxyEvent } from 'aws-lambda';
+import { handler } from '../lambda/riot-proxy';
+
+// Stub Riot server that records what the proxy forwarded
+let stub: http.Server;
+let lastRequest: { url?: string; token?: string | string[] };
+
+beforeAll(async () => {
+  stub = http.createServer((req, res) => {
+    lastRequest = { url: req.url, token: req.headers['x-riot-token'] };
+
+    if (req.url?.includes('/by-riot-id/Missing/')) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ status: { status_code: 404, message: 'Data not found' } }));
+      return;
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'application/json',
+      'X-App-Rate-Limit': '20:1,100:120',
+      'X-App-Rate-Limit-Count': '1:1,1:120',
+    });
+    res.end(JSON.stringify({ name: 'Faker', summonerLevel: 500 }));
+  });
+  await new Promise<void>(resolve => stub.listen(0, resolve));
+
+  const { port } = stub.address() as AddressInfo;
+  process.env.RIOT_API_BASE_URL = `http://localhost:${port}/{route}`;
+  process.env.RIOT_API_KEY = 'RGAPI-test-key';
+});
+
+afterAll(async () => {
+  await new Promise(resolve => stub.close(resolve));
+  delete process.env.RIOT_API_BASE_URL;
+  delete process.env.RIOT_API_KEY;
+});
+
+function proxyEvent(route: string, proxy: string, method = 'GET'): APIGatewayProxyEvent {
+  return {
+    httpMethod: method,
+    pathParameters: { route, proxy },
+    queryStringParameters: { api_key: 'should-not-forward' },
+  } as unknown as APIGatewayProxyEvent;
+}
+
+test('Forwards allow-listed endpoints with the key in a header', async () => {
+  const result = await handler(proxyEvent('asia', 'riot/account/v1/accounts/by-riot-id/Hide on bush/KR1'));
+
+  expect(result.statusCode).toBe(200);
+  expect(JSON.parse(result.body).name).toBe('Faker');
+  expect(lastRequest.url).toBe('/asia/riot/account/v1/accounts/by-riot-id/Hide%20on%20bush/KR1');
+  expect(lastRequest.token).toBe('RGAPI-test-key');
+});
+
+test('Passes Riot rate limit headers through to the browser', async () => {
+  const result = await handler(proxyEvent('euw1', 'lol/league/v4/entries/by-puuid/abc123'));
+
+  expect(result.headers).toMatchObject({
+    'x-app-rate-limit': '20:1,100:120',
+    'x-app-rate-limit-count': '1:1,1:120',
+  });
+});
+
+test('Forwards allow-listed query parameters only', async () => {
+  const result = await handler({
+    httpMethod: 'GET',
+    pathParameters: { route: 'europe', proxy: 'lol/match/v5/matches/by-puuid/abc123/ids' },
+    queryStringParameters: { start: '10', count: '10', api_key: 'should-not-forward' },
+  } as unknown as APIGatewayProxyEvent);
+
+  expect(result.statusCode).toBe(200);
+  expect(lastRequest.url).toBe('/europe/lol/match/v5/matches/by-puuid/abc123/ids?start=10&count=10');
+});
+
+test('Forwards live game lookups to the platform route', async () => {
+  const result = await handler(proxyEvent('kr', 'lol/spectator/v5/active-games/by-summoner/abc123'));
+
+  expect(result.statusCode).toBe(200);
+  expect(lastRequest.url).toBe('/kr/lol/spectator/v5/active-games/by-summoner/abc123');
+});
+
+test('Forwards challenge data and config lookups to the platform route', async () => {
+  expect((await handler(proxyEvent('kr', 'lol/challenges/v1/player-data/abc123'))).statusCode).toBe(200);
+  expect(lastRequest.url).toBe('/kr/lol/challenges/v1/player-data/abc123');
+
+  expect((await handler(proxyEvent('kr', 'lol/challenges/v1/challenges/config'))).statusCode).toBe(200);
+  expect(lastRequest.url).toBe('/kr/lol/challenges/v1/challenges/config');
+
+  // Per-challenge leaderboards aren't used
+  expect((await handler(proxyEvent('kr', 'lol/challenges/v1/challenges/101000/leaderboards/by-level/MASTER'))).statusCode).toBe(403);
+});
+
+test.each(['me1', 'vn2', 'la2'])('Forwards platform lookups for %s', async (platform) => {
+  const result = await handler(proxyEvent(platform, 'lol/league/v4/entries/by-puuid/abc123'));
+
+  expect(result.statusCode).toBe(200);
+  expect(lastRequest.url).toBe(`/${platform}/lol/league/v4/entries/by-puuid/abc123`);
+});
+
+test('Passes Riot error statuses through unchanged', async () => {
+  const result = await handler(proxyEvent('americas', 'riot/account/v1/accounts/by-riot-id/Missing/NA1'));
+
+  expect(result.statusCode).toBe(404);
+  expect(JSON.parse(result.body).status.message).toBe('Data not found');
+});
+
+test('Rejects endpoints outside the allow-list', async () => {
+  const result = await handler(proxyEvent('na1', 'lol/status/v4/platform-data'));
+
+  expect(result.statusCode).toBe(403);
+});
+
+test('Rejects endpoints on the wrong kind of route', async () => {
+  const result = await handler(proxyEvent('na1', 'riot/account/v1/accounts/by-riot-id/Faker/KR1'));
+
+  expect(result.statusCode).toBe(403);
+});
+
+test('Rejects unknown routing values', async () => {
+  const result = await handler(proxyEvent('evil.example.com', 'lol/summoner/v4/summoners/by-puuid/abc123'));
+
+  expect(result.statusCode).toBe(400);
+});
+
+test('Rejects non-GET methods', async () => {
+  const result = await handler(proxyEvent('na1', 'lol/summoner/v4/summoners/by-puuid/abc123', 'POST'));
+
+  expect(result.statusCode).toBe(405);
+});
@@ -14,8 +14,10 @@ NC='\033[0m' # No Color
 
 # Configuration
 AWS_REGION=${AWS_REGION:-us-east-1}
-SECRET_NAME="rift-rewind/riot-api-key"
-GITHUB_SECRET_NAME="rift-rewind/github-token"
+# Prod names; --stage dev or --stage staging switches the Riot key to that stage's secret
+# (see infrastructure/lib/stage-config.ts). The GitHub PAT is shared by every stage.
+SECRET_NAME="rift-rewind/prod/riot-api-key"
+GITHUB_SECRET_NAME="rift-rewind/github-pat"
 
 # Functions
 log_info() {
@@ -102,14 +104,14 @@ store_github_token() {
         log_info "Updating existing GitHub token secret..."
         aws secretsmanager update-secret \
             --secret-id "$GITHUB_SECRET_NAME" \
-            --secret-string "{\"token\":\"$github_token\"}" \
+            --secret-string "$github_token" \
             --region "$AWS_REGION" > /dev/null
     else
         log_info "Creating new GitHub token secret..."
         aws secretsmanager create-secret \
             --name "$GITHUB_SECRET_NAME" \
             --description "GitHub Personal Access Token for Amplify CI/CD" \
-            --secret-string "{\"token\":\"$github_token\"}" \
+            --secret-string "$github_token" \
             --region "$AWS_REGION" > /dev/null
     fi
     
@@ -184,6 +186,10 @@ main() {
                 AWS_REGION="$2"
                 shift 2
                 ;;
+            --stage)
+                SECRET_NAME="rift-rewind/$2/riot-api-key"
+                shift 2
+                ;;
             --from-env)
                 read_local_secrets
                 shift
@@ -194,6 +200,7 @@ main() {
                 echo "  --api-key KEY       Riot Games API key to store"
                 echo "  --github-token TOK  GitHub Personal Access Token"
                 echo "  --region REGION     AWS region (default: us-east-1)"
+                echo "  --stage STAGE       dev, staging or prod (default: prod); give it before --from-env"
                 echo "  --from-env          Read secrets from .env.local file"
                 echo "  --help              Show this help message"
                 exit 0
@@ -225,7 +232,7 @@ main() {
     log_success "Secrets setup completed successfully! 🎉"
     echo ""
     echo "📋 Next steps:"
-    echo "1. Deploy infrastructure: cd infrastructure && cdk deploy"
+    echo "1. Deploy infrastructure: cd infrastructure && cdk deploy RiftRewindStack (or RiftRewindStack-dev / -staging)"
     echo "2. Run deployment: ./deploy.sh"
     echo "3. Secrets will be automatically retrieved during build/deploy"
 }